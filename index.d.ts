@@ -0,0 +1,446 @@
+// Type definitions for asuraclient-fca-unofficial
+// Event payload shapes mirror src/api/socket/detail/eventSchema.js; keep the
+// two in step and bump EventSchemaVersion together with EVENT_SCHEMA_VERSION.
+
+/// <reference types="node" />
+
+import { EventEmitter } from "events";
+
+declare function login(credentials: login.LoginCredentials, callback: (err: any, api: login.Api) => void): void;
+declare function login(credentials: login.LoginCredentials, options: Record<string, any>, callback: (err: any, api: login.Api) => void): void;
+
+declare namespace login {
+  type EventSchemaVersion = 1;
+
+  interface Attachment {
+    type: string;
+    [key: string]: any;
+  }
+
+  /** `type: "message"`, emitted as `message_new` */
+  interface MessageEvent {
+    type: "message";
+    threadID: string;
+    messageID: string;
+    senderID: string;
+    body: string;
+    attachments: Attachment[];
+    /** userID -> mentioned text */
+    mentions: Record<string, string>;
+    timestamp: string | number;
+    isGroup: boolean;
+    args?: string[];
+    participantIDs?: string[];
+  }
+
+  interface RepliedMessage {
+    threadID: string;
+    messageID: string;
+    senderID: string;
+    body: string;
+    attachments: Attachment[];
+    mentions: Record<string, string>;
+    timestamp: number;
+    isGroup: boolean;
+    args: string[];
+    participantIDs?: string[];
+  }
+
+  interface MessageReplyEvent {
+    type: "message_reply";
+    threadID: string;
+    messageID: string;
+    senderID: string;
+    body: string;
+    attachments: Attachment[];
+    mentions: Record<string, string>;
+    timestamp: number;
+    isGroup: boolean;
+    args: string[];
+    participantIDs: string[];
+    /** Missing when the replied-to message could not be fetched */
+    messageReply?: RepliedMessage;
+    delta?: object;
+  }
+
+  interface MessageReactionEvent {
+    type: "message_reaction";
+    threadID: string;
+    /** The message being reacted to */
+    messageID: string;
+    senderID: string;
+    userID: string;
+    /** Undefined when the reaction was removed */
+    reaction?: string;
+  }
+
+  interface MessageUnsendEvent {
+    type: "message_unsend";
+    threadID: string;
+    messageID: string;
+    senderID: string;
+    deletionTimestamp: string | number;
+    timestamp: string | number;
+    /** The removed content, when the messageHistory option had it cached */
+    original?: CachedMessage;
+  }
+
+  interface CachedMessage {
+    threadID: string | null;
+    senderID: string | null;
+    body: string;
+    attachments: any[];
+    mentions: { [id: string]: string };
+    timestamp: number | null;
+    /** Earlier texts, oldest first */
+    edits: Array<{ body: string; timestamp: number }>;
+  }
+
+  /** Emitted while the messageHistory option is on */
+  interface MessageEditEvent {
+    type: "message_edit";
+    /** Null when the message is not in the history */
+    threadID: string | null;
+    messageID: string;
+    senderID: string | null;
+    /** The new text */
+    body: string;
+    /** The replaced text, or null when the message is not in the history */
+    previous: string | null;
+    edits?: Array<{ body: string; timestamp: number }>;
+    timestamp: number;
+  }
+
+  interface LogEvent {
+    type: "event";
+    threadID: string;
+    /** e.g. "log:subscribe", "log:unsubscribe", "log:thread-name" */
+    logMessageType: string;
+    logMessageData: any;
+    author: string | number;
+    logMessageBody?: string;
+    participantIDs?: string[];
+    timestamp?: string | number;
+  }
+
+  interface TypingEvent {
+    type: "typ";
+    threadID: string;
+    from: string;
+    isTyping: boolean;
+    fromMobile?: boolean;
+    userID?: string;
+  }
+
+  interface PresenceEvent {
+    type: "presence";
+    userID: string;
+    timestamp: number;
+    statuses: any;
+  }
+
+  interface ReadReceiptEvent {
+    type: "read_receipt";
+    threadID: string;
+    reader: string;
+    time: string | number;
+  }
+
+  interface ReadEvent {
+    type: "read";
+    threadID: string;
+    time: string | number;
+  }
+
+  interface FriendRequestReceivedEvent {
+    type: "friend_request_received";
+    actorFbId: string;
+    timestamp: string;
+  }
+
+  interface FriendRequestCancelEvent {
+    type: "friend_request_cancel";
+    actorFbId: string;
+    timestamp: string;
+  }
+
+  /** Passed as the callback's error argument */
+  interface AccountInactiveEvent {
+    type: "account_inactive";
+    reason: "not_logged_in" | "login_blocked" | "auth_error" | string;
+    error: string;
+    timestamp: number;
+  }
+
+  /** Passed as the callback's error argument */
+  interface StopListenEvent {
+    type: "stop_listen";
+    error: string;
+  }
+
+  /** Passed as the callback's error argument when `emitReady` is on */
+  interface ReadyEvent {
+    type: "ready";
+    error: null;
+  }
+
+  type FcaEvent =
+    | MessageEvent
+    | MessageReplyEvent
+    | MessageReactionEvent
+    | MessageUnsendEvent
+    | MessageEditEvent
+    | LogEvent
+    | TypingEvent
+    | PresenceEvent
+    | ReadReceiptEvent
+    | ReadEvent
+    | FriendRequestReceivedEvent
+    | FriendRequestCancelEvent;
+
+  type FcaControlEvent = AccountInactiveEvent | StopListenEvent | ReadyEvent;
+
+  /** MessageEmitter event name -> payload */
+  interface MessageEmitterEvents {
+    message: FcaEvent;
+    error: any;
+    message_new: MessageEvent;
+    message_reply: MessageReplyEvent;
+    message_reaction: MessageReactionEvent;
+    message_unsend: MessageUnsendEvent;
+    message_edit: MessageEditEvent;
+    event: LogEvent;
+    typ: TypingEvent;
+    presence: PresenceEvent;
+    read_receipt: ReadReceiptEvent;
+    read: ReadEvent;
+    friend_request_received: FriendRequestReceivedEvent;
+    friend_request_cancel: FriendRequestCancelEvent;
+    account_inactive: AccountInactiveEvent;
+    stop_listen: StopListenEvent;
+    ready: ReadyEvent;
+  }
+
+  interface MessageEmitter extends EventEmitter {
+    on<K extends keyof MessageEmitterEvents>(event: K, listener: (payload: MessageEmitterEvents[K]) => void): this;
+    once<K extends keyof MessageEmitterEvents>(event: K, listener: (payload: MessageEmitterEvents[K]) => void): this;
+    off<K extends keyof MessageEmitterEvents>(event: K, listener: (payload: MessageEmitterEvents[K]) => void): this;
+    stopListening(callback?: () => void): void;
+    stopListeningAsync(): Promise<void>;
+  }
+
+  type ListenCallback = (error: FcaControlEvent | Error | any | null, event?: FcaEvent) => void;
+
+  type Middleware = (event: FcaEvent, next: (event?: FcaEvent | null | false) => void) => void | Promise<void>;
+
+  interface CommandContext {
+    api: Api;
+    event: MessageEvent | MessageReplyEvent;
+    command: Command;
+    /** The name or alias that was used */
+    name: string;
+    /** null when triggered by a mention */
+    prefix: string | null;
+    args: string[];
+    params: Record<string, string | number>;
+    reply(message: any): Promise<any>;
+  }
+
+  type CommandPermission = "everyone" | "admin" | "owner" | ((event: MessageEvent | MessageReplyEvent, api: Api) => boolean | Promise<boolean>);
+
+  interface Command {
+    name: string;
+    aliases?: string[];
+    description?: string;
+    args?: Array<{ name: string; type?: "string" | "number" | "rest"; required?: boolean }>;
+    cooldown?: number | { user?: number; thread?: number };
+    permissions?: CommandPermission | CommandPermission[];
+    handler(context: CommandContext): any;
+  }
+
+  interface CommandRouter {
+    /** Number of registered commands */
+    readonly size: number;
+    register(command: Command): () => boolean;
+    unregister(name: string): boolean;
+    get(name: string): Command | null;
+    list(): Command[];
+    helpText(name?: string): string;
+    configure(options: { prefix?: string | string[]; mention?: boolean; caseSensitive?: boolean; owners?: string[]; help?: boolean }): void;
+  }
+
+  interface AwaitOptions {
+    from?: string | string[];
+    /** Milliseconds, default 5 minutes; 0 waits forever */
+    timeout?: number;
+    signal?: AbortSignal;
+    /** Persist the wait under this name (persistConversations option) */
+    name?: string;
+    data?: any;
+  }
+
+  type PendingWait<T> = Promise<T> & { id: number; cancel(): boolean };
+
+  interface ScheduledJob {
+    id: number;
+    threadID: string;
+    message: any;
+    /** Set for recurring jobs */
+    cron: string | null;
+    /** Next run timestamp */
+    runAt: number | null;
+    status: "pending" | "sending" | "sent" | "failed" | "cancelled";
+    runs: number;
+    lastRunAt: number | null;
+    lastMessageID: string | null;
+    lastError: string | null;
+  }
+
+  /** Date, timestamp, date string, cron expression, { delay } in milliseconds or { cron } */
+  type ScheduleTime = Date | number | string | { delay: number } | { cron: string };
+
+  interface Scheduler {
+    list(): ScheduledJob[];
+    get(id: number): ScheduledJob | null;
+    cancel(id: number): Promise<boolean>;
+  }
+
+  interface QueryStatus {
+    operation: string;
+    kind: "query" | "mutation";
+    docID: string;
+    ids: string[];
+    ok: boolean | null;
+    error: string | null;
+    lastDocID: string | null;
+    checkedAt: number | null;
+  }
+
+  interface ExportOptions {
+    since?: Date | number | string;
+    until?: Date | number | string;
+    format?: "json" | "jsonl" | "html" | "facebook";
+    output?: string;
+    attachments?: boolean;
+    pageSize?: number;
+  }
+
+  interface ExportResult {
+    threadID: string;
+    format: "json" | "jsonl" | "html" | "facebook";
+    messageCount: number;
+    output: string | null;
+    attachments: { downloaded: number; failed: Array<{ messageID: string; attachmentID: string | null; error: string }> } | null;
+    content?: string | object[];
+  }
+
+  interface PageOptions {
+    pageSize?: number;
+    limit?: number;
+    retries?: number;
+    backoff?: number;
+  }
+
+  interface SearchOptions {
+    threadID?: string;
+    sender?: string;
+    since?: Date | number;
+    until?: Date | number;
+    includeUnsent?: boolean;
+    raw?: boolean;
+    limit?: number;
+  }
+
+  interface StoredMessage {
+    messageID: string;
+    threadID: string;
+    senderID: string | null;
+    body: string;
+    attachments: any[];
+    mentions: { [id: string]: string };
+    replyToID: string | null;
+    timestamp: number | null;
+    editedAt: number | null;
+    unsentAt: number | null;
+  }
+
+  interface MessageMention {
+    tag: string;
+    id: string;
+    fromIndex: number;
+  }
+
+  interface ComposedMessage {
+    body: string;
+    mentions: MessageMention[];
+    attachment?: any[];
+  }
+
+  interface MessageComposer {
+    text(text: string): MessageComposer;
+    line(text?: string): MessageComposer;
+    bold(text: string): MessageComposer;
+    italic(text: string): MessageComposer;
+    strikethrough(text: string): MessageComposer;
+    monospace(text: string): MessageComposer;
+    codeBlock(code: string): MessageComposer;
+    /** Without `name`, the name comes from getUserInfo */
+    mention(userID: string, name?: string): MessageComposer;
+    everyone(label?: string): MessageComposer;
+    attach(attachment: any): MessageComposer;
+    build(threadID?: string): Promise<ComposedMessage>;
+    send(threadID: string, replyToMessageID?: string): Promise<any>;
+  }
+
+  /** A message event, or any object naming a message and its thread */
+  interface MessageTarget {
+    threadID: string;
+    messageID: string;
+  }
+
+  interface SentMessage {
+    body: string | null;
+    messageID: string;
+    threadID: string;
+  }
+
+  interface ForwardResult {
+    threadID: string;
+    messageID: string | null;
+    error: Error | null;
+  }
+
+  interface Api extends EventEmitter {
+    commands: CommandRouter;
+    scheduler: Scheduler;
+    scheduleMessage(message: any, threadID: string, when: ScheduleTime): Promise<ScheduledJob>;
+    iterateThreads(options?: PageOptions & { tags?: string | string[]; before?: number }): AsyncGenerator<any>;
+    iterateMessages(threadID: string, options?: PageOptions & { before?: number }): AsyncGenerator<any>;
+    iterateThreadPictures(threadID: string, options?: PageOptions & { offset?: number }): AsyncGenerator<any>;
+    exportThread(threadID: string, options?: ExportOptions, callback?: (err: any, result: ExportResult) => void): Promise<ExportResult>;
+    checkQueries(callback?: (err: any, statuses: QueryStatus[]) => void): Promise<QueryStatus[]>;
+    searchMessages(query: string, options?: SearchOptions): Promise<StoredMessage[]>;
+    compose(): MessageComposer;
+    reply(event: MessageTarget, message: any): Promise<SentMessage>;
+    quote(event: MessageTarget & { body?: string }, text: string): Promise<SentMessage>;
+    forward(message: string | MessageTarget, threadIDs: string | string[]): Promise<ForwardResult[]>;
+    awaitReply(messageID: string, options?: AwaitOptions & { threadID?: string }): PendingWait<MessageReplyEvent>;
+    awaitMessage(threadID: string, filter?: ((event: MessageEvent | MessageReplyEvent) => boolean) | AwaitOptions, options?: AwaitOptions): PendingWait<MessageEvent | MessageReplyEvent>;
+    listenMqtt(callback?: ListenCallback): MessageEmitter;
+    /** Returns a function that removes the middleware again */
+    use(middleware: Middleware): () => boolean;
+    setOptions(options: Record<string, any>): void;
+    getCurrentUserID(): string;
+    getAppState(): any[];
+    [method: string]: any;
+  }
+
+  interface LoginCredentials {
+    appState?: any;
+    Cookie?: string;
+    email?: string;
+    password?: string;
+  }
+}
+
+export = login;
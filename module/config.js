@@ -8,6 +8,10 @@ const fs = require("fs");
 const path = require("path");
 const yaml = require("js-yaml");
 const logger = require("../func/logger");
+const SecurityUtils = require("../src/utils/security");
+const { ConfigurationError } = require("../src/utils/errors");
+const { resolveEndpoints } = require("../src/utils/endpoints");
+const { resolveQueries } = require("../src/utils/queries");
 
 /**
  * Default configuration values
@@ -29,7 +33,9 @@ const defaultConfig = {
   security: {
     encryptCredentials: true,
     encryptionKey: ""
-  }
+  },
+  endpoints: {},
+  queries: {}
 };
 
 /**
@@ -61,6 +67,20 @@ function validateConfig(config) {
   if (config.logging && !['json', 'text'].includes(config.logging.format)) {
     throw new Error("logging.format must be one of: json, text");
   }
+
+  if (config.endpoints != null) {
+    if (typeof config.endpoints !== "object" || Array.isArray(config.endpoints)) {
+      throw new Error("endpoints must be an object");
+    }
+    resolveEndpoints(config.endpoints);
+  }
+
+  if (config.queries != null) {
+    if (typeof config.queries !== "object" || Array.isArray(config.queries)) {
+      throw new Error("queries must be an object");
+    }
+    resolveQueries(config.queries);
+  }
 }
 
 /**
@@ -195,4 +215,22 @@ function loadConfig() {
   return { config };
 }
 
-module.exports = { loadConfig, defaultConfig, validateConfig };
\ No newline at end of file
+/**
+ * Resolves the key used to encrypt stored AppState and cookies
+ * @param {Object} config - Configuration object
+ * @returns {string|null} Hex key, or null when encryption is disabled
+ * @throws {ConfigurationError} If encryption is enabled without a usable key
+ */
+function getEncryptionKey(config) {
+  const security = Object.assign({}, defaultConfig.security, config && config.security);
+  if (!security.encryptCredentials) return null;
+  if (!security.encryptionKey) {
+    throw new ConfigurationError("security.encryptCredentials is enabled but security.encryptionKey is empty; set a key or turn encryptCredentials off");
+  }
+  if (!SecurityUtils.isValidKey(security.encryptionKey)) {
+    throw new ConfigurationError("security.encryptionKey must be a 64 character hex string (32 bytes)");
+  }
+  return security.encryptionKey;
+}
+
+module.exports = { loadConfig, defaultConfig, validateConfig, getEncryptionKey };
\ No newline at end of file
@@ -11,6 +11,8 @@ const { checkAndUpdateVersion } = require("../func/checkUpdate");
 const loginHelper = require("./loginHelper");
 const { Logger } = require("../func/logger");
 const { ValidationError } = require("../src/utils/errors");
+const { resolveEndpoints } = require("../src/utils/endpoints");
+const { resolveQueries } = require("../src/utils/queries");
 
 // Load configuration
 const { config } = loadConfig();
@@ -58,6 +60,8 @@ function login(loginData, options, callback) {
     autoReconnect: true,
     online: true,
     emitReady: false,
+    endpoints: resolveEndpoints(config.endpoints),
+    queries: resolveQueries(config.queries),
     userAgent: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36"
   };
   
@@ -1,12 +1,33 @@
 "use strict";
 const fs = require("fs");
 const path = require("path");
-const models = require("../src/database/models");
+const EventEmitter = require("events");
 const logger = require("../func/logger");
-const { get, post, jar, makeDefaults } = require("../src/utils/request");
+const { createHttpClient } = require("../src/utils/request");
 const { saveCookies, getAppState } = require("../src/utils/client");
 const { getFrom } = require("../src/utils/constants");
-const { loadConfig } = require("./config");
+const { endpoint, cookieTarget } = require("../src/utils/endpoints");
+const { docID } = require("../src/utils/queries");
+const { loadConfig, getEncryptionKey } = require("./config");
+const SecurityUtils = require("../src/utils/security");
+const { ConfigurationError } = require("../src/utils/errors");
+const { setOptions } = require("./options");
+const { createSessionStore, sessionKey } = require("../src/database/sessionStore");
+const SendQueue = require("../src/core/sendQueue");
+const DeliveryQueue = require("../src/core/deliveryQueue");
+const MessageHistory = require("../src/core/messageHistory");
+const MiddlewareChain = require("../src/core/middleware");
+const CommandRouter = require("../src/core/commands");
+const ConversationManager = require("../src/core/conversations");
+const { ThreadConversationStore } = require("../src/database/conversations");
+const Scheduler = require("../src/core/scheduler");
+const { ScheduledMessageStore } = require("../src/database/scheduler");
+const { MessageStore } = require("../src/database/messages");
+const { dispatchReqMqtt } = require("../src/core/sendReqMqtt");
+const { createUploadCache } = require("../src/core/upload");
+const { TrafficRecorder } = require("../src/core/traffic");
+const QueryRegistry = require("../src/core/queryRegistry");
+const { loadApi } = require("../src/api");
 const { config } = loadConfig();
 const { v4: uuidv4 } = require("uuid");
 const { CookieJar } = require("tough-cookie");
@@ -47,6 +68,27 @@ function parseRegion(html) {
   }
 }
 
+/**
+ * Reads the per-session values the API needs out of the facebook.com home page.
+ * Used at login and again after an in-process auto-login.
+ */
+function parseSessionInfo(html) {
+  const info = { mqttEndpoint: undefined, region: "PRN", fb_dtsg: undefined, jazoest: undefined };
+  try {
+    const m1 = html.match(/"endpoint":"([^"]+)"/);
+    const m2 = m1 ? null : html.match(/endpoint\\":\\"([^\\"]+)\\"/);
+    const raw = (m1 && m1[1]) || (m2 && m2[1]);
+    if (raw) info.mqttEndpoint = raw.replace(/\\\//g, "/");
+    info.region = parseRegion(html);
+  } catch {
+    logger("Not MQTT endpoint", "warn");
+  }
+  const tokenMatch = html.match(/DTSGInitialData.*?token":"(.*?)"/);
+  if (tokenMatch) info.fb_dtsg = tokenMatch[1];
+  info.jazoest = getFrom(html, "jazoest=", '",') || undefined;
+  return info;
+}
+
 function mask(s, keep = 3) {
   if (!s) return "";
   const n = s.length;
@@ -118,9 +160,9 @@ function randomOrcaUA() {
 
 const MOBILE_UA = randomOrcaUA();
 
-function buildHeaders(url, extra = {}) {
+function buildHeaders(url, extra = {}, options) {
   const u = new URL(url);
-  return { "content-type": "application/x-www-form-urlencoded", "x-fb-http-engine": "Liger", "user-agent": MOBILE_UA, Host: u.host, Origin: "https://www.facebook.com", Referer: "https://www.facebook.com/", Connection: "keep-alive", ...extra };
+  return { "content-type": "application/x-www-form-urlencoded", "x-fb-http-engine": "Liger", "user-agent": MOBILE_UA, Host: u.host, Origin: endpoint(options, "facebook"), Referer: endpoint(options, "facebook", "/"), Connection: "keep-alive", ...extra };
 }
 
 const genTotp = async secret => {
@@ -147,19 +189,20 @@ function normalizeCookieHeaderString(s) {
   return out;
 }
 
-function setJarFromPairs(j, pairs, domain) {
+function setJarFromPairs(j, pairs, options) {
+  const { url, domain } = cookieTarget(options);
   const expires = new Date(Date.now() + 31536e6).toUTCString();
   for (const kv of pairs) {
-    const cookieStr = `${kv}; expires=${expires}; domain=${domain}; path=/;`;
+    const cookieStr = `${kv}; expires=${expires};${domain ? ` domain=${domain};` : ""} path=/;`;
     try {
-      if (typeof j.setCookieSync === "function") j.setCookieSync(cookieStr, "https://www.facebook.com");
-      else j.setCookie(cookieStr, "https://www.facebook.com");
+      if (typeof j.setCookieSync === "function") j.setCookieSync(cookieStr, url);
+      else j.setCookie(cookieStr, url);
     } catch { }
   }
 }
 
-function cookieHeaderFromJar(j) {
-  const urls = ["https://www.facebook.com", "https://www.messenger.com"];
+function cookieHeaderFromJar(j, options) {
+  const urls = [endpoint(options, "facebook"), "https://www.messenger.com"];
   const seen = new Set();
   const parts = [];
   for (const u of urls) {
@@ -179,85 +222,38 @@ function cookieHeaderFromJar(j) {
   return parts.join("; ");
 }
 
-let uniqueIndexEnsured = false;
-
-function getBackupModel() {
-  if (!models || !models.sequelize || !models.Sequelize) return null;
-  const sequelize = models.sequelize;
-  const { DataTypes } = models.Sequelize;
-  if (sequelize.models && sequelize.models.AppStateBackup) return sequelize.models.AppStateBackup;
-  const dialect = typeof sequelize.getDialect === "function" ? sequelize.getDialect() : "sqlite";
-  const LongText = (dialect === "mysql" || dialect === "mariadb") ? DataTypes.TEXT("long") : DataTypes.TEXT;
-  const AppStateBackup = sequelize.define(
-    "AppStateBackup",
-    {
-      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
-      userID: { type: DataTypes.STRING, allowNull: false },
-      type: { type: DataTypes.STRING, allowNull: false },
-      data: { type: LongText }
-    },
-    { tableName: "app_state_backups", timestamps: true, indexes: [{ unique: true, fields: ["userID", "type"] }] }
-  );
-  return AppStateBackup;
-}
-
-async function ensureUniqueIndex(sequelize) {
-  if (uniqueIndexEnsured) return;
+async function backupAppState(store, j, userID, options) {
   try {
-    await sequelize.getQueryInterface().addIndex("app_state_backups", ["userID", "type"], { unique: true, name: "app_state_user_type_unique" });
-  } catch { }
-  uniqueIndexEnsured = true;
-}
-
-async function upsertBackup(Model, userID, type, data) {
-  const where = { userID: String(userID || ""), type };
-  const row = await Model.findOne({ where });
-  if (row) {
-    await row.update({ data });
-    logger(`Overwrote existing ${type} backup for user ${where.userID}`, "debug");
-    return;
-  }
-  await Model.create({ ...where, data });
-  logger(`Created new ${type} backup for user ${where.userID}`, "info");
-}
-
-async function backupAppStateSQL(j, userID) {
-  try {
-    const Model = getBackupModel();
-    if (!Model) return;
-    await Model.sync();
-    await ensureUniqueIndex(models.sequelize);
-    const appJson = getAppState(j);
-    const ck = cookieHeaderFromJar(j);
-    await upsertBackup(Model, userID, "appstate", JSON.stringify(appJson));
-    await upsertBackup(Model, userID, "cookie", ck);
-    try {
-      const out = path.join(process.cwd(), "appstate.json");
-      fs.writeFileSync(out, JSON.stringify(appJson, null, 2));
-    } catch { }
+    const appJson = getAppState(j, options);
+    const ck = cookieHeaderFromJar(j, options);
+    await store.set(sessionKey(userID, "appstate"), JSON.stringify(appJson));
+    await store.set(sessionKey(userID, "cookie"), ck);
+    // Writing a plaintext copy next to an encrypted store would defeat the point
+    if (!store.encrypted) {
+      try {
+        const out = path.join(process.cwd(), "appstate.json");
+        fs.writeFileSync(out, JSON.stringify(appJson, null, 2));
+      } catch { }
+    }
     logger("Backup stored (overwrite mode)", "debug");
   } catch (e) {
     logger(`Failed to save appstate backup ${e && e.message ? e.message : String(e)}`, "warn");
   }
 }
 
-async function getLatestBackup(userID, type) {
+async function getLatestBackup(store, userID, type) {
   try {
-    const Model = getBackupModel();
-    if (!Model) return null;
-    const row = await Model.findOne({ where: { userID: String(userID || ""), type } });
-    return row ? row.data : null;
+    return await store.get(sessionKey(userID, type));
   } catch {
     return null;
   }
 }
 
-async function getLatestBackupAny(type) {
+async function getLatestBackupAny(store, type) {
   try {
-    const Model = getBackupModel();
-    if (!Model) return null;
-    const row = await Model.findOne({ where: { type }, order: [["updatedAt", "DESC"]] });
-    return row ? row.data : null;
+    const keys = await store.list();
+    const key = keys.find(k => k.endsWith(`:${type}`));
+    return key ? await store.get(key) : null;
   } catch {
     return null;
   }
@@ -278,9 +274,14 @@ function sort(obj) {
   return out;
 }
 
-async function setJarCookies(j, appstate) {
+async function setJarCookies(j, appstate, options) {
+  const target = cookieTarget(options);
   const tasks = [];
   for (const c of appstate) {
+    if (!target.domain) {
+      tasks.push(j.setCookie(`${c.key}=${c.value}; Path=${c.path || "/"};`, target.url));
+      continue;
+    }
     const dom = (c.domain || ".facebook.com").replace(/^\./, "");
     const path = c.path || "/";
     const base1 = `https://${dom}${path}`;
@@ -292,7 +293,7 @@ async function setJarCookies(j, appstate) {
   await Promise.all(tasks);
 }
 
-async function loginViaGraph(username, password, twofactorSecretOrCode, i_user, externalJar) {
+async function loginViaGraph(username, password, twofactorSecretOrCode, i_user, externalJar, options) {
   const cookieJar = externalJar instanceof CookieJar ? externalJar : new CookieJar();
   const client = wrapper(axiosBase.create({ jar: cookieJar, withCredentials: true, timeout: 30000, validateStatus: () => true }));
   const device_id = uuidv4();
@@ -344,21 +345,21 @@ async function loginViaGraph(username, password, twofactorSecretOrCode, i_user,
   };
   const form1 = { ...base };
   form1.sig = encodesig(sort(form1));
-  const res1 = await client.request({ url: "https://b-graph.facebook.com/auth/login", method: "post", data: qs.stringify(form1), headers });
+  const res1 = await client.request({ url: endpoint(options, "graph", "/auth/login"), method: "post", data: qs.stringify(form1), headers });
   if (res1.status === 200 && res1.data && res1.data.session_cookies) {
     const appstate = res1.data.session_cookies.map(c => ({ key: c.name, value: c.value, domain: c.domain, path: c.path }));
     const cUserCookie = appstate.find(c => c.key === "c_user");
     if (i_user) appstate.push({ key: "i_user", value: i_user, domain: ".facebook.com", path: "/" });
     else if (cUserCookie) appstate.push({ key: "i_user", value: cUserCookie.value, domain: ".facebook.com", path: "/" });
-    await setJarCookies(cookieJar, appstate);
+    await setJarCookies(cookieJar, appstate, options);
     let eaau = null;
     let eaad6v7 = null;
     try {
-      const r1 = await client.request({ url: `https://api.facebook.com/method/auth.getSessionforApp?format=json&access_token=${res1.data.access_token}&new_app_id=350685531728`, method: "get", headers: { "user-agent": MESSENGER_USER_AGENT, "x-fb-connection-type": "WIFI", authorization: `OAuth ${res1.data.access_token}` } });
+      const r1 = await client.request({ url: `${endpoint(options, "api", "/method/auth.getSessionforApp")}?format=json&access_token=${res1.data.access_token}&new_app_id=350685531728`, method: "get", headers: { "user-agent": MESSENGER_USER_AGENT, "x-fb-connection-type": "WIFI", authorization: `OAuth ${res1.data.access_token}` } });
       eaau = r1.data && r1.data.access_token ? r1.data.access_token : null;
     } catch { }
     try {
-      const r2 = await client.request({ url: `https://api.facebook.com/method/auth.getSessionforApp?format=json&access_token=${res1.data.access_token}&new_app_id=275254692598279`, method: "get", headers: { "user-agent": MESSENGER_USER_AGENT, "x-fb-connection-type": "WIFI", authorization: `OAuth ${res1.data.access_token}` } });
+      const r2 = await client.request({ url: `${endpoint(options, "api", "/method/auth.getSessionforApp")}?format=json&access_token=${res1.data.access_token}&new_app_id=275254692598279`, method: "get", headers: { "user-agent": MESSENGER_USER_AGENT, "x-fb-connection-type": "WIFI", authorization: `OAuth ${res1.data.access_token}` } });
       eaad6v7 = r2.data && r2.data.access_token ? r2.data.access_token : null;
     } catch { }
     return { ok: true, cookies: appstate.map(c => ({ key: c.key, value: c.value })), jar: cookieJar, access_token_mess: res1.data.access_token || null, access_token: eaau, access_token_eaad6v7: eaad6v7, uid: res1.data.uid || cUserCookie?.value || null, session_key: res1.data.session_key || null };
@@ -388,21 +389,21 @@ async function loginViaGraph(username, password, twofactorSecretOrCode, i_user,
       machine_id: data.machine_id || machine_id
     };
     form2.sig = encodesig(sort(form2));
-    const res2 = await client.request({ url: "https://b-graph.facebook.com/auth/login", method: "post", data: qs.stringify(form2), headers });
+    const res2 = await client.request({ url: endpoint(options, "graph", "/auth/login"), method: "post", data: qs.stringify(form2), headers });
     if (res2.status === 200 && res2.data && res2.data.session_cookies) {
       const appstate = res2.data.session_cookies.map(c => ({ key: c.name, value: c.value, domain: c.domain, path: c.path }));
       const cUserCookie = appstate.find(c => c.key === "c_user");
       if (i_user) appstate.push({ key: "i_user", value: i_user, domain: ".facebook.com", path: "/" });
       else if (cUserCookie) appstate.push({ key: "i_user", value: cUserCookie.value, domain: ".facebook.com", path: "/" });
-      await setJarCookies(cookieJar, appstate);
+      await setJarCookies(cookieJar, appstate, options);
       let eaau = null;
       let eaad6v7 = null;
       try {
-        const r1 = await client.request({ url: `https://api.facebook.com/method/auth.getSessionforApp?format=json&access_token=${res2.data.access_token}&new_app_id=350685531728`, method: "get", headers: { "user-agent": MESSENGER_USER_AGENT, "x-fb-connection-type": "WIFI", authorization: `OAuth ${res2.data.access_token}` } });
+        const r1 = await client.request({ url: `${endpoint(options, "api", "/method/auth.getSessionforApp")}?format=json&access_token=${res2.data.access_token}&new_app_id=350685531728`, method: "get", headers: { "user-agent": MESSENGER_USER_AGENT, "x-fb-connection-type": "WIFI", authorization: `OAuth ${res2.data.access_token}` } });
         eaau = r1.data && r1.data.access_token ? r1.data.access_token : null;
       } catch { }
       try {
-        const r2 = await client.request({ url: `https://api.facebook.com/method/auth.getSessionforApp?format=json&access_token=${res2.data.access_token}&new_app_id=275254692598279`, method: "get", headers: { "user-agent": MESSENGER_USER_AGENT, "x-fb-connection-type": "WIFI", authorization: `OAuth ${res2.data.access_token}` } });
+        const r2 = await client.request({ url: `${endpoint(options, "api", "/method/auth.getSessionforApp")}?format=json&access_token=${res2.data.access_token}&new_app_id=275254692598279`, method: "get", headers: { "user-agent": MESSENGER_USER_AGENT, "x-fb-connection-type": "WIFI", authorization: `OAuth ${res2.data.access_token}` } });
         eaad6v7 = r2.data && r2.data.access_token ? r2.data.access_token : null;
       } catch { }
       return { ok: true, cookies: appstate.map(c => ({ key: c.key, value: c.value })), jar: cookieJar, access_token_mess: res2.data.access_token || null, access_token: eaau, access_token_eaad6v7: eaad6v7, uid: res2.data.uid || cUserCookie?.value || null, session_key: res2.data.session_key || null };
@@ -412,11 +413,11 @@ async function loginViaGraph(username, password, twofactorSecretOrCode, i_user,
   return { ok: false, message: "Login failed" };
 }
 
-async function tokens(username, password, twofactor = null) {
+async function tokens(username, password, twofactor = null, jar, options) {
   const t0 = process.hrtime.bigint();
   if (!username || !password) return { status: false, message: "Please provide email and password" };
   logger(`AUTO-LOGIN: Initialize login ${mask(username, 2)}`, "info");
-  const res = await loginViaGraph(username, password, twofactor, null, jar);
+  const res = await loginViaGraph(username, password, twofactor, null, jar, options);
   if (res && res.ok && Array.isArray(res.cookies)) {
     logger(`AUTO-LOGIN: Login success ${res.cookies.length} cookies`, "info");
     const t1 = Number(process.hrtime.bigint() - t0) / 1e6;
@@ -430,21 +431,21 @@ async function tokens(username, password, twofactor = null) {
   return { status: false, message: res && res.message ? res.message : "Login failed" };
 }
 
-async function hydrateJarFromDB(userID) {
+async function hydrateJarFromDB(store, userID, jar, globalOptions) {
   try {
     let ck = null;
     let app = null;
     if (userID) {
-      ck = await getLatestBackup(userID, "cookie");
-      app = await getLatestBackup(userID, "appstate");
+      ck = await getLatestBackup(store, userID, "cookie");
+      app = await getLatestBackup(store, userID, "appstate");
     } else {
-      ck = await getLatestBackupAny("cookie");
-      app = await getLatestBackupAny("appstate");
+      ck = await getLatestBackupAny(store, "cookie");
+      app = await getLatestBackupAny(store, "appstate");
     }
     if (ck) {
       const pairs = normalizeCookieHeaderString(ck);
       if (pairs.length) {
-        setJarFromPairs(jar, pairs, ".facebook.com");
+        setJarFromPairs(jar, pairs, globalOptions);
         return true;
       }
     }
@@ -455,7 +456,7 @@ async function hydrateJarFromDB(userID) {
       } catch { }
       if (Array.isArray(parsed)) {
         const pairs = parsed.map(c => [c.name || c.key, c.value].join("="));
-        setJarFromPairs(jar, pairs, ".facebook.com");
+        setJarFromPairs(jar, pairs, globalOptions);
         return true;
       }
     }
@@ -465,7 +466,8 @@ async function hydrateJarFromDB(userID) {
   }
 }
 
-async function tryAutoLoginIfNeeded(currentHtml, currentCookies, globalOptions, ctxRef) {
+async function tryAutoLoginIfNeeded(currentHtml, currentCookies, globalOptions, ctxRef, http, store) {
+  const { jar, get } = http;
   const getUID = cs =>
     cs.find(c => c.key === "i_user")?.value ||
     cs.find(c => c.key === "c_user")?.value ||
@@ -473,14 +475,14 @@ async function tryAutoLoginIfNeeded(currentHtml, currentCookies, globalOptions,
     cs.find(c => c.name === "c_user")?.value;
   let userID = getUID(currentCookies);
   if (userID) return { html: currentHtml, cookies: currentCookies, userID };
-  const hydrated = await hydrateJarFromDB(null);
+  const hydrated = await hydrateJarFromDB(store, null, jar, globalOptions);
   if (hydrated) {
     logger("AppState backup live — proceeding to login", "info");
-    const initial = await get("https://www.facebook.com/", jar, null, globalOptions).then(saveCookies(jar));
+    const initial = await get(endpoint(globalOptions, "facebook", "/"), jar, null, globalOptions).then(saveCookies(jar));
     const resB = (await ctxRef.bypassAutomation(initial, jar)) || initial;
     const htmlB = resB && resB.data ? resB.data : "";
     if (htmlB.includes("/checkpoint/block/?next")) throw new Error("Checkpoint");
-    const cookiesB = await Promise.resolve(jar.getCookies("https://www.facebook.com"));
+    const cookiesB = await Promise.resolve(jar.getCookies(endpoint(globalOptions, "facebook")));
     const uidB = getUID(cookiesB);
     if (uidB) return { html: htmlB, cookies: cookiesB, userID: uidB };
   }
@@ -490,31 +492,32 @@ async function tryAutoLoginIfNeeded(currentHtml, currentCookies, globalOptions,
   const p = config.credentials?.password;
   const tf = config.credentials?.twofactor || null;
   if (!u || !p) throw new Error("Missing user cookie");
-  const r = await tokens(u, p, tf);
+  const r = await tokens(u, p, tf, jar, globalOptions);
   if (!(r && r.status && Array.isArray(r.cookies))) throw new Error(r && r.message ? r.message : "Login failed");
   const pairs = r.cookies.map(c => `${c.key || c.name}=${c.value}`);
-  setJarFromPairs(jar, pairs, ".facebook.com");
-  const initial2 = await get("https://www.facebook.com/", jar, null, globalOptions).then(saveCookies(jar));
+  setJarFromPairs(jar, pairs, globalOptions);
+  const initial2 = await get(endpoint(globalOptions, "facebook", "/"), jar, null, globalOptions).then(saveCookies(jar));
   const res2 = (await ctxRef.bypassAutomation(initial2, jar)) || initial2;
   const html2 = res2 && res2.data ? res2.data : "";
   if (html2.includes("/checkpoint/block/?next")) throw new Error("Checkpoint");
-  const cookies2 = await Promise.resolve(jar.getCookies("https://www.facebook.com"));
+  const cookies2 = await Promise.resolve(jar.getCookies(endpoint(globalOptions, "facebook")));
   const uid2 = getUID(cookies2);
   if (!uid2) throw new Error("Login failed");
   return { html: html2, cookies: cookies2, userID: uid2 };
 }
 
-function makeLogin(j, email, password, globalOptions) {
+function makeLogin(http, email, password, globalOptions) {
+  const { jar: j, get } = http;
   return async function () {
     const u = email || config.credentials?.email;
     const p = password || config.credentials?.password;
     const tf = config.credentials?.twofactor || null;
     if (!u || !p) return;
-    const r = await tokens(u, p, tf);
+    const r = await tokens(u, p, tf, j, globalOptions);
     if (r && r.status && Array.isArray(r.cookies)) {
       const pairs = r.cookies.map(c => `${c.key || c.name}=${c.value}`);
-      setJarFromPairs(j, pairs, ".facebook.com");
-      await get("https://www.facebook.com/", j, null, globalOptions).then(saveCookies(j));
+      setJarFromPairs(j, pairs, globalOptions);
+      await get(endpoint(globalOptions, "facebook", "/"), j, null, globalOptions).then(saveCookies(j));
     } else {
       throw new Error(r && r.message ? r.message : "Login failed");
     }
@@ -523,7 +526,12 @@ function makeLogin(j, email, password, globalOptions) {
 
 function loginHelper(appState, Cookie, email, password, globalOptions, callback) {
   try {
-    const domain = ".facebook.com";
+    const http = createHttpClient({
+      proxy: globalOptions.proxy,
+      recorder: globalOptions.record ? new TrafficRecorder({ file: globalOptions.record }) : null
+    });
+    const { jar, get, post } = http;
+    const sessionStore = createSessionStore(globalOptions.sessionStore, { encryptionKey: getEncryptionKey(config) });
     try {
       if (appState) {
         if (typeof appState === "string") {
@@ -533,17 +541,17 @@ function loginHelper(appState, Cookie, email, password, globalOptions, callback)
           } catch { }
           if (Array.isArray(parsed)) {
             const pairs = parsed.map(c => [c.name || c.key, c.value].join("="));
-            setJarFromPairs(jar, pairs, domain);
+            setJarFromPairs(jar, pairs, globalOptions);
           } else if (typeof parsed === "string") {
             const pairs = normalizeCookieHeaderString(parsed);
             if (!pairs.length) throw new Error("Empty appState cookie header");
-            setJarFromPairs(jar, pairs, domain);
+            setJarFromPairs(jar, pairs, globalOptions);
           } else {
             throw new Error("Invalid appState format");
           }
         } else if (Array.isArray(appState)) {
           const pairs = appState.map(c => [c.name || c.key, c.value].join("="));
-          setJarFromPairs(jar, pairs, domain);
+          setJarFromPairs(jar, pairs, globalOptions);
         } else {
           throw new Error("Invalid appState format");
         }
@@ -553,7 +561,7 @@ function loginHelper(appState, Cookie, email, password, globalOptions, callback)
         if (typeof Cookie === "string") cookiePairs = normalizeCookieHeaderString(Cookie);
         else if (Array.isArray(Cookie)) cookiePairs = Cookie.map(String).filter(Boolean);
         else if (Cookie && typeof Cookie === "object") cookiePairs = Object.entries(Cookie).map(([k, v]) => `${k}=${v}`);
-        if (cookiePairs.length) setJarFromPairs(jar, cookiePairs, domain);
+        if (cookiePairs.length) setJarFromPairs(jar, cookiePairs, globalOptions);
       }
     } catch (e) {
       return callback(e);
@@ -568,21 +576,21 @@ function loginHelper(appState, Cookie, email, password, globalOptions, callback)
         const isCp = r => typeof u(r) === "string" && u(r).includes("checkpoint/601051028565049");
         const cookieUID = async () => {
           try {
-            const cookies = typeof j?.getCookies === "function" ? await j.getCookies("https://www.facebook.com") : [];
+            const cookies = typeof j?.getCookies === "function" ? await j.getCookies(endpoint(this.options, "facebook")) : [];
             return cookies.find(c => c.key === "i_user")?.value || cookies.find(c => c.key === "c_user")?.value;
           } catch { return undefined; }
         };
         const htmlUID = body => s(body).match(/"USER_ID"\s*:\s*"(\d+)"/)?.[1] || s(body).match(/\["CurrentUserInitialData",\[\],\{.*?"USER_ID":"(\d+)".*?\},\d+\]/)?.[1];
         const getUID = async body => (await cookieUID()) || htmlUID(body);
-        const refreshJar = async () => get("https://www.facebook.com/", j, null, this.options).then(saveCookies(j));
+        const refreshJar = async () => get(endpoint(this.options, "facebook", "/"), j, null, this.options).then(saveCookies(j));
         const bypass = async body => {
           const b = s(body);
           const UID = await getUID(b);
           const fb_dtsg = getFrom(b, '"DTSGInitData",[],{"token":"', '",') || b.match(/name="fb_dtsg"\s+value="([^"]+)"/)?.[1];
           const jazoest = getFrom(b, 'name="jazoest" value="', '"') || getFrom(b, "jazoest=", '",') || b.match(/name="jazoest"\s+value="([^"]+)"/)?.[1];
           const lsd = getFrom(b, '["LSD",[],{"token":"', '"}') || b.match(/name="lsd"\s+value="([^"]+)"/)?.[1];
-          const form = { av: UID, fb_dtsg, jazoest, lsd, fb_api_caller_class: "RelayModern", fb_api_req_friendly_name: "FBScrapingWarningMutation", variables: "{}", server_timestamps: true, doc_id: 6339492849481770 };
-          await post("https://www.facebook.com/api/graphql/", j, form, null, this.options).then(saveCookies(j));
+          const form = { av: UID, fb_dtsg, jazoest, lsd, fb_api_caller_class: "RelayModern", fb_api_req_friendly_name: "FBScrapingWarningMutation", variables: "{}", server_timestamps: true, doc_id: docID(this.options, "scrapingWarning") };
+          await post(endpoint(this.options, "facebook", "/api/graphql/"), j, form, null, this.options).then(saveCookies(j));
           logger("Facebook automation warning detected, handling...", "warn");
           this.reconnectAttempts = 0;
         };
@@ -597,7 +605,7 @@ function loginHelper(appState, Cookie, email, password, globalOptions, callback)
             }
             return resp;
           }
-          const first = await get("https://www.facebook.com/", j, null, this.options).then(saveCookies(j));
+          const first = await get(endpoint(this.options, "facebook", "/"), j, null, this.options).then(saveCookies(j));
           if (isCp(first)) {
             await bypass(s(first.data));
             const refreshed = await refreshJar();
@@ -612,21 +620,21 @@ function loginHelper(appState, Cookie, email, password, globalOptions, callback)
         }
       };
       if (appState || Cookie) {
-        const initial = await get("https://www.facebook.com/", jar, null, globalOptions).then(saveCookies(jar));
+        const initial = await get(endpoint(globalOptions, "facebook", "/"), jar, null, globalOptions).then(saveCookies(jar));
         return (await ctx.bypassAutomation(initial, jar)) || initial;
       }
-      const hydrated = await hydrateJarFromDB(null);
+      const hydrated = await hydrateJarFromDB(sessionStore, null, jar, globalOptions);
       if (hydrated) {
         logger("AppState backup live — proceeding to login", "info");
-        const initial = await get("https://www.facebook.com/", jar, null, globalOptions).then(saveCookies(jar));
+        const initial = await get(endpoint(globalOptions, "facebook", "/"), jar, null, globalOptions).then(saveCookies(jar));
         return (await ctx.bypassAutomation(initial, jar)) || initial;
       }
       logger("AppState backup die — proceeding to email/password login", "warn");
-      return get("https://www.facebook.com/", null, null, globalOptions)
+      return get(endpoint(globalOptions, "facebook", "/"), null, null, globalOptions)
         .then(saveCookies(jar))
-        .then(makeLogin(jar, email, password, globalOptions))
+        .then(makeLogin(http, email, password, globalOptions))
         .then(function () {
-          return get("https://www.facebook.com/", jar, null, globalOptions).then(saveCookies(jar));
+          return get(endpoint(globalOptions, "facebook", "/"), jar, null, globalOptions).then(saveCookies(jar));
         });
     })()
       .then(async function (res) {
@@ -640,21 +648,21 @@ function loginHelper(appState, Cookie, email, password, globalOptions, callback)
           const isCp = r => typeof u(r) === "string" && u(r).includes("checkpoint/601051028565049");
           const cookieUID = async () => {
             try {
-              const cookies = typeof j?.getCookies === "function" ? await j.getCookies("https://www.facebook.com") : [];
+              const cookies = typeof j?.getCookies === "function" ? await j.getCookies(endpoint(this.options, "facebook")) : [];
               return cookies.find(c => c.key === "i_user")?.value || cookies.find(c => c.key === "c_user")?.value;
             } catch { return undefined; }
           };
           const htmlUID = body => s(body).match(/"USER_ID"\s*:\s*"(\d+)"/)?.[1] || s(body).match(/\["CurrentUserInitialData",\[\],\{.*?"USER_ID":"(\d+)".*?\},\d+\]/)?.[1];
           const getUID = async body => (await cookieUID()) || htmlUID(body);
-          const refreshJar = async () => get("https://www.facebook.com/", j, null, this.options).then(saveCookies(j));
+          const refreshJar = async () => get(endpoint(this.options, "facebook", "/"), j, null, this.options).then(saveCookies(j));
           const bypass = async body => {
             const b = s(body);
             const UID = await getUID(b);
             const fb_dtsg = getFrom(b, '"DTSGInitData",[],{"token":"', '",') || b.match(/name="fb_dtsg"\s+value="([^"]+)"/)?.[1];
             const jazoest = getFrom(b, 'name="jazoest" value="', '"') || getFrom(b, "jazoest=", '",') || b.match(/name="jazoest"\s+value="([^"]+)"/)?.[1];
             const lsd = getFrom(b, '["LSD",[],{"token":"', '"}') || b.match(/name="lsd"\s+value="([^"]+)"/)?.[1];
-            const form = { av: UID, fb_dtsg, jazoest, lsd, fb_api_caller_class: "RelayModern", fb_api_req_friendly_name: "FBScrapingWarningMutation", variables: "{}", server_timestamps: true, doc_id: 6339492849481770 };
-            await post("https://www.facebook.com/api/graphql/", j, form, null, this.options).then(saveCookies(j));
+            const form = { av: UID, fb_dtsg, jazoest, lsd, fb_api_caller_class: "RelayModern", fb_api_req_friendly_name: "FBScrapingWarningMutation", variables: "{}", server_timestamps: true, doc_id: docID(this.options, "scrapingWarning") };
+            await post(endpoint(this.options, "facebook", "/api/graphql/"), j, form, null, this.options).then(saveCookies(j));
             logger("Facebook automation warning detected, handling...", "warn");
           };
           try {
@@ -672,14 +680,14 @@ function loginHelper(appState, Cookie, email, password, globalOptions, callback)
         };
         const processed = (await ctx.bypassAutomation(res, jar)) || res;
         let html = processed && processed.data ? processed.data : "";
-        let cookies = await Promise.resolve(jar.getCookies("https://www.facebook.com"));
+        let cookies = await Promise.resolve(jar.getCookies(endpoint(globalOptions, "facebook")));
         let userID =
           cookies.find(c => c.key === "i_user")?.value ||
           cookies.find(c => c.key === "c_user")?.value ||
           cookies.find(c => c.name === "i_user")?.value ||
           cookies.find(c => c.name === "c_user")?.value;
         if (!userID) {
-          const retried = await tryAutoLoginIfNeeded(html, cookies, globalOptions, ctx);
+          const retried = await tryAutoLoginIfNeeded(html, cookies, globalOptions, ctx, http, sessionStore);
           html = retried.html;
           cookies = retried.cookies;
           userID = retried.userID;
@@ -688,22 +696,11 @@ function loginHelper(appState, Cookie, email, password, globalOptions, callback)
           logger("Appstate die, vui lòng thay cái mới!", "error");
           throw new Error("Checkpoint");
         }
-        let mqttEndpoint;
-        let region = "PRN";
-        let fb_dtsg;
         let irisSeqID;
-        try {
-          const m1 = html.match(/"endpoint":"([^"]+)"/);
-          const m2 = m1 ? null : html.match(/endpoint\\":\\"([^\\"]+)\\"/);
-          const raw = (m1 && m1[1]) || (m2 && m2[1]);
-          if (raw) mqttEndpoint = raw.replace(/\\\//g, "/");
-          region = parseRegion(html);
-          const rinfo = REGION_MAP.get(region);
-          if (rinfo) logger(`Server region ${region} - ${rinfo.name}`, "debug");
-          else logger(`Server region ${region}`, "debug");
-        } catch {
-          logger("Not MQTT endpoint", "warn");
-        }
+        const { mqttEndpoint, region, fb_dtsg } = parseSessionInfo(html);
+        const rinfo = REGION_MAP.get(region);
+        if (rinfo) logger(`Server region ${region} - ${rinfo.name}`, "debug");
+        else logger(`Server region ${region}`, "debug");
         try {
           const userDataMatch = String(html).match(/\["CurrentUserInitialData",\[\],({.*?}),\d+\]/);
           if (userDataMatch) {
@@ -713,18 +710,24 @@ function loginHelper(appState, Cookie, email, password, globalOptions, callback)
             logger(`ID người dùng: ${userID}`, "info");
           }
         } catch { }
-        const tokenMatch = html.match(/DTSGInitialData.*?token":"(.*?)"/);
-        if (tokenMatch) fb_dtsg = tokenMatch[1];
         try {
-          if (userID) await backupAppStateSQL(jar, userID);
+          if (userID) await backupAppState(sessionStore, jar, userID, globalOptions);
         } catch { }
+        // Loaded here rather than at module scope so read-only deployments
+        // using a non-Sequelize sessionStore can still require the package
         Promise.resolve()
           .then(function () {
+            return require("../src/database/models");
+          })
+          .then(function (models) {
             if (models && models.sequelize && typeof models.sequelize.authenticate === "function") {
-              return models.sequelize.authenticate();
+              return models.sequelize.authenticate().then(function () {
+                return models;
+              });
             }
+            return models;
           })
-          .then(function () {
+          .then(function (models) {
             if (models && typeof models.syncAll === "function") {
               return models.syncAll();
             }
@@ -737,6 +740,8 @@ function loginHelper(appState, Cookie, email, password, globalOptions, callback)
         const ctxMain = {
           userID,
           jar,
+          http,
+          sessionStore,
           globalOptions,
           loggedIn: true,
           access_token: "NONE",
@@ -755,6 +760,20 @@ function loginHelper(appState, Cookie, email, password, globalOptions, callback)
           tasks: new Map()
         };
         ctxMain.options = globalOptions;
+        ctxMain.sendQueue = new SendQueue(globalOptions.sendQueue, request => dispatchReqMqtt(ctxMain, request));
+        ctxMain.delivery = new DeliveryQueue(globalOptions.delivery);
+        ctxMain.messageHistory = new MessageHistory(globalOptions.messageHistory);
+        ctxMain.uploadCache = createUploadCache(globalOptions.uploadCache);
+        ctxMain.queryRegistry = new QueryRegistry(globalOptions.queries);
+        ctxMain.messageStore = new MessageStore({ enabled: () => !!globalOptions.storeMessages });
+        ctxMain.conversations = new ConversationManager({
+          store: new ThreadConversationStore(),
+          persist: () => !!globalOptions.persistConversations,
+          onRestored: payload => ctxMain.emitEvent("conversation", payload)
+        });
+        ctxMain.middleware = new MiddlewareChain({
+          onError: (error, event) => ctxMain.emitEvent("middleware_error", { error, event })
+        });
         ctxMain.bypassAutomation = ctx.bypassAutomation.bind(ctxMain);
         ctxMain.performAutoLogin = async () => {
           try {
@@ -762,51 +781,64 @@ function loginHelper(appState, Cookie, email, password, globalOptions, callback)
             const p = config.credentials?.password || password;
             const tf = config.credentials?.twofactor || null;
             if (!u || !p) return false;
-            const r = await tokens(u, p, tf);
+            const r = await tokens(u, p, tf, jar, globalOptions);
             if (!(r && r.status && Array.isArray(r.cookies))) return false;
             const pairs = r.cookies.map(c => `${c.key || c.name}=${c.value}`);
-            setJarFromPairs(jar, pairs, ".facebook.com");
-            await get("https://www.facebook.com/", jar, null, globalOptions).then(saveCookies(jar));
+            setJarFromPairs(jar, pairs, globalOptions);
+            const home = await get(endpoint(globalOptions, "facebook", "/"), jar, null, globalOptions).then(saveCookies(jar));
+            const info = parseSessionInfo(home && home.data ? String(home.data) : "");
+            for (const key of Object.keys(info)) {
+              if (info[key] !== undefined) ctxMain[key] = info[key];
+            }
+            ctxMain.loggedIn = true;
+            await backupAppState(ctxMain.sessionStore, jar, ctxMain.userID, globalOptions);
+            if (typeof ctxMain.forceCycle === "function") ctxMain.forceCycle();
             return true;
           } catch {
             return false;
           }
         };
-        const api = {
-          setOptions: require("./options").setOptions.bind(null, globalOptions),
+        const api = Object.assign(new EventEmitter(), {
+          setOptions: function (options) {
+            return setOptions(globalOptions, options, ctxMain);
+          },
+          sendQueue: ctxMain.sendQueue,
+          conversations: ctxMain.conversations,
           getCookies: function () {
-            return cookieHeaderFromJar(jar);
+            return cookieHeaderFromJar(jar, globalOptions);
           },
           getAppState: function () {
-            return getAppState(jar);
+            return getAppState(jar, globalOptions);
           },
           getLatestAppStateFromDB: async function (uid = userID) {
-            const data = await getLatestBackup(uid, "appstate");
+            const data = await getLatestBackup(ctxMain.sessionStore, uid, "appstate");
             return data ? JSON.parse(data) : null;
           },
           getLatestCookieFromDB: async function (uid = userID) {
-            return await getLatestBackup(uid, "cookie");
+            return await getLatestBackup(ctxMain.sessionStore, uid, "cookie");
+          },
+          rotateEncryptionKey: async function (newKey) {
+            if (!ctxMain.sessionStore.encrypted) {
+              throw new ConfigurationError("rotateEncryptionKey requires security.encryptCredentials to be enabled");
+            }
+            if (!SecurityUtils.isValidKey(newKey)) {
+              throw new ConfigurationError("The new encryption key must be a 64 character hex string (32 bytes)");
+            }
+            return ctxMain.sessionStore.rotateKey(newKey);
           }
+        });
+        ctxMain.emitEvent = function (event, payload) {
+          api.emit(event, payload);
         };
-        const defaultFuncs = makeDefaults(html, userID, ctxMain);
-        const srcRoot = path.join(__dirname, "../src/api");
-        let loaded = 0;
-        let skipped = 0;
-        fs.readdirSync(srcRoot, { withFileTypes: true }).forEach((sub) => {
-          if (!sub.isDirectory()) return;
-          const subDir = path.join(srcRoot, sub.name);
-          fs.readdirSync(subDir, { withFileTypes: true }).forEach((entry) => {
-            if (!entry.isFile() || !entry.name.endsWith(".js")) return;
-            const p = path.join(subDir, entry.name);
-            const key = path.basename(entry.name, ".js");
-            if (api[key]) {
-              skipped++;
-              return;
-            }
-            api[key] = require(p)(defaultFuncs, api, ctxMain);
-            loaded++;
-          });
+        ctxMain.commands = api.commands = new CommandRouter(api, globalOptions.commands);
+        ctxMain.scheduler = api.scheduler = new Scheduler({
+          store: new ScheduledMessageStore(),
+          userID,
+          send: (message, threadID) => api.sendMessage(message, threadID),
+          onRun: payload => ctxMain.emitEvent("scheduled_message", payload)
         });
+        const defaultFuncs = http.makeDefaults(html, userID, ctxMain);
+        const { loaded, skipped } = loadApi(defaultFuncs, api, ctxMain);
         logger(`Loaded ${loaded} FCA API methods${skipped ? `, skipped ${skipped} duplicates` : ""}`, "debug");
         if (api.listenMqtt) api.listen = api.listenMqtt;
         if (api.refreshFb_dtsg) {
@@ -816,7 +848,7 @@ function loginHelper(appState, Cookie, email, password, globalOptions, callback)
             }).catch(function () {
               logger("An error occurred while refreshing fb_dtsg", "error");
             });
-          }, 86400000);
+          }, 86400000).unref();
         }
         logger("Login successful!", "debug");
         callback(null, api);
@@ -1,6 +1,11 @@
 const { getType } = require("../src/utils/format");
-const { setProxy } = require("../src/utils/request");
+const request = require("../src/utils/request");
 const logger = require("../func/logger");
+const { createSessionStore } = require("../src/database/sessionStore");
+const { resolveEndpoints } = require("../src/utils/endpoints");
+const { resolveQueries } = require("../src/utils/queries");
+const { TrafficRecorder } = require("../src/core/traffic");
+const { createUploadCache } = require("../src/core/upload");
 const Boolean_Option = [
   "online",
   "selfListen",
@@ -12,9 +17,13 @@ const Boolean_Option = [
   "listenTyping",
   "autoReconnect",
   "emitReady",
-  "selfListenEvent"
+  "selfListenEvent",
+  "resumeSync",
+  "persistConversations",
+  "storeMessages"
 ];
-function setOptions(globalOptions, options) {
+function setOptions(globalOptions, options, ctx) {
+  const setProxy = ((ctx && ctx.http) || request).setProxy;
   for (const key of Object.keys(options || {})) {
     if (Boolean_Option.includes(key)) {
       globalOptions[key] = Boolean(options[key]);
@@ -35,6 +44,109 @@ function setOptions(globalOptions, options) {
         }
         break;
       }
+      case "sendQueue": {
+        if (options.sendQueue === false) {
+          globalOptions.sendQueue = Object.assign({}, globalOptions.sendQueue, { enabled: false });
+        } else if (getType(options.sendQueue) === "Object") {
+          globalOptions.sendQueue = Object.assign({}, globalOptions.sendQueue, options.sendQueue);
+        } else {
+          logger("setOptions sendQueue must be an object or false", "warn");
+          break;
+        }
+        if (ctx && ctx.sendQueue) ctx.sendQueue.configure(globalOptions.sendQueue);
+        break;
+      }
+      case "delivery": {
+        if (typeof options.delivery === "boolean") {
+          globalOptions.delivery = Object.assign({}, globalOptions.delivery, { enabled: options.delivery });
+        } else if (getType(options.delivery) === "Object") {
+          globalOptions.delivery = Object.assign({}, globalOptions.delivery, { enabled: true }, options.delivery);
+        } else {
+          logger("setOptions delivery must be an object or a boolean", "warn");
+          break;
+        }
+        if (ctx && ctx.delivery) ctx.delivery.configure(globalOptions.delivery);
+        break;
+      }
+      case "messageHistory": {
+        if (typeof options.messageHistory === "boolean") {
+          globalOptions.messageHistory = Object.assign({}, globalOptions.messageHistory, { enabled: options.messageHistory });
+        } else if (getType(options.messageHistory) === "Object") {
+          globalOptions.messageHistory = Object.assign({}, globalOptions.messageHistory, { enabled: true }, options.messageHistory);
+        } else {
+          logger("setOptions messageHistory must be an object or a boolean", "warn");
+          break;
+        }
+        if (ctx && ctx.messageHistory) ctx.messageHistory.configure(globalOptions.messageHistory);
+        break;
+      }
+      case "uploadCache": {
+        if (typeof options.uploadCache === "boolean") {
+          globalOptions.uploadCache = Object.assign({}, globalOptions.uploadCache, { enabled: options.uploadCache });
+        } else if (getType(options.uploadCache) === "Object") {
+          globalOptions.uploadCache = Object.assign({}, globalOptions.uploadCache, { enabled: true }, options.uploadCache);
+        } else {
+          logger("setOptions uploadCache must be an object or a boolean", "warn");
+          break;
+        }
+        // A new cache: IDs uploaded under the old settings are not reused
+        if (ctx) ctx.uploadCache = createUploadCache(globalOptions.uploadCache);
+        break;
+      }
+      case "commands": {
+        if (getType(options.commands) !== "Object") {
+          logger("setOptions commands must be an object", "warn");
+          break;
+        }
+        globalOptions.commands = Object.assign({}, globalOptions.commands, options.commands);
+        if (ctx && ctx.commands) ctx.commands.configure(globalOptions.commands);
+        break;
+      }
+      case "endpoints": {
+        if (getType(options.endpoints) !== "Object") {
+          logger("setOptions endpoints must be an object", "warn");
+          break;
+        }
+        // Throws on unknown names or malformed URLs rather than quietly using facebook.com
+        globalOptions.endpoints = resolveEndpoints(options.endpoints, globalOptions.endpoints);
+        break;
+      }
+      case "queries": {
+        if (getType(options.queries) !== "Object") {
+          logger("setOptions queries must be an object", "warn");
+          break;
+        }
+        globalOptions.queries = resolveQueries(options.queries, globalOptions.queries);
+        if (ctx && ctx.queryRegistry) ctx.queryRegistry.configure(globalOptions.queries);
+        break;
+      }
+      case "record": {
+        if (options.record && typeof options.record !== "string") {
+          logger("setOptions record must be a file path or false", "warn");
+          break;
+        }
+        if (options.record) globalOptions.record = options.record;
+        else delete globalOptions.record;
+        // Before login the client does not exist yet; loginHelper picks up globalOptions.record
+        if (ctx && ctx.http) ctx.http.setRecorder(options.record ? new TrafficRecorder({ file: options.record }) : null);
+        break;
+      }
+      case "maxSyncGap": {
+        if (typeof options.maxSyncGap !== "number" || options.maxSyncGap < 0) {
+          logger("setOptions maxSyncGap must be a non-negative number of milliseconds", "warn");
+          break;
+        }
+        globalOptions.maxSyncGap = options.maxSyncGap;
+        break;
+      }
+      case "sessionStore": {
+        globalOptions.sessionStore = options.sessionStore;
+        if (ctx) {
+          const encryptionKey = ctx.sessionStore && ctx.sessionStore.encrypted ? ctx.sessionStore.key : null;
+          ctx.sessionStore = createSessionStore(options.sessionStore, { encryptionKey });
+        }
+        break;
+      }
       default: {
         logger("setOptions Unrecognized option given to setOptions: " + key, "warn");
         break;
@@ -4,6 +4,8 @@ const log = require("npmlog");
 const { isReadableStream } = require("../../utils/constants");
 const { parseAndCheckLogin } = require("../../utils/client");
 const { formatID, getType } = require("../../utils/format");
+const { endpoint } = require("../../utils/endpoints");
+const { requestQuery } = require("../../utils/queries");
 module.exports = function(defaultFuncs, api, ctx) {
   function handleUpload(image, callback) {
     const uploads = [];
@@ -18,7 +20,7 @@ module.exports = function(defaultFuncs, api, ctx) {
     uploads.push(
       defaultFuncs
         .postFormData(
-          "https://www.facebook.com/profile/picture/upload/",
+          endpoint(ctx, "facebook", "/profile/picture/upload/"),
           ctx.jar,
           form,
           {}
@@ -88,11 +90,11 @@ module.exports = function(defaultFuncs, api, ctx) {
         return callback(err);
       }
 
-      const form = {
+      const form = docID => ({
         av: ctx.i_userID || ctx.userID,
         fb_api_req_friendly_name: "ProfileCometProfilePictureSetMutation",
         fb_api_caller_class: "RelayModern",
-        doc_id: "5066134240065849",
+        doc_id: docID,
         variables: JSON.stringify({
           input: {
             caption,
@@ -115,11 +117,11 @@ module.exports = function(defaultFuncs, api, ctx) {
           isProfile: true,
           scale: 3
         })
-      };
+      });
 
-      defaultFuncs
-        .post("https://www.facebook.com/api/graphql/", ctx.jar, form)
-        .then(parseAndCheckLogin(ctx, defaultFuncs))
+      requestQuery(ctx, "changeAvatar", docID => defaultFuncs
+        .post(endpoint(ctx, "facebook", "/api/graphql/"), ctx.jar, form(docID))
+        .then(parseAndCheckLogin(ctx, defaultFuncs)))
         .then(function(resData) {
           if (resData.errors) {
             throw resData;
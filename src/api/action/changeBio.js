@@ -3,6 +3,8 @@
 const log = require("npmlog");
 const { parseAndCheckLogin } = require("../../utils/client");
 const { getType } = require("../../utils/format");
+const { endpoint } = require("../../utils/endpoints");
+const { requestQuery } = require("../../utils/queries");
 module.exports = function(defaultFuncs, api, ctx) {
   return function changeBio(bio, publish, callback) {
     let resolveFunc = function() {};
@@ -37,10 +39,10 @@ module.exports = function(defaultFuncs, api, ctx) {
       publish = false;
     }
 
-    const form = {
+    const form = docID => ({
       fb_api_caller_class: "RelayModern",
       fb_api_req_friendly_name: "ProfileCometSetBioMutation",
-      doc_id: "2725043627607610",
+      doc_id: docID,
       variables: JSON.stringify({
         input: {
           bio: bio,
@@ -53,11 +55,11 @@ module.exports = function(defaultFuncs, api, ctx) {
         scale: 1
       }),
       av: ctx.i_userID || ctx.userID
-    };
+    });
 
-    defaultFuncs
-      .post("https://www.facebook.com/api/graphql/", ctx.jar, form)
-      .then(parseAndCheckLogin(ctx, defaultFuncs))
+    requestQuery(ctx, "changeBio", docID => defaultFuncs
+      .post(endpoint(ctx, "facebook", "/api/graphql/"), ctx.jar, form(docID))
+      .then(parseAndCheckLogin(ctx, defaultFuncs)))
       .then(function(resData) {
         if (resData.errors) {
           throw resData;
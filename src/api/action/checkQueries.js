@@ -0,0 +1,110 @@
+"use strict";
+
+const { parseAndCheckLogin } = require("../../utils/client");
+const { endpoint } = require("../../utils/endpoints");
+const { requestQuery } = require("../../utils/queries");
+
+// Newest thread of a threadList response
+function firstThreadID(resData) {
+  const node = resData?.[0]?.o0?.data?.viewer?.message_threads?.nodes?.[0];
+  const key = node && node.thread_key;
+  return key ? String(key.thread_fbid || key.other_user_id) : null;
+}
+
+// Newest message of a threadHistory response; threadList nodes carry no message ID
+function lastMessageID(resData) {
+  const nodes = resData?.[0]?.o0?.data?.message_thread?.messages?.nodes || [];
+  return nodes.length ? nodes[nodes.length - 1].message_id || null : null;
+}
+
+module.exports = function (defaultFuncs, api, ctx) {
+  function batch(docID, params, batchName) {
+    const form = {
+      av: ctx.i_userID || ctx.userID,
+      queries: JSON.stringify({ o0: { doc_id: docID, query_params: params } })
+    };
+    if (batchName) form.batch_name = batchName;
+    return defaultFuncs.post(endpoint(ctx, "facebook", "/api/graphqlbatch/"), ctx.jar, form).then(parseAndCheckLogin(ctx, defaultFuncs));
+  }
+
+  // Read-only operations that need nothing but the logged-in user
+  const probes = {
+    threadList: docID => batch(docID, {
+      limit: 1, before: null, tags: ["INBOX"],
+      includeDeliveryReceipts: false, includeSeqID: false
+    }, "MessengerGraphQLThreadlistFetcher"),
+    userInfo: docID => batch(docID, { ids: [String(ctx.userID)] }, "MessengerParticipantsFetcher"),
+    userHovercard: docID => defaultFuncs.post(endpoint(ctx, "facebook", "/api/graphql/"), ctx.jar, {
+      av: ctx.i_userID || ctx.userID,
+      fb_api_caller_class: "RelayModern",
+      fb_api_req_friendly_name: "CometHovercardQueryRendererQuery",
+      server_timestamps: true,
+      doc_id: docID,
+      variables: JSON.stringify({
+        actionBarRenderLocation: "WWW_COMET_HOVERCARD",
+        context: "DEFAULT",
+        entityID: String(ctx.userID),
+        scale: 1
+      })
+    }).then(parseAndCheckLogin(ctx, defaultFuncs))
+  };
+
+  // Read-only operations that need a thread or a message, run against the
+  // newest thread of the threadList probe and its newest message
+  const threadProbes = {
+    threadInfo: threadID => docID => batch(docID, {
+      id: threadID, message_limit: 0, load_messages: false, load_read_receipts: false, before: null
+    }, "MessengerGraphQLThreadFetcher"),
+    threadHistory: threadID => docID => batch(docID, {
+      id: threadID, message_limit: 1, load_messages: 1, load_read_receipts: false, before: null
+    })
+  };
+  // getMessage and the replied-to fetch of listenMqtt take the same input
+  const byMessage = (threadID, messageID) => docID => batch(docID, {
+    thread_and_message_id: { thread_id: threadID, message_id: messageID }
+  });
+  const messageProbes = { message: byMessage, messageReply: byMessage };
+
+  /**
+   * Send a small request for each read-only query and report the health of
+   * every GraphQL operation. Thread and message queries reuse the IDs found by
+   * threadList and threadHistory, and are skipped when the inbox is empty.
+   * Mutations and themePictures, which needs a theme ID, are never sent;
+   * their status comes from the requests the session already made.
+   * @param {Function} [callback] - `(err, statuses)`
+   * @returns {Promise<import("../../core/queryRegistry").QueryStatus[]>}
+   */
+  return function checkQueries(callback) {
+    let resolveFunc, rejectFunc;
+    const returnPromise = new Promise((resolve, reject) => {
+      resolveFunc = resolve;
+      rejectFunc = reject;
+    });
+    if (typeof callback !== "function") {
+      callback = (err, data) => err ? rejectFunc(err) : resolveFunc(data);
+    }
+
+    (async () => {
+      // Failures are recorded in the registry and show up in the report
+      const results = {};
+      for (const [name, probe] of Object.entries(probes)) {
+        results[name] = await requestQuery(ctx, name, probe).catch(() => null);
+      }
+      const threadID = firstThreadID(results.threadList);
+      if (threadID) {
+        for (const [name, probe] of Object.entries(threadProbes)) {
+          results[name] = await requestQuery(ctx, name, probe(threadID)).catch(() => null);
+        }
+        const messageID = lastMessageID(results.threadHistory);
+        if (messageID) {
+          for (const [name, probe] of Object.entries(messageProbes)) {
+            await requestQuery(ctx, name, probe(threadID, messageID)).catch(() => {});
+          }
+        }
+      }
+      return ctx.queryRegistry.status();
+    })().then(statuses => callback(null, statuses), err => callback(err));
+
+    return returnPromise;
+  };
+};
@@ -3,6 +3,7 @@
 const log = require("npmlog");
 const { parseAndCheckLogin } = require("../../utils/client");
 const { getType } = require("../../utils/format");
+const { endpoint } = require("../../utils/endpoints");
 module.exports = function(defaultFuncs, api, ctx) {
   return function handleFriendRequest(userID, accept, callback) {
     if (getType(accept) !== "Boolean") {
@@ -36,7 +37,7 @@ module.exports = function(defaultFuncs, api, ctx) {
     };
 
     defaultFuncs
-      .post("https://www.facebook.com/requests/friends/ajax/", ctx.jar, form)
+      .post(endpoint(ctx, "facebook", "/requests/friends/ajax/"), ctx.jar, form)
       .then(parseAndCheckLogin(ctx, defaultFuncs))
       .then(function(resData) {
         if (resData.payload.err) {
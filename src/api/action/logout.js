@@ -4,6 +4,7 @@ const log = require("npmlog");
 const { parseAndCheckLogin } = require("../../utils/client");
 const { getFrom } = require("../../utils/constants");
 const { saveCookies } = require("../../utils/client");
+const { endpoint } = require("../../utils/endpoints");
 module.exports = function(defaultFuncs, api, ctx) {
   return function logout(callback) {
     let resolveFunc = function() {};
@@ -28,7 +29,7 @@ module.exports = function(defaultFuncs, api, ctx) {
 
     defaultFuncs
       .post(
-        "https://www.facebook.com/bluebar/modern_settings_menu/?help_type=364455653583099&show_contextual_help=1",
+        endpoint(ctx, "facebook", "/bluebar/modern_settings_menu/?help_type=364455653583099&show_contextual_help=1"),
         ctx.jar,
         form
       )
@@ -49,7 +50,7 @@ module.exports = function(defaultFuncs, api, ctx) {
         };
 
         return defaultFuncs
-          .post("https://www.facebook.com/logout.php", ctx.jar, form)
+          .post(endpoint(ctx, "facebook", "/logout.php"), ctx.jar, form)
           .then(saveCookies(ctx.jar));
       })
       .then(function(res) {
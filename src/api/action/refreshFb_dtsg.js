@@ -2,8 +2,8 @@
 
 const log = require("npmlog");
 const { getFrom } = require("../../utils/constants");
-const { get } = require("../../utils/request")
 const { getType } = require("../../utils/format");
+const { endpoint } = require("../../utils/endpoints");
 module.exports = function (defaultFuncs, api, ctx) {
   return function refreshFb_dtsg(obj, callback) {
     if (typeof obj === "function") {
@@ -23,7 +23,7 @@ module.exports = function (defaultFuncs, api, ctx) {
       callback = (err, data) => err ? rejectFunc(err) : resolveFunc(data);
     }
     if (Object.keys(obj).length === 0) {
-      get("https://www.facebook.com/", ctx.jar, null, ctx.globalOptions, { noRef: true }).then(({ data }) => {
+      ctx.http.get(endpoint(ctx, "facebook", "/"), ctx.jar, null, ctx.globalOptions, { noRef: true }).then(({ data }) => {
         const fb_dtsg = getFrom(data, '["DTSGInitData",[],{"token":"', '","');
         const jazoest = getFrom(data, "jazoest=", '",');
         if (!fb_dtsg) throw new Error("Could not find fb_dtsg in HTML after requesting Facebook.");
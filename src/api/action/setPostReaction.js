@@ -3,6 +3,8 @@
 const log = require("npmlog");
 const { parseAndCheckLogin } = require("../../utils/client");
 const { getType } = require("../../utils/format");
+const { endpoint } = require("../../utils/endpoints");
+const { requestQuery } = require("../../utils/queries");
 function formatData(resData) {
   return {
     viewer_feedback_reaction_info:
@@ -66,11 +68,11 @@ module.exports = function(defaultFuncs, api, ctx) {
       };
     }
 
-    const form = {
+    const form = docID => ({
       av: ctx.userID,
       fb_api_caller_class: "RelayModern",
       fb_api_req_friendly_name: "CometUFIFeedbackReactMutation",
-      doc_id: "4769042373179384",
+      doc_id: docID,
       variables: JSON.stringify({
         input: {
           actor_id: ctx.userID,
@@ -85,11 +87,11 @@ module.exports = function(defaultFuncs, api, ctx) {
         useDefaultActor: false,
         scale: 3
       })
-    };
+    });
 
-    defaultFuncs
-      .post("https://www.facebook.com/api/graphql/", ctx.jar, form)
-      .then(parseAndCheckLogin(ctx, defaultFuncs))
+    requestQuery(ctx, "postReaction", docID => defaultFuncs
+      .post(endpoint(ctx, "facebook", "/api/graphql/"), ctx.jar, form(docID))
+      .then(parseAndCheckLogin(ctx, defaultFuncs)))
       .then(function(resData) {
         if (resData.errors) {
           throw resData;
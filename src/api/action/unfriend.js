@@ -2,6 +2,7 @@
 
 const log = require("npmlog");
 const { parseAndCheckLogin } = require("../../utils/client");
+const { endpoint } = require("../../utils/endpoints");
 module.exports = function(defaultFuncs, api, ctx) {
   return function unfriend(userID, callback) {
     let resolveFunc = function() {};
@@ -32,7 +33,7 @@ module.exports = function(defaultFuncs, api, ctx) {
 
     defaultFuncs
       .post(
-        "https://www.facebook.com/ajax/profile/removefriendconfirm.php",
+        endpoint(ctx, "facebook", "/ajax/profile/removefriendconfirm.php"),
         ctx.jar,
         form
       )
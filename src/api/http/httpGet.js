@@ -1,7 +1,6 @@
 "use strict";
 
 const { getType } = require("../../utils/format.js");
-const { get } = require("../../utils/request.js");
 
 const httpGetFactory = function (defaultFuncs, api, ctx) {
   return function httpGet(url, form, callback, notAPI) {
@@ -30,7 +29,7 @@ const httpGetFactory = function (defaultFuncs, api, ctx) {
         resolveFunc(data);
       };
 
-    const executor = notAPI ? get : defaultFuncs.get;
+    const executor = notAPI ? ctx.http.get : defaultFuncs.get;
 
     executor(url, ctx.jar, form)
       .then((resData) => callback(null, resData.data))
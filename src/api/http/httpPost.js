@@ -1,6 +1,5 @@
 "use strict";
 
-const { post } = require("../../utils/request");
 const { getType } = require("../../utils/format");
 
 const httpPostFactory = function (defaultFuncs, api, ctx) {
@@ -30,7 +29,7 @@ const httpPostFactory = function (defaultFuncs, api, ctx) {
         resolveFunc(data);
       };
 
-    const executor = notAPI ? post : defaultFuncs.post;
+    const executor = notAPI ? ctx.http.post : defaultFuncs.post;
 
     executor(url, ctx.jar, form, ctx.globalOptions)
       .then((resData) => {
@@ -0,0 +1,34 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Attach every API method under src/api/<group>/ to `api`, one method per
+ * file named after it. Methods already present on `api` are kept.
+ * @param {Object} defaultFuncs - HTTP helpers from makeDefaults
+ * @param {Object} api - API object to extend
+ * @param {Object} ctx - Session context
+ * @returns {{loaded: number, skipped: number}}
+ */
+function loadApi(defaultFuncs, api, ctx) {
+  let loaded = 0;
+  let skipped = 0;
+  fs.readdirSync(__dirname, { withFileTypes: true }).forEach((sub) => {
+    if (!sub.isDirectory()) return;
+    const subDir = path.join(__dirname, sub.name);
+    fs.readdirSync(subDir, { withFileTypes: true }).forEach((entry) => {
+      if (!entry.isFile() || !entry.name.endsWith(".js")) return;
+      const key = path.basename(entry.name, ".js");
+      if (api[key]) {
+        skipped++;
+        return;
+      }
+      api[key] = require(path.join(subDir, entry.name))(defaultFuncs, api, ctx);
+      loaded++;
+    });
+  });
+  return { loaded, skipped };
+}
+
+module.exports = { loadApi };
@@ -3,6 +3,7 @@
 const log = require("npmlog");
 const { formatID } = require("../../utils/format");
 const { parseAndCheckLogin } = require("../../utils/client");
+const { endpoint } = require("../../utils/endpoints");
 module.exports = function(defaultFuncs, api, ctx) {
   return function changeArchivedStatus(threadOrThreads, archive, callback) {
     let resolveFunc = function() {};
@@ -33,7 +34,7 @@ module.exports = function(defaultFuncs, api, ctx) {
 
     defaultFuncs
       .post(
-        "https://www.facebook.com/ajax/mercury/change_archived_status.php",
+        endpoint(ctx, "facebook", "/ajax/mercury/change_archived_status.php"),
         ctx.jar,
         form
       )
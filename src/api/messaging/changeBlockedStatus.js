@@ -2,6 +2,7 @@
 
 const log = require("npmlog");
 const { parseAndCheckLogin, saveCookies } = require("../../utils/client");
+const { endpoint } = require("../../utils/endpoints");
 module.exports = function(defaultFuncs, api, ctx) {
   return function changeBlockedStatus(userID, block, callback) {
     let resolveFunc = function() {};
@@ -22,9 +23,7 @@ module.exports = function(defaultFuncs, api, ctx) {
 
     defaultFuncs
       .post(
-        `https://www.facebook.com/messaging/${
-          block ? "" : "un"
-        }block_messages/`,
+        endpoint(ctx, "facebook", `/messaging/${block ? "" : "un"}block_messages/`),
         ctx.jar,
         {
           fbid: userID
@@ -1,7 +1,10 @@
 "use strict";
 
-const { generateOfflineThreadingID } = require("../../utils/format.js");
+const { parseAndCheckLogin } = require("../../utils/client");
+const { sendReqMqtt } = require("../../core/sendReqMqtt");
+const { ValidationError } = require("../../utils/errors");
 const log = require("npmlog");
+const { endpoint } = require("../../utils/endpoints");
 
 module.exports = function (defaultFuncs, api, ctx) {
   function handleUpload(image) {
@@ -10,7 +13,7 @@ module.exports = function (defaultFuncs, api, ctx) {
       "attachment[]": image
     };
     return defaultFuncs
-      .postFormData("https://upload.facebook.com/ajax/mercury/upload.php", ctx.jar, form, {})
+      .postFormData(endpoint(ctx, "upload", "/ajax/mercury/upload.php"), ctx.jar, form, {})
       .then(parseAndCheckLogin(ctx, defaultFuncs))
       .then(resData => {
         if (resData.error) throw resData;
@@ -18,73 +21,36 @@ module.exports = function (defaultFuncs, api, ctx) {
       });
   }
   return function changeGroupImage(image, threadID, callback) {
-    return new Promise((resolve, reject) => {
-      if (!ctx.mqttClient) {
-        const err = new Error("Not connected to MQTT");
+    if (!threadID || typeof threadID !== "string") {
+      const err = new ValidationError("Invalid threadID");
+      callback?.(err);
+      return Promise.reject(err);
+    }
+    return handleUpload(image)
+      .then(payload => sendReqMqtt(ctx, {
+        type: "thread_image",
+        threadID,
+        appID: "2220391788200892",
+        versionID: "8798795233522156",
+        tasks: [
+          {
+            label: "37",
+            payload: {
+              thread_key: threadID,
+              image_id: payload.image_id,
+              sync_group: 1
+            },
+            queueName: "thread_image"
+          }
+        ]
+      }))
+      .then(res => {
+        callback?.(null, { success: true, response: res.response });
+        return { success: true, response: res.response };
+      }, err => {
+        log.error("changeGroupImageMqtt", err);
         callback?.(err);
-        return reject(err);
-      }
-      if (!threadID || typeof threadID !== "string") {
-        const err = new Error("Invalid threadID");
-        callback?.(err);
-        return reject(err);
-      }
-      const reqID = ++ctx.wsReqNumber;
-      const taskID = ++ctx.wsTaskNumber;
-      const onResponse = (topic, message) => {
-        if (topic !== "/ls_resp") return;
-        let jsonMsg;
-        try {
-          jsonMsg = JSON.parse(message.toString());
-          jsonMsg.payload = JSON.parse(jsonMsg.payload);
-        } catch (err) {
-          return;
-        }
-        if (jsonMsg.request_id !== reqID) return;
-        ctx.mqttClient.removeListener("message", onResponse);
-        callback?.(null, { success: true, response: jsonMsg.payload });
-        return resolve({ success: true, response: jsonMsg.payload });
-      };
-      ctx.mqttClient.on("message", onResponse);
-      handleUpload(image)
-        .then(payload => {
-          const imageID = payload.image_id;
-          const taskPayload = {
-            thread_key: threadID,
-            image_id: imageID,
-            sync_group: 1
-          };
-
-          const mqttPayload = {
-            epoch_id: generateOfflineThreadingID(),
-            tasks: [
-              {
-                failure_count: null,
-                label: "37",
-                payload: JSON.stringify(taskPayload),
-                queue_name: "thread_image",
-                task_id: taskID
-              }
-            ],
-            version_id: "8798795233522156"
-          };
-          const request = {
-            app_id: "2220391788200892",
-            payload: JSON.stringify(mqttPayload),
-            request_id: reqID,
-            type: 3
-          };
-          ctx.mqttClient.publish("/ls_req", JSON.stringify(request), {
-            qos: 1,
-            retain: false
-          });
-        })
-        .catch(err => {
-          ctx.mqttClient.removeListener("message", onResponse);
-          log.error("changeGroupImageMqtt", err);
-          callback?.(err);
-          reject(err);
-        });
-    });
+        throw err;
+      });
   };
 };
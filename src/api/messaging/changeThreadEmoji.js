@@ -1,8 +1,9 @@
 "use strict";
 
-const { generateOfflineThreadingID } = require("../../utils/format");
+const { sendReqMqtt } = require("../../core/sendReqMqtt");
 const log = require("npmlog");
 const { parseAndCheckLogin } = require("../../utils/client");
+const { endpoint } = require("../../utils/endpoints");
 module.exports = function (defaultFuncs, api, ctx) {
   function changeThreadEmojiNoMqtt(emoji, threadID, callback) {
     var resolveFunc = function () { };
@@ -25,7 +26,7 @@ module.exports = function (defaultFuncs, api, ctx) {
     };
     defaultFuncs
       .post(
-        "https://www.facebook.com/messaging/save_thread_emoji/?source=thread_settings&__pc=EXP1%3Amessengerdotcom_pkg",
+        endpoint(ctx, "facebook", "/messaging/save_thread_emoji/?source=thread_settings&__pc=EXP1%3Amessengerdotcom_pkg"),
         ctx.jar,
         form,
       )
@@ -65,42 +66,40 @@ module.exports = function (defaultFuncs, api, ctx) {
         data
       };
     }
-    let count_req = 0
-    var form = JSON.stringify({
-      "app_id": "2220391788200892",
-      "payload": JSON.stringify({
-        epoch_id: generateOfflineThreadingID(),
-        tasks: [
-          {
-            failure_count: null,
-            label: '100003',
-            payload: JSON.stringify({
-              "thread_key": threadID,
-              "custom_emoji": emoji,
-              "avatar_sticker_instruction_key_id": null,
-              "sync_group": 1
-            }),
-            queue_name: 'thread_quick_reaction',
-            task_id: Math.random() * 1001 << 0
-          }
-        ],
-        version_id: '8798795233522156'
-      }),
-      "request_id": ++count_req,
-      "type": 3
+    sendReqMqtt(ctx, {
+      type: "thread_quick_reaction",
+      threadID,
+      appID: "2220391788200892",
+      versionID: "8798795233522156",
+      tasks: [
+        {
+          label: '100003',
+          payload: {
+            "thread_key": threadID,
+            "custom_emoji": emoji,
+            "avatar_sticker_instruction_key_id": null,
+            "sync_group": 1
+          },
+          queueName: 'thread_quick_reaction'
+        }
+      ]
+    }).then(function () {
+      callback(null, { success: true });
+    }).catch(function (err) {
+      log.error("changeThreadEmoji", err);
+      callback(err);
     });
-    mqttClient.publish('/ls_req', form);
     return returnPromise;
   };
   return function changeThreadEmoji(emoji, threadID, callback) {
     if (ctx.mqttClient) {
       try {
-        changeThreadEmojiMqtt(emoji, threadID, callback);
+        return changeThreadEmojiMqtt(emoji, threadID, callback);
       } catch (e) {
-        changeThreadEmojiNoMqtt(emoji, threadID, callback);
+        return changeThreadEmojiNoMqtt(emoji, threadID, callback);
       }
     } else {
-      changeThreadEmojiNoMqtt(emoji, threadID, callback);
+      return changeThreadEmojiNoMqtt(emoji, threadID, callback);
     }
   };
 };
@@ -0,0 +1,14 @@
+"use strict";
+
+const MessageComposer = require("../../core/composer");
+
+module.exports = function (defaultFuncs, api, ctx) {
+  /**
+   * Start a message built from text, formatting and mentions by user ID,
+   * see MessageComposer. Mention offsets are computed from the built text.
+   * @returns {MessageComposer}
+   */
+  return function compose() {
+    return new MessageComposer(api);
+  };
+};
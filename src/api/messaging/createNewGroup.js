@@ -3,6 +3,8 @@
 const log = require("npmlog");
 const { parseAndCheckLogin } = require("../../utils/client");
 const { getType } = require("../../utils/format");
+const { endpoint } = require("../../utils/endpoints");
+const { requestQuery } = require("../../utils/queries");
 module.exports = function(defaultFuncs, api, ctx) {
   return function createNewGroup(participantIDs, groupTitle, callback) {
     if (getType(groupTitle) == "Function") {
@@ -44,12 +46,11 @@ module.exports = function(defaultFuncs, api, ctx) {
     }
     pids.push({ fbid: ctx.i_userID || ctx.userID });
 
-    const form = {
+    const form = docID => ({
       fb_api_caller_class: "RelayModern",
       fb_api_req_friendly_name: "MessengerGroupCreateMutation",
       av: ctx.i_userID || ctx.userID,
-      //This doc_id is valid as of January 11th, 2020
-      doc_id: "577041672419534",
+      doc_id: docID,
       variables: JSON.stringify({
         input: {
           entry_point: "jewel_new_group",
@@ -63,11 +64,11 @@ module.exports = function(defaultFuncs, api, ctx) {
           }
         }
       })
-    };
+    });
 
-    defaultFuncs
-      .post("https://www.facebook.com/api/graphql/", ctx.jar, form)
-      .then(parseAndCheckLogin(ctx, defaultFuncs))
+    requestQuery(ctx, "createGroup", docID => defaultFuncs
+      .post(endpoint(ctx, "facebook", "/api/graphql/"), ctx.jar, form(docID))
+      .then(parseAndCheckLogin(ctx, defaultFuncs)))
       .then(function(resData) {
         if (resData.errors) {
           throw resData;
@@ -3,6 +3,7 @@
 const log = require("npmlog");
 const { parseAndCheckLogin } = require("../../utils/client");
 const { getType } = require("../../utils/format");
+const { endpoint } = require("../../utils/endpoints");
 module.exports = function(defaultFuncs, api, ctx) {
   return function deleteThread(threadOrThreads, callback) {
     let resolveFunc = function() {};
@@ -34,7 +35,7 @@ module.exports = function(defaultFuncs, api, ctx) {
 
     defaultFuncs
       .post(
-        "https://www.facebook.com/ajax/mercury/delete_thread.php",
+        endpoint(ctx, "facebook", "/ajax/mercury/delete_thread.php"),
         ctx.jar,
         form
       )
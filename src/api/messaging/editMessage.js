@@ -1,9 +1,11 @@
-"use_strict";
+"use strict";
+
+const { sendReqMqtt } = require("../../core/sendReqMqtt");
+const { ValidationError } = require("../../utils/errors");
+const log = require("npmlog");
 
-const { generateOfflineThreadingID } = require("../../utils/format.js");
 module.exports = (defaultFuncs, api, ctx) => {
   return (text, messageID, callback) => {
-    let reqID = ctx.wsReqNumber + 1;
     var resolveFunc = () => { };
     var rejectFunc = () => { };
     var returnPromise = new Promise((resolve, reject) => {
@@ -18,51 +20,40 @@ module.exports = (defaultFuncs, api, ctx) => {
         resolveFunc(data);
       };
     }
-    const content = {
-      app_id: '2220391788200892',
-      payload: JSON.stringify({
-        data_trace_id: null,
-        epoch_id: parseInt(generateOfflineThreadingID()),
-        tasks: [{
-          failure_count: null,
-          label: '742',
-          payload: JSON.stringify({
-            message_id: messageID,
-            text: text,
-          }),
-          queue_name: 'edit_message',
-          task_id: ++ctx.wsTaskNumber,
-        }],
-        version_id: '6903494529735864',
-      }),
-      request_id: ++ctx.wsReqNumber,
-      type: 3
-    }
-    ctx.mqttClient.publish('/ls_req', JSON.stringify(content), {
-      qos: 1,
-      retain: false
-    });
-    const handleRes = (topic, message) => {
-      if (topic === "/ls_resp") {
-        let jsonMsg = JSON.parse(message.toString());
-        jsonMsg.payload = JSON.parse(jsonMsg.payload);
-        if (jsonMsg.request_id != reqID) return;
-        ctx.mqttClient.removeListener('message', handleRes);
-        let msgID = jsonMsg.payload.step[1][2][2][1][2];
-        let msgReplace = jsonMsg.payload.step[1][2][2][1][4];
-        const bodies = {
-          body: msgReplace,
-          messageID: msgID
-        };
-        if (msgReplace != text) {
-          return callback({
-            error: "The message is too old or not from you!"
-          }, bodies);
-        }
+    sendReqMqtt(ctx, {
+      type: "edit_message",
+      appID: "2220391788200892",
+      versionID: "6903494529735864",
+      tasks: [{
+        label: "742",
+        payload: {
+          message_id: messageID,
+          text: text,
+        },
+        queueName: "edit_message"
+      }]
+    }).then(res => {
+      const bodies = {
+        body: res.body,
+        messageID: res.mid
+      };
+      if (res.body != text) {
+        return callback(new ValidationError("The message is too old or not from you!", bodies), bodies);
+      }
+      // With selfListen the edit comes back as a delta and listenMqtt emits it
+      const echoed = ctx.dispatchEvent && ctx.globalOptions.selfListen && ctx.globalOptions.listenEvents;
+      if (echoed) {
         return callback(undefined, bodies);
       }
-    }
-    ctx.mqttClient.on('message', handleRes);
+      if (ctx.messageHistory && ctx.messageHistory.enabled && ctx.dispatchEvent) {
+        // Thread and previous text are filled in from the history;
+        // the message store picks the edit up from the event
+        ctx.dispatchEvent({ type: "message_edit", threadID: null, messageID, senderID: ctx.userID, body: text, timestamp: Date.now() });
+      } else if (ctx.messageStore) {
+        ctx.messageStore.edit(messageID, text).catch(err => log.warn("editMessage", `Message store failed: ${err.message}`));
+      }
+      return callback(undefined, bodies);
+    }).catch(err => callback(err));
     return returnPromise;
   };
 }
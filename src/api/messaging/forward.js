@@ -0,0 +1,30 @@
+"use strict";
+
+const log = require("npmlog");
+const { ValidationError } = require("../../utils/errors");
+
+module.exports = function (defaultFuncs, api, ctx) {
+  /**
+   * Forward a message to one or more threads. A thread that fails does not
+   * stop the others; its entry carries the error instead of a message ID.
+   * @param {string|Object} message - Message ID, or a message event from listenMqtt
+   * @param {string|string[]} threadIDs - Destination thread, or a list of them
+   * @returns {Promise<Array<{threadID: string, messageID: string|null, error: Error|null}>>} One entry per thread, in order, with the new message ID from the ACK
+   */
+  return async function forward(message, threadIDs) {
+    const messageID = message && typeof message === "object" ? message.messageID : message;
+    if (!messageID) throw new ValidationError("forward() takes a message ID or a message event", { message });
+    const targets = [...new Set([].concat(threadIDs == null ? [] : threadIDs).map(String))];
+    if (!targets.length || targets.some(threadID => !threadID)) {
+      throw new ValidationError("forward() needs at least one threadID", { threadIDs });
+    }
+    return Promise.all(targets.map(threadID =>
+      api.forwardAttachment(threadID, String(messageID))
+        .then(res => ({ threadID, messageID: res && res.messageID ? String(res.messageID) : null, error: null }))
+        .catch(error => {
+          log.error("forward", `${threadID}: ${error && error.message ? error.message : error}`);
+          return { threadID, messageID: null, error };
+        })
+    ));
+  };
+};
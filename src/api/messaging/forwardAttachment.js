@@ -1,6 +1,7 @@
 "use strict";
 
 const { generateOfflineThreadingID } = require("../../utils/format");
+const { sendReqMqtt } = require("../../core/sendReqMqtt");
 
 module.exports = function (defaultFuncs, api, ctx) {
   return async function forwardMessage(threadID, forwardedMsgID, callback) {
@@ -15,14 +16,15 @@ module.exports = function (defaultFuncs, api, ctx) {
         resolveFunc(data);
       };
     }
-    let count_req = 0
-    const payload = {
-      epoch_id: generateOfflineThreadingID(),
+    sendReqMqtt(ctx, {
+      type: "forward_message",
+      threadID,
+      appID: "772021112871879",
+      versionID: "8768858626531631",
       tasks: [
         {
-          failure_count: null,
           label: "46",
-          payload: JSON.stringify({
+          payload: {
             thread_id: threadID,
             otid: generateOfflineThreadingID(),
             source: 65544,
@@ -32,20 +34,12 @@ module.exports = function (defaultFuncs, api, ctx) {
             forwarded_msg_id: forwardedMsgID,
             strip_forwarded_msg_caption: 0,
             initiating_source: 1
-          }),
-          queue_name: threadID,
-          task_id: Math.floor(Math.random() * 1001)
+          },
+          queueName: String(threadID)
         }
-      ],
-      version_id: "8768858626531631"
-    };
-    const form = JSON.stringify({
-      app_id: "772021112871879",
-      payload: JSON.stringify(payload),
-      "request_id": ++count_req,
-      "type": 3
-    });
-    mqttClient.publish("/ls_req", form);
+      ]
+    }).then(res => callback(null, { messageID: res.messageID, threadID: res.threadID }))
+      .catch(err => callback(err));
     return returnPromise;
   };
 };
@@ -3,6 +3,7 @@
 const { formatID } = require("../../utils/format");
 const log = require("npmlog");
 const { parseAndCheckLogin } = require("../../utils/client");
+const { endpoint } = require("../../utils/endpoints");
 const GENDERS = {
   0: "unknown",
   1: "female_singular",
@@ -57,7 +58,7 @@ module.exports = function(defaultFuncs, api, ctx) {
 
     defaultFuncs
       .postFormData(
-        "https://www.facebook.com/chat/user_info_all",
+        endpoint(ctx, "facebook", "/chat/user_info_all"),
         ctx.jar,
         {},
         { viewer: ctx.userID }
@@ -3,6 +3,8 @@
 const log = require("npmlog");
 const { _formatAttachment } = require("../../utils/format");
 const { parseAndCheckLogin } = require("../../utils/client");
+const { endpoint } = require("../../utils/endpoints");
+const { requestQuery } = require("../../utils/queries");
 function formatMessage(threadID, data) {
   switch (data.__typename) {
     case "ThreadNameMessage":
@@ -249,12 +251,11 @@ module.exports = function(defaultFuncs, api, ctx) {
       return callback({ error: "getMessage: need threadID and messageID" });
     }
 
-    const form = {
+    const form = docID => ({
       av: ctx.globalOptions.pageID,
       queries: JSON.stringify({
         o0: {
-          //This doc_id is valid as of ? (prob January 18, 2020)
-          doc_id: "1768656253222505",
+          doc_id: docID,
           query_params: {
             thread_and_message_id: {
               thread_id: threadID,
@@ -263,11 +264,11 @@ module.exports = function(defaultFuncs, api, ctx) {
           }
         }
       })
-    };
+    });
 
-    defaultFuncs
-      .post("https://www.facebook.com/api/graphqlbatch/", ctx.jar, form)
-      .then(parseAndCheckLogin(ctx, defaultFuncs))
+    requestQuery(ctx, "message", docID => defaultFuncs
+      .post(endpoint(ctx, "facebook", "/api/graphqlbatch/"), ctx.jar, form(docID))
+      .then(parseAndCheckLogin(ctx, defaultFuncs)))
       .then(resData => {
         if (resData[resData.length - 1].error_results > 0) {
           throw resData[0].o0.errors;
@@ -282,7 +283,11 @@ module.exports = function(defaultFuncs, api, ctx) {
 
         const fetchData = resData[0].o0.data.message;
         if (fetchData) {
-          callback(null, parseDelta(threadID, fetchData));
+          const message = parseDelta(threadID, fetchData);
+          if (ctx.messageStore) {
+            ctx.messageStore.save(message).catch(err => log.warn("getMessage", `Message store failed: ${err.message}`));
+          }
+          callback(null, message);
         } else {
           throw fetchData;
         }
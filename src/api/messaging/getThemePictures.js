@@ -3,6 +3,8 @@
 const log = require("npmlog");
 const { parseAndCheckLogin } = require("../../utils/client");
 const { getType } = require("../../utils/format");
+const { endpoint } = require("../../utils/endpoints");
+const { requestQuery } = require("../../utils/queries");
 module.exports = function (defaultFuncs, api, ctx) {
   return function getThemePictures(id, callback) {
     let resolveFunc = function () { };
@@ -32,19 +34,19 @@ module.exports = function (defaultFuncs, api, ctx) {
       id = "";
     }
 
-    const form = {
+    const form = docID => ({
       fb_api_caller_class: "RelayModern",
       fb_api_req_friendly_name: "MWPThreadThemeProviderQuery",
-      doc_id: "9734829906576883",
+      doc_id: docID,
       server_timestamps: true,
       variables: JSON.stringify({
         id
       }),
       av: ctx.userID
-    };
-    defaultFuncs
-      .post("https://www.facebook.com/api/graphql/", ctx.jar, form)
-      .then(parseAndCheckLogin(ctx, defaultFuncs))
+    });
+    requestQuery(ctx, "themePictures", docID => defaultFuncs
+      .post(endpoint(ctx, "facebook", "/api/graphql/"), ctx.jar, form(docID))
+      .then(parseAndCheckLogin(ctx, defaultFuncs)))
       .then(function (resData) {
         if (resData.errors) {
           throw resData;
@@ -3,6 +3,7 @@
 const log = require("npmlog");
 const { parseAndCheckLogin } = require("../../utils/client");
 const { getType } = require("../../utils/format");
+const { endpoint } = require("../../utils/endpoints");
 module.exports = function(defaultFuncs, api, ctx) {
   return function handleMessageRequest(threadID, accept, callback) {
     if (getType(accept) !== "Boolean") {
@@ -43,7 +44,7 @@ module.exports = function(defaultFuncs, api, ctx) {
 
     defaultFuncs
       .post(
-        "https://www.facebook.com/ajax/mercury/move_thread.php",
+        endpoint(ctx, "facebook", "/ajax/mercury/move_thread.php"),
         ctx.jar,
         form
       )
@@ -2,6 +2,7 @@
 const log = require("npmlog");
 const { parseAndCheckLogin, saveCookies } = require("../../utils/client");
 const { getType } = require("../../utils/format");
+const { endpoint } = require("../../utils/endpoints");
 module.exports = function(defaultFuncs, api, ctx) {
   return function markAsDelivered(threadID, messageID, callback) {
     let resolveFunc = function() {};
@@ -31,7 +32,7 @@ module.exports = function(defaultFuncs, api, ctx) {
 
     defaultFuncs
       .post(
-        "https://www.facebook.com/ajax/mercury/delivery_receipts.php",
+        endpoint(ctx, "facebook", "/ajax/mercury/delivery_receipts.php"),
         ctx.jar,
         form
       )
@@ -3,6 +3,7 @@
 const log = require("npmlog");
 const { parseAndCheckLogin, saveCookies } = require("../../utils/client");
 const { getType } = require("../../utils/format");
+const { endpoint } = require("../../utils/endpoints");
 module.exports = function(defaultFuncs, api, ctx) {
   return async function markAsRead(threadID, read, callback) {
     if (
@@ -35,7 +36,7 @@ module.exports = function(defaultFuncs, api, ctx) {
       try {
         resData = await defaultFuncs
           .post(
-            "https://www.facebook.com/ajax/mercury/change_read_status.php",
+            endpoint(ctx, "facebook", "/ajax/mercury/change_read_status.php"),
             ctx.jar,
             form
           )
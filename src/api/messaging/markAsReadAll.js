@@ -2,6 +2,7 @@
 
 const log = require("npmlog");
 const { parseAndCheckLogin, saveCookies } = require("../../utils/client");
+const { endpoint } = require("../../utils/endpoints");
 module.exports = function(defaultFuncs, api, ctx) {
   return function markAsReadAll(callback) {
     let resolveFunc = function() {};
@@ -26,7 +27,7 @@ module.exports = function(defaultFuncs, api, ctx) {
 
     defaultFuncs
       .post(
-        "https://www.facebook.com/ajax/mercury/mark_folder_as_read.php",
+        endpoint(ctx, "facebook", "/ajax/mercury/mark_folder_as_read.php"),
         ctx.jar,
         form
       )
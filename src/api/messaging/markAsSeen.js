@@ -3,6 +3,7 @@
 const log = require("npmlog");
 const { parseAndCheckLogin, saveCookies } = require("../../utils/client");
 const { getType } = require("../../utils/format");
+const { endpoint } = require("../../utils/endpoints");
 module.exports = function(defaultFuncs, api, ctx) {
   return function markAsRead(seen_timestamp, callback) {
     if (
@@ -35,7 +36,7 @@ module.exports = function(defaultFuncs, api, ctx) {
 
     defaultFuncs
       .post(
-        "https://www.facebook.com/ajax/mercury/mark_seen.php",
+        endpoint(ctx, "facebook", "/ajax/mercury/mark_seen.php"),
         ctx.jar,
         form
       )
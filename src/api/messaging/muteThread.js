@@ -1,6 +1,7 @@
 "use strict";
 const log = require("npmlog");
 const { parseAndCheckLogin, saveCookies } = require("../../utils/client");
+const { endpoint } = require("../../utils/endpoints");
 module.exports = function(defaultFuncs, api, ctx) {
   // muteSecond: -1=permanent mute, 0=unmute, 60=one minute, 3600=one hour, etc.
   return function muteThread(threadID, muteSeconds, callback) {
@@ -27,7 +28,7 @@ module.exports = function(defaultFuncs, api, ctx) {
 
     defaultFuncs
       .post(
-        "https://www.facebook.com/ajax/mercury/change_mute_thread.php",
+        endpoint(ctx, "facebook", "/ajax/mercury/change_mute_thread.php"),
         ctx.jar,
         form
       )
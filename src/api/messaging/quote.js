@@ -0,0 +1,17 @@
+"use strict";
+
+module.exports = function (defaultFuncs, api, ctx) {
+  /**
+   * Reply to a message with its text quoted above the answer, one `> ` line
+   * per line of the original. A message without text is only replied to.
+   * @param {Object} event - Message event from listenMqtt, or any object with `threadID`, `messageID` and `body`
+   * @param {string} text - Answer below the quote
+   * @returns {Promise<{body: string|null, messageID: string, threadID: string}>} The new message, from the send ACK
+   */
+  return function quote(event, text) {
+    const original = event && typeof event.body === "string" ? event.body.trim() : "";
+    const answer = text == null ? "" : String(text);
+    const quoted = original ? original.split(/\r?\n/).map(line => `> ${line}`).join("\n") : "";
+    return api.reply(event, quoted && answer ? `${quoted}\n\n${answer}` : quoted || answer);
+  };
+};
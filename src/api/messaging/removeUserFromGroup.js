@@ -3,6 +3,8 @@
 const { getType } = require("../../utils/format");
 const { parseAndCheckLogin } = require("../../utils/client");
 const log = require("npmlog");
+const { sendReqMqtt } = require("../../core/sendReqMqtt");
+const { endpoint } = require("../../utils/endpoints");
 
 module.exports = function (defaultFuncs, api, ctx) {
   function removeUserFromGroupNoMqtt(userID, threadID, callback) {
@@ -26,7 +28,7 @@ module.exports = function (defaultFuncs, api, ctx) {
       tid: threadID
     };
     defaultFuncs
-      .post("https://www.facebook.com/chat/remove_participants", ctx.jar, form)
+      .post(endpoint(ctx, "facebook", "/chat/remove_participants"), ctx.jar, form)
       .then(parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         if (!resData) throw { error: "Remove from group failed." };
@@ -58,49 +60,39 @@ module.exports = function (defaultFuncs, api, ctx) {
         resolveFunc(data);
       };
     }
-    let count_req = 0;
-    var form = JSON.stringify({
-      "app_id": "2220391788200892",
-      "payload": JSON.stringify({
-        epoch_id: generateOfflineThreadingID(),
-        tasks: [
-          {
-            failure_count: null,
-            label: '140',
-            payload: JSON.stringify({
-              "thread_id": threadID,
-              "contact_id": userID,
-              "sync_group": 1
-            }),
-            queue_name: 'remove_participant_v2',
-            task_id: Math.random() * 1001 << 0
-          }
-        ],
-        version_id: '8798795233522156'
-      }),
-      "request_id": ++count_req,
-      "type": 3
-    });
-    mqttClient.publish('/ls_req', form, (err, data) => {
-      if (err) {
-        callback(err, null);
-        rejectFunc(false);
-      } else {
-        callback(null, true);
-        resolveFunc(true);
-      }
+    sendReqMqtt(ctx, {
+      type: "remove_participant",
+      threadID,
+      appID: "2220391788200892",
+      versionID: "8798795233522156",
+      tasks: [
+        {
+          label: '140',
+          payload: {
+            "thread_id": threadID,
+            "contact_id": userID,
+            "sync_group": 1
+          },
+          queueName: 'remove_participant_v2'
+        }
+      ]
+    }).then(function () {
+      callback(null, true);
+    }).catch(function (err) {
+      log.error("removeUserFromGroup", err);
+      callback(err, null);
     });
     return returnPromise;
   };
   return function removeUserFromGroup(userID, threadID, callback) {
     if (ctx.mqttClient) {
       try {
-        removeUserFromGroupMqtt(userID, threadID, callback);
+        return removeUserFromGroupMqtt(userID, threadID, callback);
       } catch (e) {
-        removeUserFromGroupNoMqtt(userID, threadID, callback);
+        return removeUserFromGroupNoMqtt(userID, threadID, callback);
       }
     } else {
-      removeUserFromGroupNoMqtt(userID, threadID, callback);
+      return removeUserFromGroupNoMqtt(userID, threadID, callback);
     }
   };
 };
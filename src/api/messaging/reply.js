@@ -0,0 +1,22 @@
+"use strict";
+
+const { ValidationError } = require("../../utils/errors");
+const MessageComposer = require("../../core/composer");
+
+module.exports = function (defaultFuncs, api, ctx) {
+  /**
+   * Reply to a message in its own thread
+   * @param {Object} event - Message event from listenMqtt, or any object with `threadID` and `messageID`
+   * @param {string|Object|MessageComposer} msg - Message for sendMessage, or a composer from `api.compose()`
+   * @returns {Promise<{body: string|null, messageID: string, threadID: string}>} The new message, from the send ACK
+   */
+  return async function reply(event, msg) {
+    if (!event || !event.threadID || !event.messageID) {
+      throw new ValidationError("reply() takes the event of the message to reply to", { event });
+    }
+    const threadID = String(event.threadID);
+    const messageID = String(event.messageID);
+    if (msg instanceof MessageComposer) return msg.send(threadID, messageID);
+    return api.sendMessage(msg, threadID, messageID);
+  };
+};
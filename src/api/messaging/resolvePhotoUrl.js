@@ -1,6 +1,7 @@
 "use strict";
 const log = require("npmlog");
 const { parseAndCheckLogin, saveCookies } = require("../../utils/client");
+const { endpoint } = require("../../utils/endpoints");
 module.exports = function(defaultFuncs, api, ctx) {
   return function resolvePhotoUrl(photoID, callback) {
     let resolveFunc = function() {};
@@ -20,7 +21,7 @@ module.exports = function(defaultFuncs, api, ctx) {
     }
 
     defaultFuncs
-      .get("https://www.facebook.com/mercury/attachments/photo", ctx.jar, {
+      .get(endpoint(ctx, "facebook", "/mercury/attachments/photo"), ctx.jar, {
         photo_id: photoID
       })
       .then(parseAndCheckLogin(ctx, defaultFuncs))
@@ -0,0 +1,15 @@
+"use strict";
+
+module.exports = function (defaultFuncs, api, ctx) {
+  /**
+   * Send a message later or on a cron schedule, see Scheduler#schedule.
+   * Jobs are listed and cancelled through `api.scheduler`.
+   * @param {string|Object} msg - Message for sendMessage; attachments must be [type, id] pairs
+   * @param {string} threadID - Destination thread
+   * @param {Date|number|string|Object} when - Date, timestamp, date string, cron expression, `{ delay }` or `{ cron }`
+   * @returns {Promise<Object>} The scheduled job
+   */
+  return function scheduleMessage(msg, threadID, when) {
+    return ctx.scheduler.schedule(msg, threadID, when);
+  };
+};
@@ -1,6 +1,7 @@
 "use strict";
 
 const { parseAndCheckLogin } = require("../../utils/client");
+const { endpoint } = require("../../utils/endpoints");
 module.exports = function(defaultFuncs, api, ctx) {
   return function searchForThread(name, callback) {
     let resolveFunc = function() {};
@@ -29,7 +30,7 @@ module.exports = function(defaultFuncs, api, ctx) {
 
     defaultFuncs
       .post(
-        "https://www.facebook.com/ajax/mercury/search_threads.php",
+        endpoint(ctx, "facebook", "/ajax/mercury/search_threads.php"),
         ctx.jar,
         tmpForm
       )
@@ -0,0 +1,14 @@
+"use strict";
+
+module.exports = function (defaultFuncs, api, ctx) {
+  /**
+   * Full-text search over messages kept by the `storeMessages` option,
+   * see MessageStore#search
+   * @param {string} query - Words that must all appear
+   * @param {Object} [options] - `{ threadID, sender, since, until, includeUnsent, raw, limit }`
+   * @returns {Promise<Object[]>} Stored messages, best matches first
+   */
+  return function searchMessages(query, options) {
+    return ctx.messageStore.search(query, options || {});
+  };
+};
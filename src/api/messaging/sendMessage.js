@@ -5,100 +5,23 @@
  * @param {string} text - The text of the message to send.
  * @param {string} threadID - The ID of the thread to send the message to.
  * @param {string} [msgReplace] - Optional. The message ID of the message to replace.
- * @param {Array<Buffer|Stream>} [attachments] - Optional. The attachments to send with the message.
+ * @param {Array<Stream|Buffer|Object|string>} [attachments] - Optional. The attachments to send with the message: streams, Buffers, `{ buffer, filename }`, file paths, URLs or `[type, id]` pairs.
  * @param {function} [callback] - Optional. The callback function to call when the message is sent.
  * @returns {Promise<object>} A promise that resolves with the bodies of the sent message.
  */
 
 "use strict";
 const log = require("npmlog");
-const { parseAndCheckLogin } = require("../../utils/client");
 const { getType } = require("../../utils/format");
-const { isReadableStream } = require("../../utils/constants");
 const { generateOfflineThreadingID } = require("../../utils/format");
-const { ValidationError, NetworkError } = require("../../utils/errors");
+const { ValidationError } = require("../../utils/errors");
+const { sendReqMqtt } = require("../../core/sendReqMqtt");
+const { uploadAttachments, aborted } = require("../../core/upload");
 
 module.exports = function (defaultFuncs, api, ctx) {
   const hasLinks = s => typeof s === "string" && /(https?:\/\/|www\.|t\.me\/|fb\.me\/|youtu\.be\/|facebook\.com\/|youtube\.com\/)/i.test(s);
   const emojiSizes = { small: 1, medium: 2, large: 3 };
 
-  async function uploadAttachment(streams) {
-    const uploads = streams.map(stream => {
-      if (!isReadableStream(stream)) throw new ValidationError("Attachment should be a readable stream and not " + getType(stream) + ".");
-      const form = { upload_1024: stream, voice_clip: "true" };
-      return defaultFuncs
-        .postFormData("https://upload.facebook.com/ajax/mercury/upload.php", ctx.jar, form, {})
-        .then(parseAndCheckLogin(ctx, defaultFuncs))
-        .then(resData => {
-          if (resData.error) throw new NetworkError(resData.error, resData);
-          return resData.payload.metadata[0];
-        });
-    });
-    return Promise.all(uploads);
-  }
-
-  function extractIdsFromPayload(payload) {
-    let messageID = null;
-    let threadID = null;
-    function walk(n) {
-      if (Array.isArray(n)) {
-        if (n[0] === 5 && (n[1] === "replaceOptimsiticMessage" || n[1] === "replaceOptimisticMessage")) {
-          messageID = String(n[3]);
-        }
-        if (n[0] === 5 && n[1] === "writeCTAIdToThreadsTable") {
-          const a = n[2];
-          if (Array.isArray(a) && a[0] === 19) threadID = String(a[1]);
-        }
-        for (const x of n) walk(x);
-      }
-    }
-    walk(payload?.step);
-    return { threadID, messageID };
-  }
-
-  function publishWithAck(content, text, reqID, callback) {
-    const mqttClient = ctx.mqttClient;
-    return new Promise((resolve, reject) => {
-      let done = false;
-      const cleanup = () => {
-        if (done) return;
-        done = true;
-        mqttClient.removeListener("message", handleRes);
-      };
-      const handleRes = (topic, message) => {
-        if (topic !== "/ls_resp") return;
-        let jsonMsg;
-        try {
-          jsonMsg = JSON.parse(message.toString());
-          jsonMsg.payload = JSON.parse(jsonMsg.payload);
-        } catch {
-          return;
-        }
-        if (jsonMsg.request_id !== reqID) return;
-        const { threadID, messageID } = extractIdsFromPayload(jsonMsg.payload);
-        const bodies = { body: text || null, messageID, threadID };
-        cleanup();
-        callback && callback(undefined, bodies);
-        resolve(bodies);
-      };
-      mqttClient.on("message", handleRes);
-      mqttClient.publish("/ls_req", JSON.stringify(content), { qos: 1, retain: false }, err => {
-        if (err) {
-          cleanup();
-          callback && callback(err);
-          reject(err);
-        }
-      });
-      setTimeout(() => {
-        if (done) return;
-        cleanup();
-        const err = new NetworkError("Timeout waiting for ACK");
-        callback && callback(err);
-        reject(err);
-      }, 15000);
-    });
-  }
-
   function buildMentionData(msg, baseBody) {
     if (!msg.mentions || !Array.isArray(msg.mentions) || !msg.mentions.length) return null;
     const base = typeof baseBody === "string" ? baseBody : "";
@@ -108,6 +31,7 @@ module.exports = function (defaultFuncs, api, ctx) {
     const types = [];
     let cursor = 0;
     for (const m of msg.mentions) {
+      if (!m || m.id == null || m.id === "" || !m.tag) throw new ValidationError("Every mention needs a tag and the id of the mentioned user", { mention: m });
       const raw = String(m.tag || "");
       const name = raw.replace(/^@+/, "");
       const start = Number.isInteger(m.fromIndex) ? m.fromIndex : cursor;
@@ -120,11 +44,10 @@ module.exports = function (defaultFuncs, api, ctx) {
         adj = raw.length - name.length;
       }
       if (idx < 0) {
-        idx = 0;
-        adj = 0;
+        throw new ValidationError(`Mention tag "${raw}" was not found in the message body`, { tag: raw, id: m.id, fromIndex: m.fromIndex });
       }
       const off = idx + adj;
-      ids.push(String(m.id || 0));
+      ids.push(String(m.id));
       offsets.push(off);
       lengths.push(name.length);
       types.push("p");
@@ -147,11 +70,13 @@ module.exports = function (defaultFuncs, api, ctx) {
 
   return async function sendMessageMqtt(msg, threadID, callback, replyToMessage) {
     if (typeof threadID === "function") return threadID(new ValidationError("Pass a threadID as a second argument."));
-    if (typeof callback === "string" && !replyToMessage) {
+    if ((typeof callback === "string" || (callback && typeof callback === "object")) && !replyToMessage) {
       replyToMessage = callback;
       callback = () => { };
     }
     if (typeof callback !== "function") callback = () => { };
+    // A message event can stand in for its ID
+    if (replyToMessage && typeof replyToMessage === "object") replyToMessage = replyToMessage.messageID;
     if (!threadID) {
       const err = new ValidationError("threadID is required");
       callback(err);
@@ -160,7 +85,6 @@ module.exports = function (defaultFuncs, api, ctx) {
 
     const m = coerceMsg(msg);
     const baseBody = m.body != null ? String(m.body) : "";
-    const reqID = Math.floor(100 + Math.random() * 900);
     const epoch = (BigInt(Date.now()) << 22n).toString();
 
     const payload0 = {
@@ -178,7 +102,13 @@ module.exports = function (defaultFuncs, api, ctx) {
       metadata_dataclass: JSON.stringify({ media_accessibility_metadata: { alt_text: null } })
     };
 
-    const mentionData = buildMentionData(m, baseBody);
+    let mentionData;
+    try {
+      mentionData = buildMentionData(m, baseBody);
+    } catch (err) {
+      callback(err);
+      throw err;
+    }
     if (mentionData) payload0.mention_data = mentionData;
 
     if (m.sticker) {
@@ -213,18 +143,18 @@ module.exports = function (defaultFuncs, api, ctx) {
       let list = m.attachment;
       if (getType(list) !== "Array") list = [list];
       const idsFromPairs = [];
-      const streams = [];
+      const uploads = [];
       for (const it of list) {
         if (Array.isArray(it) && typeof it[0] === "string") {
           idsFromPairs.push(String(it[1]));
-        } else if (isReadableStream(it)) {
-          streams.push(it);
+        } else {
+          uploads.push(it);
         }
       }
       if (idsFromPairs.length) payload0.attachment_fbids.push(...idsFromPairs);
-      if (streams.length) {
+      if (uploads.length) {
         try {
-          const files = await uploadAttachment(streams);
+          const files = await uploadAttachments(defaultFuncs, ctx, uploads, { signal: m.signal, onProgress: m.onUploadProgress });
           for (const file of files) {
             const key = Object.keys(file)[0];
             payload0.attachment_fbids.push(file[key]);
@@ -235,19 +165,23 @@ module.exports = function (defaultFuncs, api, ctx) {
           throw err;
         }
       }
+      if (m.signal && m.signal.aborted) {
+        const err = aborted(m.signal);
+        callback(err);
+        throw err;
+      }
     }
 
-    const content = {
-      app_id: "2220391788200892",
-      payload: {
+    try {
+      const res = await sendReqMqtt(ctx, {
+        type: "send_message_mqtt",
+        threadID,
+        appID: "2220391788200892",
+        versionID: "24804310205905615",
+        epochID: epoch,
+        dataTraceID: "#" + Buffer.from(String(Math.random())).toString("base64").replace(/=+$/g, ""),
         tasks: [
-          {
-            label: "46",
-            payload: payload0,
-            queue_name: String(threadID),
-            task_id: 400,
-            failure_count: null
-          },
+          { label: "46", payload: payload0, queueName: String(threadID) },
           {
             label: "21",
             payload: {
@@ -255,20 +189,16 @@ module.exports = function (defaultFuncs, api, ctx) {
               last_read_watermark_ts: Date.now(),
               sync_group: 1
             },
-            queue_name: String(threadID),
-            task_id: 401,
-            failure_count: null
+            queueName: String(threadID)
           }
-        ],
-        epoch_id: epoch,
-        version_id: "24804310205905615",
-        data_trace_id: "#" + Buffer.from(String(Math.random())).toString("base64").replace(/=+$/g, "")
-      },
-      request_id: reqID,
-      type: 3
-    };
-    content.payload.tasks.forEach(t => (t.payload = JSON.stringify(t.payload)));
-    content.payload = JSON.stringify(content.payload);
-    return publishWithAck(content, baseBody, reqID, callback);
+        ]
+      });
+      const bodies = { body: baseBody || null, messageID: res.messageID, threadID: res.threadID };
+      callback(undefined, bodies);
+      return bodies;
+    } catch (err) {
+      callback(err);
+      throw err;
+    }
   };
 };
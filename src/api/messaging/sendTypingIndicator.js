@@ -1,5 +1,7 @@
 "use strict";
 const { getType } = require("../../utils/format.js");
+const { publishReqMqtt } = require("../../core/sendReqMqtt");
+const { ValidationError } = require("../../utils/errors");
 module.exports = function (defaultFuncs, api, ctx) {
   return function sendTyping(threadID, isTyping, options, callback) {
     var resolveFunc = function () { };
@@ -20,48 +22,39 @@ module.exports = function (defaultFuncs, api, ctx) {
       };
     }
     if (!threadID) {
-      return callback(new Error("threadID is required"));
+      callback(new ValidationError("threadID is required"));
+      return returnPromise;
     }
     const threadIDs = Array.isArray(threadID) ? threadID : [threadID];
-    threadIDs.forEach(tid => {
+    const published = threadIDs.map(tid => {
       var isGroupThread = getType(tid) === "Array" ? 0 : 1;
       var threadType = isGroupThread ? 2 : 1;
       var duration = options.duration || 10000;
       var autoStop = options.autoStop !== false;
       var attribution = options.type || 0;
-      const publishTypingStatus = (isTypingStatus) => {
-        ctx.mqttClient.publish('/ls_req',
-          JSON.stringify({
-            app_id: "772021112871879",
-            payload: JSON.stringify({
-              label: "3",
-              payload: JSON.stringify({
-                "thread_key": parseInt(tid),
-                "is_group_thread": isGroupThread,
-                "is_typing": isTypingStatus ? 1 : 0,
-                "attribution": attribution,
-                "sync_group": 1,
-                "thread_type": threadType
-              }),
-              version: "8965252033599983"
-            }),
-            request_id: ++ctx.req_ID,
-            type: 4
-          }),
-          {
-            qos: 1,
-            retain: false,
-          }
-        );
-      };
-      publishTypingStatus(isTyping);
+      const publishTypingStatus = (isTypingStatus) => publishReqMqtt(ctx, {
+        appID: "772021112871879",
+        label: "3",
+        payload: {
+          "thread_key": parseInt(tid),
+          "is_group_thread": isGroupThread,
+          "is_typing": isTypingStatus ? 1 : 0,
+          "attribution": attribution,
+          "sync_group": 1,
+          "thread_type": threadType
+        },
+        versionID: "8965252033599983"
+      });
       if (isTyping && autoStop) {
         setTimeout(() => {
-          publishTypingStatus(false);
+          publishTypingStatus(false).catch(() => { });
         }, duration);
       }
+      return publishTypingStatus(isTyping);
     });
-    callback(null, true);
+    Promise.all(published)
+      .then(() => callback(null, true))
+      .catch(err => callback(err));
     return returnPromise;
   };
 };
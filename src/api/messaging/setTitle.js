@@ -3,6 +3,8 @@
 const { getType, generateOfflineThreadingID, generateTimestampRelative, generateThreadingID, getCurrentTimestamp } = require("../../utils/format");
 const { parseAndCheckLogin } = require("../../utils/client");
 const log = require("npmlog");
+const { sendReqMqtt } = require("../../core/sendReqMqtt");
+const { endpoint } = require("../../utils/endpoints");
 
 module.exports = function (defaultFuncs, api, ctx) {
   function setTitleNoMqtt(newTitle, threadID, callback) {
@@ -48,7 +50,7 @@ module.exports = function (defaultFuncs, api, ctx) {
       log_message_type: "log:thread-name"
     };
     defaultFuncs
-      .post("https://www.facebook.com/messaging/set_thread_name/", ctx.jar, form)
+      .post(endpoint(ctx, "facebook", "/messaging/set_thread_name/"), ctx.jar, form)
       .then(parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         if (resData.error && resData.error === 1545012) throw { error: "Cannot change chat title: Not member of chat." };
@@ -79,41 +81,39 @@ module.exports = function (defaultFuncs, api, ctx) {
         data
       };
     }
-    let count_req = 0
-    var form = JSON.stringify({
-      "app_id": "2220391788200892",
-      "payload": JSON.stringify({
-        epoch_id: generateOfflineThreadingID(),
-        tasks: [
-          {
-            failure_count: null,
-            label: '32',
-            payload: JSON.stringify({
-              "thread_key": threadID,
-              "thread_name": newTitle,
-              "sync_group": 1
-            }),
-            queue_name: threadID,
-            task_id: Math.random() * 1001 << 0
-          }
-        ],
-        version_id: '8798795233522156'
-      }),
-      "request_id": ++count_req,
-      "type": 3
+    sendReqMqtt(ctx, {
+      type: "thread_name",
+      threadID,
+      appID: "2220391788200892",
+      versionID: "8798795233522156",
+      tasks: [
+        {
+          label: '32',
+          payload: {
+            "thread_key": threadID,
+            "thread_name": newTitle,
+            "sync_group": 1
+          },
+          queueName: String(threadID)
+        }
+      ]
+    }).then(function () {
+      callback(null, { success: true });
+    }).catch(function (err) {
+      log.error("setTitle", err);
+      callback(err);
     });
-    mqttClient.publish('/ls_req', form);
     return returnPromise;
   };
   return function setTitle(newTitle, threadID, callback) {
     if (ctx.mqttClient) {
       try {
-        setTitleMqtt(newTitle, threadID, callback);
+        return setTitleMqtt(newTitle, threadID, callback);
       } catch (e) {
-        setTitleNoMqtt(newTitle, threadID, callback);
+        return setTitleNoMqtt(newTitle, threadID, callback);
       }
     } else {
-      setTitleNoMqtt(newTitle, threadID, callback);
+      return setTitleNoMqtt(newTitle, threadID, callback);
     }
   };
 };
@@ -1,52 +1,15 @@
 "use strict";
 const log = require("npmlog");
-const { parseAndCheckLogin } = require("../../utils/client");
 const { getType } = require("../../utils/format");
 const { isReadableStream } = require("../../utils/constants");
+const { uploadAttachments } = require("../../core/upload");
 module.exports = function(defaultFuncs, api, ctx) {
-  function upload(attachments, callback) {
+  function upload(attachments, options, callback) {
     callback = callback || function() {};
-    const uploads = [];
 
-    // create an array of promises
-    for (let i = 0; i < attachments.length; i++) {
-      if (!isReadableStream(attachments[i])) {
-        throw {
-          error:
-            "Attachment should be a readable stream and not " +
-            getType(attachments[i]) +
-            "."
-        };
-      }
-
-      const form = {
-        upload_1024: attachments[i],
-        voice_clip: "true"
-      };
-
-      uploads.push(
-        defaultFuncs
-          .postFormData(
-            "https://upload.facebook.com/ajax/mercury/upload.php",
-            ctx.jar,
-            form,
-            {}
-          )
-          .then(parseAndCheckLogin(ctx, defaultFuncs))
-          .then(function(resData) {
-            if (resData.error) {
-              throw resData;
-            }
-
-            // We have to return the data unformatted unless we want to change it
-            // back in sendMessage.
-            return resData.payload.metadata[0];
-          })
-      );
-    }
-
-    // resolve all promises
-    Promise.all(uploads)
+    // Streams, Buffers, { buffer, filename }, file paths and URLs; the
+    // metadata is returned unformatted, as sendMessage expects it
+    uploadAttachments(defaultFuncs, ctx, attachments, options)
       .then(function(resData) {
         callback(null, resData);
       })
@@ -56,7 +19,20 @@ module.exports = function(defaultFuncs, api, ctx) {
       });
   }
 
-  return function uploadAttachment(attachments, callback) {
+  /**
+   * Upload attachments without sending them
+   * @param {*|Array} attachments - Streams, Buffers, `{ buffer, filename }`, file paths or URLs
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the uploads
+   * @param {Function} [options.onProgress] - Called with `{ index, filename, loaded, total, percent, cached }`
+   * @param {Function} [callback] - `(err, metadata)`
+   * @returns {Promise<Object[]>} Upload metadata, in input order
+   */
+  return function uploadAttachment(attachments, options, callback) {
+    if (getType(options) === "Function" || getType(options) === "AsyncFunction") {
+      callback = options;
+      options = {};
+    }
     if (
       !attachments &&
       !isReadableStream(attachments) &&
@@ -83,7 +59,7 @@ module.exports = function(defaultFuncs, api, ctx) {
 
     if (getType(attachments) !== "Array") attachments = [attachments];
 
-    upload(attachments, (err, info) => {
+    upload(attachments, options || {}, (err, info) => {
       if (err) {
         return callback(err);
       }
@@ -0,0 +1,14 @@
+"use strict";
+
+module.exports = function (defaultFuncs, api, ctx) {
+  /**
+   * Wait for the next message in a thread, see ConversationManager#awaitMessage
+   * @param {string} threadID - Thread to watch
+   * @param {Function|Object} [filter] - `(event) => boolean`, or the options object
+   * @param {Object} [options] - `{ from, timeout, signal, name, data }`
+   * @returns {Promise<Object>} Resolves with the matching event; has `id` and `cancel()`
+   */
+  return function awaitMessage(threadID, filter, options) {
+    return ctx.conversations.awaitMessage(threadID, filter, options);
+  };
+};
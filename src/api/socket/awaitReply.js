@@ -0,0 +1,13 @@
+"use strict";
+
+module.exports = function (defaultFuncs, api, ctx) {
+  /**
+   * Wait for a reply to a message, see ConversationManager#awaitReply
+   * @param {string} messageID - Message to wait for replies to
+   * @param {Object} [options] - `{ from, timeout, signal, threadID, name, data }`
+   * @returns {Promise<Object>} Resolves with the `message_reply` event; has `id` and `cancel()`
+   */
+  return function awaitReply(messageID, options) {
+    return ctx.conversations.awaitReply(messageID, options);
+  };
+};
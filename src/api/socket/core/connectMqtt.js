@@ -1,10 +1,12 @@
 "use strict";
 const { formatID } = require("../../../utils/format");
 const uuid = require("uuid");
+const { endpoint } = require("../../../utils/endpoints");
 "use strict";
 module.exports = function createListenMqtt(deps) {
   const { WebSocket, mqtt, HttpsProxyAgent, buildStream, buildProxy,
-    topics, parseDelta, getTaskResponseData, logger, emitAuth
+    topics, parseDelta, handleLsResponse, rejectPendingRequests,
+    scheduleSyncCursorSave, clearSyncCursor, logger, emitAuth
   } = deps;
 
   return function listenMqtt(defaultFuncs, api, ctx, globalCallback) {
@@ -34,8 +36,8 @@ module.exports = function createListenMqtt(deps) {
     const cookies = api.getCookies();
     let host;
     if (ctx.mqttEndpoint) host = `${ctx.mqttEndpoint}&sid=${sessionID}&cid=${ctx.clientId}`;
-    else if (ctx.region) host = `wss://edge-chat.facebook.com/chat?region=${ctx.region.toLowerCase()}&sid=${sessionID}&cid=${ctx.clientId}`;
-    else host = `wss://edge-chat.facebook.com/chat?sid=${sessionID}&cid=${ctx.clientId}`;
+    else if (ctx.region) host = `${endpoint(ctx, "edgeChat")}?region=${ctx.region.toLowerCase()}&sid=${sessionID}&cid=${ctx.clientId}`;
+    else host = `${endpoint(ctx, "edgeChat")}?sid=${sessionID}&cid=${ctx.clientId}`;
 
     const options = {
       clientId: "mqttwsclient",
@@ -46,10 +48,10 @@ module.exports = function createListenMqtt(deps) {
       wsOptions: {
         headers: {
           Cookie: cookies,
-          Origin: "https://www.facebook.com",
+          Origin: endpoint(ctx, "facebook"),
           "User-Agent": ctx.globalOptions.userAgent || "Mozilla/5.0",
-          Referer: "https://www.facebook.com/",
-          Host: "edge-chat.facebook.com",
+          Referer: endpoint(ctx, "facebook", "/"),
+          Host: new URL(host).host,
           Connection: "Upgrade",
           Pragma: "no-cache",
           "Cache-Control": "no-cache",
@@ -59,7 +61,7 @@ module.exports = function createListenMqtt(deps) {
           "Accept-Language": "vi,en;q=0.9",
           "Sec-WebSocket-Extensions": "permessage-deflate; client_max_window_bits"
         },
-        origin: "https://www.facebook.com",
+        origin: endpoint(ctx, "facebook"),
         protocolVersion: 13,
         binaryType: "arraybuffer"
       },
@@ -73,6 +75,8 @@ module.exports = function createListenMqtt(deps) {
       options.wsOptions.agent = agent;
     }
 
+    // Hold queued sends until the new connection has confirmed itself on /t_ms
+    if (ctx.sendQueue) ctx.sendQueue.pause();
     ctx.mqttClient = new mqtt.Client(
       () => buildStream(options, new WebSocket(host, options.wsOptions), buildProxy()),
       options
@@ -80,6 +84,23 @@ module.exports = function createListenMqtt(deps) {
     const mqttClient = ctx.mqttClient;
     global.mqttClient = mqttClient;
 
+    // With the `record` option, publishes are recorded in both directions. The
+    // pending /ls_req entry names the decoder replay needs for its /ls_resp.
+    const recordFrame = direction => packet => {
+      const recorder = ctx.http && ctx.http.recorder;
+      if (!recorder || packet.cmd !== "publish") return;
+      let task;
+      if ((packet.topic === "/ls_req" || packet.topic === "/ls_resp") && ctx.tasks instanceof Map) {
+        try {
+          const entry = ctx.tasks.get(JSON.parse(String(packet.payload)).request_id);
+          task = entry && entry.type;
+        } catch (_) { }
+      }
+      recorder.mqtt(direction, packet, task);
+    };
+    mqttClient.on("packetsend", recordFrame("out"));
+    mqttClient.on("packetreceive", recordFrame("in"));
+
     mqttClient.on("error", function (err) {
       const msg = String(err && err.message ? err.message : err || "");
       if ((ctx._ending || ctx._cycling) && /No subscription existed|client disconnecting/i.test(msg)) {
@@ -136,6 +157,7 @@ module.exports = function createListenMqtt(deps) {
       ctx.tmsWait = function () {
         clearTimeout(rTimeout);
         if (ctx.globalOptions.emitReady) globalCallback({ type: "ready", error: null });
+        if (ctx.sendQueue && ctx.mqttClient === mqttClient) ctx.sendQueue.resume();
         delete ctx.tmsWait;
       };
     });
@@ -151,13 +173,25 @@ module.exports = function createListenMqtt(deps) {
           globalCallback(null, { type: "friend_request_cancel", actorFbId: jsonMessage.from.toString(), timestamp: Date.now().toString() });
         } else if (topic === "/t_ms") {
           if (ctx.tmsWait && typeof ctx.tmsWait == "function") ctx.tmsWait();
+          if (jsonMessage.errorCode) {
+            // The saved sync token expired or the gap was too large to replay
+            logger(`mqtt sync error ${jsonMessage.errorCode}, doing a full resync`, "warn");
+            clearSyncCursor(ctx);
+            if (typeof ctx.forceCycle === "function") ctx.forceCycle();
+            return;
+          }
           if (jsonMessage.firstDeltaSeqId && jsonMessage.syncToken) {
             ctx.lastSeqId = jsonMessage.firstDeltaSeqId;
             ctx.syncToken = jsonMessage.syncToken;
           }
           if (jsonMessage.lastIssuedSeqId) ctx.lastSeqId = parseInt(jsonMessage.lastIssuedSeqId);
+          if (jsonMessage.firstDeltaSeqId || jsonMessage.lastIssuedSeqId) scheduleSyncCursorSave(ctx);
           for (const dlt of (jsonMessage.deltas || [])) {
-            parseDelta(defaultFuncs, api, ctx, globalCallback, { delta: dlt });
+            if (ctx.delivery && ctx.delivery.enabled) {
+              ctx.delivery.push(dlt, cb => parseDelta(defaultFuncs, api, ctx, cb, { delta: dlt }), globalCallback);
+            } else {
+              parseDelta(defaultFuncs, api, ctx, globalCallback, { delta: dlt });
+            }
           }
         } else if (topic === "/thread_typing" || topic === "/orca_typing_notifications") {
           const typ = {
@@ -175,22 +209,17 @@ module.exports = function createListenMqtt(deps) {
             }
           }
         } else if (topic === "/ls_resp") {
-          const parsedPayload = JSON.parse(jsonMessage.payload);
-          const reqID = jsonMessage.request_id;
-          if (ctx["tasks"].has(reqID)) {
-            const taskData = ctx["tasks"].get(reqID);
-            const { type: taskType, callback: taskCallback } = taskData;
-            const taskRespData = getTaskResponseData(taskType, parsedPayload);
-            if (taskRespData == null) taskCallback("error", null);
-            else taskCallback(null, Object.assign({ type: taskType, reqID }, taskRespData));
-          }
+          handleLsResponse(ctx, jsonMessage);
         }
       } catch (ex) {
         logger(`mqtt message parse error: ${ex && ex.message ? ex.message : ex}`, "error");
       }
     });
 
-    mqttClient.on("close", function () { });
+    mqttClient.on("close", function () {
+      if (ctx.sendQueue && ctx.mqttClient === mqttClient) ctx.sendQueue.pause();
+      rejectPendingRequests(ctx, mqttClient);
+    });
     mqttClient.on("disconnect", () => { });
   };
 };
@@ -1,14 +1,16 @@
 "use strict";
 const { getType } = require("../../../utils/format");
 const { parseAndCheckLogin } = require("../../../utils/client");
+const { endpoint } = require("../../../utils/endpoints");
+const { requestQuery } = require("../../../utils/queries");
 module.exports = function createGetSeqID(deps) {
   const { listenMqtt, logger, emitAuth } = deps;
 
   return function getSeqID(defaultFuncs, api, ctx, globalCallback, form) {
     ctx.t_mqttCalled = false;
-    return defaultFuncs
-      .post("https://www.facebook.com/api/graphqlbatch/", ctx.jar, form)
-      .then(parseAndCheckLogin(ctx, defaultFuncs))
+    return requestQuery(ctx, "threadList", docID => defaultFuncs
+      .post(endpoint(ctx, "facebook", "/api/graphqlbatch/"), ctx.jar, form(docID))
+      .then(parseAndCheckLogin(ctx, defaultFuncs)))
       .then(resData => {
         if (getType(resData) !== "Array") throw { error: "Not logged in" };
         if (!Array.isArray(resData) || !resData.length) return;
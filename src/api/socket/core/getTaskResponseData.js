@@ -1,18 +1,58 @@
 "use strict";
+
+// The `/ls_resp` payload is a nested "step" program; the ids we need live in a
+// handful of stored-procedure calls whose position varies between task types.
+function walkSteps(payload) {
+  let messageID = null;
+  let threadID = null;
+  function walk(n) {
+    if (!Array.isArray(n)) return;
+    if (n[0] === 5 && (n[1] === "replaceOptimsiticMessage" || n[1] === "replaceOptimisticMessage")) {
+      messageID = String(n[3]);
+    }
+    if (n[0] === 5 && n[1] === "writeCTAIdToThreadsTable") {
+      const a = n[2];
+      if (Array.isArray(a) && a[0] === 19) threadID = String(a[1]);
+    }
+    for (const x of n) walk(x);
+  }
+  walk(payload && payload.step);
+  return { threadID, messageID };
+}
+
+function pick(payload, index) {
+  const row = payload?.step?.[1]?.[2]?.[2]?.[1];
+  return Array.isArray(row) && row[index] != null ? row[index] : null;
+}
+
 module.exports = function getTaskResponseData(taskType, payload) {
+  if (!payload || typeof payload !== "object") return null;
   try {
     switch (taskType) {
       case "send_message_mqtt":
-        return {
-          type: taskType,
-          threadID: payload.step[1][2][2][1][2],
-          messageID: payload.step[1][2][2][1][3],
-          payload: payload.step[1][2]
-        };
+      case "forward_message":
+      case "share_contact":
+        return walkSteps(payload);
       case "set_message_reaction":
-        return { mid: payload.step[1][2][2][1][4] };
-      case "edit_message":
-        return { mid: payload.step[1][2][2][1][2] };
+        return { mid: pick(payload, 4) };
+      case "edit_message": {
+        const mid = pick(payload, 2);
+        if (mid == null) return null;
+        return { mid, body: pick(payload, 4) };
+      }
+      case "unsend_message":
+      case "thread_theme":
+        return { mid: pick(payload, 2), body: pick(payload, 4) };
+      case "poll_creation":
+        return {};
+      case "add_participants":
+      case "remove_participant":
+      case "admin_status":
+      case "thread_name":
+      case "thread_image":
+      case "thread_quick_reaction":
+      case "thread_participant_nickname":
+        return { response: payload };
       default:
         return null;
     }
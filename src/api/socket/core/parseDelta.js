@@ -1,11 +1,19 @@
 "use strict";
 const { formatDeltaEvent, formatMessage, _formatAttachment, formatDeltaMessage, formatDeltaReadReceipt, formatID, getType, decodeClientPayload } = require("../../../utils/format");
+const { endpoint } = require("../../../utils/endpoints");
+const { requestQuery } = require("../../../utils/queries");
 module.exports = function createParseDelta(deps) {
   const { markDelivery, parseAndCheckLogin } = deps;
+  // Returns a promise that settles once every event of the delta has been
+  // emitted, so the delivery queue can keep async enrichment in order
   return function parseDelta(defaultFuncs, api, ctx, globalCallback, { delta }) {
+    const pending = [];
     if (delta.class === "NewMessage") {
+      let settle;
+      pending.push(new Promise(resolve => { settle = resolve; }));
       const resolveAttachmentUrl = i => {
         if (!delta.attachments || i === delta.attachments.length || getType(delta.attachments) !== "Array") {
+          settle();
           let fmtMsg;
           try {
             fmtMsg = formatDeltaMessage(delta);
@@ -56,6 +64,20 @@ module.exports = function createParseDelta(deps) {
               timestamp: d.deltaRecallMessageData.timestamp
             };
             globalCallback(null, messageUnsend);
+          } else if (d.deltaMessageEdit && !!ctx.globalOptions.listenEvents) {
+            // listenMqtt's message history adds `previous` and `edits`
+            const threadKey = d.deltaMessageEdit.threadKey || {};
+            const threadID = threadKey.threadFbId || threadKey.otherUserFbId;
+            const messageEdit = {
+              type: "message_edit",
+              threadID: threadID ? threadID.toString() : null,
+              messageID: d.deltaMessageEdit.messageID,
+              senderID: d.deltaMessageEdit.senderID != null ? d.deltaMessageEdit.senderID.toString() : null,
+              body: d.deltaMessageEdit.text || "",
+              timestamp: parseInt(d.deltaMessageEdit.timestamp) || Date.now()
+            };
+            if (!ctx.globalOptions.selfListen && messageEdit.senderID === ctx.userID) continue;
+            globalCallback(null, messageEdit);
           } else if (d.deltaMessageReply) {
             const mdata = d.deltaMessageReply.message === undefined ? [] : d.deltaMessageReply.message.data === undefined ? [] : d.deltaMessageReply.message.data.prng === undefined ? [] : JSON.parse(d.deltaMessageReply.message.data.prng);
             const m_id = mdata.map(u => u.i);
@@ -133,11 +155,11 @@ module.exports = function createParseDelta(deps) {
                 participantIDs: (d.deltaMessageReply.repliedToMessage.participants || []).map(e => e.toString())
               };
             } else if (d.deltaMessageReply.replyToMessageId) {
-              return defaultFuncs.post("https://www.facebook.com/api/graphqlbatch/", ctx.jar, {
+              pending.push(requestQuery(ctx, "messageReply", docID => defaultFuncs.post(endpoint(ctx, "facebook", "/api/graphqlbatch/"), ctx.jar, {
                 av: ctx.globalOptions.pageID,
                 queries: JSON.stringify({
                   o0: {
-                    doc_id: "2848441488556444",
+                    doc_id: docID,
                     query_params: {
                       thread_and_message_id: {
                         thread_id: callbackToReturn.threadID,
@@ -146,7 +168,7 @@ module.exports = function createParseDelta(deps) {
                     }
                   }
                 })
-              }).then(parseAndCheckLogin(ctx, defaultFuncs)).then(resData => {
+              }).then(parseAndCheckLogin(ctx, defaultFuncs))).then(resData => {
                 if (resData[resData.length - 1].error_results > 0) throw resData[0].o0.errors;
                 if (resData[resData.length - 1].successful_results === 0) throw { error: "forcedFetch: there was no successful_results", res: resData };
                 const fetchData = resData[0].o0.data.message;
@@ -172,18 +194,19 @@ module.exports = function createParseDelta(deps) {
                 }
                 if (!ctx.globalOptions.selfListen && callbackToReturn.senderID === ctx.userID) return;
                 globalCallback(null, callbackToReturn);
-              });
+              }));
+              continue;
             } else {
               callbackToReturn.delta = d;
             }
             if (ctx.globalOptions.autoMarkDelivery) {
               markDelivery(ctx, api, callbackToReturn.threadID, callbackToReturn.messageID);
             }
-            if (!ctx.globalOptions.selfListen && callbackToReturn.senderID === ctx.userID) return;
+            if (!ctx.globalOptions.selfListen && callbackToReturn.senderID === ctx.userID) continue;
             globalCallback(null, callbackToReturn);
           }
         }
-        return;
+        return Promise.all(pending);
       }
     }
     switch (delta.class) {
@@ -236,11 +259,11 @@ module.exports = function createParseDelta(deps) {
         const mid = delta.messageId;
         const tid = delta.threadKey.threadFbId;
         if (mid && tid) {
-          const form = {
+          const form = docID => ({
             av: ctx.globalOptions.pageID,
             queries: JSON.stringify({
               o0: {
-                doc_id: "2848441488556444",
+                doc_id: docID,
                 query_params: {
                   thread_and_message_id: {
                     thread_id: tid.toString(),
@@ -249,8 +272,8 @@ module.exports = function createParseDelta(deps) {
                 }
               }
             })
-          };
-          defaultFuncs.post("https://www.facebook.com/api/graphqlbatch/", ctx.jar, form).then(parseAndCheckLogin(ctx, defaultFuncs)).then(resData => {
+          });
+          pending.push(requestQuery(ctx, "messageReply", docID => defaultFuncs.post(endpoint(ctx, "facebook", "/api/graphqlbatch/"), ctx.jar, form(docID)).then(parseAndCheckLogin(ctx, defaultFuncs))).then(resData => {
             if (resData[resData.length - 1].error_results > 0) throw resData[0].o0.errors;
             if (resData[resData.length - 1].successful_results === 0) throw { error: "forcedFetch: there was no successful_results", res: resData };
             const fetchData = resData[0].o0.data.message;
@@ -313,7 +336,7 @@ module.exports = function createParseDelta(deps) {
             } else {
               return;
             }
-          }).catch(err => {});
+          }).catch(err => {}));
         }
         break;
       }
@@ -347,5 +370,6 @@ module.exports = function createParseDelta(deps) {
         break;
       }
     }
+    return Promise.all(pending);
   };
 };
@@ -0,0 +1,100 @@
+"use strict";
+const logger = require("../../../../func/logger");
+const { sessionKey } = require("../../../database/sessionStore");
+
+// How long a saved cursor stays usable before we fall back to getSeqID
+const DEFAULT_MAX_SYNC_GAP = 6 * 60 * 60 * 1000;
+const SAVE_DELAY_MS = 2000;
+
+function syncConf(ctx) {
+  const o = (ctx && ctx.globalOptions) || {};
+  return {
+    resumeSync: o.resumeSync !== false,
+    maxSyncGap: typeof o.maxSyncGap === "number" ? o.maxSyncGap : DEFAULT_MAX_SYNC_GAP
+  };
+}
+
+function canPersist(ctx) {
+  return syncConf(ctx).resumeSync && !!ctx.sessionStore && !!ctx.userID;
+}
+
+function parseCursor(raw) {
+  if (!raw) return null;
+  try {
+    const cursor = typeof raw === "string" ? JSON.parse(raw) : raw;
+    if (!cursor || !cursor.lastSeqId || !cursor.syncToken) return null;
+    return { lastSeqId: cursor.lastSeqId, syncToken: cursor.syncToken, updatedAt: Number(cursor.updatedAt) || 0 };
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Returns the cursor to resume from, or null when a full resync is needed.
+ * The in-memory cursor (kept across force-cycles) wins over the stored one.
+ */
+async function loadSyncCursor(ctx, now = Date.now()) {
+  const { resumeSync, maxSyncGap } = syncConf(ctx);
+  if (!resumeSync) return null;
+  let cursor = null;
+  if (ctx.lastSeqId && ctx.syncToken) {
+    cursor = { lastSeqId: ctx.lastSeqId, syncToken: ctx.syncToken, updatedAt: ctx.syncUpdatedAt || now };
+  } else if (canPersist(ctx)) {
+    try {
+      cursor = parseCursor(await ctx.sessionStore.get(sessionKey(ctx.userID, "sync")));
+    } catch (err) {
+      logger(`sync cursor load failed: ${err && err.message ? err.message : err}`, "warn");
+    }
+  }
+  if (!cursor) return null;
+  if (maxSyncGap > 0 && now - cursor.updatedAt > maxSyncGap) {
+    logger(`sync cursor is ${Math.round((now - cursor.updatedAt) / 1000)}s old, doing a full resync`, "info");
+    return null;
+  }
+  return cursor;
+}
+
+function saveSyncCursor(ctx) {
+  if (ctx._syncSaveTimer) {
+    clearTimeout(ctx._syncSaveTimer);
+    ctx._syncSaveTimer = null;
+  }
+  if (!canPersist(ctx) || !ctx.lastSeqId || !ctx.syncToken) return Promise.resolve(false);
+  const cursor = { lastSeqId: ctx.lastSeqId, syncToken: ctx.syncToken, updatedAt: ctx.syncUpdatedAt || Date.now() };
+  return Promise.resolve()
+    .then(() => ctx.sessionStore.set(sessionKey(ctx.userID, "sync"), JSON.stringify(cursor)))
+    .then(() => true)
+    .catch(err => {
+      logger(`sync cursor save failed: ${err && err.message ? err.message : err}`, "warn");
+      return false;
+    });
+}
+
+// /t_ms can arrive many times a second; coalesce writes to the store
+function scheduleSyncCursorSave(ctx) {
+  ctx.syncUpdatedAt = Date.now();
+  if (ctx._syncSaveTimer || !canPersist(ctx)) return;
+  ctx._syncSaveTimer = setTimeout(() => saveSyncCursor(ctx), SAVE_DELAY_MS);
+}
+
+function clearSyncCursor(ctx) {
+  if (ctx._syncSaveTimer) {
+    clearTimeout(ctx._syncSaveTimer);
+    ctx._syncSaveTimer = null;
+  }
+  ctx.lastSeqId = null;
+  ctx.syncToken = undefined;
+  ctx.syncUpdatedAt = undefined;
+  if (!ctx.sessionStore || !ctx.userID) return Promise.resolve();
+  return Promise.resolve()
+    .then(() => ctx.sessionStore.delete(sessionKey(ctx.userID, "sync")))
+    .catch(err => logger(`sync cursor clear failed: ${err && err.message ? err.message : err}`, "warn"));
+}
+
+module.exports = {
+  DEFAULT_MAX_SYNC_GAP,
+  loadSyncCursor,
+  saveSyncCursor,
+  scheduleSyncCursorSave,
+  clearSyncCursor
+};
@@ -0,0 +1,133 @@
+"use strict";
+/**
+ * Payload schema of every event emitted by listenMqtt. Bump the version when a
+ * field is removed or changes type, and keep index.d.ts in step.
+ *
+ * Field types are "string", "number", "boolean", "object", "array", "null" or
+ * "any"; alternatives are joined with "|" and optional fields end with "?".
+ */
+const EVENT_SCHEMA_VERSION = 1;
+
+const EVENT_SCHEMAS = {
+  message: {
+    event: "message_new",
+    fields: {
+      threadID: "string", messageID: "string", senderID: "string", body: "string",
+      attachments: "array", mentions: "object", timestamp: "string|number", isGroup: "boolean",
+      args: "array?", participantIDs: "array?"
+    }
+  },
+  message_reply: {
+    event: "message_reply",
+    fields: {
+      threadID: "string", messageID: "string", senderID: "string", body: "string",
+      attachments: "array", mentions: "object", timestamp: "number", isGroup: "boolean",
+      args: "array", participantIDs: "array", messageReply: "object?", delta: "object?"
+    }
+  },
+  message_reaction: {
+    event: "message_reaction",
+    fields: { threadID: "string", messageID: "string", senderID: "string", userID: "string", reaction: "string?" }
+  },
+  message_unsend: {
+    event: "message_unsend",
+    fields: {
+      threadID: "string", messageID: "string", senderID: "string",
+      deletionTimestamp: "string|number", timestamp: "string|number", original: "object?"
+    }
+  },
+  message_edit: {
+    event: "message_edit",
+    fields: {
+      threadID: "string|null", messageID: "string", senderID: "string|null", body: "string",
+      previous: "string|null", edits: "array?", timestamp: "number"
+    }
+  },
+  event: {
+    event: "event",
+    fields: {
+      threadID: "string", logMessageType: "string", logMessageData: "any", author: "string|number",
+      logMessageBody: "string?", participantIDs: "array?", timestamp: "string|number?"
+    }
+  },
+  typ: {
+    event: "typ",
+    fields: { threadID: "string", from: "string", isTyping: "boolean", fromMobile: "boolean?", userID: "string?" }
+  },
+  presence: {
+    event: "presence",
+    fields: { userID: "string", timestamp: "number", statuses: "any" }
+  },
+  read_receipt: {
+    event: "read_receipt",
+    fields: { threadID: "string", reader: "string", time: "string|number" }
+  },
+  read: {
+    event: "read",
+    fields: { threadID: "string", time: "string|number" }
+  },
+  friend_request_received: {
+    event: "friend_request_received",
+    fields: { actorFbId: "string", timestamp: "string" }
+  },
+  friend_request_cancel: {
+    event: "friend_request_cancel",
+    fields: { actorFbId: "string", timestamp: "string" }
+  },
+  // The three below reach the listener callback as its first (error) argument
+  account_inactive: {
+    event: "account_inactive",
+    fields: { reason: "string", error: "string", timestamp: "number" }
+  },
+  stop_listen: {
+    event: "stop_listen",
+    fields: { error: "string" }
+  },
+  ready: {
+    event: "ready",
+    fields: { error: "null" }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/**
+ * Check an event against its schema
+ * @param {Object} event - Event as passed to the listenMqtt callback
+ * @returns {string[]} Problems found; empty when the event is valid
+ */
+function validateEvent(event) {
+  if (!event || typeof event.type !== "string") return ["missing type"];
+  const schema = EVENT_SCHEMAS[event.type];
+  if (!schema) return [`unknown type ${event.type}`];
+  const problems = [];
+  for (const [field, spec] of Object.entries(schema.fields)) {
+    const optional = spec.endsWith("?");
+    const allowed = spec.replace(/\?$/, "").split("|");
+    const value = event[field];
+    if (value === undefined) {
+      if (!optional) problems.push(`${event.type}.${field} is missing`);
+      continue;
+    }
+    if (!allowed.includes("any") && !allowed.includes(typeOf(value))) {
+      problems.push(`${event.type}.${field} should be ${allowed.join(" or ")}, got ${typeOf(value)}`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Name of the MessageEmitter event for a payload type
+ * @param {string} type - Payload `type`
+ * @returns {string|null}
+ */
+function eventName(type) {
+  const schema = EVENT_SCHEMAS[type];
+  return schema ? schema.event : null;
+}
+
+module.exports = { EVENT_SCHEMA_VERSION, EVENT_SCHEMAS, validateEvent, eventName };
@@ -7,18 +7,20 @@ const logger = require("../../../func/logger");
 const { parseAndCheckLogin } = require("../../utils/client");
 const { buildProxy, buildStream } = require("./detail/buildStream");
 const { topics } = require("./detail/constants");
+const { eventName } = require("./detail/eventSchema");
 const createParseDelta = require("./core/parseDelta");
 const createListenMqtt = require("./core/connectMqtt");
 const createGetSeqID = require("./core/getSeqID");
 const markDelivery = require("./core/markDelivery");
-const getTaskResponseData = require("./core/getTaskResponseData");
+const { handleLsResponse, rejectPendingRequests } = require("../../core/sendReqMqtt");
+const { loadSyncCursor, saveSyncCursor, scheduleSyncCursorSave, clearSyncCursor } = require("./core/syncCursor");
 const createEmitAuth = require("./core/emitAuth");
 const { NetworkError } = require("../../utils/errors");
 const parseDelta = createParseDelta({ markDelivery, parseAndCheckLogin });
 // Create emitAuth first so it can be injected into both factories
 const emitAuth = createEmitAuth({ logger });
 // Pass emitAuth into connectMqtt so errors there can signal auth state
-const listenMqtt = createListenMqtt({ WebSocket, mqtt, HttpsProxyAgent, buildStream, buildProxy, topics, parseDelta, getTaskResponseData, logger, emitAuth });
+const listenMqtt = createListenMqtt({ WebSocket, mqtt, HttpsProxyAgent, buildStream, buildProxy, topics, parseDelta, handleLsResponse, rejectPendingRequests, scheduleSyncCursorSave, clearSyncCursor, logger, emitAuth });
 // Inject emitAuth into getSeqID so its catch handler can notify properly
 const getSeqIDFactory = createGetSeqID({ parseAndCheckLogin, listenMqtt, logger, emitAuth });
 
@@ -62,24 +64,50 @@ module.exports = function (defaultFuncs, api, ctx, opts) {
   let conf = mqttConf(ctx, opts);
 
   function getSeqIDWrapper() {
-    const form = {
+    const form = docID => ({
       av: ctx.globalOptions.pageID,
       queries: JSON.stringify({
         o0: {
-          doc_id: "3336396659757871",
+          doc_id: docID,
           query_params: {
             limit: 1, before: null, tags: ["INBOX"],
             includeDeliveryReceipts: false, includeSeqID: true
           }
         }
       })
-    };
+    });
     logger("mqtt getSeqID call", "debug");
     return getSeqIDFactory(defaultFuncs, api, ctx, globalCallback, form)
       .then(() => { logger("mqtt getSeqID done", "debug"); ctx._cycling = false; })
       .catch(e => { logger(`mqtt getSeqID error: ${e && e.message ? e.message : e}`, "error"); });
   }
 
+  // Pick up from the saved sync cursor so deltas missed while offline are replayed
+  function resumeOrResync() {
+    return loadSyncCursor(ctx).then(cursor => {
+      if (!cursor) {
+        ctx.lastSeqId = null;
+        ctx.syncToken = undefined;
+        return getSeqIDWrapper();
+      }
+      ctx.lastSeqId = cursor.lastSeqId;
+      ctx.syncToken = cursor.syncToken;
+      ctx.syncUpdatedAt = cursor.updatedAt;
+      ctx._cycling = false;
+      logger(`mqtt resuming sync from seq ${cursor.lastSeqId}`, "debug");
+      listenMqtt(defaultFuncs, api, ctx, globalCallback);
+    });
+  }
+
+  // Errors thrown while setting up the connection (e.g. building the WebSocket
+  // or proxy) would otherwise be unhandled rejections
+  function startSync() {
+    resumeOrResync().catch(err => {
+      ctx._cycling = false;
+      logger(`mqtt connect failed: ${err && err.message ? err.message : err}`, "error");
+    });
+  }
+
   function isConnected() {
     return !!(ctx.mqttClient && ctx.mqttClient.connected);
   }
@@ -100,9 +128,8 @@ module.exports = function (defaultFuncs, api, ctx, opts) {
     const finish = () => {
       try { ctx.mqttClient && ctx.mqttClient.removeAllListeners(); } catch (_) { }
       ctx.mqttClient = undefined;
-      ctx.lastSeqId = null;
-      ctx.syncToken = undefined;
       ctx.t_mqttCalled = false;
+      saveSyncCursor(ctx);
       ctx._ending = false;
       next && next();
     };
@@ -117,7 +144,7 @@ module.exports = function (defaultFuncs, api, ctx, opts) {
   function delayedReconnect() {
     const d = conf.reconnectDelayMs;
     logger(`mqtt reconnect in ${d}ms`, "info");
-    setTimeout(() => getSeqIDWrapper(), d);
+    setTimeout(startSync, d);
   }
 
   function forceCycle() {
@@ -134,6 +161,10 @@ module.exports = function (defaultFuncs, api, ctx, opts) {
         const cb = callback2 || function () { };
         logger("mqtt stop requested", "info");
         globalCallback = identity;
+        delete ctx.forceCycle;
+        delete ctx.dispatchEvent;
+        // Nothing would flush these any more
+        if (ctx.sendQueue) ctx.sendQueue.clear(new NetworkError("Stopped listening before the send went out"));
 
         if (ctx._autoCycleTimer) {
           clearInterval(ctx._autoCycleTimer);
@@ -156,17 +187,47 @@ module.exports = function (defaultFuncs, api, ctx, opts) {
 
     const msgEmitter = new MessageEmitter();
 
-    globalCallback = callback || function (error, message) {
-      if (error) { logger("mqtt emit error", "error"); return msgEmitter.emit("error", error); }
-      msgEmitter.emit("message", message);
+    const listener = callback || function (error, message) {
+      if (error && error.type !== "ready") { logger("mqtt emit error", "error"); return msgEmitter.emit("error", error); }
+      if (message) msgEmitter.emit("message", message);
+    };
+    // Every payload is also emitted under its own event name, see detail/eventSchema
+    function emitPayload(error, message) {
+      listener(error, message);
+      const payload = message || error;
+      const name = payload && eventName(payload.type);
+      if (name) msgEmitter.emit(name, payload);
+    }
+    // Payloads go through api.use() middlewares first; errors skip them.
+    // Whatever reaches the listener is then offered to pending
+    // api.awaitReply/awaitMessage calls and to api.commands.
+    function deliver(event) {
+      emitPayload(null, event);
+      if (ctx.conversations) ctx.conversations.handle(event);
+      if (ctx.commands && ctx.commands.size) ctx.commands.handle(event);
+    }
+    globalCallback = function (error, message) {
+      if (error || !message) return emitPayload(error, message);
+      if (ctx.messageHistory) message = ctx.messageHistory.track(message);
+      // Stored before middleware so that dropped events are still recorded
+      if (ctx.messageStore) {
+        ctx.messageStore.record(message).catch(err => logger(`Message store failed: ${err && err.message ? err.message : err}`, "warn"));
+      }
+      if (!ctx.middleware) return deliver(message);
+      ctx.middleware.dispatch(message, deliver);
     };
 
     conf = mqttConf(ctx, conf);
 
     installPostGuard();
 
-    if (!ctx.firstListen) ctx.lastSeqId = null;
-    ctx.syncToken = undefined;
+    if (ctx.conversations) {
+      ctx.conversations.restore().catch(err => logger(`conversation restore failed: ${err && err.message ? err.message : err}`, "warn"));
+    }
+    if (ctx.scheduler) {
+      ctx.scheduler.start().catch(err => logger(`scheduled message restore failed: ${err && err.message ? err.message : err}`, "warn"));
+    }
+
     ctx.t_mqttCalled = false;
 
     if (ctx._autoCycleTimer) { clearInterval(ctx._autoCycleTimer); ctx._autoCycleTimer = null; }
@@ -177,12 +238,12 @@ module.exports = function (defaultFuncs, api, ctx, opts) {
       logger("mqtt auto-cycle disabled", "debug");
     }
 
-    if (!ctx.firstListen || !ctx.lastSeqId) getSeqIDWrapper();
-    else {
-      logger("mqtt starting listenMqtt", "debug");
-      listenMqtt(defaultFuncs, api, ctx, globalCallback);
-    }
+    startSync();
 
+    // Lets an in-process auto-login reconnect with the refreshed session
+    ctx.forceCycle = forceCycle;
+    // Lets APIs emit events of their own, e.g. message_edit from editMessage
+    ctx.dispatchEvent = event => globalCallback(null, event);
     api.stopListening = msgEmitter.stopListening;
     api.stopListeningAsync = msgEmitter.stopListeningAsync;
     return msgEmitter;
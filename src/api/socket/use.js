@@ -0,0 +1,13 @@
+"use strict";
+
+module.exports = function (defaultFuncs, api, ctx) {
+  /**
+   * Add a middleware that every listenMqtt payload passes through before it
+   * reaches the listener, see MiddlewareChain#use
+   * @param {Function} middleware - `(event, next) => void | Promise<void>`
+   * @returns {Function} Removes the middleware again
+   */
+  return function use(middleware) {
+    return ctx.middleware.use(middleware);
+  };
+};
@@ -0,0 +1,130 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const log = require("npmlog");
+const { getType } = require("../../utils/format");
+const { ValidationError } = require("../../utils/errors");
+const {
+  EXPORT_FORMATS,
+  toTime,
+  collectHistory,
+  downloadAttachments,
+  renderJSON,
+  renderJSONL,
+  renderHTML,
+  renderFacebook,
+  facebookThreadPath
+} = require("../../core/threadExport");
+
+module.exports = function(defaultFuncs, api, ctx) {
+  async function exportHistory(threadID, options) {
+    const format = options.format || "json";
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new ValidationError(`format must be one of: ${EXPORT_FORMATS.join(", ")}`, { format });
+    }
+    if (options.attachments && !options.output) {
+      throw new ValidationError("Downloading attachments needs an output path");
+    }
+    const since = toTime(options.since, "since");
+    const until = toTime(options.until, "until");
+    const history = api.iterateMessages(threadID, { pageSize: options.pageSize || 100, before: until == null ? null : until + 1 });
+
+    // Names and title only; the export goes ahead without them
+    const info = await api.getThreadInfo(threadID).catch(err => {
+      log.warn("exportThread", `getThreadInfo failed: ${err && err.message ? err.message : err}`);
+      return null;
+    });
+    const messages = await collectHistory(history, { since, until });
+
+    const result = { threadID, format, messageCount: messages.length, output: null, attachments: null };
+    let root = null;
+    let dir = null;
+    if (options.output) {
+      root = format === "facebook" ? path.resolve(options.output) : path.dirname(path.resolve(options.output));
+      dir = format === "facebook"
+        ? path.join(root, facebookThreadPath(threadID, info))
+        : path.join(root, `${path.basename(options.output, path.extname(options.output))}_files`);
+    }
+    if (options.attachments) {
+      result.attachments = await downloadAttachments(messages, dir, {
+        root,
+        download: url => ctx.http.download(url, ctx.jar),
+        resolvePhotoUrl: api.resolvePhotoUrl
+      });
+    }
+
+    let content;
+    switch (format) {
+      case "jsonl":
+        content = renderJSONL(messages);
+        break;
+      case "html":
+        content = renderHTML(threadID, messages, info);
+        break;
+      case "facebook":
+        content = renderFacebook(threadID, messages, info);
+        break;
+      default:
+        content = renderJSON(threadID, messages, info, { since, until });
+    }
+
+    if (!options.output) {
+      result.content = content;
+      return result;
+    }
+    if (format === "facebook") {
+      fs.mkdirSync(dir, { recursive: true });
+      content.forEach((file, i) => fs.writeFileSync(path.join(dir, `message_${i + 1}.json`), JSON.stringify(file, null, 2)));
+      result.output = dir;
+    } else {
+      fs.mkdirSync(root, { recursive: true });
+      fs.writeFileSync(path.resolve(options.output), content);
+      result.output = path.resolve(options.output);
+    }
+    return result;
+  }
+
+  /**
+   * Page through the whole history of a thread and write it out
+   * @param {string} threadID - Thread to export
+   * @param {Object} [options]
+   * @param {Date|number|string} [options.since] - Oldest message to include
+   * @param {Date|number|string} [options.until] - Newest message to include
+   * @param {"json"|"jsonl"|"html"|"facebook"} [options.format="json"] - Output format
+   * @param {string} [options.output] - File to write, or the export root for "facebook"; without it the content is returned
+   * @param {boolean} [options.attachments=false] - Download photos, videos, audio, files and stickers next to the output
+   * @param {number} [options.pageSize=100] - Messages per getThreadHistory request
+   * @param {Function} [callback] - `(err, result)`
+   * @returns {Promise<Object>} `{ threadID, format, messageCount, output, attachments, content }`
+   */
+  return function exportThread(threadID, options, callback) {
+    if (getType(options) === "Function" || getType(options) === "AsyncFunction") {
+      callback = options;
+      options = {};
+    }
+    let resolveFunc = function() {};
+    let rejectFunc = function() {};
+    const returnPromise = new Promise(function(resolve, reject) {
+      resolveFunc = resolve;
+      rejectFunc = reject;
+    });
+    if (!callback) {
+      callback = function(err, data) {
+        if (err) {
+          return rejectFunc(err);
+        }
+        resolveFunc(data);
+      };
+    }
+
+    exportHistory(String(threadID), options || {})
+      .then(result => callback(null, result))
+      .catch(err => {
+        log.error("exportThread", err);
+        callback(err);
+      });
+
+    return returnPromise;
+  };
+};
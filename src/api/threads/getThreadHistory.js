@@ -3,6 +3,8 @@
 const log = require("npmlog");
 const { parseAndCheckLogin } = require("../../utils/client");
 const { getAdminTextMessageType } = require("../../utils/format");
+const { endpoint } = require("../../utils/endpoints");
+const { requestQuery } = require("../../utils/queries");
 function getExtension(original_extension, filename = "") {
   if (original_extension) {
     return original_extension;
@@ -621,12 +623,11 @@ module.exports = function(defaultFuncs, api, ctx) {
 
     // `queries` has to be a string. I couldn't tell from the dev console. This
     // took me a really long time to figure out. I deserve a cookie for this.
-    const form = {
+    const form = docID => ({
       av: ctx.userID,
       queries: JSON.stringify({
         o0: {
-          // This doc_id was valid on February 2nd 2017.
-          doc_id: "1498317363570230",
+          doc_id: docID,
           query_params: {
             id: threadID,
             message_limit: amount,
@@ -636,11 +637,11 @@ module.exports = function(defaultFuncs, api, ctx) {
           }
         }
       })
-    };
+    });
 
-    defaultFuncs
-      .post("https://www.facebook.com/api/graphqlbatch/", ctx.jar, form)
-      .then(parseAndCheckLogin(ctx, defaultFuncs))
+    requestQuery(ctx, "threadHistory", docID => defaultFuncs
+      .post(endpoint(ctx, "facebook", "/api/graphqlbatch/"), ctx.jar, form(docID))
+      .then(parseAndCheckLogin(ctx, defaultFuncs)))
       .then(function(resData) {
         if (resData.error) {
           throw resData;
@@ -652,7 +653,11 @@ module.exports = function(defaultFuncs, api, ctx) {
           throw new Error("There was an error_result.");
         }
 
-        callback(null, formatMessagesGraphQLResponse(resData[0]));
+        const messages = formatMessagesGraphQLResponse(resData[0]);
+        if (ctx.messageStore) {
+          ctx.messageStore.save(messages).catch(err => log.warn("getThreadHistory", `Message store failed: ${err.message}`));
+        }
+        callback(null, messages);
       })
       .catch(function(err) {
         log.error("getThreadHistoryGraphQL", err);
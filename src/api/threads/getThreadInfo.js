@@ -4,6 +4,8 @@ const logger = require("../../../func/logger");
 const { parseAndCheckLogin } = require("../../utils/client");
 const { formatID, getType } = require("../../utils/format");
 const { NetworkError } = require("../../utils/errors");
+const { endpoint } = require("../../utils/endpoints");
+const { requestQuery } = require("../../utils/queries");
 
 function formatEventReminders(reminder) {
   return {
@@ -126,11 +128,11 @@ let loopStarted = false;
 
 module.exports = function (defaultFuncs, api, ctx) {
   const getMultiInfo = async function (threadIDs) {
-    const buildQueries = () => {
+    const buildQueries = docID => {
       const form = {};
       threadIDs.forEach((x, y) => {
         form["o" + y] = {
-          doc_id: "3449967031715030",
+          doc_id: docID,
           query_params: {
             id: x,
             message_limit: 0,
@@ -149,8 +151,9 @@ module.exports = function (defaultFuncs, api, ctx) {
     let lastErr = null;
     for (let attempt = 1; attempt <= maxAttempts; attempt++) {
       try {
-        const Submit = buildQueries();
-        const resData = await defaultFuncs.post("https://www.facebook.com/api/graphqlbatch/", ctx.jar, Submit).then(parseAndCheckLogin(ctx, defaultFuncs));
+        const resData = await requestQuery(ctx, "threadInfo", docID => defaultFuncs
+          .post(endpoint(ctx, "facebook", "/api/graphqlbatch/"), ctx.jar, buildQueries(docID))
+          .then(parseAndCheckLogin(ctx, defaultFuncs)));
         if (!Array.isArray(resData) || resData.length === 0) throw new NetworkError("EmptyGraphBatch");
         const tail = resData[resData.length - 1];
         if (tail?.error_results && tail.error_results !== 0) throw new NetworkError("GraphErrorResults");
@@ -276,7 +279,7 @@ module.exports = function (defaultFuncs, api, ctx) {
     setInterval(() => {
       checkAndUpdateThreads();
       processQueue();
-    }, 10000);
+    }, 10000).unref();
   }
 
   return async function getThreadInfoGraphQL(threadID, callback) {
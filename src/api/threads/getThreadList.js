@@ -3,14 +3,14 @@
 const log = require("npmlog");
 const { parseAndCheckLogin } = require("../../utils/client");
 const { formatID, getType } = require("../../utils/format");
-function createProfileUrl(url, username, id) {
+const { endpoint } = require("../../utils/endpoints");
+const { requestQuery } = require("../../utils/queries");
+function createProfileUrl(url, username, id, ctx) {
   if (url) return url;
-  return (
-    "https://www.facebook.com/" + (username || formatID(id.toString()))
-  );
+  return endpoint(ctx, "facebook", "/" + (username || formatID(id.toString())));
 }
 
-function formatParticipants(participants) {
+function formatParticipants(participants, ctx) {
   return participants.edges.map(p => {
     p = p.node.messaging_actor;
     switch (p["__typename"]) {
@@ -53,7 +53,7 @@ function formatParticipants(participants) {
           accountType: p["__typename"],
           userID: formatID(p.id.toString()),
           name: p.name,
-          url: createProfileUrl(p.url, p.username, p.id), // in this case p.url is null all the time
+          url: createProfileUrl(p.url, p.username, p.id, ctx), // in this case p.url is null all the time
           profilePicture: p.big_image_src.uri, // in this case it is default facebook photo, we could determine gender using it
           username: p.username || null, // maybe we could use it to generate profile URL?
           isMessageBlockedByViewer: p.is_message_blocked_by_viewer // true/false
@@ -100,7 +100,7 @@ function mapNicknames(customizationInfo) {
     : [];
 }
 
-function formatThreadList(data) {
+function formatThreadList(data, ctx) {
   return data.map(t => {
     let lastMessageNode =
       t.last_message && t.last_message.nodes && t.last_message.nodes.length > 0
@@ -121,7 +121,7 @@ function formatThreadList(data) {
       threadTheme: t.thread_theme,
       nicknames: mapNicknames(t.customization_info),
       muteUntil: t.mute_until,
-      participants: formatParticipants(t.all_participants),
+      participants: formatParticipants(t.all_participants, ctx),
       adminIDs: t.thread_admins.map(a => a.id),
       folder: t.folder,
       isGroup: t.thread_type === "GROUP",
@@ -155,7 +155,7 @@ function formatThreadList(data) {
           : null,
       cannotReplyReason: t.cannot_reply_reason,
       approvalMode: Boolean(t.approval_mode),
-      participantIDs: formatParticipants(t.all_participants).map(
+      participantIDs: formatParticipants(t.all_participants, ctx).map(
         participant => participant.userID
       ),
       threadType: t.thread_type === "GROUP" ? 2 : 1, // "GROUP" or "ONE_TO_ONE"
@@ -206,11 +206,11 @@ module.exports = function(defaultFuncs, api, ctx) {
         resolveFunc(data);
       };
     }
-    const form = {
+    const form = docID => ({
       av: ctx.userID,
       queries: JSON.stringify({
         o0: {
-          doc_id: "3336396659757871",
+          doc_id: docID,
           query_params: {
             limit: limit + (timestamp ? 1 : 0),
             before: timestamp,
@@ -221,10 +221,10 @@ module.exports = function(defaultFuncs, api, ctx) {
         }
       }),
       batch_name: "MessengerGraphQLThreadlistFetcher"
-    };
-    defaultFuncs
-      .post("https://www.facebook.com/api/graphqlbatch/", ctx.jar, form)
-      .then(parseAndCheckLogin(ctx, defaultFuncs))
+    });
+    requestQuery(ctx, "threadList", docID => defaultFuncs
+      .post(endpoint(ctx, "facebook", "/api/graphqlbatch/"), ctx.jar, form(docID))
+      .then(parseAndCheckLogin(ctx, defaultFuncs)))
       .then(resData => {
         if (resData[resData.length - 1].error_results > 0)
           throw resData[0].o0.errors;
@@ -236,7 +236,7 @@ module.exports = function(defaultFuncs, api, ctx) {
         if (timestamp) resData[0].o0.data.viewer.message_threads.nodes.shift();
         callback(
           null,
-          formatThreadList(resData[0].o0.data.viewer.message_threads.nodes)
+          formatThreadList(resData[0].o0.data.viewer.message_threads.nodes, ctx)
         );
       })
       .catch(err => {
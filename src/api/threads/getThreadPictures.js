@@ -2,6 +2,7 @@
 
 const log = require("npmlog");
 const { parseAndCheckLogin } = require("../../utils/client");
+const { endpoint } = require("../../utils/endpoints");
 module.exports = function(defaultFuncs, api, ctx) {
   return function getThreadPictures(threadID, offset, limit, callback) {
     let resolveFunc = function() {};
@@ -28,7 +29,7 @@ module.exports = function(defaultFuncs, api, ctx) {
 
     defaultFuncs
       .post(
-        "https://www.facebook.com/ajax/messaging/attachments/sharedphotos.php",
+        endpoint(ctx, "facebook", "/ajax/messaging/attachments/sharedphotos.php"),
         ctx.jar,
         form
       )
@@ -45,7 +46,7 @@ module.exports = function(defaultFuncs, api, ctx) {
             };
             return defaultFuncs
               .post(
-                "https://www.facebook.com/ajax/messaging/attachments/sharedphotos.php",
+                endpoint(ctx, "facebook", "/ajax/messaging/attachments/sharedphotos.php"),
                 ctx.jar,
                 form
               )
@@ -0,0 +1,32 @@
+"use strict";
+
+const { ValidationError } = require("../../utils/errors");
+const { pageOptions, paginate } = require("../../utils/paginate");
+
+module.exports = function(defaultFuncs, api, ctx) {
+  /**
+   * Iterate over the messages and events of a thread, newest first, through getThreadHistory
+   * @param {string} threadID - Thread to read
+   * @param {Object} [options]
+   * @param {number} [options.before] - Start with messages sent before this timestamp
+   * @param {number} [options.pageSize=50] - Messages per request
+   * @param {number} [options.limit] - Stop after this many messages
+   * @param {number} [options.retries=3] - Retries of a failed page
+   * @param {number} [options.backoff=1000] - Delay before the first retry in ms, doubled for each further one
+   * @returns {AsyncGenerator<Object>} Messages as returned by getThreadHistory
+   */
+  return function iterateMessages(threadID, options = {}) {
+    if (threadID == null || threadID === "") throw new ValidationError("threadID is required");
+    const paging = pageOptions(options, 50);
+    const before = options.before == null ? null : options.before;
+    if (before !== null && !Number.isFinite(before)) throw new ValidationError("before must be a timestamp in milliseconds", { before });
+    return paginate(Object.assign({
+      cursor: before,
+      // Pages come oldest first; the next page ends at the oldest message of this one
+      fetch: async (cursor, amount) => ((await api.getThreadHistory(threadID, amount, cursor)) || []).slice().reverse(),
+      // getThreadHistory reports message types it cannot format as { error }
+      key: message => (message.error ? null : message.messageID),
+      next: messages => Number(messages[messages.length - 1].timestamp)
+    }, paging));
+  };
+};
@@ -0,0 +1,29 @@
+"use strict";
+
+const { ValidationError } = require("../../utils/errors");
+const { pageOptions, paginate } = require("../../utils/paginate");
+
+module.exports = function(defaultFuncs, api, ctx) {
+  /**
+   * Iterate over the photos shared in a thread through getThreadPictures
+   * @param {string} threadID - Thread to read
+   * @param {Object} [options]
+   * @param {number} [options.offset=0] - Number of photos to skip
+   * @param {number} [options.pageSize=20] - Photos per request
+   * @param {number} [options.limit] - Stop after this many photos
+   * @param {number} [options.retries=3] - Retries of a failed page
+   * @param {number} [options.backoff=1000] - Delay before the first retry in ms, doubled for each further one
+   * @returns {AsyncGenerator<Object>} Images as returned by getThreadPictures
+   */
+  return function iterateThreadPictures(threadID, options = {}) {
+    if (threadID == null || threadID === "") throw new ValidationError("threadID is required");
+    const paging = pageOptions(options, 20);
+    const offset = options.offset == null ? 0 : options.offset;
+    if (!Number.isInteger(offset) || offset < 0) throw new ValidationError("offset must be a non-negative integer", { offset });
+    return paginate(Object.assign({
+      cursor: offset,
+      fetch: (cursor, amount) => api.getThreadPictures(threadID, cursor, amount),
+      next: (images, cursor) => cursor + images.length
+    }, paging));
+  };
+};
@@ -0,0 +1,33 @@
+"use strict";
+
+const { ValidationError } = require("../../utils/errors");
+const { pageOptions, paginate } = require("../../utils/paginate");
+
+module.exports = function(defaultFuncs, api, ctx) {
+  /**
+   * Iterate over threads, most recently updated first, through getThreadList
+   * @param {Object} [options]
+   * @param {string|string[]} [options.tags=["INBOX"]] - Folders, e.g. "INBOX", "ARCHIVED", "PENDING"
+   * @param {number} [options.before] - Start with threads updated before this timestamp
+   * @param {number} [options.pageSize=20] - Threads per request
+   * @param {number} [options.limit] - Stop after this many threads
+   * @param {number} [options.retries=3] - Retries of a failed page
+   * @param {number} [options.backoff=1000] - Delay before the first retry in ms, doubled for each further one
+   * @returns {AsyncGenerator<Object>} Threads as returned by getThreadList
+   */
+  return function iterateThreads(options = {}) {
+    const paging = pageOptions(options, 20);
+    const tags = options.tags == null ? ["INBOX"] : [].concat(options.tags);
+    const before = options.before == null ? null : options.before;
+    if (before !== null && !Number.isInteger(before)) throw new ValidationError("before must be a timestamp in milliseconds", { before });
+    return paginate(Object.assign({
+      cursor: before,
+      fetch: (cursor, amount) => api.getThreadList(amount, cursor, tags),
+      key: thread => thread.threadID,
+      next: threads => {
+        const timestamp = Number(threads[threads.length - 1].timestamp);
+        return Number.isInteger(timestamp) ? timestamp : null;
+      }
+    }, paging));
+  };
+};
@@ -2,6 +2,7 @@
 
 const log = require("npmlog");
 const { formatID } = require("../../utils/format");
+const { endpoint } = require("../../utils/endpoints");
 function formatData(data) {
   return {
     userID: formatID(data.uid.toString()),
@@ -44,7 +45,7 @@ module.exports = function(defaultFuncs, api, ctx) {
     };
 
     defaultFuncs
-      .get("https://www.facebook.com/ajax/typeahead/search.php", ctx.jar, form)
+      .get(endpoint(ctx, "facebook", "/ajax/typeahead/search.php"), ctx.jar, form)
       .then(parseAndCheckLogin(ctx, defaultFuncs))
       .then(function(resData) {
         if (resData.error) {
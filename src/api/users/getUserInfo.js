@@ -6,10 +6,10 @@ const log = require("npmlog");
 const logger = require("../../../func/logger.js");
 const { parseAndCheckLogin } = require("../../utils/client.js");
 const { NetworkError } = require("../../utils/errors");
+const { endpoint } = require("../../utils/endpoints");
+const { requestQuery } = require("../../utils/queries");
 
-const DOC_PRIMARY = "5009315269112105";
 const BATCH_PRIMARY = "MessengerParticipantsFetcher";
-const DOC_V2 = "24418640587785718";
 const FRIENDLY_V2 = "CometHovercardQueryRendererQuery";
 const CALLER_V2 = "RelayModern";
 
@@ -134,16 +134,16 @@ module.exports = function (defaultFuncs, api, ctx) {
   const { create, get, update, getAll } = userData;
 
   async function fetchPrimary(ids) {
-    const form = {
+    const form = docID => ({
       queries: JSON.stringify({
         o0: {
-          doc_id: DOC_PRIMARY,
+          doc_id: docID,
           query_params: { ids }
         }
       }),
       batch_name: BATCH_PRIMARY
-    };
-    const resData = await defaultFuncs.post("https://www.facebook.com/api/graphqlbatch/", ctx.jar, form).then(parseAndCheckLogin(ctx, defaultFuncs));
+    });
+    const resData = await requestQuery(ctx, "userInfo", docID => defaultFuncs.post(endpoint(ctx, "facebook", "/api/graphqlbatch/"), ctx.jar, form(docID)).then(parseAndCheckLogin(ctx, defaultFuncs)));
     if (!resData || resData.length === 0) throw new NetworkError("Empty response");
     const first = resData[0];
     if (!first || !first.o0) throw new NetworkError("Invalid batch payload");
@@ -167,15 +167,15 @@ module.exports = function (defaultFuncs, api, ctx) {
       scale: 1,
       __relay_internal__pv__WorkCometIsEmployeeGKProviderrelayprovider: false
     };
-    const form = {
+    const form = docID => ({
       av,
       fb_api_caller_class: CALLER_V2,
       fb_api_req_friendly_name: FRIENDLY_V2,
       server_timestamps: true,
-      doc_id: DOC_V2,
+      doc_id: docID,
       variables: JSON.stringify(variablesObj)
-    };
-    const raw = await defaultFuncs.post("https://www.facebook.com/api/graphql/", null, form).then(parseAndCheckLogin(ctx, defaultFuncs));
+    });
+    const raw = await requestQuery(ctx, "userHovercard", docID => defaultFuncs.post(endpoint(ctx, "facebook", "/api/graphql/"), null, form(docID)).then(parseAndCheckLogin(ctx, defaultFuncs)));
     const parsed = toJSONMaybe(raw) ?? raw;
     const root = Array.isArray(parsed) ? parsed[0] : parsed;
     const user = root?.data?.node?.comet_hovercard_renderer?.user || null;
@@ -272,7 +272,7 @@ module.exports = function (defaultFuncs, api, ctx) {
   setInterval(() => {
     checkAndUpdateUsers();
     processQueue();
-  }, 10000);
+  }, 10000).unref();
 
   return function getUserInfo(idsOrId, callback) {
     let resolveFunc, rejectFunc;
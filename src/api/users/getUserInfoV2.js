@@ -2,7 +2,8 @@
 
 const { parseAndCheckLogin } = require("../../utils/client.js");
 const logger = require("../../../func/logger.js");
-const DEFAULT_DOC_ID = "24418640587785718";
+const { endpoint } = require("../../utils/endpoints");
+const { requestQuery } = require("../../utils/queries");
 const DEFAULT_FRIENDLY_NAME = "CometHovercardQueryRendererQuery";
 const DEFAULT_CALLER_CLASS = "RelayModern";
 
@@ -97,15 +98,15 @@ module.exports = function (defaultFuncs, api, ctx) {
       scale: 1,
       __relay_internal__pv__WorkCometIsEmployeeGKProviderrelayprovider: false
     };
-    const form = {
+    const form = docID => ({
       av,
       fb_api_caller_class: DEFAULT_CALLER_CLASS,
       fb_api_req_friendly_name: DEFAULT_FRIENDLY_NAME,
       server_timestamps: true,
-      doc_id: DEFAULT_DOC_ID,
+      doc_id: docID,
       variables: JSON.stringify(variablesObj)
-    };
-    const raw = await defaultFuncs.post("https://www.facebook.com/api/graphql/", null, form).then(parseAndCheckLogin(ctx, defaultFuncs));
+    });
+    const raw = await requestQuery(ctx, "userHovercard", docID => defaultFuncs.post(endpoint(ctx, "facebook", "/api/graphql/"), null, form(docID)).then(parseAndCheckLogin(ctx, defaultFuncs)));
     const parsed = toJSONMaybe(raw) ?? raw;
     const root = Array.isArray(parsed) ? parsed[0] : parsed;
     const user = root?.data?.node?.comet_hovercard_renderer?.user || null;
@@ -0,0 +1,376 @@
+/**
+ * Command router for FCA/AsuraClient
+ * Matches prefix and mention triggers on incoming messages and dispatches
+ * them to registered handlers, with cooldowns, permission checks, argument
+ * parsing and a generated help command
+ * @module commands
+ */
+
+"use strict";
+
+const logger = require("../../func/logger");
+const { ValidationError } = require("../utils/errors");
+
+/**
+ * Argument declaration of a command
+ * @typedef {Object} CommandArg
+ * @property {string} name - Key in `params`
+ * @property {"string"|"number"|"rest"} [type="string"] - `rest` takes every remaining argument as one string
+ * @property {boolean} [required=false] - Reply with the usage line when missing
+ */
+
+/**
+ * Command definition
+ * @typedef {Object} Command
+ * @property {string} name - Command name, without prefix
+ * @property {string[]} [aliases] - Other names that trigger the command
+ * @property {string} [description] - One line shown in the help text
+ * @property {CommandArg[]} [args] - Declared arguments, parsed into `params`
+ * @property {number|{user?: number, thread?: number}} [cooldown] - Milliseconds per user, or per user and per thread
+ * @property {string|Function|Array<string|Function>} [permissions="everyone"] - "everyone", "admin" (thread admins), "owner" (`owners` option) or `(event, api) => boolean`; any match allows
+ * @property {Function} handler - Called with a {@link CommandContext}
+ */
+
+/**
+ * Passed to a command handler
+ * @typedef {Object} CommandContext
+ * @property {Object} api - The logged-in api
+ * @property {Object} event - The triggering message event
+ * @property {Command} command - The matched command
+ * @property {string} name - The name or alias that was used
+ * @property {string|null} prefix - The prefix used, or null for a mention trigger
+ * @property {string[]} args - Arguments split on whitespace, quotes kept together
+ * @property {Object} params - Declared arguments by name
+ * @property {Function} reply - `(message) => Promise`, replies to the triggering message
+ */
+
+const DEFAULTS = {
+  prefix: "/",
+  mention: true,
+  caseSensitive: false,
+  owners: [],
+  help: false
+};
+
+const HELP_COMMAND = {
+  name: "help",
+  description: "Show the list of commands, or details of one command",
+  args: [{ name: "command" }],
+  handler: ({ reply, params, router }) => reply(router.helpText(params.command))
+};
+
+/**
+ * Split a string into arguments; quoted parts stay together
+ * @param {string} text - Text after the command name
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  const args = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(text || ""))) {
+    args.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3]);
+  }
+  return args;
+}
+
+function adminIDsOf(info) {
+  return ((info && info.adminIDs) || []).map(admin => String(admin && admin.id != null ? admin.id : admin));
+}
+
+function formatDuration(ms) {
+  return ms % 1000 === 0 ? `${ms / 1000}s` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Command router
+ */
+class CommandRouter {
+  /**
+   * Create a command router
+   * @param {Object} api - The logged-in api, used to reply and to look up thread admins
+   * @param {Object} [options] - Router options
+   * @param {string|string[]} [options.prefix="/"] - Prefix or prefixes that trigger commands
+   * @param {boolean} [options.mention=true] - Also trigger on messages that start by mentioning the bot
+   * @param {boolean} [options.caseSensitive=false] - Match command names case-sensitively
+   * @param {string[]} [options.owners] - User IDs allowed by the "owner" permission and by every other check
+   * @param {boolean} [options.help=false] - Register the built-in help command
+   */
+  constructor(api, options) {
+    this.api = api;
+    this.commands = new Map();
+    this.names = new Map();
+    this.cooldowns = new Map();
+    this.configure(options);
+  }
+
+  /**
+   * Number of registered commands; listenMqtt only offers events to the
+   * router while there is at least one
+   * @returns {number}
+   */
+  get size() {
+    return this.commands.size;
+  }
+
+  /**
+   * Update router options; omitted keys keep their current value
+   * @param {Object} [options] - Same shape as the constructor options
+   */
+  configure(options = {}) {
+    const current = this.options || DEFAULTS;
+    const prefix = options.prefix != null ? options.prefix : current.prefix;
+    this.options = {
+      prefix: [].concat(prefix).filter(p => typeof p === "string" && p.length),
+      mention: options.mention != null ? Boolean(options.mention) : current.mention,
+      caseSensitive: options.caseSensitive != null ? Boolean(options.caseSensitive) : current.caseSensitive,
+      owners: (options.owners || current.owners).map(String),
+      help: options.help != null ? Boolean(options.help) : current.help
+    };
+    // Longest prefix first, so "!!" wins over "!"
+    this.options.prefix.sort((a, b) => b.length - a.length);
+    this.names.clear();
+    for (const command of this.commands.values()) {
+      [command.name].concat(command.aliases || []).forEach(name => this.names.set(this.key(name), command.name));
+    }
+    if (this.options.help && !this.commands.has(HELP_COMMAND.name)) this.register(HELP_COMMAND);
+    if (!this.options.help && this.commands.get(HELP_COMMAND.name) === HELP_COMMAND) this.unregister(HELP_COMMAND.name);
+  }
+
+  /**
+   * Register a command
+   * @param {Command} command - Command definition
+   * @returns {Function} Unregisters the command again
+   */
+  register(command) {
+    if (!command || typeof command.name !== "string" || !/^\S+$/.test(command.name)) {
+      throw new ValidationError("Command name must be a non-empty string without spaces", { name: command && command.name });
+    }
+    if (typeof command.handler !== "function") {
+      throw new ValidationError(`Command ${command.name} needs a handler function`, { name: command.name });
+    }
+    const names = [command.name].concat(command.aliases || []).map(name => this.key(name));
+    const taken = names.find(name => this.names.has(name));
+    if (taken) throw new ValidationError(`Command name ${taken} is already registered`, { name: taken });
+    this.commands.set(command.name, command);
+    names.forEach(name => this.names.set(name, command.name));
+    return () => this.unregister(command.name);
+  }
+
+  /**
+   * Remove a command and its aliases
+   * @param {string} name - Command name
+   * @returns {boolean} Whether it was registered
+   */
+  unregister(name) {
+    const command = this.commands.get(name);
+    if (!command) return false;
+    this.commands.delete(name);
+    for (const [key, target] of this.names) {
+      if (target === name) this.names.delete(key);
+    }
+    return true;
+  }
+
+  /**
+   * Look up a command by name or alias
+   * @param {string} name - Name or alias
+   * @returns {Command|null}
+   */
+  get(name) {
+    const target = this.names.get(this.key(name));
+    return target ? this.commands.get(target) : null;
+  }
+
+  /**
+   * Registered commands in registration order
+   * @returns {Command[]}
+   */
+  list() {
+    return Array.from(this.commands.values());
+  }
+
+  /**
+   * Match a message against the registered commands
+   * @param {Object} event - Message event
+   * @returns {{command: Command, name: string, prefix: string|null, args: string[]}|null}
+   */
+  parse(event) {
+    if (!event || (event.type !== "message" && event.type !== "message_reply") || typeof event.body !== "string") return null;
+    const body = event.body.trim();
+    let rest = null;
+    let prefix = null;
+    for (const p of this.options.prefix) {
+      if (body.startsWith(p)) {
+        prefix = p;
+        rest = body.slice(p.length);
+        break;
+      }
+    }
+    if (rest === null && this.options.mention) {
+      const selfID = this.selfID();
+      const tag = selfID && event.mentions && event.mentions[selfID];
+      if (tag && body.startsWith(tag)) rest = body.slice(tag.length);
+    }
+    if (rest === null) return null;
+    const [name, ...args] = tokenize(rest);
+    const command = name ? this.get(name) : null;
+    return command ? { command, name, prefix, args } : null;
+  }
+
+  /**
+   * Run the command a message triggers, if any. Called by listenMqtt for
+   * every event that made it through the middlewares.
+   * @param {Object} event - Incoming event
+   * @returns {Promise<boolean>} Whether a command was triggered
+   */
+  async handle(event) {
+    const match = this.parse(event);
+    if (!match || String(event.senderID) === this.selfID()) return false;
+    const { command, name, prefix, args } = match;
+    const reply = message => this.api.sendMessage(message, event.threadID, event.messageID);
+    try {
+      if (!(await this.isAllowed(command, event))) {
+        await reply(`You don't have permission to use ${this.usageName(command)}.`);
+        return true;
+      }
+      const wait = this.cooldownLeft(command, event);
+      if (wait > 0) {
+        await reply(`Please wait ${formatDuration(wait)} before using ${this.usageName(command)} again.`);
+        return true;
+      }
+      const params = this.parseParams(command, args);
+      if (!params) {
+        await reply(`Usage: ${this.usage(command)}`);
+        return true;
+      }
+      this.startCooldown(command, event);
+      await command.handler({ api: this.api, router: this, event, command, name, prefix, args, params, reply });
+    } catch (error) {
+      logger(`command ${command.name} failed: ${error && error.message ? error.message : error}`, "error");
+      if (typeof this.api.emit === "function") this.api.emit("command_error", { error, event, command: command.name });
+    }
+    return true;
+  }
+
+  /**
+   * Help text for every command, or the details of one
+   * @param {string} [name] - Command name or alias
+   * @returns {string}
+   */
+  helpText(name) {
+    if (name) {
+      const command = this.get(name);
+      if (!command) return `Unknown command: ${name}`;
+      const lines = [this.usage(command)];
+      if (command.description) lines.push(command.description);
+      if (command.aliases && command.aliases.length) lines.push(`Aliases: ${command.aliases.join(", ")}`);
+      const cooldown = this.cooldownOf(command);
+      if (cooldown.user) lines.push(`Cooldown: ${formatDuration(cooldown.user)} per user`);
+      if (cooldown.thread) lines.push(`Cooldown: ${formatDuration(cooldown.thread)} per thread`);
+      const permissions = [].concat(command.permissions || []).filter(p => typeof p === "string" && p !== "everyone");
+      if (permissions.length) lines.push(`Permissions: ${permissions.join(" or ")}`);
+      return lines.join("\n");
+    }
+    return ["Commands:"].concat(this.list().map(command => {
+      return command.description ? `${this.usage(command)} - ${command.description}` : this.usage(command);
+    })).join("\n");
+  }
+
+  /**
+   * Usage line of a command, e.g. `/kick <user> [reason...]`
+   * @param {Command} command - Command definition
+   * @returns {string}
+   */
+  usage(command) {
+    const args = (command.args || []).map(arg => {
+      const label = arg.type === "rest" ? `${arg.name}...` : arg.name;
+      return arg.required ? `<${label}>` : `[${label}]`;
+    });
+    return [this.usageName(command)].concat(args).join(" ");
+  }
+
+  /** @private */
+  usageName(command) {
+    return `${this.options.prefix[0] || ""}${command.name}`;
+  }
+
+  /** @private */
+  key(name) {
+    return this.options.caseSensitive ? String(name) : String(name).toLowerCase();
+  }
+
+  /** @private */
+  selfID() {
+    const id = typeof this.api.getCurrentUserID === "function" ? this.api.getCurrentUserID() : null;
+    return id != null ? String(id) : null;
+  }
+
+  /** @private */
+  async isAllowed(command, event) {
+    const senderID = String(event.senderID);
+    if (this.options.owners.includes(senderID)) return true;
+    for (const permission of [].concat(command.permissions || "everyone")) {
+      if (permission === "everyone") return true;
+      if (permission === "admin" && event.isGroup !== false) {
+        const info = await this.api.getThreadInfo(event.threadID);
+        if (adminIDsOf(info).includes(senderID)) return true;
+      }
+      if (typeof permission === "function" && await permission(event, this.api)) return true;
+    }
+    return false;
+  }
+
+  /** @private */
+  parseParams(command, args) {
+    const params = {};
+    const specs = command.args || [];
+    for (let i = 0; i < specs.length; i++) {
+      const spec = specs[i];
+      let value = spec.type === "rest" ? args.slice(i).join(" ") : args[i];
+      if (value === undefined || value === "") {
+        if (spec.required) return null;
+        continue;
+      }
+      if (spec.type === "number") {
+        value = Number(value);
+        if (Number.isNaN(value)) return null;
+      }
+      params[spec.name] = value;
+    }
+    return params;
+  }
+
+  /** @private */
+  cooldownOf(command) {
+    const cooldown = command.cooldown;
+    if (typeof cooldown === "number") return { user: cooldown, thread: 0 };
+    return { user: (cooldown && cooldown.user) || 0, thread: (cooldown && cooldown.thread) || 0 };
+  }
+
+  /** @private */
+  cooldownKeys(command, event) {
+    return { user: `${command.name}:user:${event.senderID}`, thread: `${command.name}:thread:${event.threadID}` };
+  }
+
+  /** @private */
+  cooldownLeft(command, event, now = Date.now()) {
+    const keys = this.cooldownKeys(command, event);
+    const until = Math.max(this.cooldowns.get(keys.user) || 0, this.cooldowns.get(keys.thread) || 0);
+    return Math.max(0, until - now);
+  }
+
+  /** @private */
+  startCooldown(command, event, now = Date.now()) {
+    const cooldown = this.cooldownOf(command);
+    const keys = this.cooldownKeys(command, event);
+    for (const [key, until] of this.cooldowns) {
+      if (until <= now) this.cooldowns.delete(key);
+    }
+    if (cooldown.user) this.cooldowns.set(keys.user, now + cooldown.user);
+    if (cooldown.thread) this.cooldowns.set(keys.thread, now + cooldown.thread);
+  }
+}
+
+module.exports = CommandRouter;
+module.exports.tokenize = tokenize;
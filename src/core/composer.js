@@ -0,0 +1,223 @@
+/**
+ * Message composer for FCA/AsuraClient
+ * Builds message text piece by piece so that mention offsets and lengths
+ * come from the text itself instead of being searched for afterwards
+ * @module composer
+ */
+
+"use strict";
+
+const { ValidationError } = require("../utils/errors");
+
+// Longest text Messenger accepts in one message
+const MAX_LENGTH = 20000;
+
+// Zero-width space; each member of a mention-all gets one to anchor their mention
+const ANCHOR = "\u200B";
+
+function checkText(text, method) {
+  if (typeof text !== "string" && typeof text !== "number") {
+    throw new ValidationError(`${method}() takes a string`, { text });
+  }
+  return String(text);
+}
+
+/**
+ * Chainable message builder, created by `api.compose()`
+ * @example
+ * await api.compose().text("Hi ").mention("100012345678901").text("!").send(threadID);
+ */
+class MessageComposer {
+  /**
+   * Create a composer
+   * @param {Object} api - The logged-in api; `getUserInfo`, `getThreadInfo`, `getCurrentUserID` and `sendMessage` are used
+   */
+  constructor(api) {
+    this.api = api;
+    this.parts = [];
+    this.attachments = [];
+  }
+
+  /**
+   * Append plain text
+   * @param {string} text - Text
+   * @returns {MessageComposer}
+   */
+  text(text) {
+    this.parts.push({ text: checkText(text, "text") });
+    return this;
+  }
+
+  /**
+   * Append text followed by a line break
+   * @param {string} [text=""] - Text
+   * @returns {MessageComposer}
+   */
+  line(text = "") {
+    return this.text(`${checkText(text, "line")}\n`);
+  }
+
+  /**
+   * Append bold text (`*text*`), which Messenger renders as formatting
+   * @param {string} text - Text
+   * @returns {MessageComposer}
+   */
+  bold(text) {
+    return this.text(`*${checkText(text, "bold")}*`);
+  }
+
+  /**
+   * Append italic text (`_text_`)
+   * @param {string} text - Text
+   * @returns {MessageComposer}
+   */
+  italic(text) {
+    return this.text(`_${checkText(text, "italic")}_`);
+  }
+
+  /**
+   * Append struck-through text (`~text~`)
+   * @param {string} text - Text
+   * @returns {MessageComposer}
+   */
+  strikethrough(text) {
+    return this.text(`~${checkText(text, "strikethrough")}~`);
+  }
+
+  /**
+   * Append inline monospace text (`` `text` ``)
+   * @param {string} text - Text
+   * @returns {MessageComposer}
+   */
+  monospace(text) {
+    return this.text(`\`${checkText(text, "monospace")}\``);
+  }
+
+  /**
+   * Append a code block on lines of its own
+   * @param {string} code - Code
+   * @returns {MessageComposer}
+   */
+  codeBlock(code) {
+    return this.text(`\`\`\`\n${checkText(code, "codeBlock")}\n\`\`\``);
+  }
+
+  /**
+   * Mention a user. Without `name`, the user's name is looked up with
+   * getUserInfo when the message is built.
+   * @param {string} userID - User to mention
+   * @param {string} [name] - Text shown for the mention
+   * @returns {MessageComposer}
+   */
+  mention(userID, name) {
+    if (!/^\d+$/.test(String(userID == null ? "" : userID))) {
+      throw new ValidationError("mention() takes a numeric user ID", { userID });
+    }
+    if (name != null && !checkText(name, "mention")) {
+      throw new ValidationError("Mention text must not be empty", { userID });
+    }
+    this.parts.push({ mention: String(userID), name: name == null ? null : String(name) });
+    return this;
+  }
+
+  /**
+   * Mention every member of the group, except the logged-in account. The
+   * label is plain text; each member is mentioned on a zero-width character
+   * after it, so the message looks like the label alone.
+   * @param {string} [label="@everyone"] - Text shown
+   * @returns {MessageComposer}
+   */
+  everyone(label = "@everyone") {
+    this.parts.push({ everyone: true, label: checkText(label, "everyone") });
+    return this;
+  }
+
+  /**
+   * Attach a file; accepts anything the `attachment` of sendMessage accepts
+   * @param {Stream|Buffer|Object|string|Array} attachment - Attachment, or a list of them
+   * @returns {MessageComposer}
+   */
+  attach(attachment) {
+    if (attachment == null) throw new ValidationError("attach() takes an attachment");
+    this.attachments.push(...[].concat(attachment));
+    return this;
+  }
+
+  /**
+   * Resolve names and members, then check the message and turn it into a
+   * sendMessage object with exact mentions
+   * @param {string} [threadID] - Destination thread; needed for {@link MessageComposer#everyone}
+   * @returns {Promise<{body: string, mentions: Array<{tag: string, id: string, fromIndex: number}>, attachment?: Array}>}
+   * @throws {ValidationError} For an empty or too long message, a user without a name, or a mention-all outside a group
+   */
+  async build(threadID) {
+    const names = await this.resolveNames();
+    const members = await this.resolveMembers(threadID);
+
+    let body = "";
+    const mentions = [];
+    for (const part of this.parts) {
+      if (part.text != null) {
+        body += part.text;
+      } else if (part.mention) {
+        const tag = part.name || names[part.mention];
+        mentions.push({ tag, id: part.mention, fromIndex: body.length });
+        body += tag;
+      } else if (part.everyone) {
+        body += part.label;
+        for (const id of members) {
+          mentions.push({ tag: ANCHOR, id, fromIndex: body.length });
+          body += ANCHOR;
+        }
+      }
+    }
+
+    if (!body.trim() && !this.attachments.length) throw new ValidationError("Message is empty");
+    if (body.length > MAX_LENGTH) {
+      throw new ValidationError(`Message is longer than ${MAX_LENGTH} characters`, { length: body.length });
+    }
+    const message = { body, mentions };
+    if (this.attachments.length) message.attachment = this.attachments.slice();
+    return message;
+  }
+
+  /**
+   * Build the message and send it
+   * @param {string} threadID - Destination thread
+   * @param {string} [replyToMessageID] - Message to reply to
+   * @returns {Promise<Object>} What sendMessage resolves with
+   */
+  async send(threadID, replyToMessageID) {
+    if (!threadID) throw new ValidationError("threadID is required");
+    const message = await this.build(threadID);
+    return this.api.sendMessage(message, threadID, replyToMessageID);
+  }
+
+  async resolveNames() {
+    const ids = [...new Set(this.parts.filter(part => part.mention && !part.name).map(part => part.mention))];
+    if (!ids.length) return {};
+    const info = (await this.api.getUserInfo(ids)) || {};
+    const names = {};
+    const unknown = [];
+    for (const id of ids) {
+      const name = info[id] && info[id].name;
+      if (name) names[id] = name;
+      else unknown.push(id);
+    }
+    if (unknown.length) {
+      throw new ValidationError(`No name found for user ${unknown.join(", ")}; pass one to mention()`, { userIDs: unknown });
+    }
+    return names;
+  }
+
+  async resolveMembers(threadID) {
+    if (!this.parts.some(part => part.everyone)) return [];
+    if (!threadID) throw new ValidationError("Mentioning everyone needs the threadID");
+    const info = await this.api.getThreadInfo(threadID);
+    if (!info || !info.isGroup) throw new ValidationError("Mentioning everyone only works in group threads", { threadID });
+    const self = String(this.api.getCurrentUserID());
+    return (info.participantIDs || []).map(String).filter(id => id !== self);
+  }
+}
+
+module.exports = MessageComposer;
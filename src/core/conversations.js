@@ -0,0 +1,262 @@
+/**
+ * Conversation helper for FCA/AsuraClient
+ * Lets multi-step flows wait for the next reply to a message or the next
+ * message in a thread instead of tracking pending messageIDs by hand
+ * @module conversations
+ */
+
+"use strict";
+
+const logger = require("../../func/logger");
+const { FCAError, ValidationError } = require("../utils/errors");
+
+const DEFAULT_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Pending conversation as reported by {@link ConversationManager#list}
+ * @typedef {Object} PendingConversation
+ * @property {number} id - Conversation ID, accepted by cancel()
+ * @property {"reply"|"message"} kind - What it waits for
+ * @property {string|null} threadID - Thread it waits in, if known
+ * @property {string|null} messageID - Message it waits for replies to
+ * @property {string[]|null} from - Accepted senders; null for anyone
+ * @property {string|null} name - Name given for persistence
+ * @property {number|null} expiresAt - Timeout timestamp
+ */
+
+function toIDs(from) {
+  if (from == null) return null;
+  return [].concat(from).map(String);
+}
+
+/**
+ * Conversation manager
+ */
+class ConversationManager {
+  /**
+   * Create a conversation manager
+   * @param {Object} [options] - Manager options
+   * @param {Object} [options.store] - Persistence with `load()` and `save(threadID, records)`
+   * @param {Function} [options.persist] - Returns whether named conversations should be stored
+   * @param {Function} [options.onRestored] - Called with `{name, event, data}` when a conversation restored after a restart matches
+   */
+  constructor(options = {}) {
+    this.store = options.store || null;
+    this.persist = options.persist || (() => !!this.store);
+    this.onRestored = options.onRestored;
+    this.pending = new Map();
+    this.nextID = 0;
+    this.saving = new Map();
+    this.restored = false;
+  }
+
+  /**
+   * Wait for a reply to a message
+   * @param {string} messageID - Message to wait for replies to
+   * @param {Object} [options] - Wait options
+   * @param {string|string[]} [options.from] - Only accept replies from these users
+   * @param {number} [options.timeout=300000] - Milliseconds before rejecting with AWAIT_TIMEOUT; 0 waits forever
+   * @param {AbortSignal} [options.signal] - Rejects with AWAIT_CANCELLED when aborted
+   * @param {string} [options.threadID] - Thread of the message; required with `name`
+   * @param {string} [options.name] - Store the conversation under this name so it survives restarts
+   * @param {*} [options.data] - JSON data passed back with a restored conversation
+   * @returns {Promise<Object>} Resolves with the `message_reply` event; has `id` and `cancel()`
+   */
+  awaitReply(messageID, options = {}) {
+    if (!messageID) return Promise.reject(new ValidationError("messageID is required"));
+    if (options.name && !options.threadID) {
+      return Promise.reject(new ValidationError("threadID is required to persist a reply conversation", { messageID }));
+    }
+    return this.add({
+      kind: "reply",
+      messageID: String(messageID),
+      threadID: options.threadID != null ? String(options.threadID) : null
+    }, options);
+  }
+
+  /**
+   * Wait for the next message in a thread
+   * @param {string} threadID - Thread to watch
+   * @param {Function|Object} [filter] - `(event) => boolean`, or the options object
+   * @param {Object} [options] - Same as awaitReply, without `threadID`
+   * @returns {Promise<Object>} Resolves with the `message` or `message_reply` event; has `id` and `cancel()`
+   */
+  awaitMessage(threadID, filter, options) {
+    if (!threadID) return Promise.reject(new ValidationError("threadID is required"));
+    if (filter && typeof filter === "object") {
+      options = filter;
+      filter = null;
+    }
+    if (filter != null && typeof filter !== "function") {
+      return Promise.reject(new ValidationError("filter must be a function", { type: typeof filter }));
+    }
+    return this.add({ kind: "message", threadID: String(threadID), messageID: null, filter }, options || {});
+  }
+
+  /**
+   * Resolve every pending conversation the event matches. Called by
+   * listenMqtt for every event that reaches the listener.
+   * @param {Object} event - Incoming event
+   * @returns {number} Number of conversations resolved
+   */
+  handle(event) {
+    if (!event || (event.type !== "message" && event.type !== "message_reply")) return 0;
+    let matched = 0;
+    for (const entry of Array.from(this.pending.values())) {
+      if (!this.matches(entry, event)) continue;
+      matched++;
+      this.finish(entry);
+      if (entry.resolve) entry.resolve(event);
+      else if (typeof this.onRestored === "function") {
+        try {
+          this.onRestored({ name: entry.name, event, data: entry.data });
+        } catch (err) {
+          logger(`conversation ${entry.name} failed: ${err && err.message ? err.message : err}`, "error");
+        }
+      }
+    }
+    return matched;
+  }
+
+  /**
+   * Pending conversations, oldest first
+   * @returns {PendingConversation[]}
+   */
+  list() {
+    return Array.from(this.pending.values()).map(({ id, kind, threadID, messageID, from, name, expiresAt }) => ({
+      id, kind, threadID, messageID, from, name: name || null, expiresAt
+    }));
+  }
+
+  /**
+   * Cancel a pending conversation; its promise rejects with AWAIT_CANCELLED
+   * @param {number} id - Conversation ID
+   * @returns {boolean} Whether it was pending
+   */
+  cancel(id) {
+    const entry = this.pending.get(id);
+    if (!entry) return false;
+    this.finish(entry);
+    if (entry.reject) entry.reject(new FCAError("Conversation cancelled", "AWAIT_CANCELLED", { id }));
+    return true;
+  }
+
+  /**
+   * Cancel every pending conversation
+   * @returns {number} Number cancelled
+   */
+  cancelAll() {
+    return Array.from(this.pending.keys()).filter(id => this.cancel(id)).length;
+  }
+
+  /**
+   * Load conversations stored before a restart. When they match, `onRestored`
+   * is called instead of resolving a promise.
+   * @returns {Promise<number>} Number restored
+   */
+  async restore() {
+    if (this.restored || !this.store || !this.persist()) return 0;
+    this.restored = true;
+    const records = await this.store.load();
+    const now = Date.now();
+    let restored = 0;
+    const expiredThreads = new Set();
+    for (const record of records) {
+      if (!record || !record.name) continue;
+      if (record.expiresAt && record.expiresAt <= now) {
+        expiredThreads.add(record.threadID);
+        continue;
+      }
+      const entry = Object.assign({}, record, { id: ++this.nextID, persisted: true });
+      this.track(entry, record.expiresAt ? record.expiresAt - now : 0);
+      restored++;
+    }
+    expiredThreads.forEach(threadID => this.save(threadID));
+    return restored;
+  }
+
+  /** @private */
+  add(base, options) {
+    const timeout = options.timeout != null ? Number(options.timeout) : DEFAULT_TIMEOUT;
+    const entry = Object.assign(base, {
+      id: ++this.nextID,
+      from: toIDs(options.from),
+      name: options.name || null,
+      data: options.data,
+      expiresAt: timeout > 0 ? Date.now() + timeout : null
+    });
+    // Filters are functions and cannot be stored, so filtered waits stay in memory
+    entry.persisted = !!(entry.name && this.store && this.persist() && !entry.filter);
+    const promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+    if (options.signal) {
+      if (options.signal.aborted) {
+        entry.reject(new FCAError("Conversation cancelled", "AWAIT_CANCELLED", { id: entry.id }));
+        return Object.assign(promise, { id: entry.id, cancel: () => false });
+      }
+      options.signal.addEventListener("abort", () => this.cancel(entry.id), { once: true });
+    }
+    this.track(entry, timeout);
+    if (entry.persisted) this.save(entry.threadID);
+    return Object.assign(promise, { id: entry.id, cancel: () => this.cancel(entry.id) });
+  }
+
+  /** @private */
+  track(entry, timeout) {
+    this.pending.set(entry.id, entry);
+    if (timeout > 0) {
+      entry.timer = setTimeout(() => {
+        if (!this.pending.has(entry.id)) return;
+        this.finish(entry);
+        if (entry.reject) entry.reject(new FCAError("Timed out waiting for a reply", "AWAIT_TIMEOUT", { id: entry.id, timeout }));
+      }, timeout);
+    }
+  }
+
+  /** @private */
+  finish(entry) {
+    clearTimeout(entry.timer);
+    this.pending.delete(entry.id);
+    if (entry.persisted) this.save(entry.threadID);
+  }
+
+  /** @private */
+  matches(entry, event) {
+    if (entry.from && !entry.from.includes(String(event.senderID))) return false;
+    if (entry.kind === "reply") {
+      return event.type === "message_reply" && !!event.messageReply && String(event.messageReply.messageID) === entry.messageID;
+    }
+    if (String(event.threadID) !== entry.threadID) return false;
+    if (!entry.filter) return true;
+    try {
+      return !!entry.filter(event);
+    } catch (err) {
+      logger(`awaitMessage filter error: ${err && err.message ? err.message : err}`, "error");
+      return false;
+    }
+  }
+
+  /**
+   * Write the persisted conversations of a thread; writes of the same thread
+   * run one after another
+   * @private
+   */
+  save(threadID) {
+    if (!this.store) return Promise.resolve();
+    const records = Array.from(this.pending.values())
+      .filter(entry => entry.persisted && entry.threadID === threadID)
+      .map(({ kind, threadID: tid, messageID, from, name, data, expiresAt }) => ({ kind, threadID: tid, messageID, from, name, data, expiresAt }));
+    const previous = this.saving.get(threadID) || Promise.resolve();
+    const next = previous
+      .then(() => this.store.save(threadID, records))
+      .catch(err => logger(`conversation save failed: ${err && err.message ? err.message : err}`, "warn"));
+    this.saving.set(threadID, next);
+    next.then(() => { if (this.saving.get(threadID) === next) this.saving.delete(threadID); });
+    return next;
+  }
+}
+
+module.exports = ConversationManager;
+module.exports.DEFAULT_TIMEOUT = DEFAULT_TIMEOUT;
@@ -0,0 +1,175 @@
+/**
+ * Inbound delivery queue for FCA/AsuraClient
+ * Drops duplicate events replayed after a reconnect and keeps events of a
+ * thread in arrival order while some of them wait on async enrichment
+ * @module deliveryQueue
+ */
+
+"use strict";
+
+const logger = require("../../func/logger");
+const { decodeClientPayload } = require("../utils/format");
+
+const DEFAULTS = {
+  enabled: false,
+  dedupe: true,
+  ordered: true,
+  window: 1000,
+  timeoutMs: 10000
+};
+
+function threadKeyID(threadKey) {
+  if (!threadKey) return null;
+  const id = threadKey.threadFbId || threadKey.otherUserFbId;
+  return id != null ? String(id) : null;
+}
+
+/**
+ * Best-effort thread of a raw delta, used to pick its ordering chain
+ * @param {Object} delta - Delta from `/t_ms`
+ * @returns {string|null}
+ */
+function threadOfDelta(delta) {
+  if (!delta) return null;
+  const direct = threadKeyID((delta.messageMetadata && delta.messageMetadata.threadKey) || delta.threadKey);
+  if (direct) return direct;
+  if (delta.class !== "ClientPayload") return null;
+  try {
+    const payload = decodeClientPayload(delta.payload);
+    for (const d of (payload && payload.deltas) || []) {
+      const inner = d.deltaMessageReply
+        ? d.deltaMessageReply.message && d.deltaMessageReply.message.messageMetadata && d.deltaMessageReply.message.messageMetadata.threadKey
+        : (d.deltaMessageReaction || d.deltaRecallMessageData || d.deltaMessageEdit || {}).threadKey;
+      const id = threadKeyID(inner);
+      if (id) return id;
+    }
+  } catch (_) { }
+  return null;
+}
+
+/**
+ * Identity of an emitted event for deduplication. Reactions reference the
+ * message they react to rather than themselves, so they are never deduped.
+ * @param {Object} event - Formatted event
+ * @param {Object} delta - Delta it was built from
+ * @returns {string|null}
+ */
+function dedupeKey(event, delta) {
+  if (!event || !event.type || event.type === "message_reaction") return null;
+  const meta = (delta && delta.messageMetadata) || {};
+  const id = event.messageID || event.offlineThreadingID || meta.offlineThreadingId;
+  return id ? `${event.type}:${id}` : null;
+}
+
+/**
+ * Inbound delivery queue
+ */
+class DeliveryQueue {
+  /**
+   * Create a delivery queue
+   * @param {Object} [options] - Queue options
+   * @param {boolean} [options.enabled=false] - When false, deltas are parsed and emitted directly
+   * @param {boolean} [options.dedupe=true] - Drop events already emitted within the window
+   * @param {boolean} [options.ordered=true] - Emit events of a thread in the order their deltas arrived
+   * @param {number} [options.window=1000] - Number of recent event IDs remembered for deduplication
+   * @param {number} [options.timeoutMs=10000] - How long a slow delta may hold back its thread
+   */
+  constructor(options) {
+    this.seen = new Map();
+    this.tails = new Map();
+    this.configure(options);
+  }
+
+  /**
+   * Update queue options; omitted keys keep their current value
+   * @param {Object} [options] - Same shape as the constructor options
+   */
+  configure(options = {}) {
+    const current = this.options || DEFAULTS;
+    this.options = {
+      enabled: options.enabled != null ? Boolean(options.enabled) : current.enabled,
+      dedupe: options.dedupe != null ? Boolean(options.dedupe) : current.dedupe,
+      ordered: options.ordered != null ? Boolean(options.ordered) : current.ordered,
+      window: options.window || current.window,
+      timeoutMs: options.timeoutMs || current.timeoutMs
+    };
+    while (this.seen.size > this.options.window) this.seen.delete(this.seen.keys().next().value);
+  }
+
+  /**
+   * Whether deltas should go through the queue
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this.options.enabled;
+  }
+
+  /**
+   * Parse a delta through the queue
+   * @param {Object} delta - Delta from `/t_ms`
+   * @param {Function} parse - Called with a `(err, event)` callback; may return a promise that settles once all its events are emitted
+   * @param {Function} emit - Listener callback `(err, event)`
+   * @returns {Promise<void>} Settles once the delta's events have been emitted
+   */
+  push(delta, parse, emit) {
+    const deliver = (err, event) => this.deliver(err, event, delta, emit);
+    if (!this.options.ordered) return this.settle(() => parse(deliver));
+
+    const events = [];
+    let flushed = false;
+    // Events that show up after the timeout are emitted as soon as they arrive
+    const collect = (err, event) => {
+      if (flushed) deliver(err, event);
+      else events.push([err, event]);
+    };
+    const work = this.settle(() => parse(collect));
+
+    const thread = threadOfDelta(delta) || "";
+    const previous = this.tails.get(thread) || Promise.resolve();
+    const turn = Promise.all([previous, work]).then(() => {
+      flushed = true;
+      for (const [err, event] of events) deliver(err, event);
+      if (this.tails.get(thread) === turn) this.tails.delete(thread);
+    });
+    this.tails.set(thread, turn);
+    return turn;
+  }
+
+  /**
+   * Run a parse, resolving when it settles or times out
+   * @private
+   */
+  settle(run) {
+    let timer;
+    const work = Promise.resolve()
+      .then(run)
+      .catch(err => logger(`delta parse error: ${err && err.message ? err.message : err}`, "error"));
+    const timeout = new Promise(resolve => { timer = setTimeout(resolve, this.options.timeoutMs); });
+    return Promise.race([work, timeout]).then(() => clearTimeout(timer));
+  }
+
+  /**
+   * Emit an event unless it was already emitted
+   * @private
+   */
+  deliver(err, event, delta, emit) {
+    if (!err && this.options.dedupe) {
+      const key = dedupeKey(event, delta);
+      if (key) {
+        if (this.seen.has(key)) return;
+        this.seen.set(key, true);
+        if (this.seen.size > this.options.window) this.seen.delete(this.seen.keys().next().value);
+      }
+    }
+    try {
+      emit(err, event);
+    } catch (ex) {
+      // A throwing listener must not break the ordering chain of its thread
+      logger(`listener error: ${ex && ex.message ? ex.message : ex}`, "error");
+    }
+  }
+}
+
+module.exports = DeliveryQueue;
+module.exports.threadOfDelta = threadOfDelta;
+module.exports.dedupeKey = dedupeKey;
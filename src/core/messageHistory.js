@@ -0,0 +1,160 @@
+/**
+ * Recent message history for FCA/AsuraClient
+ * Keeps the content of recent messages so that unsends can report what was
+ * removed and edits can report the text they replaced
+ * @module messageHistory
+ */
+
+"use strict";
+
+const DEFAULTS = {
+  enabled: false,
+  maxMessages: 5000,
+  maxAge: 24 * 60 * 60 * 1000,
+  maxEdits: 10
+};
+
+/**
+ * Content of a message as cached
+ * @typedef {Object} CachedMessage
+ * @property {string} threadID - Thread ID
+ * @property {string} senderID - Author
+ * @property {string} body - Current text
+ * @property {Object[]} attachments - Formatted attachments
+ * @property {Object} mentions - Mentioned user IDs and their text
+ * @property {number|null} timestamp - Send time
+ * @property {Array<{body: string, timestamp: number}>} edits - Earlier texts, oldest first
+ */
+
+/**
+ * Recent message cache
+ */
+class MessageHistory {
+  /**
+   * Create a message history
+   * @param {Object} [options] - History options
+   * @param {boolean} [options.enabled=false] - When false, events pass through untouched
+   * @param {number} [options.maxMessages=5000] - Number of messages kept; the oldest are dropped first
+   * @param {number} [options.maxAge=86400000] - How long a message is kept, in ms
+   * @param {number} [options.maxEdits=10] - Earlier texts kept per message
+   */
+  constructor(options) {
+    this.messages = new Map();
+    this.configure(options);
+  }
+
+  /**
+   * Update history options; omitted keys keep their current value
+   * @param {Object} [options] - Same shape as the constructor options
+   */
+  configure(options = {}) {
+    const current = this.options || DEFAULTS;
+    this.options = {
+      enabled: options.enabled != null ? Boolean(options.enabled) : current.enabled,
+      maxMessages: options.maxMessages || current.maxMessages,
+      maxAge: options.maxAge || current.maxAge,
+      maxEdits: options.maxEdits != null ? options.maxEdits : current.maxEdits
+    };
+    if (!this.options.enabled) this.messages.clear();
+    this.prune();
+  }
+
+  /**
+   * Whether events should go through the history
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this.options.enabled;
+  }
+
+  /**
+   * Remember new messages and fill in unsend and edit events from what was
+   * remembered. `message_unsend` gets an `original` with the removed
+   * content; `message_edit` gets the `previous` text and the thread and
+   * author when it lacks them.
+   * @param {Object} event - listenMqtt event
+   * @returns {Object} The same event
+   */
+  track(event) {
+    if (!this.enabled || !event) return event;
+    switch (event.type) {
+      case "message":
+      case "message_reply":
+        if (event.messageReply) this.remember(event.messageReply);
+        this.remember(event);
+        break;
+      case "message_unsend": {
+        const cached = this.get(event.messageID);
+        if (cached) event.original = cached;
+        break;
+      }
+      case "message_edit": {
+        const cached = this.messages.get(String(event.messageID));
+        if (!cached) {
+          if (event.previous === undefined) event.previous = null;
+          break;
+        }
+        if (event.previous === undefined) event.previous = cached.body;
+        if (event.threadID == null) event.threadID = cached.threadID;
+        if (event.senderID == null) event.senderID = cached.senderID;
+        if (event.previous !== event.body) {
+          cached.edits.push({ body: event.previous, timestamp: Number(event.timestamp) || Date.now() });
+          if (cached.edits.length > this.options.maxEdits) cached.edits.splice(0, cached.edits.length - this.options.maxEdits);
+          cached.body = event.body;
+        }
+        event.edits = cached.edits.slice();
+        break;
+      }
+    }
+    return event;
+  }
+
+  /**
+   * Cache a message
+   * @param {Object} message - Formatted message or reply
+   */
+  remember(message) {
+    if (!message || !message.messageID) return;
+    const id = String(message.messageID);
+    const existing = this.messages.get(id);
+    this.messages.delete(id);
+    this.messages.set(id, {
+      threadID: message.threadID != null ? String(message.threadID) : null,
+      senderID: message.senderID != null ? String(message.senderID) : null,
+      body: message.body || "",
+      attachments: message.attachments || [],
+      mentions: message.mentions || {},
+      timestamp: message.timestamp != null ? Number(message.timestamp) : null,
+      edits: existing ? existing.edits : [],
+      cachedAt: Date.now()
+    });
+    this.prune();
+  }
+
+  /**
+   * A cached message
+   * @param {string} messageID - Message ID
+   * @returns {CachedMessage|null}
+   */
+  get(messageID) {
+    this.prune();
+    const cached = this.messages.get(String(messageID));
+    if (!cached) return null;
+    const { cachedAt, ...message } = cached;
+    return Object.assign(message, { edits: cached.edits.slice() });
+  }
+
+  /**
+   * Drop messages beyond the size and age limits
+   * @private
+   */
+  prune() {
+    const oldest = Date.now() - this.options.maxAge;
+    for (const [id, cached] of this.messages) {
+      if (this.messages.size <= this.options.maxMessages && cached.cachedAt >= oldest) break;
+      this.messages.delete(id);
+    }
+  }
+}
+
+module.exports = MessageHistory;
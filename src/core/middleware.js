@@ -0,0 +1,153 @@
+/**
+ * Middleware chain for incoming events for FCA/AsuraClient
+ * Runs every listenMqtt payload through `api.use()` middlewares before it
+ * reaches the listener
+ * @module middleware
+ */
+
+"use strict";
+
+const logger = require("../../func/logger");
+const { ValidationError } = require("../utils/errors");
+
+function isThenable(value) {
+  return !!value && typeof value.then === "function";
+}
+
+/**
+ * Middleware chain
+ */
+class MiddlewareChain {
+  /**
+   * Create a middleware chain
+   * @param {Object} [options] - Chain options
+   * @param {Function} [options.onError] - Called with `(error, event)` when a middleware throws
+   * @param {number} [options.timeout=5000] - How long to wait for a sync middleware to call `next`
+   */
+  constructor(options = {}) {
+    this.stack = [];
+    this.tails = new Map();
+    this.onError = options.onError;
+    this.timeout = options.timeout > 0 ? options.timeout : 5000;
+  }
+
+  /**
+   * Number of registered middlewares
+   * @returns {number}
+   */
+  get size() {
+    return this.stack.length;
+  }
+
+  /**
+   * Add a middleware. It is called as `(event, next)`: `next()` passes the
+   * event on, `next(newEvent)` replaces it and `next(null)` drops it. Async
+   * middlewares may call `next` any time before their promise settles; other
+   * middlewares may call it later (e.g. from a callback), and the event is
+   * dropped when they have not called it within `timeout`.
+   * @param {Function} middleware - `(event, next) => void | Promise<void>`
+   * @returns {Function} Removes the middleware again
+   */
+  use(middleware) {
+    if (typeof middleware !== "function") {
+      throw new ValidationError("Middleware must be a function", { type: typeof middleware });
+    }
+    this.stack.push(middleware);
+    return () => this.remove(middleware);
+  }
+
+  /**
+   * Remove a middleware
+   * @param {Function} middleware - Middleware passed to {@link MiddlewareChain#use}
+   * @returns {boolean} Whether it was registered
+   */
+  remove(middleware) {
+    const index = this.stack.indexOf(middleware);
+    if (index === -1) return false;
+    this.stack.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Run an event through every middleware
+   * @param {Object} event - Event payload
+   * @returns {Promise<Object|null>} The resulting event, or null when dropped
+   */
+  async run(event) {
+    let current = event;
+    for (const middleware of this.stack.slice()) {
+      current = await this.step(middleware, current);
+      if (current == null || current === false) return null;
+    }
+    return current;
+  }
+
+  /**
+   * Run an event through the chain and hand the result to `deliver`. Events
+   * of the same thread are delivered in the order they were dispatched.
+   * @param {Object} event - Event payload
+   * @param {Function} deliver - Called with the resulting event unless it was dropped
+   * @returns {Promise<void>}
+   */
+  dispatch(event, deliver) {
+    if (!this.stack.length && !this.tails.size) {
+      deliver(event);
+      return Promise.resolve();
+    }
+    const thread = event && event.threadID != null ? String(event.threadID) : "";
+    const previous = this.tails.get(thread) || Promise.resolve();
+    const result = this.run(event);
+    const turn = Promise.all([previous, result]).then(([, output]) => {
+      if (this.tails.get(thread) === turn) this.tails.delete(thread);
+      if (output == null) return;
+      try {
+        deliver(output);
+      } catch (err) {
+        logger(`listener error: ${err && err.message ? err.message : err}`, "error");
+      }
+    });
+    this.tails.set(thread, turn);
+    return turn;
+  }
+
+  /**
+   * Run a single middleware; a throwing middleware is skipped and the event
+   * continues unchanged
+   * @private
+   */
+  step(middleware, event) {
+    return new Promise(resolve => {
+      let settled = false;
+      let timer = null;
+      const finish = value => {
+        if (settled) return;
+        settled = true;
+        if (timer) clearTimeout(timer);
+        resolve(value);
+      };
+      const next = value => finish(value === undefined ? event : value);
+      const fail = err => {
+        logger(`middleware error: ${err && err.message ? err.message : err}`, "error");
+        if (typeof this.onError === "function") {
+          try { this.onError(err, event); } catch (_) { }
+        }
+        finish(event);
+      };
+      let returned;
+      try {
+        returned = middleware(event, next);
+      } catch (err) {
+        return fail(err);
+      }
+      if (isThenable(returned)) return returned.then(() => finish(null), fail);
+      if (settled) return;
+      timer = setTimeout(() => {
+        logger(`middleware did not call next within ${this.timeout}ms, dropping the event`, "warn");
+        finish(null);
+      }, this.timeout);
+      if (timer.unref) timer.unref();
+    });
+  }
+}
+
+module.exports = MiddlewareChain;
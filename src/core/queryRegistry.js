@@ -0,0 +1,133 @@
+/**
+ * GraphQL query health for FCA/AsuraClient
+ * Tracks which doc_id of each operation works, falls back to the next one
+ * when a response comes back with GraphQL errors and reports the result
+ * @module queryRegistry
+ */
+
+"use strict";
+
+const logger = require("../../func/logger");
+const { ValidationError } = require("../utils/errors");
+const { DEFAULT_QUERIES, MUTATIONS, queryErrors } = require("../utils/queries");
+
+/**
+ * Health of one operation
+ * @typedef {Object} QueryStatus
+ * @property {string} operation - Operation name
+ * @property {"query"|"mutation"} kind - Whether the operation changes state
+ * @property {string} docID - doc_id used next
+ * @property {string[]} ids - Every doc_id, in the order they are tried
+ * @property {boolean|null} ok - Whether the last request succeeded; null if none was sent
+ * @property {string|null} error - First GraphQL or request error of the last request
+ * @property {string|null} lastDocID - doc_id of the last request
+ * @property {number|null} checkedAt - Time of the last request
+ */
+
+function describeError(errors) {
+  const first = Array.isArray(errors) ? errors[0] : errors;
+  if (!first) return "Unknown error";
+  if (typeof first === "string") return first;
+  return String(first.message || first.summary || first.description || JSON.stringify(first));
+}
+
+/**
+ * doc_id fallback and health tracking for one session
+ */
+class QueryRegistry {
+  /**
+   * Create a registry
+   * @param {Object<string, string[]>} [queries=DEFAULT_QUERIES] - doc_ids by operation, from resolveQueries
+   */
+  constructor(queries) {
+    this.preferred = new Map();
+    this.health = new Map();
+    this.configure(queries);
+  }
+
+  /**
+   * Replace the doc_id lists; operations keep their working ID if it is still listed
+   * @param {Object<string, string[]>} [queries=DEFAULT_QUERIES] - doc_ids by operation
+   */
+  configure(queries) {
+    this.queries = queries || DEFAULT_QUERIES;
+  }
+
+  /**
+   * doc_ids of an operation in the order they are tried
+   * @param {string} name - Operation name
+   * @returns {string[]}
+   * @throws {ValidationError} For unknown operations
+   */
+  ids(name) {
+    const list = this.queries[name] || DEFAULT_QUERIES[name];
+    if (!list) throw new ValidationError(`Unknown query "${name}"`, { known: Object.keys(DEFAULT_QUERIES) });
+    const preferred = this.preferred.get(name);
+    if (!preferred || !list.includes(preferred)) return list.slice();
+    return [preferred].concat(list.filter(id => id !== preferred));
+  }
+
+  /**
+   * doc_id an operation uses next
+   * @param {string} name - Operation name
+   * @returns {string}
+   */
+  docID(name) {
+    return this.ids(name)[0];
+  }
+
+  /**
+   * Send a query through the fallback list. The first doc_id whose response
+   * has no GraphQL errors is kept for later requests.
+   * @param {string} name - Operation name
+   * @param {Function} send - `(docID) => Promise<resData>`
+   * @returns {Promise<*>} The first response without errors, otherwise the last one
+   */
+  async request(name, send) {
+    const ids = this.ids(name);
+    let resData;
+    for (let i = 0; i < ids.length; i++) {
+      try {
+        resData = await send(ids[i]);
+      } catch (err) {
+        this.record(name, ids[i], err && err.message ? err.message : err);
+        throw err;
+      }
+      const errors = queryErrors(resData);
+      this.record(name, ids[i], errors && describeError(errors));
+      if (!errors) {
+        if (i > 0) {
+          this.preferred.set(name, ids[i]);
+          logger(`query ${name} now uses doc_id ${ids[i]}`, "info");
+        }
+        return resData;
+      }
+      if (i < ids.length - 1) logger(`query ${name} failed with doc_id ${ids[i]}, trying ${ids[i + 1]}`, "warn");
+    }
+    return resData;
+  }
+
+  /**
+   * Health of every operation
+   * @returns {QueryStatus[]}
+   */
+  status() {
+    return Object.keys(DEFAULT_QUERIES).map(name => Object.assign({
+      operation: name,
+      kind: MUTATIONS.has(name) ? "mutation" : "query",
+      docID: this.docID(name),
+      ids: this.ids(name),
+      ok: null,
+      error: null,
+      lastDocID: null,
+      checkedAt: null
+    }, this.health.get(name)));
+  }
+
+  /** @private */
+  record(name, id, error) {
+    this.health.set(name, { ok: !error, error: error ? String(error) : null, checkedAt: Date.now(), lastDocID: id });
+  }
+}
+
+module.exports = QueryRegistry;
@@ -0,0 +1,321 @@
+/**
+ * Message scheduler for FCA/AsuraClient
+ * Sends messages at a later time or on a cron schedule through sendMessage,
+ * keeping jobs in the database so they survive restarts
+ * @module scheduler
+ */
+
+"use strict";
+
+const logger = require("../../func/logger");
+const { ValidationError } = require("../utils/errors");
+const { isCronExpression, nextCronDate } = require("../utils/cron");
+
+// setTimeout fires immediately for delays above 2^31 - 1 ms
+const MAX_DELAY = 2147483647;
+
+/**
+ * Scheduled message as reported by the scheduler
+ * @typedef {Object} ScheduledJob
+ * @property {number} id - Job ID, accepted by cancel()
+ * @property {string} threadID - Destination thread
+ * @property {string|Object} message - Message passed to sendMessage
+ * @property {string|null} cron - Cron expression of a recurring job
+ * @property {number|null} runAt - Next run timestamp
+ * @property {"pending"|"sending"|"sent"|"failed"|"cancelled"} status - Job status
+ * @property {number} runs - Number of runs started
+ * @property {number|null} lastRunAt - Start of the last run
+ * @property {string|null} lastMessageID - Message ID of the last successful send
+ * @property {string|null} lastError - Error of the last failed run
+ */
+
+function toTime(value) {
+  if (value == null) return null;
+  return value instanceof Date ? value.getTime() : Number(value);
+}
+
+/**
+ * Turn the `when` argument of schedule() into a run time and cron expression
+ * @private
+ */
+function resolveWhen(when, now) {
+  if (when && typeof when === "object" && !(when instanceof Date)) {
+    if (when.cron != null) return resolveWhen(String(when.cron), now);
+    if (when.delay != null && Number.isFinite(Number(when.delay))) return { runAt: now + Math.max(0, Number(when.delay)), cron: null };
+    throw new ValidationError("when must have a delay or cron", { when });
+  }
+  if (typeof when === "string" && isCronExpression(when)) {
+    const next = nextCronDate(when, now);
+    if (!next) throw new ValidationError("Cron expression never matches", { expression: when });
+    return { runAt: next.getTime(), cron: when.trim() };
+  }
+  const runAt = typeof when === "string" ? Date.parse(when) : toTime(when);
+  if (!Number.isFinite(runAt)) {
+    throw new ValidationError("when must be a Date, timestamp, date string, cron expression or { delay }", { when });
+  }
+  return { runAt, cron: null };
+}
+
+/**
+ * Check that a message can be stored and return a plain copy of it
+ * @private
+ */
+function toStoredMessage(message) {
+  if (typeof message === "string") return message;
+  if (!message || typeof message !== "object") {
+    throw new ValidationError("Message must be a string or an object", { type: typeof message });
+  }
+  if (message.attachment != null) {
+    const list = [].concat(message.attachment);
+    if (!list.every(item => Array.isArray(item) && typeof item[0] === "string")) {
+      throw new ValidationError("Scheduled messages can only attach uploaded attachments as [type, id] pairs");
+    }
+  }
+  return JSON.parse(JSON.stringify(message));
+}
+
+/**
+ * Message scheduler
+ */
+class Scheduler {
+  /**
+   * Create a scheduler
+   * @param {Object} [options] - Scheduler options
+   * @param {Object} [options.store] - Persistence with `load(userID)`, `create(job)` and `update(id, fields)`
+   * @param {Function} options.send - `(message, threadID) => Promise<{messageID}>`
+   * @param {string} [options.userID] - Account the jobs belong to
+   * @param {Function} [options.onRun] - Called with `{job, error, messageInfo}` after every run
+   */
+  constructor(options = {}) {
+    this.store = options.store || null;
+    this.send = options.send;
+    this.userID = options.userID != null ? String(options.userID) : null;
+    this.onRun = options.onRun;
+    this.jobs = new Map();
+    this.nextID = 0;
+    this.starting = null;
+  }
+
+  /**
+   * Schedule a message
+   * @param {string|Object} message - Message for sendMessage; attachments must be [type, id] pairs
+   * @param {string} threadID - Destination thread
+   * @param {Date|number|string|Object} when - Date, timestamp, date string, cron expression, `{ delay }` in milliseconds or `{ cron }`
+   * @returns {Promise<ScheduledJob>}
+   */
+  async schedule(message, threadID, when) {
+    if (!threadID) throw new ValidationError("threadID is required");
+    if (when == null) throw new ValidationError("when is required");
+    const stored = toStoredMessage(message);
+    const { runAt, cron } = resolveWhen(when, Date.now());
+    let job = {
+      userID: this.userID,
+      threadID: String(threadID),
+      message: stored,
+      cron,
+      runAt,
+      status: "pending",
+      runs: 0,
+      lastRunAt: null,
+      lastMessageID: null,
+      lastError: null
+    };
+    if (this.store) {
+      job = this.normalize(await this.store.create(Object.assign({}, job, { runAt: new Date(runAt) })));
+    } else {
+      job.id = ++this.nextID;
+    }
+    this.track(job);
+    return this.view(job);
+  }
+
+  /**
+   * Pending jobs, in ID order
+   * @returns {ScheduledJob[]}
+   */
+  list() {
+    return Array.from(this.jobs.values()).sort((a, b) => a.id - b.id).map(job => this.view(job));
+  }
+
+  /**
+   * A pending job
+   * @param {number} id - Job ID
+   * @returns {ScheduledJob|null}
+   */
+  get(id) {
+    const job = this.jobs.get(Number(id));
+    return job ? this.view(job) : null;
+  }
+
+  /**
+   * Cancel a job; a send already in progress still completes
+   * @param {number} id - Job ID
+   * @returns {Promise<boolean>} Whether the job was pending
+   */
+  async cancel(id) {
+    const job = this.jobs.get(Number(id));
+    if (!job) return false;
+    clearTimeout(job.timer);
+    this.jobs.delete(job.id);
+    job.status = "cancelled";
+    await this.persist(job);
+    return true;
+  }
+
+  /**
+   * Load the stored jobs of this account and start their timers. Jobs left
+   * `sending` by a previous process are never sent again, since the message
+   * may already have gone out; recurring jobs skip the runs they missed.
+   * Later calls return the same promise.
+   * @returns {Promise<number>} Number of jobs restored
+   */
+  start() {
+    if (!this.store) return Promise.resolve(0);
+    if (!this.starting) {
+      this.starting = this.restore().catch(err => {
+        this.starting = null;
+        throw err;
+      });
+    }
+    return this.starting;
+  }
+
+  /**
+   * Stop every timer; jobs stay stored and are picked up by the next start()
+   */
+  stop() {
+    for (const job of this.jobs.values()) clearTimeout(job.timer);
+    this.jobs.clear();
+    this.starting = null;
+  }
+
+  /** @private */
+  async restore() {
+    const rows = await this.store.load(this.userID);
+    const now = Date.now();
+    let restored = 0;
+    for (const row of rows) {
+      const job = this.normalize(row);
+      if (this.jobs.has(job.id)) continue;
+      let changed = false;
+      if (job.status === "sending") {
+        job.lastError = "Interrupted before the send was confirmed";
+        job.status = job.cron ? "pending" : "failed";
+        changed = true;
+      }
+      if (job.status === "pending" && job.cron && (job.runAt == null || job.runAt <= now)) {
+        const next = nextCronDate(job.cron, now);
+        job.runAt = next ? next.getTime() : null;
+        if (!next) job.status = "failed";
+        changed = true;
+      }
+      if (changed) await this.persist(job);
+      if (job.status !== "pending") continue;
+      this.track(job);
+      restored++;
+    }
+    return restored;
+  }
+
+  /** @private */
+  normalize(row) {
+    return Object.assign({}, row, {
+      id: Number(row.id),
+      runAt: toTime(row.runAt),
+      lastRunAt: toTime(row.lastRunAt),
+      runs: Number(row.runs) || 0
+    });
+  }
+
+  /** @private */
+  view(job) {
+    const { id, threadID, message, cron, runAt, status, runs, lastRunAt, lastMessageID, lastError } = job;
+    return {
+      id, threadID, message, cron: cron || null, runAt, status, runs,
+      lastRunAt: lastRunAt || null, lastMessageID: lastMessageID || null, lastError: lastError || null
+    };
+  }
+
+  /** @private */
+  track(job) {
+    this.jobs.set(job.id, job);
+    this.arm(job);
+  }
+
+  /** @private */
+  arm(job) {
+    clearTimeout(job.timer);
+    const delay = Math.max(0, job.runAt - Date.now());
+    job.timer = setTimeout(() => {
+      if (delay > MAX_DELAY) this.arm(job);
+      else this.run(job);
+    }, Math.min(delay, MAX_DELAY));
+  }
+
+  /**
+   * Run a job. The run is recorded as `sending` before the message goes out,
+   * so a crash mid-send can never lead to a second delivery.
+   * @private
+   */
+  async run(job) {
+    if (this.jobs.get(job.id) !== job) return;
+    const scheduledAt = job.runAt;
+    job.status = "sending";
+    job.runs++;
+    job.lastRunAt = Date.now();
+    let messageInfo;
+    let error;
+    try {
+      await this.persist(job, true);
+      try {
+        messageInfo = await this.send(job.message, job.threadID);
+      } catch (err) {
+        error = err;
+      }
+    } catch (err) {
+      error = err;
+      logger(`scheduled message ${job.id} skipped, could not record the run: ${err && err.message ? err.message : err}`, "warn");
+    }
+    if (job.status !== "cancelled") {
+      const next = job.cron ? nextCronDate(job.cron, Math.max(Date.now(), scheduledAt)) : null;
+      job.status = next ? "pending" : (error ? "failed" : "sent");
+      job.runAt = next ? next.getTime() : null;
+    }
+    job.lastError = error ? String(error && error.message ? error.message : error) : null;
+    if (messageInfo && messageInfo.messageID) job.lastMessageID = String(messageInfo.messageID);
+    if (job.status !== "pending") this.jobs.delete(job.id);
+    else if (this.jobs.get(job.id) === job) this.arm(job);
+    await this.persist(job);
+    if (typeof this.onRun === "function") {
+      try {
+        this.onRun({ job: this.view(job), error: error || null, messageInfo: messageInfo || null });
+      } catch (err) {
+        logger(`scheduled message handler failed: ${err && err.message ? err.message : err}`, "error");
+      }
+    }
+  }
+
+  /**
+   * Write a job's mutable fields; failures are logged unless `strict` is set
+   * @private
+   */
+  async persist(job, strict) {
+    if (!this.store) return;
+    try {
+      await this.store.update(job.id, {
+        status: job.status,
+        runAt: job.runAt != null ? new Date(job.runAt) : null,
+        runs: job.runs,
+        lastRunAt: job.lastRunAt != null ? new Date(job.lastRunAt) : null,
+        lastMessageID: job.lastMessageID || null,
+        lastError: job.lastError || null
+      });
+    } catch (err) {
+      if (strict) throw err;
+      logger(`scheduled message ${job.id} could not be saved: ${err && err.message ? err.message : err}`, "warn");
+    }
+  }
+}
+
+module.exports = Scheduler;
+module.exports.resolveWhen = resolveWhen;
@@ -0,0 +1,267 @@
+/**
+ * Outbound send queue for FCA/AsuraClient
+ * Buffers MQTT sends while the socket is down and paces them with
+ * per-thread and global rate limits once it is back up
+ * @module sendQueue
+ */
+
+"use strict";
+
+const { FCAError, NetworkError } = require("../utils/errors");
+
+/**
+ * Queued send as reported by {@link SendQueue#list}
+ * @typedef {Object} QueuedSend
+ * @property {number} id - Queue entry ID
+ * @property {string} type - Task type of the underlying request
+ * @property {string|null} threadID - Target thread, if known
+ * @property {number} priority - Higher runs first
+ * @property {number} createdAt - Enqueue timestamp
+ */
+
+const DEFAULTS = {
+  enabled: true,
+  maxSize: 500,
+  maxWait: 60000,
+  perThread: { max: 5, windowMs: 5000 },
+  global: { max: 20, windowMs: 10000 }
+};
+
+/**
+ * Outbound send queue
+ */
+class SendQueue {
+  /**
+   * Create a send queue
+   * @param {Object} [options] - Queue options
+   * @param {boolean} [options.enabled=true] - When false, sends bypass the queue
+   * @param {number} [options.maxSize=500] - Maximum number of pending sends
+   * @param {number} [options.maxWait=60000] - Milliseconds a send may wait before it is rejected with a NetworkError (0 = no limit)
+   * @param {{max: number, windowMs: number}} [options.perThread] - Sends allowed per thread per window
+   * @param {{max: number, windowMs: number}} [options.global] - Sends allowed across all threads per window
+   * @param {Function} send - Dispatches a request, returning a promise of its response
+   */
+  constructor(options, send) {
+    this.send = send;
+    this.items = [];
+    this.paused = true;
+    this.nextID = 0;
+    this.globalHistory = [];
+    this.threadHistory = new Map();
+    this.timer = null;
+    this.configure(options);
+  }
+
+  /**
+   * Update queue options; omitted keys keep their current value
+   * @param {Object} [options] - Same shape as the constructor options
+   */
+  configure(options = {}) {
+    const current = this.options || DEFAULTS;
+    this.options = {
+      enabled: options.enabled != null ? Boolean(options.enabled) : current.enabled,
+      maxSize: options.maxSize || current.maxSize,
+      maxWait: options.maxWait != null ? options.maxWait : current.maxWait,
+      perThread: Object.assign({}, current.perThread, options.perThread),
+      global: Object.assign({}, current.global, options.global)
+    };
+    this.drain();
+  }
+
+  /**
+   * Whether sends should go through the queue
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this.options.enabled;
+  }
+
+  /**
+   * Number of pending sends
+   * @returns {number}
+   */
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+   * Queue a request
+   * @param {Object} request - Request as accepted by sendReqMqtt
+   * @param {number} [request.priority=0] - Higher runs first
+   * @returns {Promise<Object>} Resolves with the request's response
+   */
+  push(request) {
+    if (this.items.length >= this.options.maxSize) {
+      return Promise.reject(new FCAError("Send queue is full", "QUEUE_FULL", { maxSize: this.options.maxSize }));
+    }
+    return new Promise((resolve, reject) => {
+      const item = {
+        id: ++this.nextID,
+        request,
+        type: request.type,
+        threadID: request.threadID != null ? String(request.threadID) : null,
+        priority: Number(request.priority) || 0,
+        createdAt: Date.now(),
+        timer: null,
+        resolve,
+        reject
+      };
+      const { maxWait } = this.options;
+      if (maxWait > 0) {
+        item.timer = setTimeout(() => this.expire(item), maxWait);
+        if (item.timer.unref) item.timer.unref();
+      }
+      this.items.push(item);
+      this.drain();
+    });
+  }
+
+  /**
+   * List pending sends in the order they will run
+   * @returns {QueuedSend[]}
+   */
+  list() {
+    return this.ordered().map(({ id, type, threadID, priority, createdAt }) => ({ id, type, threadID, priority, createdAt }));
+  }
+
+  /**
+   * Cancel a pending send; its promise rejects with code SEND_CANCELLED
+   * @param {number} id - Queue entry ID
+   * @returns {boolean} Whether the entry was found
+   */
+  cancel(id) {
+    const index = this.items.findIndex(item => item.id === id);
+    if (index === -1) return false;
+    const [item] = this.items.splice(index, 1);
+    clearTimeout(item.timer);
+    item.reject(new FCAError("Send cancelled", "SEND_CANCELLED", { id }));
+    return true;
+  }
+
+  /**
+   * Change the priority of a pending send
+   * @param {number} id - Queue entry ID
+   * @param {number} priority - New priority; higher runs first
+   * @returns {boolean} Whether the entry was found
+   */
+  setPriority(id, priority) {
+    const item = this.items.find(entry => entry.id === id);
+    if (!item) return false;
+    item.priority = Number(priority) || 0;
+    this.drain();
+    return true;
+  }
+
+  /**
+   * Hold sends until {@link SendQueue#resume} is called
+   */
+  pause() {
+    this.paused = true;
+    this.clearTimer();
+  }
+
+  /**
+   * Start flushing pending sends
+   */
+  resume() {
+    this.paused = false;
+    this.drain();
+  }
+
+  /**
+   * Reject every pending send and empty the queue
+   * @param {Error} [error] - Rejection reason
+   */
+  clear(error) {
+    const items = this.items;
+    this.items = [];
+    this.clearTimer();
+    for (const item of items) {
+      clearTimeout(item.timer);
+      item.reject(error || new FCAError("Send cancelled", "SEND_CANCELLED", { id: item.id }));
+    }
+  }
+
+  expire(item) {
+    const index = this.items.indexOf(item);
+    if (index === -1) return;
+    this.items.splice(index, 1);
+    item.reject(new NetworkError("Send was not sent in time; MQTT is not connected or the rate limit is full", {
+      id: item.id,
+      maxWait: this.options.maxWait
+    }));
+  }
+
+  ordered() {
+    return this.items.slice().sort((a, b) => b.priority - a.priority || a.id - b.id);
+  }
+
+  clearTimer() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  prune(history, windowMs, now) {
+    while (history.length && now - history[0] >= windowMs) history.shift();
+  }
+
+  /**
+   * Milliseconds until a send to `threadID` is allowed, or 0 if it can go now
+   */
+  waitTime(threadID, now) {
+    if (!this.options.enabled) return 0;
+    const { global, perThread } = this.options;
+    this.prune(this.globalHistory, global.windowMs, now);
+    let wait = this.globalHistory.length >= global.max ? this.globalHistory[0] + global.windowMs - now : 0;
+    if (threadID != null) {
+      const history = this.threadHistory.get(threadID) || [];
+      this.prune(history, perThread.windowMs, now);
+      if (history.length >= perThread.max) wait = Math.max(wait, history[0] + perThread.windowMs - now);
+    }
+    return wait;
+  }
+
+  record(threadID, now) {
+    this.globalHistory.push(now);
+    if (threadID == null) return;
+    if (!this.threadHistory.has(threadID)) this.threadHistory.set(threadID, []);
+    this.threadHistory.get(threadID).push(now);
+  }
+
+  drain() {
+    if (this.paused) return;
+    this.clearTimer();
+    let retryIn = Infinity;
+    const blockedThreads = new Set();
+    for (const item of this.ordered()) {
+      // Keep sends to the same thread in order: once one is held back, so are the rest.
+      if (item.threadID != null && blockedThreads.has(item.threadID)) continue;
+      const now = Date.now();
+      const wait = this.waitTime(item.threadID, now);
+      if (wait > 0) {
+        retryIn = Math.min(retryIn, wait);
+        if (item.threadID != null) blockedThreads.add(item.threadID);
+        continue;
+      }
+      this.items.splice(this.items.indexOf(item), 1);
+      clearTimeout(item.timer);
+      this.record(item.threadID, now);
+      Promise.resolve()
+        .then(() => this.send(item.request))
+        .then(item.resolve, item.reject);
+    }
+    this.pruneThreads(Date.now());
+    if (retryIn !== Infinity) {
+      this.timer = setTimeout(() => this.drain(), retryIn);
+    }
+  }
+
+  pruneThreads(now) {
+    for (const [threadID, history] of this.threadHistory) {
+      this.prune(history, this.options.perThread.windowMs, now);
+      if (!history.length) this.threadHistory.delete(threadID);
+    }
+  }
+}
+
+module.exports = SendQueue;
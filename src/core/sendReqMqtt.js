@@ -1,63 +1,200 @@
 "use strict";
 
-function lsRequest(ctx, payload, options, callback) {
-  return new Promise((resolve, reject) => {
-    const cb = typeof options === "function" ? options : callback;
-    const opts = typeof options === "object" && options ? options : {};
-    if (!ctx || !ctx.mqttClient) {
-      const err = new Error("Not connected to MQTT");
-      if (cb) cb(err);
-      return reject(err);
+const getTaskResponseData = require("../api/socket/core/getTaskResponseData");
+const { generateOfflineThreadingID } = require("../utils/format");
+const { NetworkError } = require("../utils/errors");
+
+const DEFAULT_TIMEOUT = 15000;
+const DEFAULT_APP_ID = "2220391788200892";
+
+function nextRequestID(ctx) {
+  if (typeof ctx.wsReqNumber !== "number") ctx.wsReqNumber = 0;
+  return ++ctx.wsReqNumber;
+}
+
+function nextTaskID(ctx) {
+  if (typeof ctx.wsTaskNumber !== "number") ctx.wsTaskNumber = 0;
+  return ++ctx.wsTaskNumber;
+}
+
+function stringify(value) {
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+/**
+ * Builds an `/ls_req` envelope. Requests with `tasks` are sent as type 3
+ * (task batch, answered on `/ls_resp`); requests with a single `label` and
+ * `payload` are sent as type 4 (fire-and-forget, e.g. typing state).
+ */
+function buildRequest(ctx, request) {
+  const requestID = nextRequestID(ctx);
+  let payload;
+  if (Array.isArray(request.tasks)) {
+    payload = {
+      data_trace_id: request.dataTraceID || null,
+      epoch_id: request.epochID || parseInt(generateOfflineThreadingID()),
+      tasks: request.tasks.map(task => ({
+        failure_count: null,
+        label: String(task.label),
+        payload: stringify(task.payload),
+        queue_name: stringify(task.queueName),
+        task_id: nextTaskID(ctx)
+      })),
+      version_id: String(request.versionID)
+    };
+  } else {
+    payload = {
+      label: String(request.label),
+      payload: stringify(request.payload),
+      version: String(request.versionID)
+    };
+  }
+  return {
+    requestID,
+    content: {
+      app_id: String(request.appID || DEFAULT_APP_ID),
+      payload: JSON.stringify(payload),
+      request_id: requestID,
+      type: Array.isArray(request.tasks) ? 3 : 4
     }
-    if (typeof ctx.wsReqNumber !== "number") ctx.wsReqNumber = 0;
-    const reqID = typeof opts.request_id === "number" ? opts.request_id : ++ctx.wsReqNumber;
-    const timeoutMs = typeof opts.timeout === "number" ? opts.timeout : 20000;
-    const qos = typeof opts.qos === "number" ? opts.qos : 1;
-    const retain = !!opts.retain;
-    const reqTopic = "/ls_req";
-    const respTopic = opts.respTopic || "/ls_resp";
-    const form = JSON.stringify({
-      app_id: opts.app_id || "",
-      payload: typeof payload === "string" ? payload : JSON.stringify(payload),
-      request_id: reqID,
-      type: opts.type == null ? 3 : opts.type
-    });
-    let timer = null;
-    const handleRes = (topic, message) => {
-      if (topic !== respTopic) return;
-      let msg;
-      try {
-        msg = JSON.parse(message.toString());
-      } catch {
-        return;
-      }
-      if (msg.request_id !== reqID) return;
-      if (typeof opts.filter === "function" && !opts.filter(msg)) return;
-      ctx.mqttClient.removeListener("message", handleRes);
-      if (timer) clearTimeout(timer);
-      try {
-        msg.payload = typeof msg.payload === "string" ? JSON.parse(msg.payload) : msg.payload;
-      } catch { }
-      const out = { success: true, response: msg.payload, raw: msg };
-      if (cb) cb(null, out);
-      resolve(out);
+  };
+}
+
+function settle(ctx, requestID) {
+  const entry = ctx.tasks && ctx.tasks.get(requestID);
+  if (!entry) return null;
+  ctx.tasks.delete(requestID);
+  clearTimeout(entry.timer);
+  return entry;
+}
+
+/**
+ * Publishes a task batch on `/ls_req` and resolves with the decoded `/ls_resp`.
+ * When the session has an enabled `sendQueue`, the request waits there until
+ * the connection is up and the rate limits allow it, at most `maxWait` ms.
+ * @param {object} ctx - The session context holding `mqttClient` and `tasks`.
+ * @param {object} request
+ * @param {string} request.type - Response decoder key understood by getTaskResponseData.
+ * @param {string} [request.threadID] - Target thread, used for per-thread rate limiting.
+ * @param {number} [request.priority=0] - Queue priority; higher runs first.
+ * @param {Array<{label: string, payload: object|string, queueName: string|Array}>} request.tasks
+ * @param {string} [request.appID]
+ * @param {string} request.versionID
+ * @param {string} [request.epochID]
+ * @param {string} [request.dataTraceID]
+ * @param {number} [request.timeout=15000]
+ * @returns {Promise<object>} The decoded response data, tagged with `type` and `reqID`.
+ */
+function sendReqMqtt(ctx, request) {
+  if (ctx && ctx.sendQueue && ctx.sendQueue.enabled) return ctx.sendQueue.push(request);
+  return dispatchReqMqtt(ctx, request);
+}
+
+function dispatchReqMqtt(ctx, request) {
+  return new Promise((resolve, reject) => {
+    const mqttClient = ctx && ctx.mqttClient;
+    if (!mqttClient) return reject(new NetworkError("Not connected to MQTT"));
+    if (!(ctx.tasks instanceof Map)) ctx.tasks = new Map();
+
+    const { requestID, content } = buildRequest(ctx, request);
+    const timeout = typeof request.timeout === "number" ? request.timeout : DEFAULT_TIMEOUT;
+    const entry = {
+      type: request.type,
+      threadID: request.threadID != null ? String(request.threadID) : null,
+      client: mqttClient,
+      callback: (err, data) => (err ? reject(err) : resolve(data)),
+      timer: null
     };
-    ctx.mqttClient.on("message", handleRes);
-    timer = setTimeout(() => {
-      ctx.mqttClient.removeListener("message", handleRes);
-      const err = new Error("MQTT response timeout");
-      if (cb) cb(err);
-      reject(err);
-    }, timeoutMs);
-    ctx.mqttClient.publish(reqTopic, form, { qos, retain }, (err) => {
-      if (err) {
-        if (timer) clearTimeout(timer);
-        ctx.mqttClient.removeListener("message", handleRes);
-        if (cb) cb(err);
-        reject(err);
+    entry.timer = setTimeout(() => {
+      if (settle(ctx, requestID)) {
+        reject(new NetworkError(`Timed out waiting for ${request.type} response`, { requestID, timeout }));
+      }
+    }, timeout);
+    ctx.tasks.set(requestID, entry);
+
+    const onPublished = err => {
+      if (err && settle(ctx, requestID)) {
+        reject(new NetworkError(`Failed to publish ${request.type} request`, { requestID, cause: err }));
       }
-    });
+    };
+    try {
+      mqttClient.publish("/ls_req", JSON.stringify(content), { qos: 1, retain: false }, onPublished);
+    } catch (err) {
+      onPublished(err);
+    }
   });
-};
+}
 
-module.exports = sendReqMqtt;
+/**
+ * Publishes a request on `/ls_req` without waiting for a response.
+ * @param {object} ctx
+ * @param {object} request - Same shape as for sendReqMqtt, or `{ label, payload, versionID }` for a type 4 request.
+ * @returns {Promise<number>} The request ID once the packet has been handed to the broker.
+ */
+function publishReqMqtt(ctx, request) {
+  return new Promise((resolve, reject) => {
+    const mqttClient = ctx && ctx.mqttClient;
+    if (!mqttClient) return reject(new NetworkError("Not connected to MQTT"));
+    const { requestID, content } = buildRequest(ctx, request);
+    try {
+      mqttClient.publish("/ls_req", JSON.stringify(content), { qos: 1, retain: false }, err => {
+        if (err) return reject(new NetworkError("Failed to publish request", { requestID, cause: err }));
+        resolve(requestID);
+      });
+    } catch (err) {
+      reject(new NetworkError("Failed to publish request", { requestID, cause: err }));
+    }
+  });
+}
+
+/**
+ * Routes an `/ls_resp` message to the pending request it answers.
+ * @param {object} ctx
+ * @param {object} message - The parsed `/ls_resp` message.
+ * @returns {boolean} Whether a pending request was found.
+ */
+function handleLsResponse(ctx, message) {
+  const reqID = message && message.request_id;
+  const entry = settle(ctx, reqID);
+  if (!entry) return false;
+  let payload;
+  try {
+    payload = typeof message.payload === "string" ? JSON.parse(message.payload) : message.payload;
+  } catch (err) {
+    entry.callback(new NetworkError(`Malformed ${entry.type} response`, { requestID: reqID, cause: err }));
+    return true;
+  }
+  const data = getTaskResponseData(entry.type, payload);
+  if (data == null) {
+    entry.callback(new NetworkError(`Unable to decode ${entry.type} response`, { requestID: reqID, payload }));
+    return true;
+  }
+  // Not every ACK has the step that names the thread; the request knows it
+  if (data.threadID === null && entry.threadID) data.threadID = entry.threadID;
+  entry.callback(null, Object.assign({ type: entry.type, reqID }, data));
+  return true;
+}
+
+/**
+ * Fails every request still waiting on a response, e.g. when the connection drops.
+ * @param {object} ctx
+ * @param {object} [mqttClient] - Only reject requests published through this client.
+ * @param {Error} [error]
+ */
+function rejectPendingRequests(ctx, mqttClient, error) {
+  if (!(ctx && ctx.tasks instanceof Map)) return;
+  for (const [reqID, entry] of Array.from(ctx.tasks)) {
+    if (mqttClient && entry.client && entry.client !== mqttClient) continue;
+    settle(ctx, reqID);
+    entry.callback(error || new NetworkError("MQTT connection closed", { requestID: reqID }));
+  }
+}
+
+module.exports = {
+  sendReqMqtt,
+  dispatchReqMqtt,
+  publishReqMqtt,
+  handleLsResponse,
+  rejectPendingRequests,
+  DEFAULT_TIMEOUT
+};
@@ -0,0 +1,322 @@
+/**
+ * Thread export for FCA/AsuraClient
+ * Pages through the whole history of a thread and writes it as JSON, JSONL,
+ * HTML or Facebook's "Download Your Information" message format
+ * @module threadExport
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { ValidationError } = require("../utils/errors");
+
+const EXPORT_FORMATS = ["json", "jsonl", "html", "facebook"];
+
+// Facebook splits Download Your Information threads into message_N.json files of this size
+const FACEBOOK_CHUNK = 10000;
+
+// Subdirectory of each downloadable attachment type, named as in Download Your Information
+const ATTACHMENT_DIRS = {
+  photo: "photos",
+  animated_image: "gifs",
+  video: "videos",
+  audio: "audio",
+  file: "files",
+  sticker: "stickers"
+};
+
+// Key of each attachment type in a Download Your Information message
+const FACEBOOK_KEYS = {
+  photo: "photos",
+  animated_image: "gifs",
+  video: "videos",
+  audio: "audio_files",
+  file: "files"
+};
+
+const FACEBOOK_EVENT_TYPES = {
+  add_participants: "Subscribe",
+  remove_participants: "Unsubscribe",
+  video_call: "Call",
+  voice_call: "Call"
+};
+
+/**
+ * Turn a since/until option into a timestamp
+ * @param {Date|number|string} [value] - Date, timestamp in milliseconds or date string
+ * @param {string} name - Option name for the error message
+ * @returns {number|null}
+ * @throws {ValidationError} For values that are not a date
+ */
+function toTime(value, name) {
+  if (value == null) return null;
+  const time = value instanceof Date ? value.getTime() : typeof value === "string" && !/^\d+$/.test(value) ? Date.parse(value) : Number(value);
+  if (!Number.isFinite(time)) throw new ValidationError(`${name} must be a date or a timestamp`, { value });
+  return time;
+}
+
+/**
+ * Read messages, newest first, until one is older than `since`
+ * @param {AsyncIterable<Object>|Iterable<Object>} messages - e.g. api.iterateMessages(threadID)
+ * @param {Object} [options]
+ * @param {number} [options.since] - Oldest timestamp to keep
+ * @param {number} [options.until] - Newest timestamp to keep
+ * @returns {Promise<Object[]>} Messages and events, oldest first
+ */
+async function collectHistory(messages, { since = null, until = null } = {}) {
+  const kept = [];
+  for await (const message of messages) {
+    const time = Number(message.timestamp);
+    if (until != null && time > until) continue;
+    if (since != null && time < since) break;
+    kept.push(message);
+  }
+  return kept.sort((a, b) => Number(a.timestamp) - Number(b.timestamp));
+}
+
+function attachmentFileName(attachment, url, index) {
+  let ext = attachment.original_extension;
+  if (!ext) {
+    try {
+      ext = path.extname(new URL(url).pathname).slice(1);
+    } catch {
+      ext = "";
+    }
+  }
+  const id = String(attachment.ID || attachment.stickerID || index).replace(/[^\w.-]/g, "_");
+  return ext ? `${id}.${ext}` : id;
+}
+
+/**
+ * Download the photos, videos, audio, files and stickers of exported messages.
+ * Each downloaded attachment gets a `localPath` relative to `root`.
+ * @param {Object[]} messages - Messages from collectHistory
+ * @param {string} dir - Directory the type subdirectories are created in
+ * @param {Object} options
+ * @param {Function} options.download - `(url) => Promise<Buffer>`
+ * @param {Function} [options.resolvePhotoUrl] - `(photoID) => Promise<string>`, for full-size photos
+ * @param {string} [options.root=dir] - Directory `localPath` is relative to
+ * @returns {Promise<{downloaded: number, failed: Object[]}>} Failed downloads as `{ messageID, attachmentID, error }`
+ */
+async function downloadAttachments(messages, dir, { download, resolvePhotoUrl, root = dir }) {
+  const result = { downloaded: 0, failed: [] };
+  for (const message of messages) {
+    const attachments = message.attachments || [];
+    for (let i = 0; i < attachments.length; i++) {
+      const attachment = attachments[i];
+      const subdir = ATTACHMENT_DIRS[attachment.type];
+      if (!subdir) continue;
+      try {
+        let url = attachment.url;
+        if (attachment.type === "photo" && resolvePhotoUrl && attachment.ID) {
+          url = (await resolvePhotoUrl(attachment.ID).catch(() => null)) || attachment.largePreviewUrl || url;
+        }
+        if (!url) throw new ValidationError("Attachment has no URL");
+        const file = path.join(dir, subdir, attachmentFileName(attachment, url, `${message.messageID}_${i}`));
+        const data = await download(url);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, data);
+        attachment.localPath = path.relative(root, file).split(path.sep).join("/");
+        result.downloaded++;
+      } catch (err) {
+        result.failed.push({ messageID: message.messageID, attachmentID: attachment.ID || null, error: err && err.message ? err.message : String(err) });
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Participant names by user ID, from getThreadInfo
+ * @param {Object} [info] - Thread info
+ * @returns {Function} `(userID) => name`, falling back to the ID
+ */
+function nameLookup(info) {
+  const names = new Map();
+  for (const user of (info && info.userInfo) || []) {
+    if (user && user.id) names.set(String(user.id), (info.nicknames && info.nicknames[user.id]) || user.name || String(user.id));
+  }
+  return userID => names.get(String(userID)) || String(userID);
+}
+
+function threadSummary(threadID, info) {
+  return {
+    threadID,
+    name: (info && (info.threadName || info.name)) || null,
+    isGroup: info ? !!info.isGroup : null,
+    participants: ((info && info.userInfo) || []).map(user => ({ id: user.id, name: user.name }))
+  };
+}
+
+/**
+ * JSON document with the thread and its messages
+ * @param {string} threadID - Thread ID
+ * @param {Object[]} messages - Messages from collectHistory
+ * @param {Object} [info] - Thread info from getThreadInfo
+ * @param {Object} [range] - `{ since, until }` of the export
+ * @returns {string}
+ */
+function renderJSON(threadID, messages, info, range = {}) {
+  return JSON.stringify({
+    thread: threadSummary(threadID, info),
+    exportedAt: Date.now(),
+    since: range.since == null ? null : range.since,
+    until: range.until == null ? null : range.until,
+    messages
+  }, null, 2);
+}
+
+/**
+ * One message per line, oldest first
+ * @param {Object[]} messages - Messages from collectHistory
+ * @returns {string}
+ */
+function renderJSONL(messages) {
+  return messages.map(message => JSON.stringify(message) + "\n").join("");
+}
+
+function escapeHTML(text) {
+  return String(text == null ? "" : text).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" })[c]);
+}
+
+function renderAttachmentHTML(attachment) {
+  const src = escapeHTML(attachment.localPath || attachment.url || "");
+  const label = escapeHTML(attachment.filename || attachment.title || attachment.type);
+  if (!src) return `<span class="attachment">[${label}]</span>`;
+  switch (attachment.type) {
+    case "photo":
+    case "animated_image":
+    case "sticker":
+      return `<img class="attachment" src="${src}" alt="${label}">`;
+    case "video":
+      return `<video class="attachment" src="${src}" controls></video>`;
+    case "audio":
+      return `<audio class="attachment" src="${src}" controls></audio>`;
+    default:
+      return `<a class="attachment" href="${src}">${label}</a>`;
+  }
+}
+
+/**
+ * Standalone HTML page, oldest message first
+ * @param {string} threadID - Thread ID
+ * @param {Object[]} messages - Messages from collectHistory
+ * @param {Object} [info] - Thread info from getThreadInfo
+ * @returns {string}
+ */
+function renderHTML(threadID, messages, info) {
+  const name = nameLookup(info);
+  const title = escapeHTML((info && (info.threadName || info.name)) || threadID);
+  const rows = messages.map(message => {
+    const time = new Date(Number(message.timestamp)).toISOString();
+    if (message.type === "event") {
+      return `<div class="event" id="${escapeHTML(message.messageID)}"><time datetime="${time}">${time}</time> ${escapeHTML(message.snippet)}</div>`;
+    }
+    const attachments = (message.attachments || []).map(renderAttachmentHTML).join("");
+    const reactions = (message.messageReactions || []).map(r => `<span title="${escapeHTML(name(r.userID))}">${escapeHTML(r.reaction)}</span>`).join("");
+    return [
+      `<div class="message" id="${escapeHTML(message.messageID)}">`,
+      `<div class="meta"><b>${escapeHTML(name(message.senderID))}</b> <time datetime="${time}">${time}</time></div>`,
+      message.body ? `<div class="body">${escapeHTML(message.body).replace(/\n/g, "<br>")}</div>` : "",
+      attachments ? `<div class="attachments">${attachments}</div>` : "",
+      reactions ? `<div class="reactions">${reactions}</div>` : "",
+      "</div>"
+    ].join("");
+  });
+  return [
+    "<!DOCTYPE html>",
+    "<html>",
+    "<head>",
+    "<meta charset=\"utf-8\">",
+    `<title>${title}</title>`,
+    "<style>body{font-family:sans-serif;max-width:48em;margin:auto}.message,.event{margin:.75em 0}.event,time{color:#666}.attachment{display:block;max-width:100%;margin-top:.25em}</style>",
+    "</head>",
+    "<body>",
+    `<h1>${title}</h1>`,
+    ...rows,
+    "</body>",
+    "</html>",
+    ""
+  ].join("\n");
+}
+
+function facebookMessage(message, name) {
+  const out = { sender_name: name(message.senderID), timestamp_ms: Number(message.timestamp) };
+  if (message.type === "event") {
+    out.content = message.snippet || "";
+    out.type = FACEBOOK_EVENT_TYPES[message.eventType] || "Generic";
+    const ids = message.eventData && (message.eventData.participantsAdded || message.eventData.participantsRemoved);
+    if (ids) out.users = ids.map(id => ({ name: name(id) }));
+  } else {
+    if (message.body) out.content = message.body;
+    out.type = "Generic";
+    for (const attachment of message.attachments || []) {
+      const uri = attachment.localPath || attachment.url;
+      if (attachment.type === "sticker") {
+        out.sticker = { uri };
+      } else if (attachment.type === "share") {
+        out.share = { link: attachment.url };
+        out.type = "Share";
+      } else if (FACEBOOK_KEYS[attachment.type]) {
+        const key = FACEBOOK_KEYS[attachment.type];
+        (out[key] = out[key] || []).push({ uri, creation_timestamp: Math.floor(out.timestamp_ms / 1000) });
+      }
+    }
+    if (message.messageReactions && message.messageReactions.length) {
+      out.reactions = message.messageReactions.map(r => ({ reaction: r.reaction, actor: name(r.userID) }));
+    }
+  }
+  out.is_geoblocked_for_viewer = false;
+  return out;
+}
+
+/**
+ * Directory of a thread in a Download Your Information export
+ * @param {string} threadID - Thread ID
+ * @param {Object} [info] - Thread info from getThreadInfo
+ * @returns {string} e.g. "messages/inbox/supportteam_123"
+ */
+function facebookThreadPath(threadID, info) {
+  const slug = String((info && (info.threadName || info.name)) || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+  return `messages/inbox/${slug || "thread"}_${threadID}`;
+}
+
+/**
+ * Download Your Information message files, newest message first,
+ * split into chunks like message_1.json, message_2.json, ...
+ * @param {string} threadID - Thread ID
+ * @param {Object[]} messages - Messages from collectHistory
+ * @param {Object} [info] - Thread info from getThreadInfo
+ * @returns {Object[]} Contents of message_1.json, message_2.json, ...
+ */
+function renderFacebook(threadID, messages, info) {
+  const name = nameLookup(info);
+  const threadPath = facebookThreadPath(threadID, info);
+  const participants = ((info && info.userInfo) || []).map(user => ({ name: name(user.id) }));
+  const newestFirst = messages.map(message => facebookMessage(message, name)).reverse();
+  const files = [];
+  for (let i = 0; i < newestFirst.length || i === 0; i += FACEBOOK_CHUNK) {
+    files.push({
+      participants,
+      messages: newestFirst.slice(i, i + FACEBOOK_CHUNK),
+      title: (info && (info.threadName || info.name)) || "",
+      is_still_participant: info ? info.isSubscribed !== false : true,
+      thread_path: threadPath.replace(/^messages\//, ""),
+      magic_words: []
+    });
+  }
+  return files;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  toTime,
+  collectHistory,
+  downloadAttachments,
+  renderJSON,
+  renderJSONL,
+  renderHTML,
+  renderFacebook,
+  facebookThreadPath
+};
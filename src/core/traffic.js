@@ -0,0 +1,383 @@
+/**
+ * Traffic recording and replay for FCA/AsuraClient
+ * Writes sanitized HTTP exchanges and MQTT publishes to a JSONL file and
+ * feeds a recording back through the parsers to reproduce bugs offline
+ * @module traffic
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const EventEmitter = require("events");
+const { CookieJar } = require("tough-cookie");
+const logger = require("../../func/logger");
+const SecurityUtils = require("../utils/security");
+const { NetworkError, ValidationError } = require("../utils/errors");
+const { parseAndCheckLogin } = require("../utils/client");
+const { DEFAULT_ENDPOINTS } = require("../utils/endpoints");
+const createParseDelta = require("../api/socket/core/parseDelta");
+const getTaskResponseData = require("../api/socket/core/getTaskResponseData");
+
+// Replay never marks messages as delivered
+const parseDelta = createParseDelta({ markDelivery: () => {}, parseAndCheckLogin });
+
+/**
+ * Recorded HTTP exchange
+ * @typedef {Object} HttpRecord
+ * @property {"http"} type
+ * @property {number} time - When the response arrived
+ * @property {string} method - HTTP method
+ * @property {string} url - Request URL
+ * @property {{headers: Object, params: Object, body: *}} request - Sent headers, query and decoded body
+ * @property {number} [status] - Response status
+ * @property {{headers: Object, body: *}} [response] - Response headers and body
+ * @property {string} [error] - Error message when no response arrived
+ * @property {number} duration - Milliseconds until the response
+ */
+
+/**
+ * Recorded MQTT publish
+ * @typedef {Object} MqttRecord
+ * @property {"mqtt"} type
+ * @property {number} time - When the frame was sent or received
+ * @property {"in"|"out"} direction - Received from or sent to the broker
+ * @property {string} topic - MQTT topic
+ * @property {number} qos - QoS level
+ * @property {string} payload - UTF-8 payload
+ * @property {string} [task] - Decoder of the `/ls_req` request a frame belongs to
+ */
+
+function headerOf(headers, name) {
+  if (!headers) return undefined;
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+function plainHeaders(headers) {
+  if (!headers) return {};
+  return typeof headers.toJSON === "function" ? headers.toJSON() : Object.assign({}, headers);
+}
+
+/**
+ * Copy a value into something JSON can hold; streams and buffers are not kept
+ * @private
+ */
+function toRecordable(value) {
+  if (value == null || typeof value !== "object") return value;
+  if (Buffer.isBuffer(value) || typeof value.pipe === "function" || typeof value.arrayBuffer === "function") return "[binary]";
+  if (Array.isArray(value)) return value.map(toRecordable);
+  const out = {};
+  for (const [key, item] of Object.entries(value)) out[key] = toRecordable(item);
+  return out;
+}
+
+/**
+ * Decode an encoded request body so the recording shows its fields
+ * @private
+ */
+function describeBody(body, headers) {
+  if (typeof body !== "string") return toRecordable(body);
+  const type = String(headerOf(headers, "content-type") || "");
+  if (type.includes("x-www-form-urlencoded")) return Object.fromEntries(new URLSearchParams(body));
+  if (type.includes("json")) {
+    try {
+      return JSON.parse(body);
+    } catch (_) {
+      return body;
+    }
+  }
+  return body;
+}
+
+/**
+ * GraphQL doc_id or friendly name of a request, used to tell apart calls to
+ * the same path
+ * @private
+ */
+function operationOf(body, params) {
+  const fields = Object.assign({}, params, body && typeof body === "object" ? body : null);
+  if (fields.doc_id) return String(fields.doc_id);
+  if (fields.queries) {
+    try {
+      const queries = typeof fields.queries === "string" ? JSON.parse(fields.queries) : fields.queries;
+      const ids = Object.values(queries || {}).map(query => query && query.doc_id).filter(Boolean);
+      if (ids.length) return ids.join(",");
+    } catch (_) { }
+  }
+  if (fields.fb_api_req_friendly_name) return String(fields.fb_api_req_friendly_name);
+  return null;
+}
+
+function requestKeys(method, url, body, params) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch (_) {
+    pathname = String(url);
+  }
+  const base = `${String(method).toUpperCase()} ${pathname}`;
+  const operation = operationOf(body, params);
+  return operation ? [`${base} ${operation}`, base] : [base];
+}
+
+/**
+ * Appends sanitized traffic to a JSONL file. Cookies, fb_dtsg and other
+ * credentials are removed with SecurityUtils.sanitizeForLogging before a
+ * line is written.
+ */
+class TrafficRecorder {
+  /**
+   * Create a recorder
+   * @param {Object} options - Recorder options
+   * @param {string} options.file - JSONL file; created if missing, appended to otherwise
+   * @throws {ValidationError} Without a file path
+   */
+  constructor(options = {}) {
+    if (!options.file || typeof options.file !== "string") {
+      throw new ValidationError("record must be the path of a JSONL file", { file: options.file });
+    }
+    this.file = path.resolve(options.file);
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+  }
+
+  /**
+   * Record an HTTP exchange
+   * @param {Object} exchange - Exchange to record
+   * @param {string} exchange.method - HTTP method
+   * @param {string} exchange.url - Request URL
+   * @param {Object} [exchange.headers] - Request headers
+   * @param {Object} [exchange.params] - Query parameters
+   * @param {*} [exchange.body] - Request body, encoded or as a form object
+   * @param {Object} [exchange.response] - Axios response
+   * @param {Error} [exchange.error] - Error thrown instead of a response
+   * @param {number} [exchange.started] - Request start timestamp
+   */
+  http({ method, url, headers, params, body, response, error, started }) {
+    const entry = {
+      type: "http",
+      method: String(method).toUpperCase(),
+      url,
+      request: { headers: plainHeaders(headers), params: toRecordable(params) || undefined, body: describeBody(body, headers) }
+    };
+    if (response) {
+      entry.status = response.status;
+      entry.response = { headers: plainHeaders(response.headers), body: toRecordable(response.data) };
+    } else {
+      entry.error = String(error && error.message ? error.message : error);
+    }
+    if (started) entry.duration = Date.now() - started;
+    this.write(entry);
+  }
+
+  /**
+   * Record an MQTT publish packet
+   * @param {"in"|"out"} direction - Received from or sent to the broker
+   * @param {Object} packet - mqtt-packet publish packet
+   * @param {string} [task] - Decoder of the `/ls_req` request the packet belongs to
+   */
+  mqtt(direction, packet, task) {
+    const payload = packet.payload;
+    this.write({
+      type: "mqtt",
+      direction,
+      topic: packet.topic,
+      qos: packet.qos || 0,
+      payload: Buffer.isBuffer(payload) ? payload.toString("utf8") : String(payload == null ? "" : payload),
+      task: task || undefined
+    });
+  }
+
+  /** @private */
+  write(entry) {
+    try {
+      const line = JSON.stringify(SecurityUtils.sanitizeForLogging(Object.assign({ time: Date.now() }, entry)));
+      fs.appendFileSync(this.file, line + "\n");
+    } catch (err) {
+      logger(`traffic recording failed: ${err && err.message ? err.message : err}`, "warn");
+    }
+  }
+}
+
+/**
+ * Read a recording
+ * @param {string} file - JSONL file written by TrafficRecorder
+ * @returns {Array<HttpRecord|MqttRecord>}
+ * @throws {ValidationError} On a line that is not JSON
+ */
+function readTraffic(file) {
+  const lines = fs.readFileSync(file, "utf8").split(/\r?\n/);
+  const entries = [];
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (err) {
+      throw new ValidationError(`Malformed recording at line ${index + 1}`, { file, cause: err.message });
+    }
+  });
+  return entries;
+}
+
+/**
+ * Feeds a recording back through parseDelta, getTaskResponseData and the API
+ * methods. HTTP requests made while replaying are answered with the recorded
+ * response for the same method, path and GraphQL doc_id, in recorded order.
+ */
+class TrafficReplay {
+  /**
+   * Create a replay
+   * @param {string|Array<HttpRecord|MqttRecord>} source - Recording file or its entries
+   * @param {Object} [options] - Replay options
+   * @param {string} [options.userID] - Account the recording belongs to (default: read from the recorded requests)
+   * @param {Object} [options.globalOptions] - Options for the replayed session; delivery receipts are never sent
+   */
+  constructor(source, options = {}) {
+    this.entries = typeof source === "string" ? readTraffic(source) : Array.from(source || []);
+    this.userID = String(options.userID || this.recordedUserID() || "0");
+    this.globalOptions = Object.assign(
+      { selfListen: true, listenEvents: true, listenTyping: true, endpoints: DEFAULT_ENDPOINTS },
+      options.globalOptions,
+      { autoMarkDelivery: false, autoMarkRead: false }
+    );
+    this.responses = new Map();
+    for (const entry of this.entries) {
+      if (entry.type !== "http" || !entry.response) continue;
+      const request = entry.request || {};
+      for (const key of requestKeys(entry.method, entry.url, request.body, request.params)) {
+        if (!this.responses.has(key)) this.responses.set(key, { entries: [], next: 0 });
+        this.responses.get(key).entries.push(entry);
+      }
+    }
+    this.defaultFuncs = {
+      get: (url, jar, qs) => this.respond("GET", url, null, qs),
+      post: (url, jar, form) => this.respond("POST", url, form, null),
+      postFormData: (url, jar, form, qs) => this.respond("POST", url, form, qs)
+    };
+    this.ctx = null;
+    this.api = null;
+  }
+
+  /**
+   * Recorded MQTT frames
+   * @param {string} [topic] - Only frames of this topic
+   * @param {"in"|"out"} [direction="in"] - Only frames in this direction
+   * @returns {MqttRecord[]}
+   */
+  frames(topic, direction = "in") {
+    return this.entries.filter(entry => entry.type === "mqtt" && entry.direction === direction && (!topic || entry.topic === topic));
+  }
+
+  /**
+   * API object backed by the recording; its methods run the real formatters
+   * on recorded responses
+   * @returns {Object}
+   */
+  createApi() {
+    if (this.api) return this.api;
+    const { loadApi } = require("../api");
+    const api = new EventEmitter();
+    const ctx = {
+      userID: this.userID,
+      jar: new CookieJar(),
+      globalOptions: this.globalOptions,
+      loggedIn: true,
+      fb_dtsg: "",
+      clientID: "0",
+      clientId: "",
+      wsReqNumber: 0,
+      wsTaskNumber: 0,
+      tasks: new Map(),
+      emitEvent: (event, payload) => api.emit(event, payload)
+    };
+    api.getCurrentUserID = () => this.userID;
+    loadApi(this.defaultFuncs, api, ctx);
+    this.ctx = ctx;
+    this.api = api;
+    return api;
+  }
+
+  /**
+   * Run every recorded `/t_ms` delta through parseDelta
+   * @returns {Promise<Object[]>} Events as listenMqtt would have emitted them, before middlewares
+   */
+  async deltas() {
+    const api = this.createApi();
+    const events = [];
+    const callback = (error, event) => {
+      if (!error && event) events.push(event);
+    };
+    for (const frame of this.frames("/t_ms")) {
+      const message = this.parsePayload(frame);
+      for (const delta of (message && message.deltas) || []) {
+        await parseDelta(this.defaultFuncs, api, this.ctx, callback, { delta });
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Decode every recorded `/ls_resp` with getTaskResponseData
+   * @returns {Array<{requestID: number, type: string|null, data: Object|null}>} `data` is null where decoding failed
+   */
+  tasks() {
+    const types = new Map();
+    for (const frame of this.frames("/ls_req", "out")) {
+      const message = this.parsePayload(frame);
+      if (message && frame.task) types.set(message.request_id, frame.task);
+    }
+    return this.frames("/ls_resp").map(frame => {
+      const message = this.parsePayload(frame) || {};
+      const type = frame.task || types.get(message.request_id) || null;
+      let payload = message.payload;
+      try {
+        if (typeof payload === "string") payload = JSON.parse(payload);
+      } catch (_) {
+        payload = null;
+      }
+      return { requestID: message.request_id, type, data: type ? getTaskResponseData(type, payload) : null };
+    });
+  }
+
+  /** @private */
+  respond(method, url, body, params) {
+    const keys = requestKeys(method, url, body, params);
+    const match = keys.map(key => this.responses.get(key)).find(Boolean);
+    if (!match) {
+      return Promise.reject(new NetworkError(`No recorded response for ${keys[0]}`, { url }));
+    }
+    // The last response of a request is reused once the recorded ones run out
+    const entry = match.entries[Math.min(match.next++, match.entries.length - 1)];
+    return Promise.resolve({
+      status: entry.status,
+      headers: entry.response.headers || {},
+      data: entry.response.body,
+      config: { url, method: method.toLowerCase(), headers: (entry.request && entry.request.headers) || {} }
+    });
+  }
+
+  /** @private */
+  parsePayload(frame) {
+    try {
+      return JSON.parse(frame.payload);
+    } catch (err) {
+      logger(`replay skipped a ${frame.topic} frame that is not JSON`, "warn");
+      return null;
+    }
+  }
+
+  /** @private */
+  recordedUserID() {
+    for (const entry of this.entries) {
+      const body = entry.type === "http" && entry.request && entry.request.body;
+      if (body && typeof body === "object" && (body.__user || body.av)) return body.__user || body.av;
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  TrafficRecorder,
+  TrafficReplay,
+  readTraffic
+};
@@ -0,0 +1,151 @@
+/**
+ * Attachment uploads for FCA/AsuraClient
+ * Shared by sendMessage and uploadAttachment; reports progress, honours an
+ * AbortSignal and can reuse the IDs of files uploaded before
+ * @module upload
+ */
+
+"use strict";
+
+const crypto = require("crypto");
+const { parseAndCheckLogin } = require("../utils/client");
+const { endpoint } = require("../utils/endpoints");
+const { NetworkError } = require("../utils/errors");
+const { Cache } = require("../utils/cache");
+const { isReadableStream } = require("../utils/constants");
+const { resolveAttachment, uploadForm } = require("../utils/attachments");
+
+const CACHE_DEFAULTS = {
+  enabled: false,
+  maxSize: 500,
+  ttl: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Cache of upload metadata by content hash
+ * @param {Object} [options] - `uploadCache` option
+ * @param {boolean} [options.enabled=false] - Without it, every file is uploaded
+ * @param {number} [options.maxSize=500] - Number of files remembered
+ * @param {number} [options.ttl=86400000] - How long an uploaded ID is reused, in ms
+ * @returns {Cache|null} Null when disabled
+ */
+function createUploadCache(options) {
+  const settings = Object.assign({}, CACHE_DEFAULTS, options);
+  return settings.enabled ? new Cache({ maxSize: settings.maxSize, defaultTTL: settings.ttl }) : null;
+}
+
+/**
+ * Error to reject with once `signal` has aborted; `signal.reason` needs Node 17.2
+ * @param {AbortSignal} signal - Aborted signal
+ * @returns {Error}
+ */
+function aborted(signal) {
+  return signal.reason instanceof Error ? signal.reason : Object.assign(new Error("The upload was aborted"), { name: "AbortError" });
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Upload progress
+ * @typedef {Object} UploadProgress
+ * @property {number} index - Position of the file among the attachments
+ * @property {string|null} filename - File name
+ * @property {number} loaded - Bytes sent so far, multipart framing included
+ * @property {number|null} total - Bytes to send, null when unknown
+ * @property {number|null} percent - 0 to 100, null when the total is unknown
+ * @property {boolean} cached - The file was not sent because its ID was reused
+ */
+
+/**
+ * Upload one attachment, see attachments#resolveAttachment for the inputs.
+ * With `ctx.uploadCache`, files are hashed (fs streams are read into a
+ * Buffer first; other streams are uploaded as they are) and when the cache
+ * holds the hash, the earlier upload's metadata is returned and nothing is sent.
+ * @param {Object} defaultFuncs - Request helpers
+ * @param {Object} ctx - Session context
+ * @param {*} input - Stream, Buffer, `{ buffer, filename }`, file path or URL
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the download and upload; the promise rejects with the signal's reason
+ * @param {Function} [options.onProgress] - Called with an {@link UploadProgress}
+ * @param {number} [options.index=0] - Index reported to `onProgress`
+ * @returns {Promise<Object>} Upload metadata, e.g. `{ image_id, filename, filetype }`
+ */
+async function uploadAttachment(defaultFuncs, ctx, input, options = {}) {
+  const { signal, onProgress, index = 0 } = options;
+  if (signal && signal.aborted) throw aborted(signal);
+  const report = (loaded, total, cached) => {
+    if (!onProgress) return;
+    onProgress({ index, filename: attachment.filename, loaded, total: total || null, percent: total ? Math.min(100, Math.round(loaded / total * 100)) : null, cached });
+  };
+
+  const attachment = await resolveAttachment(input, {
+    download: (url, downloadOptions) => ctx.http.download(url, ctx.jar, Object.assign({ signal }, downloadOptions))
+  }).catch(err => {
+    throw signal && signal.aborted ? aborted(signal) : err;
+  });
+  const cache = ctx.uploadCache;
+  if (cache && isReadableStream(attachment.value) && typeof attachment.value.path === "string") {
+    attachment.value = await readStream(attachment.value);
+  }
+  const hash = cache && Buffer.isBuffer(attachment.value)
+    ? crypto.createHash("sha256").update(attachment.value).digest("hex")
+    : null;
+  const cached = hash && cache.get(hash);
+  if (cached) {
+    report(attachment.size, attachment.size, true);
+    return Object.assign({}, cached);
+  }
+
+  // Axios throttles progress events, so the last one may not arrive
+  const sent = { loaded: 0, total: null };
+  const resData = await defaultFuncs
+    .postFormData(endpoint(ctx, "upload", "/ajax/mercury/upload.php"), ctx.jar, uploadForm(attachment), {}, undefined, {
+      signal,
+      onUploadProgress: event => {
+        Object.assign(sent, { loaded: event.loaded, total: event.total || null });
+        report(sent.loaded, sent.total, false);
+      }
+    })
+    .then(parseAndCheckLogin(ctx, defaultFuncs))
+    .catch(err => {
+      throw signal && signal.aborted ? aborted(signal) : err;
+    });
+  if (resData.error) throw new NetworkError(resData.error, resData);
+  if (sent.total && sent.loaded < sent.total) report(sent.total, sent.total, false);
+  const metadata = resData.payload.metadata[0];
+  if (hash) cache.set(hash, Object.assign({}, metadata));
+  return metadata;
+}
+
+/**
+ * Upload several attachments in parallel. With a `signal`, an abort or a
+ * failed upload cancels the others.
+ * @param {Object} defaultFuncs - Request helpers
+ * @param {Object} ctx - Session context
+ * @param {Array} inputs - Attachments
+ * @param {Object} [options] - `{ signal, onProgress }`, as for uploadAttachment
+ * @returns {Promise<Object[]>} Upload metadata, in input order
+ */
+function uploadAttachments(defaultFuncs, ctx, inputs, options = {}) {
+  const { signal, onProgress } = options;
+  if (!signal) {
+    return Promise.all(inputs.map((input, index) => uploadAttachment(defaultFuncs, ctx, input, { onProgress, index })));
+  }
+  const controller = new AbortController();
+  const cancel = () => controller.abort(signal.reason);
+  if (signal.aborted) cancel();
+  else signal.addEventListener("abort", cancel, { once: true });
+  const uploads = inputs.map((input, index) =>
+    uploadAttachment(defaultFuncs, ctx, input, { signal: controller.signal, onProgress, index }).catch(err => {
+      controller.abort(err);
+      throw err;
+    })
+  );
+  return Promise.all(uploads).finally(() => signal.removeEventListener("abort", cancel));
+}
+
+module.exports = { createUploadCache, uploadAttachment, uploadAttachments, aborted };
@@ -0,0 +1,56 @@
+/**
+ * Conversation store backed by the `conversations` column of the Thread model
+ * @module conversations
+ */
+
+const { Op } = require("sequelize");
+
+/**
+ * Keeps pending awaitReply/awaitMessage conversations on their Thread row so
+ * they survive restarts
+ */
+class ThreadConversationStore {
+  /**
+   * Create a Thread-backed store
+   * @param {Object} [options] - Store options
+   * @param {Object} [options.models] - Models object exposing `Thread` (default: src/database/models, loaded on first use)
+   */
+  constructor(options = {}) {
+    this.models = options.models || null;
+  }
+
+  getModel() {
+    if (!this.models) this.models = require("../models");
+    if (!this.models.Thread) throw new Error("Thread model is not available");
+    return this.models.Thread;
+  }
+
+  /**
+   * Every stored conversation
+   * @returns {Promise<Object[]>}
+   */
+  async load() {
+    const Thread = this.getModel();
+    const rows = await Thread.findAll({ where: { conversations: { [Op.ne]: null } } });
+    return rows.reduce((all, row) => {
+      const list = row.get("conversations");
+      return Array.isArray(list) ? all.concat(list) : all;
+    }, []);
+  }
+
+  /**
+   * Replace the stored conversations of a thread
+   * @param {string} threadID - Thread ID
+   * @param {Object[]} conversations - Conversations to keep; empty clears them
+   * @returns {Promise<void>}
+   */
+  async save(threadID, conversations) {
+    const Thread = this.getModel();
+    const value = conversations.length ? conversations : null;
+    const thread = await Thread.findOne({ where: { threadID: String(threadID) } });
+    if (thread) await thread.update({ conversations: value });
+    else if (value) await Thread.create({ threadID: String(threadID), conversations: value });
+  }
+}
+
+module.exports = { ThreadConversationStore };
@@ -0,0 +1,265 @@
+/**
+ * Message store backed by the Message model, with an FTS5 index for search
+ * @module messages
+ */
+
+const { Op } = require("sequelize");
+const { ValidationError } = require("../../utils/errors");
+
+// External-content FTS5 table over messages.body, kept in step by triggers
+const SEARCH_SCHEMA = [
+  "CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(body, content='messages', content_rowid='id')",
+  "CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN INSERT INTO messages_fts(rowid, body) VALUES (new.id, new.body); END",
+  "CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN INSERT INTO messages_fts(messages_fts, rowid, body) VALUES ('delete', old.id, old.body); END",
+  "CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF body ON messages BEGIN INSERT INTO messages_fts(messages_fts, rowid, body) VALUES ('delete', old.id, old.body); INSERT INTO messages_fts(rowid, body) VALUES (new.id, new.body); END"
+];
+
+const MESSAGE_TYPES = new Set([undefined, "message", "message_reply"]);
+
+function toTime(value) {
+  if (value == null || value === "") return null;
+  const time = value instanceof Date ? value.getTime() : Number(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Turn plain text into an FTS5 query that matches every word
+ * @param {string} text - Search text
+ * @returns {string}
+ */
+function toMatchQuery(text) {
+  return String(text).split(/\s+/).filter(Boolean).map(word => `"${word.replace(/"/g, "\"\"")}"`).join(" ");
+}
+
+/**
+ * Stored message
+ * @typedef {Object} StoredMessage
+ * @property {string} messageID - Facebook message ID
+ * @property {string} threadID - Thread ID
+ * @property {string|null} senderID - Author
+ * @property {string} body - Current text
+ * @property {Object[]} attachments - Formatted attachments
+ * @property {Object} mentions - Mentioned user IDs and their text
+ * @property {string|null} replyToID - ID of the message this one replies to
+ * @property {number|null} timestamp - Send time
+ * @property {number|null} editedAt - Time of the last edit
+ * @property {number|null} unsentAt - Time the message was unsent
+ */
+
+/**
+ * Keeps messages seen through listenMqtt, getThreadHistory and getMessage in
+ * the `messages` table and searches them with SQLite FTS5
+ */
+class MessageStore {
+  /**
+   * Create a Message-backed store
+   * @param {Object} [options] - Store options
+   * @param {Object} [options.models] - Models object exposing `Message` (default: src/database/models, loaded on first use)
+   * @param {Function} [options.enabled] - `() => boolean`; messages are only written while it returns true
+   */
+  constructor(options = {}) {
+    this.models = options.models || null;
+    this.enabled = options.enabled || (() => true);
+    this.ready = null;
+  }
+
+  async getModel() {
+    if (!this.models) this.models = require("../models");
+    const Model = this.models.Message;
+    if (!Model) throw new Error("Message model is not available");
+    if (!this.ready) {
+      const sync = typeof this.models.syncAll === "function" ? this.models.syncAll() : Model.sync();
+      this.ready = sync.then(async () => {
+        for (const statement of SEARCH_SCHEMA) await Model.sequelize.query(statement);
+      }).catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    await this.ready;
+    return Model;
+  }
+
+  /**
+   * Store what an event says about messages: new messages and replies are
+   * saved, `message_unsend` and `message_edit` update the stored row
+   * @param {Object} event - listenMqtt event
+   * @returns {Promise<void>}
+   */
+  async record(event) {
+    if (!event || !this.enabled()) return;
+    switch (event.type) {
+      case "message":
+      case "message_reply":
+        await this.save(event);
+        break;
+      case "message_unsend":
+        await this.unsend(event.messageID, event.deletionTimestamp || event.timestamp);
+        break;
+      case "message_edit":
+        await this.edit(event.messageID, event.body, event.timestamp);
+        break;
+    }
+  }
+
+  /**
+   * Insert or update messages, e.g. from getThreadHistory. Replied-to
+   * messages are saved too; events and entries without a message or thread
+   * ID are skipped.
+   * @param {Object[]} messages - Formatted messages
+   * @returns {Promise<number>} Number of messages written
+   */
+  async save(messages) {
+    if (!this.enabled()) return 0;
+    const rows = [].concat(messages || [])
+      .flatMap(message => message && message.messageReply ? [message.messageReply, message] : [message])
+      .filter(message => message && MESSAGE_TYPES.has(message.type) && message.messageID && message.threadID)
+      .map(message => ({
+        messageID: String(message.messageID),
+        threadID: String(message.threadID),
+        senderID: message.senderID == null ? null : String(message.senderID),
+        body: message.body || "",
+        attachments: message.attachments || [],
+        mentions: message.mentions || {},
+        replyToID: message.messageReply && message.messageReply.messageID ? String(message.messageReply.messageID) : null,
+        timestamp: toTime(message.timestamp)
+      }));
+    if (!rows.length) return 0;
+    const Model = await this.getModel();
+    for (const row of rows) {
+      const existing = await Model.findOne({ where: { messageID: row.messageID } });
+      if (!existing) {
+        try {
+          await Model.create(row);
+          continue;
+        } catch (err) {
+          // Saved in the meantime, e.g. by listenMqtt and getThreadHistory at once
+          if (err.name !== "SequelizeUniqueConstraintError") throw err;
+        }
+      }
+      // A replied-to copy carries no reply link or timestamp of its own
+      if (!row.replyToID) delete row.replyToID;
+      if (row.timestamp == null) delete row.timestamp;
+      await Model.update(row, { where: { messageID: row.messageID } });
+    }
+    return rows.length;
+  }
+
+  /**
+   * Replace the text of a stored message
+   * @param {string} messageID - Message ID
+   * @param {string} body - New text
+   * @param {number} [timestamp=Date.now()] - Edit time
+   * @returns {Promise<boolean>} Whether the message was stored
+   */
+  async edit(messageID, body, timestamp) {
+    if (!this.enabled()) return false;
+    const Model = await this.getModel();
+    const [count] = await Model.update(
+      { body: body || "", editedAt: toTime(timestamp) || Date.now() },
+      { where: { messageID: String(messageID) } }
+    );
+    return count > 0;
+  }
+
+  /**
+   * Mark a stored message as unsent; its content is kept
+   * @param {string} messageID - Message ID
+   * @param {number} [timestamp=Date.now()] - Unsend time
+   * @returns {Promise<boolean>} Whether the message was stored
+   */
+  async unsend(messageID, timestamp) {
+    if (!this.enabled()) return false;
+    const Model = await this.getModel();
+    const [count] = await Model.update(
+      { unsentAt: toTime(timestamp) || Date.now() },
+      { where: { messageID: String(messageID) } }
+    );
+    return count > 0;
+  }
+
+  /**
+   * A stored message
+   * @param {string} messageID - Message ID
+   * @returns {Promise<StoredMessage|null>}
+   */
+  async get(messageID) {
+    const Model = await this.getModel();
+    const row = await Model.findOne({ where: { messageID: String(messageID) } });
+    return row ? toStoredMessage(row) : null;
+  }
+
+  /**
+   * Full-text search over stored message bodies
+   * @param {string} query - Words that must all appear; with `options.raw`, an FTS5 query
+   * @param {Object} [options]
+   * @param {string} [options.threadID] - Only this thread
+   * @param {string} [options.sender] - Only this author
+   * @param {number} [options.since] - Only messages sent at or after this time
+   * @param {number} [options.until] - Only messages sent at or before this time
+   * @param {boolean} [options.includeUnsent=true] - Include unsent messages
+   * @param {boolean} [options.raw=false] - Pass `query` to FTS5 unchanged
+   * @param {number} [options.limit=50] - Maximum number of results
+   * @returns {Promise<StoredMessage[]>} Best matches first
+   */
+  async search(query, options = {}) {
+    const match = options.raw ? String(query || "") : toMatchQuery(query || "");
+    if (!match.trim()) throw new ValidationError("Search query must not be empty");
+    const limit = options.limit == null ? 50 : options.limit;
+    if (!Number.isInteger(limit) || limit <= 0) throw new ValidationError("limit must be a positive integer", { limit });
+
+    const Model = await this.getModel();
+    const conditions = ["messages_fts MATCH :match"];
+    const replacements = { match, limit };
+    if (options.threadID != null) {
+      conditions.push("m.threadID = :threadID");
+      replacements.threadID = String(options.threadID);
+    }
+    if (options.sender != null) {
+      conditions.push("m.senderID = :sender");
+      replacements.sender = String(options.sender);
+    }
+    if (options.since != null) {
+      conditions.push("m.timestamp >= :since");
+      replacements.since = toTime(options.since);
+    }
+    if (options.until != null) {
+      conditions.push("m.timestamp <= :until");
+      replacements.until = toTime(options.until);
+    }
+    if (options.includeUnsent === false) conditions.push("m.unsentAt IS NULL");
+
+    let hits;
+    try {
+      hits = await Model.sequelize.query(
+        `SELECT m.id FROM messages_fts JOIN messages m ON m.id = messages_fts.rowid WHERE ${conditions.join(" AND ")} ORDER BY messages_fts.rank LIMIT :limit`,
+        { replacements, type: Model.sequelize.QueryTypes.SELECT }
+      );
+    } catch (err) {
+      if (options.raw && err.name === "SequelizeDatabaseError") throw new ValidationError(`Invalid search query: ${err.message}`, { query });
+      throw err;
+    }
+    const ids = hits.map(hit => hit.id);
+    const rows = await Model.findAll({ where: { id: { [Op.in]: ids } } });
+    const byID = new Map(rows.map(row => [row.get("id"), row]));
+    return ids.filter(id => byID.has(id)).map(id => toStoredMessage(byID.get(id)));
+  }
+}
+
+function toStoredMessage(row) {
+  const plain = row.get({ plain: true });
+  return {
+    messageID: plain.messageID,
+    threadID: plain.threadID,
+    senderID: plain.senderID,
+    body: plain.body,
+    attachments: plain.attachments || [],
+    mentions: plain.mentions || {},
+    replyToID: plain.replyToID,
+    timestamp: toTime(plain.timestamp),
+    editedAt: toTime(plain.editedAt),
+    unsentAt: toTime(plain.unsentAt)
+  };
+}
+
+module.exports = { MessageStore, toMatchQuery };
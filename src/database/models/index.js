@@ -2,8 +2,12 @@ const { Sequelize } = require("sequelize");
 const fs = require("fs");
 const path = require("path");
 const databasePath = path.join(process.cwd(), "Fca_Database");
-if (!fs.existsSync(databasePath)) {
-  fs.mkdirSync(databasePath, { recursive: true });
+try {
+  if (!fs.existsSync(databasePath)) {
+    fs.mkdirSync(databasePath, { recursive: true });
+  }
+} catch (error) {
+  // Read-only file system; queries will fail but requiring the models must not
 }
 const sequelize = new Sequelize({
   dialect: "sqlite",
@@ -37,13 +41,34 @@ Object.keys(models).forEach(modelName => {
 });
 models.sequelize = sequelize;
 models.Sequelize = Sequelize;
-models.syncAll = async () => {
-  try {
-    await sequelize.sync({ force: false });
-  } catch (error) {
-    console.error("Failed to synchronize models:", error);
-    throw error;
+// sync() only creates missing tables, so columns added to a model later
+// are added to existing databases here
+async function addMissingColumns() {
+  const queryInterface = sequelize.getQueryInterface();
+  for (const model of Object.values(sequelize.models)) {
+    const table = model.getTableName();
+    const existing = await queryInterface.describeTable(table);
+    for (const [name, attribute] of Object.entries(model.rawAttributes)) {
+      const column = attribute.field || name;
+      if (!existing[column]) await queryInterface.addColumn(table, column, { type: attribute.type, allowNull: true });
+    }
+  }
+}
+// Shared so stores that need their table can wait for the sync started at
+// login instead of running a second, overlapping one
+let syncing = null;
+models.syncAll = () => {
+  if (!syncing) {
+    syncing = (async () => {
+      await sequelize.sync({ force: false });
+      await addMissingColumns();
+    })().catch(error => {
+      syncing = null;
+      console.error("Failed to synchronize models:", error);
+      throw error;
+    });
   }
+  return syncing;
 };
 
 module.exports = models;
@@ -0,0 +1,98 @@
+/**
+ * Message model for FCA/AsuraClient
+ * Stores messages seen by the client when the storeMessages option is on
+ * @module models/message
+ */
+
+module.exports = function(sequelize) {
+  const { Model, DataTypes } = require("sequelize");
+
+  /**
+   * Message model class
+   * @extends Model
+   */
+  class Message extends Model {}
+
+  Message.init(
+    {
+      /** @type {number} Auto-incrementing primary key, the rowid of the search index */
+      id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      /** @type {string} Facebook message ID */
+      messageID: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+        validate: {
+          notEmpty: true
+        }
+      },
+      /** @type {string} Facebook thread ID */
+      threadID: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      /** @type {string} Author of the message */
+      senderID: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      /** @type {string} Message text */
+      body: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        defaultValue: ""
+      },
+      /** @type {Array} Formatted attachments */
+      attachments: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      /** @type {Object} Mentioned user IDs and their text */
+      mentions: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      /** @type {string} ID of the message this one replies to */
+      replyToID: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      /** @type {number} Send time in milliseconds */
+      timestamp: {
+        type: DataTypes.BIGINT,
+        allowNull: true
+      },
+      /** @type {number} Time of the last edit in milliseconds */
+      editedAt: {
+        type: DataTypes.BIGINT,
+        allowNull: true
+      },
+      /** @type {number} Time the message was unsent in milliseconds */
+      unsentAt: {
+        type: DataTypes.BIGINT,
+        allowNull: true
+      }
+    },
+    {
+      sequelize,
+      modelName: "Message",
+      tableName: "messages",
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['threadID', 'timestamp']
+        },
+        {
+          fields: ['senderID']
+        }
+      ]
+    }
+  );
+
+  return Message;
+};
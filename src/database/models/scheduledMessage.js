@@ -0,0 +1,95 @@
+/**
+ * ScheduledMessage model for FCA/AsuraClient
+ * Stores messages queued with api.scheduleMessage so they survive restarts
+ * @module models/scheduledMessage
+ */
+
+module.exports = function(sequelize) {
+  const { Model, DataTypes } = require("sequelize");
+
+  /**
+   * ScheduledMessage model class
+   * @extends Model
+   */
+  class ScheduledMessage extends Model {}
+
+  ScheduledMessage.init(
+    {
+      /** @type {number} Auto-incrementing primary key, used as the job ID */
+      id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      /** @type {string} Account that scheduled the message */
+      userID: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      /** @type {string} Facebook thread ID */
+      threadID: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          notEmpty: true
+        }
+      },
+      /** @type {Object} Message passed to sendMessage */
+      message: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      /** @type {string} Cron expression of a recurring job */
+      cron: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      /** @type {Date} Next run time */
+      runAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      /** @type {string} pending, sending, sent, failed or cancelled */
+      status: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: "pending"
+      },
+      /** @type {number} Number of runs started */
+      runs: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      /** @type {Date} Start of the last run */
+      lastRunAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      /** @type {string} Message ID of the last successful send */
+      lastMessageID: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      /** @type {string} Error of the last failed run */
+      lastError: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      }
+    },
+    {
+      sequelize,
+      modelName: "ScheduledMessage",
+      tableName: "scheduled_messages",
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['userID', 'status']
+        }
+      ]
+    }
+  );
+
+  return ScheduledMessage;
+};
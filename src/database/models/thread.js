@@ -35,6 +35,11 @@ module.exports = function(sequelize) {
       data: {
         type: DataTypes.JSONB,
         allowNull: true
+      },
+      /** @type {Array} Pending awaitReply/awaitMessage conversations */
+      conversations: {
+        type: DataTypes.JSON,
+        allowNull: true
       }
     },
     {
@@ -0,0 +1,75 @@
+/**
+ * Scheduled message store backed by the ScheduledMessage model
+ * @module scheduler
+ */
+
+const { Op } = require("sequelize");
+
+/**
+ * Keeps jobs created with api.scheduleMessage in the `scheduled_messages`
+ * table so they survive restarts
+ */
+class ScheduledMessageStore {
+  /**
+   * Create a ScheduledMessage-backed store
+   * @param {Object} [options] - Store options
+   * @param {Object} [options.models] - Models object exposing `ScheduledMessage` (default: src/database/models, loaded on first use)
+   */
+  constructor(options = {}) {
+    this.models = options.models || null;
+    this.ready = null;
+  }
+
+  async getModel() {
+    if (!this.models) this.models = require("../models");
+    const Model = this.models.ScheduledMessage;
+    if (!Model) throw new Error("ScheduledMessage model is not available");
+    if (!this.ready) {
+      const sync = typeof this.models.syncAll === "function" ? this.models.syncAll() : Model.sync();
+      this.ready = sync.catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    await this.ready;
+    return Model;
+  }
+
+  /**
+   * Jobs of an account that have not finished
+   * @param {string} userID - Account ID
+   * @returns {Promise<Object[]>} Jobs with status `pending` or `sending`
+   */
+  async load(userID) {
+    const Model = await this.getModel();
+    const rows = await Model.findAll({
+      where: { userID: String(userID), status: { [Op.in]: ["pending", "sending"] } },
+      order: [["id", "ASC"]]
+    });
+    return rows.map(row => row.get({ plain: true }));
+  }
+
+  /**
+   * Store a new job
+   * @param {Object} job - Job fields
+   * @returns {Promise<Object>} Stored job, including its `id`
+   */
+  async create(job) {
+    const Model = await this.getModel();
+    const row = await Model.create(job);
+    return row.get({ plain: true });
+  }
+
+  /**
+   * Update a stored job
+   * @param {number} id - Job ID
+   * @param {Object} fields - Fields to change
+   * @returns {Promise<void>}
+   */
+  async update(id, fields) {
+    const Model = await this.getModel();
+    await Model.update(fields, { where: { id } });
+  }
+}
+
+module.exports = { ScheduledMessageStore };
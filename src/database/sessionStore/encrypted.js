@@ -0,0 +1,76 @@
+/**
+ * Encrypting session store wrapper
+ * @module sessionStore/encrypted
+ */
+
+const SecurityUtils = require("../../utils/security");
+
+const PREFIX = "enc:";
+
+/**
+ * Wraps another session store and encrypts values with AES-256-GCM before
+ * they reach it. Values written before encryption was enabled are read back
+ * as they are.
+ */
+class EncryptedSessionStore {
+  /**
+   * Create an encrypting wrapper
+   * @param {import("./index").SessionStore} store - Store that holds the ciphertext
+   * @param {string} key - 64 character hex key
+   */
+  constructor(store, key) {
+    this.store = store;
+    this.key = key;
+    this.encrypted = true;
+  }
+
+  decode(value, key = this.key) {
+    if (typeof value !== "string" || !value.startsWith(PREFIX)) return value;
+    return SecurityUtils.decrypt(value.slice(PREFIX.length), key);
+  }
+
+  encode(value, key = this.key) {
+    return PREFIX + SecurityUtils.encrypt(value, key);
+  }
+
+  async get(key) {
+    const value = await this.store.get(key);
+    return value == null ? null : this.decode(value);
+  }
+
+  async set(key, value) {
+    await this.store.set(key, this.encode(value));
+  }
+
+  async delete(key) {
+    await this.store.delete(key);
+  }
+
+  async list(prefix) {
+    return this.store.list(prefix);
+  }
+
+  /**
+   * Re-encrypt every stored value under a new key. All values are decrypted
+   * before anything is written, so a wrong current key leaves the store untouched.
+   * @param {string} newKey - 64 character hex key
+   * @returns {Promise<number>} Number of values re-encrypted
+   */
+  async rotateKey(newKey) {
+    const keys = await this.store.list();
+    const plain = [];
+    for (const key of keys) {
+      const value = await this.store.get(key);
+      if (value != null) plain.push([key, this.decode(value)]);
+    }
+    for (const [key, value] of plain) {
+      await this.store.set(key, this.encode(value, newKey));
+    }
+    this.key = newKey;
+    return plain.length;
+  }
+}
+
+EncryptedSessionStore.PREFIX = PREFIX;
+
+module.exports = EncryptedSessionStore;
@@ -0,0 +1,65 @@
+/**
+ * JSON file session store
+ * @module sessionStore/file
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Session store that keeps every value in a single JSON file
+ */
+class FileSessionStore {
+  /**
+   * Create a file store
+   * @param {Object} [options] - Store options
+   * @param {string} [options.path] - File location (default: Fca_Database/sessions.json in the working directory)
+   */
+  constructor(options = {}) {
+    this.file = options.path || path.join(process.cwd(), "Fca_Database", "sessions.json");
+    this.entries = null;
+  }
+
+  load() {
+    if (this.entries) return this.entries;
+    try {
+      this.entries = JSON.parse(fs.readFileSync(this.file, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      this.entries = {};
+    }
+    return this.entries;
+  }
+
+  async save() {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(this.entries, null, 2));
+    await fs.promises.rename(tmp, this.file);
+  }
+
+  async get(key) {
+    const entry = this.load()[key];
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value) {
+    this.load()[key] = { value, updatedAt: Date.now() };
+    await this.save();
+  }
+
+  async delete(key) {
+    if (!(key in this.load())) return;
+    delete this.entries[key];
+    await this.save();
+  }
+
+  async list(prefix = "") {
+    const entries = this.load();
+    return Object.keys(entries)
+      .filter(key => key.startsWith(prefix))
+      .sort((a, b) => entries[b].updatedAt - entries[a].updatedAt);
+  }
+}
+
+module.exports = FileSessionStore;
@@ -0,0 +1,84 @@
+/**
+ * Session storage for FCA/AsuraClient
+ * Resolves the `sessionStore` option into an adapter used for AppState and
+ * cookie backups
+ * @module sessionStore
+ */
+
+const MemorySessionStore = require("./memory");
+const FileSessionStore = require("./file");
+const SequelizeSessionStore = require("./sequelize");
+const EncryptedSessionStore = require("./encrypted");
+const { ConfigurationError } = require("../../utils/errors");
+
+/**
+ * Session store adapter interface. Keys have the form `${userID}:${type}`,
+ * values are strings.
+ * @typedef {Object} SessionStore
+ * @property {function(string): Promise<string|null>} get - Read a value
+ * @property {function(string, string): Promise<void>} set - Write a value
+ * @property {function(string): Promise<void>} delete - Remove a value
+ * @property {function(string=): Promise<string[]>} list - Keys starting with the given prefix, most recently updated first
+ */
+
+const METHODS = ["get", "set", "delete", "list"];
+
+const BUILT_IN = {
+  memory: MemorySessionStore,
+  file: FileSessionStore,
+  sequelize: SequelizeSessionStore
+};
+
+/**
+ * Check whether a value implements the adapter interface
+ * @param {*} store - Candidate adapter
+ * @returns {boolean}
+ */
+function isSessionStore(store) {
+  return !!store && METHODS.every(method => typeof store[method] === "function");
+}
+
+/**
+ * Build a session store from the `sessionStore` option
+ * @param {string|Object|SessionStore} [option="sequelize"] - "memory", "file", "sequelize",
+ *   `{ type, ...adapterOptions }`, or a custom adapter
+ * @param {Object} [settings] - Store settings
+ * @param {string} [settings.encryptionKey] - When set, values are encrypted with this key
+ * @returns {SessionStore}
+ * @throws {ConfigurationError} If the option cannot be resolved
+ */
+function createSessionStore(option, settings = {}) {
+  const store = resolveStore(option);
+  return settings.encryptionKey ? new EncryptedSessionStore(store, settings.encryptionKey) : store;
+}
+
+function resolveStore(option) {
+  if (option == null) return new SequelizeSessionStore();
+  if (isSessionStore(option)) return option;
+  const type = typeof option === "string" ? option : option.type;
+  const Store = BUILT_IN[type];
+  if (!Store) {
+    throw new ConfigurationError(`Unknown sessionStore "${type}"; expected one of ${Object.keys(BUILT_IN).join(", ")} or an object with ${METHODS.join("/")} methods`);
+  }
+  return new Store(typeof option === "object" ? option : {});
+}
+
+/**
+ * Build the key a value is stored under
+ * @param {string} userID - Facebook user ID
+ * @param {string} type - Value type, e.g. "appstate" or "cookie"
+ * @returns {string}
+ */
+function sessionKey(userID, type) {
+  return `${userID || ""}:${type}`;
+}
+
+module.exports = {
+  createSessionStore,
+  isSessionStore,
+  sessionKey,
+  MemorySessionStore,
+  FileSessionStore,
+  SequelizeSessionStore,
+  EncryptedSessionStore
+};
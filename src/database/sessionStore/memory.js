@@ -0,0 +1,34 @@
+/**
+ * In-memory session store
+ * @module sessionStore/memory
+ */
+
+/**
+ * Session store that keeps values in a Map for the lifetime of the process
+ */
+class MemorySessionStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, updatedAt: Date.now() });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async list(prefix = "") {
+    // Map keeps insertion order and set() re-inserts, so reverse order is newest first
+    return Array.from(this.entries.keys()).filter(key => key.startsWith(prefix)).reverse();
+  }
+}
+
+module.exports = MemorySessionStore;
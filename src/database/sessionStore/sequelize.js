@@ -0,0 +1,103 @@
+/**
+ * Sequelize session store backed by the `app_state_backups` table
+ * @module sessionStore/sequelize
+ */
+
+const logger = require("../../../func/logger");
+
+/**
+ * Session store that keeps values in the `app_state_backups` table of the
+ * shared Fca_Database connection
+ */
+class SequelizeSessionStore {
+  /**
+   * Create a Sequelize store
+   * @param {Object} [options] - Store options
+   * @param {Object} [options.models] - Models object exposing `sequelize` and `Sequelize` (default: src/database/models, loaded on first use)
+   */
+  constructor(options = {}) {
+    this.models = options.models || null;
+    this.model = null;
+    this.ready = null;
+  }
+
+  getModel() {
+    if (this.model) return this.model;
+    if (!this.models) this.models = require("../models");
+    const { sequelize, Sequelize } = this.models;
+    if (!sequelize || !Sequelize) return null;
+    const { DataTypes } = Sequelize;
+    if (sequelize.models && sequelize.models.AppStateBackup) {
+      this.model = sequelize.models.AppStateBackup;
+      return this.model;
+    }
+    const dialect = typeof sequelize.getDialect === "function" ? sequelize.getDialect() : "sqlite";
+    const LongText = (dialect === "mysql" || dialect === "mariadb") ? DataTypes.TEXT("long") : DataTypes.TEXT;
+    this.model = sequelize.define(
+      "AppStateBackup",
+      {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        userID: { type: DataTypes.STRING, allowNull: false },
+        type: { type: DataTypes.STRING, allowNull: false },
+        data: { type: LongText }
+      },
+      { tableName: "app_state_backups", timestamps: true, indexes: [{ unique: true, fields: ["userID", "type"] }] }
+    );
+    return this.model;
+  }
+
+  async ensureReady() {
+    const Model = this.getModel();
+    if (!Model) throw new Error("Sequelize is not available");
+    if (!this.ready) {
+      this.ready = (async () => {
+        await Model.sync();
+        try {
+          await this.models.sequelize.getQueryInterface().addIndex("app_state_backups", ["userID", "type"], { unique: true, name: "app_state_user_type_unique" });
+        } catch { }
+      })().catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    await this.ready;
+    return Model;
+  }
+
+  split(key) {
+    const index = key.lastIndexOf(":");
+    return { userID: key.slice(0, index), type: key.slice(index + 1) };
+  }
+
+  async get(key) {
+    const Model = await this.ensureReady();
+    const row = await Model.findOne({ where: this.split(key) });
+    return row ? row.data : null;
+  }
+
+  async set(key, value) {
+    const Model = await this.ensureReady();
+    const where = this.split(key);
+    const row = await Model.findOne({ where });
+    if (row) {
+      await row.update({ data: value });
+      logger(`Overwrote existing ${where.type} backup for user ${where.userID}`, "debug");
+      return;
+    }
+    await Model.create({ ...where, data: value });
+    logger(`Created new ${where.type} backup for user ${where.userID}`, "info");
+  }
+
+  async delete(key) {
+    const Model = await this.ensureReady();
+    await Model.destroy({ where: this.split(key) });
+  }
+
+  async list(prefix = "") {
+    const Model = await this.ensureReady();
+    const rows = await Model.findAll({ attributes: ["userID", "type"], order: [["updatedAt", "DESC"]] });
+    return rows.map(row => `${row.userID}:${row.type}`).filter(key => key.startsWith(prefix));
+  }
+}
+
+module.exports = SequelizeSessionStore;
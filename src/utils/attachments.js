@@ -0,0 +1,218 @@
+/**
+ * Attachment inputs for FCA/AsuraClient
+ * Turns streams, Buffers, file paths and URLs into uploads for
+ * /ajax/mercury/upload.php
+ * @module attachments
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { getType } = require("./format");
+const { isReadableStream } = require("./constants");
+const { ValidationError, NetworkError } = require("./errors");
+
+const MB = 1024 * 1024;
+
+/** Largest upload Facebook accepts per attachment kind, in bytes */
+const UPLOAD_LIMITS = {
+  photo: 25 * MB,
+  video: 25 * MB,
+  audio: 25 * MB,
+  file: 25 * MB
+};
+
+const EXTENSIONS = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  webp: "image/webp",
+  bmp: "image/bmp",
+  heic: "image/heic",
+  mp4: "video/mp4",
+  m4v: "video/mp4",
+  mov: "video/quicktime",
+  webm: "video/webm",
+  mkv: "video/x-matroska",
+  avi: "video/x-msvideo",
+  "3gp": "video/3gpp",
+  mp3: "audio/mpeg",
+  m4a: "audio/mp4",
+  aac: "audio/aac",
+  ogg: "audio/ogg",
+  oga: "audio/ogg",
+  opus: "audio/ogg",
+  wav: "audio/wav",
+  amr: "audio/amr",
+  pdf: "application/pdf",
+  zip: "application/zip",
+  txt: "text/plain"
+};
+
+// Magic numbers at the start of the common formats; `at` is the byte offset
+const SIGNATURES = [
+  { type: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  { type: "image/png", bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { type: "image/gif", ascii: "GIF8" },
+  { type: "image/webp", ascii: "RIFF", then: { at: 8, ascii: "WEBP" } },
+  { type: "audio/wav", ascii: "RIFF", then: { at: 8, ascii: "WAVE" } },
+  { type: "video/x-msvideo", ascii: "RIFF", then: { at: 8, ascii: "AVI " } },
+  { type: "image/bmp", ascii: "BM" },
+  { type: "audio/mp4", ascii: "ftypM4A", at: 4 },
+  { type: "video/quicktime", ascii: "ftypqt", at: 4 },
+  { type: "video/3gpp", ascii: "ftyp3g", at: 4 },
+  { type: "image/heic", ascii: "ftypheic", at: 4 },
+  { type: "video/mp4", ascii: "ftyp", at: 4 },
+  { type: "video/webm", bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+  { type: "audio/ogg", ascii: "OggS" },
+  { type: "audio/mpeg", ascii: "ID3" },
+  { type: "audio/mpeg", bytes: [0xff, 0xfb] },
+  { type: "audio/mpeg", bytes: [0xff, 0xf3] },
+  { type: "audio/aac", bytes: [0xff, 0xf1] },
+  { type: "audio/amr", ascii: "#!AMR" },
+  { type: "application/pdf", ascii: "%PDF" },
+  { type: "application/zip", bytes: [0x50, 0x4b, 0x03, 0x04] }
+];
+
+function startsWith(buffer, { bytes, ascii, at = 0 }) {
+  const expected = bytes ? Buffer.from(bytes) : Buffer.from(ascii, "latin1");
+  return buffer.length >= at + expected.length && buffer.subarray(at, at + expected.length).equals(expected);
+}
+
+/**
+ * MIME type of a file, from its content when recognised, else its extension
+ * @param {Buffer} [buffer] - File content, or at least its first bytes
+ * @param {string} [filename] - File name
+ * @returns {string} `application/octet-stream` when neither gives a type
+ */
+function sniffMimeType(buffer, filename) {
+  if (Buffer.isBuffer(buffer)) {
+    const match = SIGNATURES.find(sig => startsWith(buffer, sig) && (!sig.then || startsWith(buffer, sig.then)));
+    if (match) return match.type;
+  }
+  const ext = path.extname(filename || "").slice(1).toLowerCase();
+  return EXTENSIONS[ext] || "application/octet-stream";
+}
+
+/**
+ * Upload kind of a MIME type
+ * @param {string} mimeType - MIME type
+ * @returns {"photo"|"video"|"audio"|"file"}
+ */
+function attachmentKind(mimeType) {
+  const [group] = String(mimeType || "").split("/");
+  if (group === "image") return "photo";
+  if (group === "video" || group === "audio") return group;
+  return "file";
+}
+
+function extensionFor(mimeType) {
+  return Object.keys(EXTENSIONS).find(ext => EXTENSIONS[ext] === mimeType) || "bin";
+}
+
+function checkSize(attachment) {
+  const limit = UPLOAD_LIMITS[attachment.kind];
+  if (attachment.size != null && attachment.size > limit) {
+    throw new ValidationError(
+      `Attachment ${attachment.filename} is ${(attachment.size / MB).toFixed(1)} MB; Facebook accepts ${attachment.kind} uploads up to ${limit / MB} MB`,
+      { filename: attachment.filename, size: attachment.size, limit, kind: attachment.kind }
+    );
+  }
+  return attachment;
+}
+
+function fromBuffer(buffer, filename, contentType) {
+  const type = contentType || sniffMimeType(buffer, filename);
+  return checkSize({
+    value: buffer,
+    filename: filename || `attachment.${extensionFor(type)}`,
+    contentType: type,
+    kind: attachmentKind(type),
+    size: buffer.length
+  });
+}
+
+/**
+ * Resolved attachment, ready for upload
+ * @typedef {Object} ResolvedAttachment
+ * @property {Buffer|Stream} value - Content
+ * @property {string|null} filename - File name sent to Facebook
+ * @property {string} contentType - MIME type
+ * @property {"photo"|"video"|"audio"|"file"} kind - Upload kind
+ * @property {number|null} size - Size in bytes, null for streams of unknown length
+ */
+
+/**
+ * Load an attachment given as a readable stream, a Buffer, `{ buffer,
+ * filename, contentType }`, a local file path or an HTTP(S) URL
+ * @param {*} input - Attachment
+ * @param {Object} options
+ * @param {Function} options.download - `(url, { maxBytes }) => Promise<Buffer>`
+ * @returns {Promise<ResolvedAttachment>}
+ * @throws {ValidationError} For unsupported inputs, missing files and files over the size limit
+ */
+async function resolveAttachment(input, { download }) {
+  if (isReadableStream(input)) {
+    // fs streams have a path to name and measure them by; other streams go up as they are
+    const filename = typeof input.path === "string" ? path.basename(input.path) : null;
+    const contentType = sniffMimeType(null, filename);
+    const size = filename ? await fs.promises.stat(input.path).then(stat => stat.size, () => null) : null;
+    return checkSize({ value: input, filename, contentType, kind: attachmentKind(contentType), size });
+  }
+  if (Buffer.isBuffer(input)) return fromBuffer(input);
+  if (getType(input) === "Object" && Buffer.isBuffer(input.buffer)) {
+    return fromBuffer(input.buffer, input.filename, input.contentType);
+  }
+  if (typeof input === "string" && /^https?:\/\//i.test(input)) {
+    const maxBytes = Math.max(...Object.values(UPLOAD_LIMITS));
+    let buffer;
+    try {
+      buffer = await download(input, { maxBytes });
+    } catch (err) {
+      if (err instanceof NetworkError && err.details.maxBytes) {
+        throw new ValidationError(`Attachment ${input} is larger than Facebook's ${maxBytes / MB} MB upload limit`, { url: input, limit: maxBytes });
+      }
+      throw err;
+    }
+    const name = decodeURIComponent(path.basename(new URL(input).pathname));
+    return fromBuffer(buffer, path.extname(name) ? name : null);
+  }
+  if (typeof input === "string" && input) {
+    const stat = await fs.promises.stat(input).catch(() => null);
+    if (!stat || !stat.isFile()) throw new ValidationError(`Attachment file not found: ${input}`, { path: input });
+    const filename = path.basename(input);
+    // Checked before reading so that oversized files are never loaded
+    checkSize({ filename, size: stat.size, kind: attachmentKind(sniffMimeType(null, filename)) });
+    return fromBuffer(await fs.promises.readFile(input), filename);
+  }
+  throw new ValidationError(
+    `Attachment should be a readable stream, a Buffer, a file path or a URL, not ${getType(input)}.`,
+    { type: getType(input) }
+  );
+}
+
+/**
+ * Form for /ajax/mercury/upload.php; audio is flagged as a voice clip
+ * @param {ResolvedAttachment} attachment - Resolved attachment
+ * @returns {Object}
+ */
+function uploadForm(attachment) {
+  const form = {
+    upload_1024: attachment.filename
+      ? { value: attachment.value, options: { filename: attachment.filename, contentType: attachment.contentType } }
+      : attachment.value
+  };
+  // Streams of unknown type keep the flag they were always sent with
+  if (attachment.kind === "audio" || !attachment.filename) form.voice_clip = "true";
+  return form;
+}
+
+module.exports = {
+  UPLOAD_LIMITS,
+  sniffMimeType,
+  attachmentKind,
+  resolveAttachment,
+  uploadForm
+};
@@ -1,6 +1,7 @@
 "use strict";
 const logger = require('../../func/logger');
 const { NetworkError, AuthenticationError } = require('./errors');
+const { endpoint, cookieTarget } = require('./endpoints');
 
 function saveCookies(jar) {
   return res => {
@@ -19,9 +20,9 @@ function saveCookies(jar) {
   };
 }
 
-function getAppState(jar) {
+function getAppState(jar, source) {
   if (!jar || typeof jar.getCookiesSync !== "function") return [];
-  const urls = ["https://www.facebook.com", "https://www.messenger.com"];
+  const urls = [endpoint(source, "facebook"), "https://www.messenger.com"];
   const all = urls.flatMap(u => {
     try { return jar.getCookiesSync(u) || []; } catch { return []; }
   });
@@ -80,10 +81,10 @@ function parseAndCheckLogin(ctx, http, retryCount = 0) {
     }
   };
 
-  const formatCookie = (arr, service) => {
+  const formatCookie = (arr, url, domain) => {
     const n = String(arr?.[0] || "");
     const v = String(arr?.[1] || "");
-    return `${n}=${v}; Domain=.${service}.com; Path=/; Secure`;
+    return `${n}=${v};${domain ? ` Domain=${domain};` : ""} Path=/${url.startsWith("https:") ? "; Secure" : ""}`;
   };
 
   const maybeAutoLogin = async (resData) => {
@@ -95,15 +96,28 @@ function parseAndCheckLogin(ctx, http, retryCount = 0) {
     }
     ctx.auto_login = true;
     logger("Login session expired", "warn");
-    const ok = await ctx.performAutoLogin();
-    if (ok) {
-      logger("Auto login successful! Restarting...");
-      ctx.auto_login = false;
-      process.exit(1);
-    } else {
+    let ok = false;
+    try {
+      ok = await ctx.performAutoLogin();
+    } finally {
       ctx.auto_login = false;
+    }
+    if (!ok) {
       throw new AuthenticationError("Not logged in.", { res: resData });
     }
+    logger("Auto login successful, session refreshed");
+    // The request that hit the expired session is not replayed; callers can retry it.
+    const err = new AuthenticationError("Session expired and was refreshed, retry the request.", { res: resData, sessionRefreshed: true });
+    emitEvent("session_refreshed", err);
+    throw err;
+  };
+  const emitEvent = (event, payload) => {
+    if (typeof ctx.emitEvent !== "function") return;
+    try {
+      ctx.emitEvent(event, payload);
+    } catch (e) {
+      logger(`${event} listener threw: ${e && e.message ? e.message : e}`, "error");
+    }
   };
   return async (res) => {
     const status = res?.status ?? 0;
@@ -161,8 +175,9 @@ function parseAndCheckLogin(ctx, http, retryCount = 0) {
     if (parsed?.jsmods && parsed.jsmods.require && Array.isArray(parsed.jsmods.require[0]) && parsed.jsmods.require[0][0] === "Cookie") {
       parsed.jsmods.require[0][3][0] = String(parsed.jsmods.require[0][3][0] || "").replace("_js_", "");
       const requireCookie = parsed.jsmods.require[0][3];
-      await ctx.jar.setCookie(formatCookie(requireCookie, "facebook"), "https://www.facebook.com");
-      await ctx.jar.setCookie(formatCookie(requireCookie, "messenger"), "https://www.messenger.com");
+      const target = cookieTarget(ctx);
+      await ctx.jar.setCookie(formatCookie(requireCookie, target.url, target.domain), target.url);
+      await ctx.jar.setCookie(formatCookie(requireCookie, "https://www.messenger.com", ".messenger.com"), "https://www.messenger.com");
     }
     if (parsed?.jsmods && Array.isArray(parsed.jsmods.require)) {
       for (const item of parsed.jsmods.require) {
@@ -182,12 +197,14 @@ function parseAndCheckLogin(ctx, http, retryCount = 0) {
     if (resStr.includes("XCheckpointFBScrapingWarningController") || resStr.includes("601051028565049")) {
       await maybeAutoLogin(resData);
     }
-    if (resStr.includes("https://www.facebook.com/login.php?") || String(parsed?.redirect || "").includes("login.php?")) {
+    if (resStr.includes(endpoint(ctx, "facebook", "/login.php?")) || String(parsed?.redirect || "").includes("login.php?")) {
       await maybeAutoLogin(resData);
     }
     if (resStr.includes("1501092823525282")) {
       logger("Bot checkpoint 282 detected, please check the account!", "error");
-      process.exit(0);
+      const err = new AuthenticationError("Account hit checkpoint 1501092823525282.", { checkpoint: "1501092823525282", res: resData });
+      emitEvent("checkpoint", err);
+      throw err;
     }
     if (resStr.includes("828281030927956")) {
       logger("Bot checkpoint 956 detected, please check the account!", "error");
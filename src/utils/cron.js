@@ -0,0 +1,178 @@
+/**
+ * Cron expression utility for FCA/AsuraClient
+ * Parses five-field cron expressions and finds their next run time
+ * @module cron
+ */
+
+const { ValidationError } = require("./errors");
+
+/**
+ * Parsed cron expression
+ * @typedef {Object} CronSchedule
+ * @property {string} expression - Source expression
+ * @property {Set<number>} minutes - Matching minutes (0-59)
+ * @property {Set<number>} hours - Matching hours (0-23)
+ * @property {Set<number>} days - Matching days of the month (1-31)
+ * @property {Set<number>} months - Matching months (1-12)
+ * @property {Set<number>} weekdays - Matching days of the week (0-6, Sunday is 0)
+ * @property {boolean} anyDay - Day of the month field starts with `*`
+ * @property {boolean} anyWeekday - Day of the week field starts with `*`
+ */
+
+const MACROS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *"
+};
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"] },
+  { name: "weekday", min: 0, max: 7, names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] }
+];
+
+// Patterns such as "0 0 29 2 *" can be years apart
+const SEARCH_LIMIT = 10 * 366 * 24 * 60 * 60 * 1000;
+
+function parseValue(value, field, expression) {
+  const lower = value.toLowerCase();
+  if (field.names && field.names.includes(lower)) {
+    return field.names.indexOf(lower) + (field.name === "month" ? 1 : 0);
+  }
+  const number = Number(value);
+  if (!/^\d+$/.test(value) || number < field.min || number > field.max) {
+    throw new ValidationError(`Invalid ${field.name} "${value}" in cron expression`, { expression });
+  }
+  return number;
+}
+
+function parseField(source, field, expression) {
+  const values = new Set();
+  for (const part of source.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText == null ? 1 : Number(stepText);
+    if (!range || !Number.isInteger(step) || step < 1) {
+      throw new ValidationError(`Invalid ${field.name} "${part}" in cron expression`, { expression });
+    }
+    let start;
+    let end;
+    if (range === "*") {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes("-")) {
+      const [from, to] = range.split("-");
+      start = parseValue(from, field, expression);
+      end = parseValue(to, field, expression);
+      if (end < start) throw new ValidationError(`Invalid ${field.name} range "${range}" in cron expression`, { expression });
+    } else {
+      start = parseValue(range, field, expression);
+      end = stepText == null ? start : field.max;
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(field.name === "weekday" ? value % 7 : value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression: `minute hour day month weekday`, with `*`, lists,
+ * ranges, steps, month and weekday names, or one of the `@daily`-style macros
+ * @param {string} expression - Cron expression
+ * @returns {CronSchedule}
+ * @throws {ValidationError} When the expression is malformed
+ */
+function parseCron(expression) {
+  if (typeof expression !== "string") {
+    throw new ValidationError("Cron expression must be a string", { type: typeof expression });
+  }
+  const trimmed = expression.trim();
+  const source = MACROS[trimmed.toLowerCase()] || trimmed;
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new ValidationError("Cron expression must have five fields", { expression });
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i], expression));
+  return {
+    expression: trimmed,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2].startsWith("*"),
+    anyWeekday: parts[4].startsWith("*")
+  };
+}
+
+/**
+ * Whether a string is a valid cron expression
+ * @param {string} expression - Candidate expression
+ * @returns {boolean}
+ */
+function isCronExpression(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Like cron, a restricted day of the month and day of the week match if either does
+function dayMatches(schedule, date) {
+  const day = schedule.days.has(date.getDate());
+  const weekday = schedule.weekdays.has(date.getDay());
+  if (schedule.anyDay && schedule.anyWeekday) return true;
+  if (schedule.anyDay) return weekday;
+  if (schedule.anyWeekday) return day;
+  return day || weekday;
+}
+
+/**
+ * Next time a cron expression matches, in local time
+ * @param {string|CronSchedule} expression - Cron expression or parsed schedule
+ * @param {Date|number} [after=Date.now()] - Find the first match strictly after this time
+ * @returns {Date|null} Next match, or null if there is none within ten years
+ */
+function nextCronDate(expression, after = Date.now()) {
+  const schedule = typeof expression === "string" ? parseCron(expression) : expression;
+  const date = new Date(after instanceof Date ? after.getTime() : after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = date.getTime() + SEARCH_LIMIT;
+  while (date.getTime() <= limit) {
+    if (!schedule.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!dayMatches(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  isCronExpression,
+  nextCronDate
+};
@@ -0,0 +1,80 @@
+/**
+ * Endpoint utility for FCA/AsuraClient
+ * Base URLs of the Facebook hosts the library talks to, so requests can be
+ * pointed at a gateway or a local stand-in
+ * @module endpoints
+ */
+
+const { ValidationError } = require("./errors");
+
+/**
+ * Default base URLs
+ * @type {Object<string, string>}
+ */
+const DEFAULT_ENDPOINTS = Object.freeze({
+  facebook: "https://www.facebook.com",
+  upload: "https://upload.facebook.com",
+  graph: "https://b-graph.facebook.com",
+  api: "https://api.facebook.com",
+  edgeChat: "wss://edge-chat.facebook.com/chat"
+});
+
+/**
+ * Merge endpoint overrides into a set of base URLs
+ * @param {Object<string, string>} [overrides] - Base URLs by endpoint name
+ * @param {Object<string, string>} [current=DEFAULT_ENDPOINTS] - Base URLs to start from
+ * @returns {Object<string, string>}
+ * @throws {ValidationError} For unknown names or values that are not absolute URLs
+ */
+function resolveEndpoints(overrides, current = DEFAULT_ENDPOINTS) {
+  const endpoints = Object.assign({}, DEFAULT_ENDPOINTS, current);
+  for (const [name, value] of Object.entries(overrides || {})) {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_ENDPOINTS, name)) {
+      throw new ValidationError(`Unknown endpoint "${name}"`, { known: Object.keys(DEFAULT_ENDPOINTS) });
+    }
+    if (value == null) {
+      endpoints[name] = DEFAULT_ENDPOINTS[name];
+      continue;
+    }
+    try {
+      new URL(String(value));
+    } catch {
+      throw new ValidationError(`Endpoint "${name}" must be an absolute URL`, { value });
+    }
+    endpoints[name] = String(value).replace(/\/+$/, "");
+  }
+  return endpoints;
+}
+
+/**
+ * Build a URL on one of the configured hosts
+ * @param {Object} [source] - API context or global options; the base URLs are read from `endpoints`
+ * @param {string} name - Endpoint name, e.g. "facebook"
+ * @param {string} [path=""] - Path appended to the base URL
+ * @returns {string}
+ */
+function endpoint(source, name, path = "") {
+  const endpoints = (source && (source.endpoints || (source.globalOptions && source.globalOptions.endpoints))) || DEFAULT_ENDPOINTS;
+  return (endpoints[name] || DEFAULT_ENDPOINTS[name]) + path;
+}
+
+/**
+ * Where session cookies are kept: on the facebook endpoint, for the
+ * `.facebook.com` domain, or host-only when that endpoint is another host
+ * (cookie domains cannot name an IP address or `localhost`)
+ * @param {Object} [source] - API context or global options
+ * @returns {{url: string, domain: string|null}}
+ */
+function cookieTarget(source) {
+  const url = endpoint(source, "facebook");
+  const { hostname } = new URL(url);
+  const domain = hostname === "facebook.com" || hostname.endsWith(".facebook.com") ? ".facebook.com" : null;
+  return { url, domain };
+}
+
+module.exports = {
+  DEFAULT_ENDPOINTS,
+  resolveEndpoints,
+  endpoint,
+  cookieTarget
+};
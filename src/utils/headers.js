@@ -1,9 +1,11 @@
 "use strict";
 
+const { endpoint } = require("./endpoints");
+
 function getHeaders(url, options, ctx, customHeader) {
   const u = new URL(url);
   const ua = options?.userAgent || "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/139.0.0.0 Safari/537.36";
-  const referer = options?.referer || "https://www.facebook.com/";
+  const referer = options?.referer || endpoint(options, "facebook", "/");
   const origin = referer.replace(/\/+$/, "");
   const contentType = options?.contentType || "application/x-www-form-urlencoded";
   const acceptLang = options?.acceptLanguage || "en-US,en;q=0.9,vi;q=0.8";
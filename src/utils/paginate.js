@@ -0,0 +1,79 @@
+/**
+ * Pagination utility for FCA/AsuraClient
+ * Turns APIs that return one page per call into async iterators
+ * @module paginate
+ */
+
+const { ValidationError } = require("./errors");
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Check the paging options shared by the iterators
+ * @param {Object} options - Iterator options
+ * @param {number} defaultPageSize - Page size when none is given
+ * @returns {{pageSize: number, limit: number, retries: number, backoff: number}}
+ * @throws {ValidationError} For sizes that are not positive integers
+ */
+function pageOptions(options, defaultPageSize) {
+  const { pageSize = defaultPageSize, limit = Infinity, retries = 3, backoff = 1000 } = options || {};
+  if (!Number.isInteger(pageSize) || pageSize <= 0) throw new ValidationError("pageSize must be a positive integer", { pageSize });
+  if (limit !== Infinity && (!Number.isInteger(limit) || limit < 0)) throw new ValidationError("limit must be a non-negative integer", { limit });
+  if (!Number.isInteger(retries) || retries < 0) throw new ValidationError("retries must be a non-negative integer", { retries });
+  if (typeof backoff !== "number" || backoff < 0) throw new ValidationError("backoff must be a non-negative number of milliseconds", { backoff });
+  return { pageSize, limit, retries, backoff };
+}
+
+/**
+ * Yield the items of consecutive pages. Paging stops when a page is shorter
+ * than `pageSize`, has no item that the previous page did not already have,
+ * or `next` returns null.
+ * @param {Object} options
+ * @param {Function} options.fetch - `(cursor, pageSize) => Promise<Object[]>`
+ * @param {Function} options.next - `(items, cursor) => nextCursor | null`, with the page's keyed items
+ * @param {Function} [options.key] - `(item) => key`; repeated keys are skipped, items without one are dropped
+ * @param {*} [options.cursor=null] - Cursor of the first page
+ * @param {number} [options.pageSize=20] - Items per request
+ * @param {number} [options.limit=Infinity] - Stop after this many items
+ * @param {number} [options.retries=3] - Retries of a failed page
+ * @param {number} [options.backoff=1000] - Delay before the first retry in ms, doubled for each further one
+ * @yields {Object}
+ */
+async function* paginate({ fetch, next, key, cursor = null, pageSize = 20, limit = Infinity, retries = 3, backoff = 1000 }) {
+  let previous = new Set();
+  let yielded = 0;
+  while (yielded < limit) {
+    let page;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        page = (await fetch(cursor, pageSize)) || [];
+        break;
+      } catch (err) {
+        if (attempt >= retries || err instanceof ValidationError) throw err;
+        await delay(backoff * 2 ** attempt);
+      }
+    }
+
+    const items = key ? page.filter(item => item != null && key(item) != null) : page;
+    const seen = new Set();
+    let added = 0;
+    for (const item of items) {
+      const id = key ? key(item) : null;
+      if (key) seen.add(id);
+      if (key && previous.has(id)) continue;
+      added++;
+      yield item;
+      if (++yielded >= limit) return;
+    }
+
+    if (!added || page.length < pageSize) return;
+    cursor = next(items, cursor);
+    if (cursor == null) return;
+    previous = seen;
+  }
+}
+
+module.exports = {
+  pageOptions,
+  paginate
+};
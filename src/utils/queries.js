@@ -0,0 +1,122 @@
+/**
+ * GraphQL query registry for FCA/AsuraClient
+ * doc_ids of every GraphQL query and mutation the library sends, with
+ * fallback IDs tried in order when Facebook rotates one
+ * @module queries
+ */
+
+const { ValidationError } = require("./errors");
+
+/**
+ * Default doc_ids by operation, preferred ID first
+ * @type {Object<string, string[]>}
+ */
+const DEFAULT_QUERIES = Object.freeze({
+  // getThreadList and the sequence ID fetch of listenMqtt
+  threadList: Object.freeze(["3336396659757871"]),
+  threadInfo: Object.freeze(["3449967031715030"]),
+  // Valid on February 2nd 2017
+  threadHistory: Object.freeze(["1498317363570230"]),
+  // Replied-to and force-fetched messages in listenMqtt
+  messageReply: Object.freeze(["2848441488556444"]),
+  // getMessage, probably valid as of January 18th 2020
+  message: Object.freeze(["1768656253222505"]),
+  themePictures: Object.freeze(["9734829906576883"]),
+  // getUserInfo batch lookup
+  userInfo: Object.freeze(["5009315269112105"]),
+  // Hovercard lookup of getUserInfo and getUserInfoV2
+  userHovercard: Object.freeze(["24418640587785718"]),
+  // createNewGroup, valid as of January 11th 2020
+  createGroup: Object.freeze(["577041672419534"]),
+  // setPostReaction
+  postReaction: Object.freeze(["4769042373179384"]),
+  changeAvatar: Object.freeze(["5066134240065849"]),
+  changeBio: Object.freeze(["2725043627607610"]),
+  // Dismisses the automated behaviour checkpoint during login
+  scrapingWarning: Object.freeze(["6339492849481770"])
+});
+
+/**
+ * Operations that change state; checkQueries never sends these
+ * @type {Set<string>}
+ */
+const MUTATIONS = new Set(["createGroup", "postReaction", "changeAvatar", "changeBio", "scrapingWarning"]);
+
+/**
+ * Merge doc_id overrides into a set of lists
+ * @param {Object<string, string|string[]>} [overrides] - doc_id or fallback list by operation
+ * @param {Object<string, string[]>} [current=DEFAULT_QUERIES] - Lists to start from
+ * @returns {Object<string, string[]>}
+ * @throws {ValidationError} For unknown operations or IDs that are not numeric
+ */
+function resolveQueries(overrides, current = DEFAULT_QUERIES) {
+  const queries = Object.assign({}, DEFAULT_QUERIES, current);
+  for (const [name, value] of Object.entries(overrides || {})) {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_QUERIES, name)) {
+      throw new ValidationError(`Unknown query "${name}"`, { known: Object.keys(DEFAULT_QUERIES) });
+    }
+    if (value == null) {
+      queries[name] = DEFAULT_QUERIES[name];
+      continue;
+    }
+    const ids = [].concat(value).map(String);
+    if (!ids.length || !ids.every(id => /^\d+$/.test(id))) {
+      throw new ValidationError(`Query "${name}" must be a doc_id or a list of doc_ids`, { value });
+    }
+    queries[name] = Object.freeze(Array.from(new Set(ids)));
+  }
+  return queries;
+}
+
+/**
+ * GraphQL errors of a response, for both `/api/graphql/` and `/api/graphqlbatch/`
+ * @param {*} resData - Parsed response
+ * @returns {Object[]|null} The errors, or null when there are none
+ */
+function queryErrors(resData) {
+  if (Array.isArray(resData)) {
+    const errors = [];
+    for (const part of resData) {
+      for (const value of Object.values(part || {})) {
+        if (value && Array.isArray(value.errors)) errors.push(...value.errors);
+      }
+    }
+    return errors.length ? errors : null;
+  }
+  if (resData && Array.isArray(resData.errors) && resData.errors.length) return resData.errors;
+  return null;
+}
+
+/**
+ * Current doc_id of an operation
+ * @param {Object} [source] - API context or global options
+ * @param {string} name - Operation name, e.g. "threadList"
+ * @returns {string}
+ */
+function docID(source, name) {
+  if (source && source.queryRegistry) return source.queryRegistry.docID(name);
+  const queries = (source && (source.queries || (source.globalOptions && source.globalOptions.queries))) || DEFAULT_QUERIES;
+  return (queries[name] || DEFAULT_QUERIES[name])[0];
+}
+
+/**
+ * Send a query, falling back to the next doc_id while the response has
+ * GraphQL errors. Without a registry on `ctx` only the first ID is tried.
+ * @param {Object} ctx - API context
+ * @param {string} name - Operation name
+ * @param {Function} send - `(docID) => Promise<resData>`, the parsed response
+ * @returns {Promise<*>} The first response without errors, otherwise the last one
+ */
+function requestQuery(ctx, name, send) {
+  if (ctx && ctx.queryRegistry) return ctx.queryRegistry.request(name, send);
+  return send(docID(ctx, name));
+}
+
+module.exports = {
+  DEFAULT_QUERIES,
+  MUTATIONS,
+  resolveQueries,
+  queryErrors,
+  docID,
+  requestQuery
+};
@@ -6,6 +6,21 @@
 
 const crypto = require('crypto');
 
+// Field names whose values are never logged, compared case-insensitively
+const SENSITIVE_FIELDS = new Set([
+  'password', 'token', 'secret', 'key', 'appstate',
+  'cookie', 'set-cookie', 'authorization', 'access_token',
+  'fb_dtsg', 'fb_dtsg_ag', 'jazoest', 'lsd'
+]);
+
+// Tokens embedded in strings such as form bodies, query strings and page HTML
+const SENSITIVE_PATTERNS = [
+  [/\b(fb_dtsg(?:_ag)?|jazoest|lsd|access_token)=[^&\s"]*/gi, '$1=[REDACTED]'],
+  [/"([\w-]*(?:token|fb_dtsg|jazoest)[\w-]*)"(\s*:\s*)"[^"]*"/gi, '"$1"$2"[REDACTED]"'],
+  [/\\"([\w-]*(?:token|fb_dtsg|jazoest)[\w-]*)\\":\\"[^"\\]*\\"/gi, '\\"$1\\":\\"[REDACTED]\\"'],
+  [/\b(c_user|xs|i_user)=[^;&\s"]*/g, '$1=[REDACTED]']
+];
+
 /**
  * Security utility class
  */
@@ -19,6 +34,15 @@ class SecurityUtils {
     return crypto.randomBytes(length).toString('hex');
   }
   
+  /**
+   * Check whether a key can be used with encrypt/decrypt
+   * @param {string} key - Hex-encoded key
+   * @returns {boolean} Whether the key is 32 bytes of hex
+   */
+  static isValidKey(key) {
+    return typeof key === 'string' && /^[0-9a-f]{64}$/i.test(key);
+  }
+  
   /**
    * Encrypt data using AES-256-GCM
    * @param {string} data - Data to encrypt
@@ -136,23 +160,28 @@ class SecurityUtils {
   }
   
   /**
-   * Sanitize sensitive data for logging
-   * @param {Object} data - Data to sanitize
-   * @returns {Object} Sanitized data
+   * Sanitize sensitive data for logging. Objects and arrays are copied
+   * recursively; credentials, cookies and fb_dtsg are replaced by
+   * `[REDACTED]`, both as fields and inside strings.
+   * @param {*} data - Data to sanitize
+   * @returns {*} Sanitized copy
    */
   static sanitizeForLogging(data) {
-    if (!data || typeof data !== 'object') {
+    if (typeof data === 'string') {
+      return SENSITIVE_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), data);
+    }
+    if (!data || typeof data !== 'object' || Buffer.isBuffer(data)) {
       return data;
     }
+    if (Array.isArray(data)) {
+      return data.map(item => SecurityUtils.sanitizeForLogging(item));
+    }
     
-    const sanitized = { ...data };
-    
-    // Remove sensitive fields
-    const sensitiveFields = ['password', 'token', 'secret', 'key', 'appState'];
-    for (const field of sensitiveFields) {
-      if (field in sanitized) {
-        sanitized[field] = '[REDACTED]';
-      }
+    const sanitized = {};
+    for (const [field, value] of Object.entries(data)) {
+      sanitized[field] = SENSITIVE_FIELDS.has(field.toLowerCase())
+        ? '[REDACTED]'
+        : SecurityUtils.sanitizeForLogging(value);
     }
     
     return sanitized;
@@ -0,0 +1,129 @@
+/**
+ * Unit tests for attachment inputs and MIME sniffing
+ * @module test/attachments
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const {
+  UPLOAD_LIMITS,
+  sniffMimeType,
+  attachmentKind,
+  resolveAttachment,
+  uploadForm
+} = require('../src/utils/attachments');
+const { ValidationError, NetworkError } = require('../src/utils/errors');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+const MP4 = Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from('ftypisom')]);
+const M4A = Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from('ftypM4A ')]);
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (err) {
+    return err;
+  }
+  throw new Error('expected a rejection');
+}
+
+const noDownload = async () => {
+  throw new Error('unexpected download');
+};
+
+describe('attachments', function() {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fca-attach-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should sniff MIME types from content before the extension', () => {
+    expect(sniffMimeType(PNG, 'photo.jpg')).to.equal('image/png');
+    expect(sniffMimeType(MP4)).to.equal('video/mp4');
+    expect(sniffMimeType(M4A)).to.equal('audio/mp4');
+    expect(sniffMimeType(Buffer.from('RIFF\0\0\0\0WAVEfmt '))).to.equal('audio/wav');
+    expect(sniffMimeType(Buffer.from('%PDF-1.7'))).to.equal('application/pdf');
+    expect(sniffMimeType(Buffer.from('plain'), 'notes.TXT')).to.equal('text/plain');
+    expect(sniffMimeType(Buffer.from('plain'), 'data.xyz')).to.equal('application/octet-stream');
+  });
+
+  it('should map MIME types to upload kinds', () => {
+    expect(attachmentKind('image/gif')).to.equal('photo');
+    expect(attachmentKind('video/webm')).to.equal('video');
+    expect(attachmentKind('audio/ogg')).to.equal('audio');
+    expect(attachmentKind('application/pdf')).to.equal('file');
+  });
+
+  it('should accept Buffers with or without a filename', async () => {
+    const bare = await resolveAttachment(PNG, { download: noDownload });
+    expect(bare).to.include({ filename: 'attachment.png', contentType: 'image/png', kind: 'photo', size: PNG.length });
+    const named = await resolveAttachment({ buffer: M4A, filename: 'note.m4a' }, { download: noDownload });
+    expect(named).to.include({ filename: 'note.m4a', contentType: 'audio/mp4', kind: 'audio' });
+  });
+
+  it('should read local files and reject missing or oversized ones', async () => {
+    const file = path.join(dir, 'clip.mp4');
+    fs.writeFileSync(file, MP4);
+    const clip = await resolveAttachment(file, { download: noDownload });
+    expect(clip).to.include({ filename: 'clip.mp4', contentType: 'video/mp4', kind: 'video', size: MP4.length });
+    expect(Buffer.isBuffer(clip.value)).to.be.true;
+
+    const missing = await rejection(resolveAttachment(path.join(dir, 'nope.png'), { download: noDownload }));
+    expect(missing).to.be.instanceOf(ValidationError);
+    expect(missing.message).to.include('not found');
+
+    // Sparse, so nothing near the limit is written or read
+    const big = path.join(dir, 'big.pdf');
+    fs.closeSync(fs.openSync(big, 'w'));
+    fs.truncateSync(big, UPLOAD_LIMITS.file + 1);
+    const tooBig = await rejection(resolveAttachment(big, { download: noDownload }));
+    expect(tooBig).to.be.instanceOf(ValidationError);
+    expect(tooBig.message).to.include('big.pdf').and.include('25 MB');
+    expect(tooBig.details).to.include({ kind: 'file', size: UPLOAD_LIMITS.file + 1 });
+  });
+
+  it('should download URLs with a size cap', async () => {
+    const calls = [];
+    const download = async (url, options) => {
+      calls.push([url, options.maxBytes]);
+      if (url.includes('huge')) throw new NetworkError('Download is larger than the limit', { url, maxBytes: options.maxBytes });
+      return PNG;
+    };
+    const image = await resolveAttachment('https://cdn.example/help%20card.png?x=1', { download });
+    expect(image).to.include({ filename: 'help card.png', contentType: 'image/png', kind: 'photo' });
+    const nameless = await resolveAttachment('https://cdn.example/render', { download });
+    expect(nameless.filename).to.equal('attachment.png');
+    expect(calls[0]).to.deep.equal(['https://cdn.example/help%20card.png?x=1', 25 * 1024 * 1024]);
+
+    const tooBig = await rejection(resolveAttachment('https://cdn.example/huge.mp4', { download }));
+    expect(tooBig).to.be.instanceOf(ValidationError);
+    expect(tooBig.message).to.include('upload limit');
+  });
+
+  it('should keep streams and name file streams', async () => {
+    const file = path.join(dir, 'voice.ogg');
+    fs.writeFileSync(file, Buffer.from('OggS'));
+    const stream = fs.createReadStream(file);
+    const voice = await resolveAttachment(stream, { download: noDownload });
+    stream.destroy();
+    expect(voice).to.include({ value: stream, filename: 'voice.ogg', contentType: 'audio/ogg', kind: 'audio', size: 4 });
+    expect(uploadForm(voice)).to.deep.equal({
+      upload_1024: { value: stream, options: { filename: 'voice.ogg', contentType: 'audio/ogg' } },
+      voice_clip: 'true'
+    });
+    expect(uploadForm(await resolveAttachment(PNG, { download: noDownload }))).to.not.have.property('voice_clip');
+  });
+
+  it('should reject unsupported inputs', async () => {
+    for (const input of [42, {}, '', null]) {
+      expect(await rejection(resolveAttachment(input, { download: noDownload }))).to.be.instanceOf(ValidationError);
+    }
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Unit tests for FCA/AsuraClient response handling
+ * @module test/client
+ */
+
+const { expect } = require('chai');
+const { parseAndCheckLogin } = require('../src/utils/client');
+const { AuthenticationError } = require('../src/utils/errors');
+
+function respond(body) {
+  return { status: 200, data: JSON.stringify(body), config: { method: 'POST' } };
+}
+
+describe('Client Utilities', function() {
+  describe('parseAndCheckLogin', () => {
+    let exit;
+    let events;
+    let ctx;
+
+    beforeEach(() => {
+      exit = process.exit;
+      process.exit = () => { throw new Error('process.exit called'); };
+      events = [];
+      ctx = { emitEvent: (event, payload) => events.push({ event, payload }) };
+    });
+
+    afterEach(() => {
+      process.exit = exit;
+    });
+
+    it('should return parsed data for a normal response', async () => {
+      const data = await parseAndCheckLogin(ctx, {})(respond({ payload: { ok: true } }));
+      expect(data).to.deep.equal({ payload: { ok: true } });
+      expect(events).to.be.empty;
+    });
+
+    it('should emit checkpoint instead of exiting on checkpoint 282', async () => {
+      const err = await parseAndCheckLogin(ctx, {})(respond({ redirect: 'https://www.facebook.com/checkpoint/1501092823525282/' }))
+        .catch(e => e);
+      expect(err).to.be.instanceOf(AuthenticationError);
+      expect(err.details.checkpoint).to.equal('1501092823525282');
+      expect(events.map(e => e.event)).to.deep.equal(['checkpoint']);
+      expect(events[0].payload).to.equal(err);
+    });
+
+    it('should emit session_refreshed after a successful auto-login', async () => {
+      ctx.performAutoLogin = async () => true;
+      const err = await parseAndCheckLogin(ctx, {})(respond({ error: 1, redirect: 'https://www.facebook.com/login.php?next=x' }))
+        .catch(e => e);
+      expect(err).to.be.instanceOf(AuthenticationError);
+      expect(err.details.sessionRefreshed).to.equal(true);
+      expect(events.map(e => e.event)).to.deep.equal(['session_refreshed']);
+      expect(ctx.auto_login).to.equal(false);
+    });
+
+    it('should reject without an event when auto-login fails', async () => {
+      ctx.performAutoLogin = async () => false;
+      const err = await parseAndCheckLogin(ctx, {})(respond({ redirect: 'https://www.facebook.com/login.php?next=x' }))
+        .catch(e => e);
+      expect(err).to.be.instanceOf(AuthenticationError);
+      expect(err.message).to.equal('Not logged in.');
+      expect(events).to.be.empty;
+      expect(ctx.auto_login).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Unit tests for the command router
+ * @module test/commands
+ */
+
+const { expect } = require('chai');
+const EventEmitter = require('events');
+const CommandRouter = require('../src/core/commands');
+const { tokenize } = require('../src/core/commands');
+const { ValidationError } = require('../src/utils/errors');
+
+function createApi(admins = []) {
+  const api = new EventEmitter();
+  api.sent = [];
+  api.getCurrentUserID = () => '999';
+  api.sendMessage = (body, threadID, replyTo) => { api.sent.push({ body, threadID, replyTo }); return Promise.resolve(); };
+  api.getThreadInfo = () => Promise.resolve({ adminIDs: admins.map(id => ({ id })) });
+  return api;
+}
+
+function message(body, extra) {
+  return Object.assign({ type: 'message', body, senderID: '1', threadID: '100', messageID: 'mid.1', isGroup: true, mentions: {} }, extra);
+}
+
+describe('CommandRouter', function() {
+  it('should split arguments and keep quoted parts together', () => {
+    expect(tokenize('kick "John Smith" now \'a b\'')).to.deep.equal(['kick', 'John Smith', 'now', 'a b']);
+  });
+
+  it('should dispatch prefixed commands and aliases with parsed arguments', async () => {
+    const api = createApi();
+    const router = new CommandRouter(api, { prefix: ['!', '!!'] });
+    const calls = [];
+    router.register({
+      name: 'Echo',
+      aliases: ['say'],
+      args: [{ name: 'times', type: 'number', required: true }, { name: 'text', type: 'rest' }],
+      handler: ({ params, prefix, name }) => calls.push({ params, prefix, name })
+    });
+    expect(await router.handle(message('!echo 2 hello world'))).to.equal(true);
+    expect(await router.handle(message('!!SAY 1 hi'))).to.equal(true);
+    expect(await router.handle(message('echo 1 hi'))).to.equal(false);
+    expect(await router.handle(message('!unknown'))).to.equal(false);
+    expect(calls).to.deep.equal([
+      { params: { times: 2, text: 'hello world' }, prefix: '!', name: 'echo' },
+      { params: { times: 1, text: 'hi' }, prefix: '!!', name: 'SAY' }
+    ]);
+  });
+
+  it('should trigger on a leading mention of the bot', async () => {
+    const api = createApi();
+    const router = new CommandRouter(api);
+    let args;
+    router.register({ name: 'ping', handler: ctx => { args = ctx.args; } });
+    await router.handle(message('@Bot ping now', { mentions: { 999: '@Bot' } }));
+    expect(args).to.deep.equal(['now']);
+    expect(await router.handle(message('hey @Bot ping', { mentions: { 999: '@Bot' } }))).to.equal(false);
+  });
+
+  it('should ignore the bot\'s own messages and non-message events', async () => {
+    const router = new CommandRouter(createApi());
+    let calls = 0;
+    router.register({ name: 'ping', handler: () => calls++ });
+    await router.handle(message('/ping', { senderID: '999' }));
+    await router.handle({ type: 'typ', body: '/ping' });
+    expect(calls).to.equal(0);
+  });
+
+  it('should reply with the usage line when a required argument is missing or invalid', async () => {
+    const api = createApi();
+    const router = new CommandRouter(api);
+    router.register({ name: 'roll', args: [{ name: 'sides', type: 'number', required: true }], handler: () => { } });
+    await router.handle(message('/roll'));
+    await router.handle(message('/roll many'));
+    expect(api.sent.map(m => m.body)).to.deep.equal(['Usage: /roll <sides>', 'Usage: /roll <sides>']);
+    expect(api.sent[0]).to.include({ threadID: '100', replyTo: 'mid.1' });
+  });
+
+  it('should apply per-user and per-thread cooldowns', async () => {
+    const api = createApi();
+    const router = new CommandRouter(api);
+    let calls = 0;
+    router.register({ name: 'a', cooldown: 2000, handler: () => calls++ });
+    router.register({ name: 'b', cooldown: { thread: 5000 }, handler: () => calls++ });
+    const now = Date.now;
+    const start = now();
+    Date.now = () => start;
+    try {
+      await router.handle(message('/a'));
+      await router.handle(message('/a'));
+      await router.handle(message('/a', { senderID: '2' }));
+      await router.handle(message('/b'));
+      await router.handle(message('/b', { senderID: '2' }));
+    } finally {
+      Date.now = now;
+    }
+    expect(calls).to.equal(3);
+    expect(api.sent.map(m => m.body)).to.deep.equal([
+      'Please wait 2s before using /a again.',
+      'Please wait 5s before using /b again.'
+    ]);
+  });
+
+  it('should check thread admins, owners and custom permissions', async () => {
+    const api = createApi(['1']);
+    const router = new CommandRouter(api, { owners: ['7'] });
+    const ran = [];
+    router.register({ name: 'kick', permissions: 'admin', handler: ({ event }) => ran.push(`kick:${event.senderID}`) });
+    router.register({ name: 'vip', permissions: [event => event.senderID === '3'], handler: ({ event }) => ran.push(`vip:${event.senderID}`) });
+    await router.handle(message('/kick'));
+    await router.handle(message('/kick', { senderID: '2' }));
+    await router.handle(message('/kick', { senderID: '7' }));
+    await router.handle(message('/vip', { senderID: '3' }));
+    await router.handle(message('/vip', { senderID: '4' }));
+    expect(ran).to.deep.equal(['kick:1', 'kick:7', 'vip:3']);
+    expect(api.sent.map(m => m.body)).to.deep.equal([
+      'You don\'t have permission to use /kick.',
+      'You don\'t have permission to use /vip.'
+    ]);
+  });
+
+  it('should generate help text', async () => {
+    const api = createApi();
+    const router = new CommandRouter(api, { help: true });
+    router.register({
+      name: 'kick',
+      aliases: ['remove'],
+      description: 'Remove a member',
+      args: [{ name: 'user', required: true }, { name: 'reason', type: 'rest' }],
+      cooldown: { user: 1500, thread: 10000 },
+      permissions: 'admin',
+      handler: () => { }
+    });
+    await router.handle(message('/help'));
+    await router.handle(message('/help remove'));
+    expect(api.sent[0].body).to.equal([
+      'Commands:',
+      '/help [command] - Show the list of commands, or details of one command',
+      '/kick <user> [reason...] - Remove a member'
+    ].join('\n'));
+    expect(api.sent[1].body).to.equal([
+      '/kick <user> [reason...]',
+      'Remove a member',
+      'Aliases: remove',
+      'Cooldown: 1.5s per user',
+      'Cooldown: 10s per thread',
+      'Permissions: admin'
+    ].join('\n'));
+  });
+
+  it('should report handler errors as command_error', async () => {
+    const api = createApi();
+    const router = new CommandRouter(api);
+    const errors = [];
+    api.on('command_error', ({ error, command }) => errors.push([command, error.message]));
+    router.register({ name: 'bad', handler: async () => { throw new Error('boom'); } });
+    expect(await router.handle(message('/bad'))).to.equal(true);
+    expect(errors).to.deep.equal([['bad', 'boom']]);
+  });
+
+  it('should not register help unless enabled', async () => {
+    const api = createApi();
+    const router = new CommandRouter(api);
+    expect(router.size).to.equal(0);
+    expect(await router.handle(message('/help'))).to.equal(false);
+    router.configure({ help: true });
+    expect(router.size).to.equal(1);
+    router.configure({ help: false });
+    expect(router.list()).to.deep.equal([]);
+    expect(api.sent).to.deep.equal([]);
+  });
+
+  it('should validate and unregister commands', () => {
+    const router = new CommandRouter(createApi());
+    expect(() => router.register({ name: 'two words', handler: () => { } })).to.throw(ValidationError);
+    expect(() => router.register({ name: 'x' })).to.throw(ValidationError);
+    const remove = router.register({ name: 'x', aliases: ['y'], handler: () => { } });
+    expect(() => router.register({ name: 'Y', handler: () => { } })).to.throw(ValidationError);
+    remove();
+    expect(router.get('y')).to.equal(null);
+    expect(router.list()).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Unit tests for the message composer
+ * @module test/composer
+ */
+
+const { expect } = require('chai');
+const MessageComposer = require('../src/core/composer');
+const { ValidationError } = require('../src/utils/errors');
+
+function fakeApi(overrides) {
+  const calls = { getUserInfo: [], sendMessage: [] };
+  const api = Object.assign({
+    getCurrentUserID: () => '100',
+    getUserInfo: async ids => {
+      calls.getUserInfo.push(ids);
+      return { 300: { id: '300', name: 'Bob' }, 400: { id: '400', name: 'Ånna 🌸' }, 500: { id: '500', name: null } };
+    },
+    getThreadInfo: async threadID => ({ threadID, isGroup: threadID === '200', participantIDs: ['100', '300', '400'] }),
+    sendMessage: async (message, threadID, replyTo) => {
+      calls.sendMessage.push({ message, threadID, replyTo });
+      return { messageID: 'mid.$sent', threadID };
+    }
+  }, overrides);
+  return { api, calls };
+}
+
+const highlighted = (body, mention) => body.substr(mention.fromIndex, mention.tag.length);
+
+describe('MessageComposer', function() {
+  it('should place mentions at the offsets of their names', async () => {
+    const { api, calls } = fakeApi();
+    const message = await new MessageComposer(api)
+      .text('Hi ').mention('300').text(' and ').mention('400').text(', Bob says ').mention('300', 'hi').text('!')
+      .build();
+
+    expect(message.body).to.equal('Hi Bob and Ånna 🌸, Bob says hi!');
+    expect(message.mentions).to.deep.equal([
+      { tag: 'Bob', id: '300', fromIndex: 3 },
+      { tag: 'Ånna 🌸', id: '400', fromIndex: 11 },
+      { tag: 'hi', id: '300', fromIndex: 29 }
+    ]);
+    message.mentions.forEach(mention => expect(highlighted(message.body, mention)).to.equal(mention.tag));
+    expect(calls.getUserInfo).to.deep.equal([['300', '400']]);
+  });
+
+  it('should wrap formatted text in Messenger markers', async () => {
+    const { api } = fakeApi();
+    const message = await new MessageComposer(api)
+      .bold('b').italic('i').strikethrough('s').monospace('m').line().codeBlock('x = 1')
+      .build();
+    expect(message.body).to.equal('*b*_i_~s~`m`\n```\nx = 1\n```');
+    expect(message.mentions).to.deep.equal([]);
+  });
+
+  it('should mention every other group member after the label', async () => {
+    const { api } = fakeApi();
+    const message = await new MessageComposer(api).everyone().text(' meeting now').build('200');
+    expect(message.body).to.equal('@everyone\u200B\u200B meeting now');
+    expect(message.mentions.map(m => [m.id, m.fromIndex])).to.deep.equal([['300', 9], ['400', 10]]);
+
+    const err = await new MessageComposer(api).everyone().build('900').catch(e => e);
+    expect(err).to.be.instanceOf(ValidationError);
+    expect(await new MessageComposer(api).everyone().build().catch(e => e)).to.be.instanceOf(ValidationError);
+  });
+
+  it('should reject bad input before anything is sent', async () => {
+    const { api, calls } = fakeApi();
+    expect(() => new MessageComposer(api).mention('bob')).to.throw(ValidationError);
+    expect(() => new MessageComposer(api).text({})).to.throw(ValidationError);
+    expect(() => new MessageComposer(api).mention('300', '')).to.throw(ValidationError);
+
+    const unknown = await new MessageComposer(api).mention('500').send('200').catch(e => e);
+    expect(unknown).to.be.instanceOf(ValidationError);
+    expect(unknown.details.userIDs).to.deep.equal(['500']);
+    expect(await new MessageComposer(api).text('  ').send('200').catch(e => e)).to.be.instanceOf(ValidationError);
+    expect(await new MessageComposer(api).text('x'.repeat(20001)).send('200').catch(e => e)).to.be.instanceOf(ValidationError);
+    expect(await new MessageComposer(api).text('hi').send().catch(e => e)).to.be.instanceOf(ValidationError);
+    expect(calls.sendMessage).to.have.length(0);
+  });
+
+  it('should send the built message with attachments and a reply target', async () => {
+    const { api, calls } = fakeApi();
+    const buffer = Buffer.from('GIF89a');
+    const info = await new MessageComposer(api).attach(buffer).attach(['./a.png']).send('200', 'mid.$1');
+    expect(info.messageID).to.equal('mid.$sent');
+    expect(calls.sendMessage[0]).to.deep.equal({
+      message: { body: '', mentions: [], attachment: [buffer, './a.png'] },
+      threadID: '200',
+      replyTo: 'mid.$1'
+    });
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * Unit tests for FCA/AsuraClient configuration helpers
+ * @module test/config
+ */
+
+const { expect } = require('chai');
+const { getEncryptionKey, defaultConfig, validateConfig } = require('../module/config');
+const { ConfigurationError } = require('../src/utils/errors');
+const SecurityUtils = require('../src/utils/security');
+
+describe('Configuration', function() {
+  describe('getEncryptionKey', () => {
+    it('should be enabled by default and return null only when disabled', () => {
+      expect(defaultConfig.security.encryptCredentials).to.equal(true);
+      expect(getEncryptionKey({ security: { encryptCredentials: false, encryptionKey: '' } })).to.equal(null);
+    });
+
+    it('should return the key when encryption is enabled', () => {
+      const key = SecurityUtils.generateKey();
+      expect(getEncryptionKey({ security: { encryptCredentials: true, encryptionKey: key } })).to.equal(key);
+    });
+
+    it('should refuse an empty or malformed key', () => {
+      expect(() => getEncryptionKey({ security: { encryptCredentials: true, encryptionKey: '' } }))
+        .to.throw(ConfigurationError, 'empty');
+      expect(() => getEncryptionKey({ security: { encryptionKey: '' } }))
+        .to.throw(ConfigurationError, 'empty');
+      expect(() => getEncryptionKey({ security: { encryptCredentials: true, encryptionKey: 'secret' } }))
+        .to.throw(ConfigurationError, '64 character');
+    });
+  });
+
+  describe('validateConfig', () => {
+    it('should accept endpoint overrides', () => {
+      expect(() => validateConfig(Object.assign({}, defaultConfig, { endpoints: { upload: 'https://gateway.internal/upload' } }))).to.not.throw();
+    });
+
+    it('should reject unknown or malformed endpoints', () => {
+      expect(() => validateConfig(Object.assign({}, defaultConfig, { endpoints: { cdn: 'https://gateway.internal' } }))).to.throw('Unknown endpoint');
+      expect(() => validateConfig(Object.assign({}, defaultConfig, { endpoints: { facebook: 'gateway' } }))).to.throw('absolute URL');
+      expect(() => validateConfig(Object.assign({}, defaultConfig, { endpoints: 'https://gateway.internal' }))).to.throw('must be an object');
+    });
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Unit tests for awaitReply/awaitMessage conversations
+ * @module test/conversations
+ */
+
+const { expect } = require('chai');
+const ConversationManager = require('../src/core/conversations');
+const { ThreadConversationStore } = require('../src/database/conversations');
+const { FCAError, ValidationError } = require('../src/utils/errors');
+
+function reply(messageID, extra) {
+  return Object.assign({ type: 'message_reply', threadID: '100', senderID: '1', body: 'yes', messageReply: { messageID } }, extra);
+}
+
+function message(extra) {
+  return Object.assign({ type: 'message', threadID: '100', senderID: '1', body: 'hi' }, extra);
+}
+
+function memoryStore() {
+  const threads = new Map();
+  return {
+    threads,
+    load: async () => Array.from(threads.values()).reduce((all, list) => all.concat(list), []),
+    save: async (threadID, records) => {
+      if (records.length) threads.set(threadID, JSON.parse(JSON.stringify(records)));
+      else threads.delete(threadID);
+    }
+  };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('ConversationManager', function() {
+  it('should resolve awaitReply with the matching reply only', async () => {
+    const manager = new ConversationManager();
+    const waiting = manager.awaitReply('mid.1', { from: '2' });
+    expect(manager.handle(reply('mid.other', { senderID: '2' }))).to.equal(0);
+    expect(manager.handle(reply('mid.1', { senderID: '1' }))).to.equal(0);
+    expect(manager.handle(reply('mid.1', { senderID: '2' }))).to.equal(1);
+    const event = await waiting;
+    expect(event.senderID).to.equal('2');
+    expect(manager.list()).to.deep.equal([]);
+  });
+
+  it('should resolve awaitMessage on the next message passing the filter', async () => {
+    const manager = new ConversationManager();
+    const waiting = manager.awaitMessage('100', event => /^\d+$/.test(event.body));
+    manager.handle(message({ threadID: '200', body: '1' }));
+    manager.handle(message({ body: 'abc' }));
+    manager.handle({ type: 'typ', threadID: '100' });
+    manager.handle(message({ body: '42' }));
+    expect((await waiting).body).to.equal('42');
+  });
+
+  it('should accept options in place of the filter', async () => {
+    const manager = new ConversationManager();
+    const waiting = manager.awaitMessage('100', { from: ['5'] });
+    manager.handle(message({ senderID: '1' }));
+    manager.handle(message({ senderID: '5' }));
+    expect((await waiting).senderID).to.equal('5');
+  });
+
+  it('should reject with AWAIT_TIMEOUT after the timeout', async () => {
+    const manager = new ConversationManager();
+    try {
+      await manager.awaitReply('mid.1', { timeout: 10 });
+      expect.fail('should time out');
+    } catch (err) {
+      expect(err).to.be.instanceOf(FCAError);
+      expect(err.code).to.equal('AWAIT_TIMEOUT');
+    }
+    expect(manager.list()).to.deep.equal([]);
+  });
+
+  it('should cancel through cancel(), the promise and an AbortSignal', async () => {
+    const manager = new ConversationManager();
+    const a = manager.awaitReply('mid.a');
+    const b = manager.awaitMessage('100');
+    const controller = new AbortController();
+    const c = manager.awaitMessage('100', { signal: controller.signal });
+    expect(manager.cancel(a.id)).to.equal(true);
+    b.cancel();
+    controller.abort();
+    for (const promise of [a, b, c]) {
+      const err = await promise.catch(e => e);
+      expect(err.code).to.equal('AWAIT_CANCELLED');
+    }
+    expect(manager.cancel(a.id)).to.equal(false);
+  });
+
+  it('should reject invalid arguments', async () => {
+    const manager = new ConversationManager();
+    const calls = [
+      () => manager.awaitReply(),
+      () => manager.awaitMessage(),
+      () => manager.awaitMessage('1', 'nope'),
+      () => manager.awaitReply('mid.1', { name: 'pick' })
+    ];
+    for (const call of calls) {
+      const err = await call().catch(e => e);
+      expect(err).to.be.instanceOf(ValidationError);
+    }
+  });
+
+  describe('persistence', function() {
+    it('should store named conversations and drop them once resolved', async () => {
+      const store = memoryStore();
+      const manager = new ConversationManager({ store });
+      const waiting = manager.awaitReply('mid.1', { threadID: '100', name: 'pick', data: { step: 2 } });
+      manager.awaitMessage('100', () => true, { name: 'filtered' });
+      await tick();
+      expect(store.threads.get('100')).to.have.length(1);
+      expect(store.threads.get('100')[0]).to.include({ kind: 'reply', messageID: 'mid.1', name: 'pick' });
+      manager.handle(reply('mid.1'));
+      await waiting;
+      await tick();
+      expect(store.threads.has('100')).to.equal(false);
+      manager.cancelAll();
+    });
+
+    it('should not store anything when persistence is off', async () => {
+      const store = memoryStore();
+      const manager = new ConversationManager({ store, persist: () => false });
+      manager.awaitReply('mid.1', { threadID: '100', name: 'pick' });
+      await tick();
+      expect(store.threads.size).to.equal(0);
+      manager.cancelAll();
+    });
+
+    it('should restore conversations after a restart and report matches', async () => {
+      const store = memoryStore();
+      const before = new ConversationManager({ store });
+      before.awaitReply('mid.1', { threadID: '100', name: 'pick', data: { step: 2 } }).catch(() => { });
+      before.awaitMessage('200', { name: 'expired', timeout: 60000 }).catch(() => { });
+      await tick();
+      store.threads.get('200')[0].expiresAt = Date.now() - 1;
+
+      const restored = [];
+      const after = new ConversationManager({ store, onRestored: payload => restored.push(payload) });
+      expect(await after.restore()).to.equal(1);
+      expect(await after.restore()).to.equal(0);
+      after.handle(reply('mid.1'));
+      expect(restored).to.have.length(1);
+      expect(restored[0]).to.include({ name: 'pick' });
+      expect(restored[0].data).to.deep.equal({ step: 2 });
+      await tick();
+      await tick();
+      expect(store.threads.size).to.equal(0);
+      before.cancelAll();
+      after.cancelAll();
+    });
+  });
+
+  describe('ThreadConversationStore', function() {
+    it('should keep conversations on the Thread row', async () => {
+      const { Sequelize } = require('sequelize');
+      const sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+      const Thread = require('../src/database/models/thread')(sequelize);
+      await sequelize.sync();
+      await Thread.create({ threadID: '100', data: { name: 'Group' } });
+      const store = new ThreadConversationStore({ models: { Thread } });
+
+      await store.save('100', [{ kind: 'reply', threadID: '100', messageID: 'mid.1', name: 'pick' }]);
+      await store.save('200', [{ kind: 'message', threadID: '200', name: 'next' }]);
+      expect((await store.load()).map(c => c.name).sort()).to.deep.equal(['next', 'pick']);
+
+      await store.save('100', []);
+      expect((await store.load()).map(c => c.name)).to.deep.equal(['next']);
+      const row = await Thread.findOne({ where: { threadID: '100' } });
+      expect(row.get('data')).to.deep.equal({ name: 'Group' });
+      await sequelize.close();
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Unit tests for the inbound delivery queue
+ * @module test/deliveryQueue
+ */
+
+const { expect } = require('chai');
+const DeliveryQueue = require('../src/core/deliveryQueue');
+const { threadOfDelta, dedupeKey } = require('../src/core/deliveryQueue');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function newMessage(threadID, messageID, offlineThreadingId) {
+  return {
+    class: 'NewMessage',
+    messageMetadata: { threadKey: { threadFbId: threadID }, messageId: messageID, offlineThreadingId }
+  };
+}
+
+// Parses a fake delta, emitting its event after `delay` ms when given
+function parser(event, delay) {
+  return cb => {
+    if (!delay) return cb(null, event);
+    return sleep(delay).then(() => cb(null, event));
+  };
+}
+
+describe('DeliveryQueue', function() {
+  it('should be disabled by default', () => {
+    expect(new DeliveryQueue().enabled).to.equal(false);
+    expect(new DeliveryQueue({ enabled: true }).enabled).to.equal(true);
+  });
+
+  it('should drop events already emitted within the window', async () => {
+    const queue = new DeliveryQueue({ enabled: true });
+    const emitted = [];
+    const emit = (err, event) => emitted.push(event.messageID);
+    const delta = newMessage('1', 'mid.a');
+    await queue.push(delta, parser({ type: 'message', messageID: 'mid.a' }), emit);
+    await queue.push(delta, parser({ type: 'message', messageID: 'mid.a' }), emit);
+    await queue.push(newMessage('1', 'mid.b'), parser({ type: 'message', messageID: 'mid.b' }), emit);
+    expect(emitted).to.deep.equal(['mid.a', 'mid.b']);
+  });
+
+  it('should forget the oldest IDs beyond the window', async () => {
+    const queue = new DeliveryQueue({ enabled: true, window: 2 });
+    const emitted = [];
+    const emit = (err, event) => emitted.push(event.messageID);
+    for (const id of ['a', 'b', 'c', 'a']) {
+      await queue.push(newMessage('1', id), parser({ type: 'message', messageID: id }), emit);
+    }
+    expect(emitted).to.deep.equal(['a', 'b', 'c', 'a']);
+  });
+
+  it('should keep arrival order within a thread when parsing is async', async () => {
+    const queue = new DeliveryQueue({ enabled: true });
+    const emitted = [];
+    const emit = (err, event) => emitted.push(event.messageID);
+    const done = Promise.all([
+      queue.push(newMessage('1', 'r'), parser({ type: 'message_reply', messageID: 'r' }, 30), emit),
+      queue.push(newMessage('1', 'm'), parser({ type: 'message', messageID: 'm' }), emit),
+      queue.push(newMessage('2', 'x'), parser({ type: 'message', messageID: 'x' }), emit)
+    ]);
+    await sleep(10);
+    expect(emitted).to.deep.equal(['x']);
+    await done;
+    expect(emitted).to.deep.equal(['x', 'r', 'm']);
+  });
+
+  it('should emit in completion order when ordering is off', async () => {
+    const queue = new DeliveryQueue({ enabled: true, ordered: false });
+    const emitted = [];
+    const emit = (err, event) => emitted.push(event.messageID);
+    await Promise.all([
+      queue.push(newMessage('1', 'r'), parser({ type: 'message_reply', messageID: 'r' }, 20), emit),
+      queue.push(newMessage('1', 'm'), parser({ type: 'message', messageID: 'm' }), emit)
+    ]);
+    expect(emitted).to.deep.equal(['m', 'r']);
+  });
+
+  it('should stop waiting on a slow delta after timeoutMs', async () => {
+    const queue = new DeliveryQueue({ enabled: true, timeoutMs: 20 });
+    const emitted = [];
+    const emit = (err, event) => emitted.push(event.messageID);
+    queue.push(newMessage('1', 'slow'), parser({ type: 'message', messageID: 'slow' }, 60), emit);
+    await queue.push(newMessage('1', 'fast'), parser({ type: 'message', messageID: 'fast' }), emit);
+    expect(emitted).to.deep.equal(['fast']);
+    await sleep(60);
+    expect(emitted).to.deep.equal(['fast', 'slow']);
+  });
+
+  it('should keep the thread moving when a parse or listener throws', async () => {
+    const queue = new DeliveryQueue({ enabled: true });
+    const emitted = [];
+    await queue.push(newMessage('1', 'a'), () => { throw new Error('bad delta'); }, () => { });
+    await queue.push(newMessage('1', 'b'), parser({ type: 'message', messageID: 'b' }), () => { throw new Error('bad listener'); });
+    await queue.push(newMessage('1', 'c'), parser({ type: 'message', messageID: 'c' }), (err, event) => emitted.push(event.messageID));
+    expect(emitted).to.deep.equal(['c']);
+  });
+
+  it('should update options with configure', () => {
+    const queue = new DeliveryQueue({ enabled: true, window: 5 });
+    queue.configure({ ordered: false });
+    expect(queue.options).to.include({ enabled: true, ordered: false, dedupe: true, window: 5 });
+  });
+
+  describe('threadOfDelta', function() {
+    it('should read the thread from metadata or the thread key', () => {
+      expect(threadOfDelta(newMessage('123', 'm'))).to.equal('123');
+      expect(threadOfDelta({ class: 'ForcedFetch', threadKey: { otherUserFbId: 42 } })).to.equal('42');
+      expect(threadOfDelta({ class: 'Unknown' })).to.equal(null);
+    });
+
+    it('should read the thread of a client payload', () => {
+      const payload = { deltas: [{ deltaMessageReaction: { threadKey: { threadFbId: 9 } } }] };
+      const bytes = Array.from(Buffer.from(JSON.stringify(payload)));
+      expect(threadOfDelta({ class: 'ClientPayload', payload: bytes })).to.equal('9');
+    });
+  });
+
+  describe('dedupeKey', function() {
+    it('should combine the event type with the message or offline threading ID', () => {
+      expect(dedupeKey({ type: 'message', messageID: 'mid.1' })).to.equal('message:mid.1');
+      expect(dedupeKey({ type: 'event' }, newMessage('1', undefined, '555'))).to.equal('event:555');
+      expect(dedupeKey({ type: 'message_reaction', messageID: 'mid.1' })).to.equal(null);
+      expect(dedupeKey({ type: 'typ' })).to.equal(null);
+    });
+  });
+});
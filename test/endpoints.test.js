@@ -0,0 +1,47 @@
+/**
+ * Unit tests for the configurable endpoint base URLs
+ * @module test/endpoints
+ */
+
+const { expect } = require('chai');
+const { DEFAULT_ENDPOINTS, resolveEndpoints, endpoint, cookieTarget } = require('../src/utils/endpoints');
+const { setOptions } = require('../module/options');
+const { ValidationError } = require('../src/utils/errors');
+
+describe('endpoints', function() {
+  it('should build URLs on the default hosts', () => {
+    expect(endpoint({}, 'facebook', '/api/graphqlbatch/')).to.equal('https://www.facebook.com/api/graphqlbatch/');
+    expect(endpoint(undefined, 'edgeChat')).to.equal(DEFAULT_ENDPOINTS.edgeChat);
+    expect(endpoint(null, 'upload', '/ajax/mercury/upload.php')).to.equal('https://upload.facebook.com/ajax/mercury/upload.php');
+  });
+
+  it('should read the base URLs from an API context', () => {
+    const ctx = { globalOptions: { endpoints: resolveEndpoints({ facebook: 'https://www.messenger.com' }) } };
+    expect(endpoint(ctx, 'facebook', '/messaging/block_messages/')).to.equal('https://www.messenger.com/messaging/block_messages/');
+    expect(endpoint(ctx, 'graph', '/auth/login')).to.equal('https://b-graph.facebook.com/auth/login');
+  });
+
+  it('should merge overrides and strip trailing slashes', () => {
+    const endpoints = resolveEndpoints({ facebook: 'http://127.0.0.1:8080/' });
+    expect(endpoints).to.deep.equal(Object.assign({}, DEFAULT_ENDPOINTS, { facebook: 'http://127.0.0.1:8080' }));
+    expect(resolveEndpoints({ facebook: null }, endpoints).facebook).to.equal(DEFAULT_ENDPOINTS.facebook);
+  });
+
+  it('should reject unknown names and relative URLs', () => {
+    expect(() => resolveEndpoints({ uploads: 'http://localhost' })).to.throw(ValidationError);
+    expect(() => resolveEndpoints({ facebook: '/relative' })).to.throw(ValidationError);
+  });
+
+  it('should keep session cookies on the facebook host', () => {
+    expect(cookieTarget({})).to.deep.equal({ url: 'https://www.facebook.com', domain: '.facebook.com' });
+    expect(cookieTarget({ endpoints: resolveEndpoints({ facebook: 'https://m.facebook.com' }) }).domain).to.equal('.facebook.com');
+    expect(cookieTarget({ endpoints: resolveEndpoints({ facebook: 'http://127.0.0.1:8080' }) })).to.deep.equal({ url: 'http://127.0.0.1:8080', domain: null });
+  });
+
+  it('should be settable through setOptions', () => {
+    const globalOptions = {};
+    setOptions(globalOptions, { endpoints: { edgeChat: 'ws://127.0.0.1:9000/chat' } });
+    expect(endpoint(globalOptions, 'edgeChat')).to.equal('ws://127.0.0.1:9000/chat');
+    expect(endpoint(globalOptions, 'facebook', '/')).to.equal('https://www.facebook.com/');
+  });
+});
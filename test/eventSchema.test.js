@@ -0,0 +1,186 @@
+/**
+ * Unit tests for the listenMqtt event schema
+ * @module test/eventSchema
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const {
+  EVENT_SCHEMA_VERSION,
+  EVENT_SCHEMAS,
+  validateEvent,
+  eventName
+} = require('../src/api/socket/detail/eventSchema');
+const {
+  formatDeltaMessage,
+  formatDeltaEvent,
+  formatDeltaReadReceipt,
+  formatTyp,
+  formatRead,
+  formatPresence
+} = require('../src/utils/format');
+const createParseDelta = require('../src/api/socket/core/parseDelta');
+const createListenMqtt = require('../src/api/socket/core/connectMqtt');
+const createEmitAuth = require('../src/api/socket/core/emitAuth');
+const { readTraffic } = require('../src/core/traffic');
+
+const metadata = {
+  threadKey: { threadFbId: '200' },
+  messageId: 'mid.1',
+  actorFbId: '100',
+  timestamp: '1700000000000',
+  adminText: 'changed the name'
+};
+
+function clientPayload(deltas) {
+  return { class: 'ClientPayload', payload: Array.from(Buffer.from(JSON.stringify({ deltas }))) };
+}
+
+// Collects everything parseDelta emits for the given deltas
+function parse(deltas, globalOptions = { listenEvents: true, selfListen: true }) {
+  const events = [];
+  const parseDelta = createParseDelta({ markDelivery: () => { }, parseAndCheckLogin: () => { } });
+  const ctx = { userID: '1', loggedIn: true, globalOptions };
+  for (const delta of deltas) parseDelta({}, {}, ctx, (err, event) => events.push(err || event), { delta });
+  return events;
+}
+
+function expectValid(event) {
+  expect(validateEvent(event), JSON.stringify(event)).to.deep.equal([]);
+}
+
+describe('Event schema', function() {
+  it('should accept events built by the delta formatters', () => {
+    expectValid(formatDeltaMessage({ messageMetadata: metadata, body: 'hi there', attachments: [] }));
+    expectValid(formatDeltaEvent({ class: 'ThreadName', messageMetadata: metadata, name: 'Group' }));
+    expectValid(formatDeltaReadReceipt({ threadKey: { threadFbId: '200' }, actorFbId: '100', actionTimestampMs: '1700000000000' }));
+    expectValid(formatTyp({ st: 1, from: 100, to: 200 }));
+    expectValid(formatRead({ chat_ids: [200], timestamp: 1700000000000 }));
+    expectValid(formatPresence({ la: 1700000000, a: 2 }, '100'));
+  });
+
+  it('should accept reactions, unsends and replies from client payloads', () => {
+    const events = parse([clientPayload([
+      { deltaMessageReaction: { threadKey: { threadFbId: 200 }, messageId: 'mid.1', reaction: '👍', senderId: 100, userId: 100 } },
+      { deltaRecallMessageData: { threadKey: { otherUserFbId: 100 }, messageID: 'mid.1', senderID: 100, deletionTimestamp: 1, timestamp: 1 } },
+      { deltaMessageReply: { message: { body: 'yes', messageMetadata: metadata }, repliedToMessage: { body: 'q', messageMetadata: metadata, attachments: [] } } }
+    ])]);
+    expect(events.map(e => e.type)).to.deep.equal(['message_reaction', 'message_unsend', 'message_reply']);
+    events.forEach(expectValid);
+    expect(events[2].messageReply).to.include({ messageID: 'mid.1', body: 'q' });
+  });
+
+  it('should decode edits by other people and fill them in from the history', () => {
+    // Recorded with the `record` option from a session against test/mock;
+    // the edit delta has not been checked against a live capture yet
+    const recording = readTraffic(path.join(__dirname, 'mock', 'fixtures', 'traffic', 'message-edit.jsonl'));
+    const deltas = recording.filter(entry => entry.topic === '/t_ms').flatMap(entry => JSON.parse(entry.payload).deltas);
+    const MessageHistory = require('../src/core/messageHistory');
+    const history = new MessageHistory({ enabled: true });
+    const events = parse(deltas).map(event => history.track(event));
+    expect(events.map(e => e.type)).to.deep.equal(['message', 'message_edit']);
+    events.forEach(expectValid);
+    expect(events[1]).to.include({ threadID: '200', messageID: 'mid.$rec1', senderID: '300', body: 'see you at 6', previous: 'see you at 5', timestamp: 1700000060000 });
+    expect(events[1].edits.map(e => e.body)).to.deep.equal(['see you at 5']);
+
+    // Like unsends and reactions, edits are events
+    const quiet = parse(deltas, { selfListen: true });
+    expect(quiet.map(e => e.type)).to.deep.equal(['message']);
+  });
+
+  it('should accept the control events passed as errors', () => {
+    let inactive;
+    createEmitAuth({ logger: () => { } })({}, {}, err => { inactive = err; }, 'not_logged_in', 'Not logged in');
+    expectValid(inactive);
+    expectValid({ type: 'stop_listen', error: 'Connection refused' });
+    expectValid({ type: 'ready', error: null });
+  });
+
+  it('should accept typing, presence and friend request events from the socket', () => {
+    const events = [];
+    class FakeClient extends EventEmitter {
+      subscribe() { }
+      publish() { }
+      end() { }
+    }
+    const clients = [];
+    const listenMqtt = createListenMqtt({
+      WebSocket: function () { },
+      mqtt: { Client: function (...args) { const c = new FakeClient(...args); clients.push(c); return c; } },
+      HttpsProxyAgent: function () { },
+      buildStream: () => null,
+      buildProxy: () => null,
+      topics: [],
+      parseDelta: () => { },
+      handleLsResponse: () => { },
+      rejectPendingRequests: () => { },
+      scheduleSyncCursorSave: () => { },
+      clearSyncCursor: () => { },
+      logger: () => { },
+      emitAuth: () => { }
+    });
+    listenMqtt({}, { getCookies: () => '' }, { userID: '1', globalOptions: {} }, (err, event) => events.push(event));
+    const client = clients[0];
+    client.emit('message', '/thread_typing', JSON.stringify({ state: 1, sender_fbid: 100 }));
+    client.emit('message', '/orca_presence', JSON.stringify({ list: [{ u: 100, l: 1700000000, p: 2 }] }));
+    client.emit('message', '/legacy_web', JSON.stringify({ type: 'jewel_requests_add', from: 100 }));
+    client.emit('message', '/legacy_web', JSON.stringify({ type: 'jewel_requests_remove_old', from: 100 }));
+    delete global.mqttClient;
+    expect(events.map(e => e.type)).to.deep.equal(['typ', 'presence', 'friend_request_received', 'friend_request_cancel']);
+    events.forEach(expectValid);
+  });
+
+  it('should report missing and mistyped fields', () => {
+    expect(validateEvent({ type: 'typ', threadID: '1', from: 2 })).to.deep.equal([
+      'typ.from should be string, got number',
+      'typ.isTyping is missing'
+    ]);
+    expect(validateEvent({ type: 'nope' })).to.deep.equal(['unknown type nope']);
+    expect(validateEvent(null)).to.deep.equal(['missing type']);
+  });
+
+  it('should name plain messages message_new and keep other types as is', () => {
+    expect(eventName('message')).to.equal('message_new');
+    expect(eventName('message_reply')).to.equal('message_reply');
+    expect(eventName('nope')).to.equal(null);
+  });
+
+  it('should emit each payload under its own MessageEmitter event', async () => {
+    const createListen = require('../src/api/socket/listenMqtt');
+    const defaultFuncs = { post: () => Promise.reject({ error: 'Not logged in' }) };
+    const ctx = { userID: '1', globalOptions: {}, _mqttOpt: { cycleMs: 0 } };
+    const emitter = createListen(defaultFuncs, {}, ctx)();
+    const errors = [];
+    emitter.on('error', err => errors.push(err.type));
+    const inactive = await new Promise(resolve => emitter.once('account_inactive', resolve));
+    expect(inactive).to.include({ type: 'account_inactive', reason: 'not_logged_in' });
+    expect(errors).to.include('account_inactive');
+  });
+
+  describe('index.d.ts', function() {
+    const dts = fs.readFileSync(path.join(__dirname, '..', 'index.d.ts'), 'utf8');
+
+    function interfaceFor(type) {
+      const match = dts.match(new RegExp(`interface (\\w+) \\{\\s*type: "${type}";([\\s\\S]*?)\\n  \\}`));
+      return match && { name: match[1], body: match[2] };
+    }
+
+    it('should carry the same schema version', () => {
+      expect(dts).to.include(`type EventSchemaVersion = ${EVENT_SCHEMA_VERSION};`);
+    });
+
+    it('should declare every field of every event type', () => {
+      for (const [type, schema] of Object.entries(EVENT_SCHEMAS)) {
+        const declared = interfaceFor(type);
+        expect(declared, `interface for ${type}`).to.not.equal(null);
+        for (const [field, spec] of Object.entries(schema.fields)) {
+          const optional = spec.endsWith('?') ? '\\?' : '';
+          expect(declared.body, `${type}.${field}`).to.match(new RegExp(`\\n\\s+${field}${optional}:`));
+        }
+        expect(dts, `${schema.event} emitter event`).to.match(new RegExp(`\\n\\s+${schema.event}: ${declared.name};`));
+      }
+    });
+  });
+});
@@ -0,0 +1,330 @@
+/**
+ * End-to-end tests against the local Facebook stand-in in test/mock
+ * @module test/integration
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { expect } = require('chai');
+
+// Backups are encrypted by default and login refuses to run without a key;
+// the config is read once when the login module loads
+process.env.FCA_ENCRYPTION_KEY = crypto.randomBytes(32).toString('hex');
+const login = require('../module/login');
+delete process.env.FCA_ENCRYPTION_KEY;
+const { MockFacebook, MockBroker } = require('./mock');
+const { TrafficReplay } = require('../src/core/traffic');
+
+function once(emitter, event) {
+  return new Promise(resolve => emitter.once(event, resolve));
+}
+
+describe('Integration (mock Facebook)', function() {
+  this.timeout(20000);
+
+  let mock;
+  let api;
+  let listener;
+  let cwd;
+  let dataDir;
+
+  before(async () => {
+    // The models write Fca_Database under the working directory
+    cwd = process.cwd();
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fca-mock-'));
+    process.chdir(dataDir);
+    mock = await new MockFacebook().start();
+    api = await login({ appState: mock.appState() }, {
+      endpoints: mock.endpoints,
+      sessionStore: 'memory',
+      autoMarkDelivery: false,
+      emitReady: true,
+      record: path.join(dataDir, 'traffic.jsonl')
+    });
+  });
+
+  after(async () => {
+    if (listener) await listener.stopListeningAsync();
+    if (mock) await mock.stop();
+    await api.scheduler.start().catch(() => {});
+    const models = require('../src/database/models');
+    await models.syncAll().catch(() => {});
+    await models.sequelize.close();
+    process.chdir(cwd);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('should log in from the mock homepage', () => {
+    expect(api.getCurrentUserID()).to.equal(mock.userID);
+    const home = mock.requests.find(request => request.method === 'GET' && request.path === '/');
+    expect(home).to.exist;
+    expect(home.headers.cookie).to.include(`c_user=${mock.userID}`).and.to.include('xs=mock-xs');
+  });
+
+  it('should fetch the sequence ID, connect to the broker and flush sends made before', async () => {
+    const early = api.sendMessage('queued before listening', '204');
+    expect(api.sendQueue.size).to.equal(1);
+    const connected = once(mock.broker, 'connect');
+    listener = api.listenMqtt();
+    const ready = once(listener, 'ready');
+    const client = await connected;
+    await ready;
+    expect(client.username).to.include({ u: mock.userID });
+    expect(await early).to.include({ threadID: '204' });
+    expect(mock.broker.published.some(p => p.topic === '/ls_req' && JSON.stringify(p.payload).includes('queued before listening'))).to.equal(true);
+    const batch = mock.requests.find(request => request.path === '/api/graphqlbatch/');
+    expect(JSON.parse(batch.form.queries).o0.doc_id).to.equal('3336396659757871');
+    expect(batch.form.fb_dtsg).to.equal(mock.fbDtsg);
+    expect(batch.headers.cookie).to.include(`c_user=${mock.userID}`).and.to.include('xs=mock-xs');
+  });
+
+  it('should deliver deltas pushed by the broker', async () => {
+    const received = once(listener, 'message_new');
+    mock.broker.sendDeltas([MockBroker.newMessage({ threadID: '200', senderID: '300', body: 'hello bot', messageID: 'mid.$in1' })]);
+    const event = await received;
+    expect(event).to.include({ type: 'message', threadID: '200', senderID: '300', body: 'hello bot', messageID: 'mid.$in1' });
+  });
+
+  it('should send messages over /ls_req and decode /ls_resp', async () => {
+    const request = mock.broker.waitFor('/ls_req');
+    const info = await api.sendMessage('hi there', '200');
+    const { payload } = await request;
+    const task = JSON.parse(payload.payload).tasks[0];
+    expect(JSON.parse(task.payload)).to.include({ thread_id: '200', text: 'hi there' });
+    expect(info.messageID).to.match(/^mid\.\$mock\d+$/);
+    expect(info.threadID).to.equal('200');
+  });
+
+  it('should route HTTP API calls to the configured host', async () => {
+    mock.route('POST', '/ajax/mercury/delivery_receipts.php', () => 'for (;;);{"payload":{}}');
+    await api.markAsDelivered('200', 'mid.$mock1');
+    const request = mock.requests.find(r => r.path === '/ajax/mercury/delivery_receipts.php');
+    expect(request.form).to.include({ 'message_ids[0]': 'mid.$mock1' });
+    expect(request.headers.referer).to.equal(`${mock.url}/`);
+  });
+
+  it('should record sanitized traffic that replays offline', async () => {
+    const file = path.join(dataDir, 'traffic.jsonl');
+    const recording = fs.readFileSync(file, 'utf8');
+    expect(recording).to.include('/api/graphqlbatch/').and.include('/ls_resp');
+    expect(recording).to.not.include(mock.fbDtsg).and.not.include('mock-xs');
+
+    const replay = new TrafficReplay(file);
+    expect(replay.userID).to.equal(mock.userID);
+    const events = await replay.deltas();
+    expect(events.map(event => event.messageID)).to.include('mid.$in1');
+    const task = replay.tasks().find(t => t.data.threadID === '200');
+    expect(task.type).to.equal('send_message_mqtt');
+    expect(task.data).to.include({ threadID: '200' });
+    expect(task.data.messageID).to.match(/^mid\.\$mock\d+$/);
+  });
+
+  it('should fall back to the next doc_id and report failing queries', async () => {
+    const inbox = mock.graphqlFixtures.get('3336396659757871');
+    mock.graphql('3336396659757871', {
+      data: { viewer: { message_threads: { sync_sequence_id: '1', nodes: [{ thread_key: { thread_fbid: '200' } }] } } }
+    });
+    mock.graphql('3449967031715030', { data: { message_thread: { thread_key: { thread_fbid: '200' } } } });
+    mock.graphql('1498317363570230', params => ({
+      data: { message_thread: { thread_key: { thread_fbid: params.id }, messages: { nodes: [{ message_id: 'mid.$probe' }] } } }
+    }));
+    mock.graphql('2848441488556444', { data: { message: { message_id: 'mid.$probe' } } });
+
+    api.setOptions({ queries: { threadList: ['1111', '3336396659757871'] } });
+    const statuses = await api.checkQueries();
+    const byName = Object.fromEntries(statuses.map(status => [status.operation, status]));
+    expect(byName.threadList).to.include({ ok: true, docID: '3336396659757871', lastDocID: '3336396659757871' });
+    expect(byName.userInfo.ok).to.equal(false);
+    expect(byName.userInfo.error).to.include('No mock fixture');
+    expect(byName.threadInfo.ok).to.equal(true);
+    expect(byName.threadHistory.ok).to.equal(true);
+    expect(byName.messageReply.ok).to.equal(true);
+    expect(byName.message.ok).to.equal(false);
+    expect(byName.themePictures.ok).to.equal(null);
+    expect(byName.changeBio).to.include({ kind: 'mutation', ok: null });
+
+    const probed = mock.requests.filter(r => /graphql/.test(r.path)).map(r => r.form.doc_id || r.form.queries).join();
+    expect(probed).to.include('1111').and.include('mid.$probe').and.not.include(byName.changeBio.docID);
+    api.setOptions({ queries: { threadList: null } });
+    mock.graphql('3336396659757871', inbox);
+  });
+
+  it('should export a thread with its attachments', async () => {
+    const nodes = Array.from({ length: 5 }, (_, i) => ({
+      __typename: 'UserMessage',
+      message_id: `mid.$hist${i + 1}`,
+      message_sender: { id: i % 2 ? '300' : mock.userID },
+      timestamp_precise: String(1700000000000 + i * 1000),
+      message: { text: `history ${i + 1}`, ranges: [] },
+      unread: false,
+      message_reactions: [],
+      snippet: `history ${i + 1}`,
+      blob_attachments: i === 0 ? [{
+        __typename: 'MessageImage',
+        legacy_attachment_id: '900',
+        filename: 'image-900.jpg',
+        thumbnail: { uri: `${mock.url}/cdn/thumb.jpg` },
+        preview: { uri: `${mock.url}/cdn/preview.jpg` },
+        large_preview: { uri: `${mock.url}/cdn/large.jpg` }
+      }] : []
+    }));
+    mock.graphql('1498317363570230', params => ({
+      data: {
+        message_thread: {
+          thread_key: { thread_fbid: '200' },
+          thread_type: 'GROUP',
+          messages: { nodes: nodes.filter(n => params.before == null || Number(n.timestamp_precise) <= params.before).slice(-params.message_limit) }
+        }
+      }
+    }));
+    mock.graphql('3449967031715030', {
+      data: {
+        message_thread: {
+          thread_key: { thread_fbid: '200' },
+          thread_type: 'GROUP',
+          name: 'Support',
+          all_participants: { edges: [{ node: { messaging_actor: { id: '300', name: 'Bob' } } }] }
+        }
+      }
+    });
+    mock.route('GET', '/mercury/attachments/photo', () => `for (;;);${JSON.stringify({ jsmods: { require: [[0, 0, 0, [`${mock.url}/cdn/full.jpg`]]] } })}`);
+    mock.route('GET', '/cdn/full.jpg', () => ({ headers: { 'Content-Type': 'image/jpeg' }, body: 'jpeg-bytes' }));
+
+    const output = path.join(dataDir, 'export', 'support.html');
+    const result = await api.exportThread('200', { format: 'html', output, attachments: true, pageSize: 2, since: 1700000001000 });
+    expect(result).to.include({ messageCount: 4, output });
+    expect(result.attachments).to.deep.equal({ downloaded: 0, failed: [] });
+
+    const dir = path.join(dataDir, 'dyi');
+    const full = await api.exportThread('200', { format: 'facebook', output: dir, attachments: true, pageSize: 2 });
+    expect(full.attachments.downloaded).to.equal(1);
+    const thread = JSON.parse(fs.readFileSync(path.join(full.output, 'message_1.json'), 'utf8'));
+    expect(thread.title).to.equal('Support');
+    expect(thread.messages.map(m => m.content)).to.deep.equal(['history 5', 'history 4', 'history 3', 'history 2', 'history 1']);
+    expect(thread.messages[4].photos[0].uri).to.equal('messages/inbox/support_200/photos/900.jpg');
+    expect(fs.readFileSync(path.join(dir, thread.messages[4].photos[0].uri), 'utf8')).to.equal('jpeg-bytes');
+    expect(fs.readFileSync(output, 'utf8')).to.include('history 2').and.not.include('history 1<');
+  });
+
+  it('should emit message_edit with the replaced text', async () => {
+    api.setOptions({ messageHistory: { maxMessages: 100 }, selfListen: true });
+    const received = once(listener, 'message_new');
+    mock.broker.sendDeltas([MockBroker.newMessage({ threadID: '200', senderID: mock.userID, body: 'frist draft', messageID: 'mid.$own1' })]);
+    await received;
+
+    mock.broker.onRequest(task => task.label === '742' ? [1, [5, 'editMessage', [null, null, [null, [null, null, 'mid.$own1', null, 'first draft']]]]] : undefined);
+    const edited = once(listener, 'message_edit');
+    await api.editMessage('first draft', 'mid.$own1');
+    const event = await edited;
+    mock.broker.onRequest(null);
+    expect(event).to.include({ threadID: '200', messageID: 'mid.$own1', senderID: mock.userID, previous: 'frist draft', body: 'first draft' });
+
+    // With listenEvents on, the edit Facebook echoes back is the only event
+    api.setOptions({ listenEvents: true });
+    const events = [];
+    listener.on('message_edit', event => events.push(event));
+    mock.broker.onRequest(task => task.label === '742' ? [1, [5, 'editMessage', [null, null, [null, [null, null, 'mid.$own1', null, 'first draft!']]]]] : undefined);
+    await api.editMessage('first draft!', 'mid.$own1');
+    mock.broker.onRequest(null);
+    const echoed = once(listener, 'message_edit');
+    mock.broker.sendDeltas([MockBroker.messageEdit({ threadID: '200', senderID: mock.userID, body: 'first draft!', messageID: 'mid.$own1' })]);
+    await echoed;
+    listener.removeAllListeners('message_edit');
+    api.setOptions({ messageHistory: false, selfListen: false, listenEvents: false });
+    expect(events).to.have.length(1);
+    expect(events[0]).to.include({ threadID: '200', previous: 'first draft', body: 'first draft!' });
+  });
+
+  it('should emit message_edit for edits by other people', async () => {
+    api.setOptions({ messageHistory: { maxMessages: 100 }, listenEvents: true });
+    const received = once(listener, 'message_new');
+    mock.broker.sendDeltas([MockBroker.newMessage({ threadID: '203', senderID: '300', body: 'see you at 5', messageID: 'mid.$in2' })]);
+    await received;
+
+    const edited = once(listener, 'message_edit');
+    mock.broker.sendDeltas([MockBroker.messageEdit({ threadID: '203', senderID: '300', body: 'see you at 6', messageID: 'mid.$in2' })]);
+    const event = await edited;
+    api.setOptions({ messageHistory: false, listenEvents: false });
+    expect(event).to.include({ threadID: '203', messageID: 'mid.$in2', senderID: '300', previous: 'see you at 5', body: 'see you at 6' });
+    expect(event.edits.map(e => e.body)).to.deep.equal(['see you at 5']);
+  });
+
+  it('should download, sniff and upload URL attachments', async () => {
+    mock.route('GET', '/cdn/help', () => ({ headers: { 'Content-Type': 'application/octet-stream' }, body: 'GIF89a' }));
+    mock.route('POST', '/ajax/mercury/upload.php', () => `for (;;);${JSON.stringify({ payload: { metadata: [{ gif_id: 555, filename: 'attachment.gif', filetype: 'image/gif' }] } })}`);
+    const request = mock.broker.waitFor('/ls_req');
+    await api.sendMessage({ body: 'help', attachment: `${mock.url}/cdn/help` }, '200');
+
+    const upload = mock.requests.find(r => r.path === '/ajax/mercury/upload.php');
+    expect(upload.body).to.include('filename="attachment.gif"').and.include('Content-Type: image/gif').and.not.include('voice_clip');
+    const { payload } = await request;
+    const task = JSON.parse(JSON.parse(payload.payload).tasks[0].payload);
+    expect(task.attachment_fbids).to.deep.equal([555]);
+  });
+
+  it('should report upload progress and reuse uploaded IDs', async () => {
+    api.setOptions({ uploadCache: true });
+    const before = mock.requests.filter(r => r.path === '/ajax/mercury/upload.php').length;
+    const progress = [];
+    const card = { buffer: Buffer.from('GIF89a-card'), filename: 'card.gif' };
+    const [first] = await api.uploadAttachment(card, { onProgress: p => progress.push(p) });
+    const [second] = await api.uploadAttachment([card], { onProgress: p => progress.push(p) });
+    api.setOptions({ uploadCache: false });
+
+    expect(second).to.deep.equal(first);
+    expect(mock.requests.filter(r => r.path === '/ajax/mercury/upload.php')).to.have.length(before + 1);
+    expect(progress[progress.length - 2]).to.include({ filename: 'card.gif', percent: 100, cached: false });
+    expect(progress[progress.length - 1]).to.include({ filename: 'card.gif', cached: true });
+
+    const controller = new AbortController();
+    controller.abort();
+    const aborted = await api.uploadAttachment(card, { signal: controller.signal }).catch(err => err);
+    expect(aborted.name).to.equal('AbortError');
+  });
+
+  it('should send composed mentions with exact offsets', async () => {
+    const request = mock.broker.waitFor('/ls_req');
+    await api.compose().text('Hi @').mention('300', 'Bob').text(' and ').bold('welcome').send('200');
+    const { payload } = await request;
+    const task = JSON.parse(JSON.parse(payload.payload).tasks[0].payload);
+    expect(task.text).to.equal('Hi @Bob and *welcome*');
+    expect(task.mention_data).to.deep.equal({ mention_ids: '300', mention_offsets: '4', mention_lengths: '3', mention_types: 'p' });
+
+    const err = await api.sendMessage({ body: 'Hello there', mentions: [{ tag: '@Bob', id: '300' }] }, '200').catch(e => e);
+    expect(err.name).to.equal('ValidationError');
+  });
+
+  it('should reply to, quote and forward message events', async () => {
+    const event = { type: 'message', threadID: '200', messageID: 'mid.$in1', senderID: '300', body: 'hello bot\nanyone there?' };
+    const tasks = () => mock.broker.published
+      .filter(entry => entry.topic === '/ls_req')
+      .map(entry => JSON.parse(JSON.parse(entry.payload.payload).tasks[0].payload));
+    const before = tasks().length;
+
+    const replied = await api.reply(event, 'hi');
+    const quoted = await api.quote(event, 'yes');
+    const forwarded = await api.forward(event, ['201', '202', '201']);
+    await api.sendMessage('again', '203', event);
+    const [replyTask, quoteTask, ...forwardTasks] = tasks().slice(before);
+    const sendTask = forwardTasks.pop();
+
+    expect(replied).to.include({ threadID: '200' });
+    expect(replied.messageID).to.match(/^mid\.\$mock\d+$/);
+    expect(replyTask).to.include({ thread_id: '200', text: 'hi' });
+    expect(replyTask.reply_metadata.reply_source_id).to.equal('mid.$in1');
+    expect(quoteTask.text).to.equal('> hello bot\n> anyone there?\n\nyes');
+    expect(quoteTask.reply_metadata.reply_source_id).to.equal('mid.$in1');
+    expect(sendTask.reply_metadata.reply_source_id).to.equal('mid.$in1');
+    expect(forwardTasks.map(task => [task.thread_id, task.forwarded_msg_id])).to.deep.equal([['201', 'mid.$in1'], ['202', 'mid.$in1']]);
+    expect(forwarded.map(result => result.threadID)).to.deep.equal(['201', '202']);
+    forwarded.forEach(result => {
+      expect(result.error).to.equal(null);
+      expect(result.messageID).to.match(/^mid\.\$mock\d+$/);
+    });
+
+    const err = await api.reply({ body: 'no ids' }, 'hi').catch(e => e);
+    expect(err.name).to.equal('ValidationError');
+  });
+});
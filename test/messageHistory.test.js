@@ -0,0 +1,97 @@
+/**
+ * Unit tests for the recent message history
+ * @module test/messageHistory
+ */
+
+const { expect } = require('chai');
+const MessageHistory = require('../src/core/messageHistory');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function message(id, body, extra) {
+  return Object.assign({
+    type: 'message',
+    threadID: '200',
+    messageID: `mid.$${id}`,
+    senderID: '300',
+    body,
+    attachments: [{ type: 'photo', ID: '11' }],
+    mentions: {},
+    timestamp: String(1000 + id)
+  }, extra);
+}
+
+function unsend(id) {
+  return { type: 'message_unsend', threadID: '200', messageID: `mid.$${id}`, senderID: '300', deletionTimestamp: 5000, timestamp: 5000 };
+}
+
+describe('MessageHistory', function() {
+  it('should be disabled by default and leave events untouched', () => {
+    const history = new MessageHistory();
+    expect(history.enabled).to.equal(false);
+    history.track(message(1, 'hello'));
+    expect(history.track(unsend(1))).to.not.have.property('original');
+  });
+
+  it('should add the removed content to message_unsend', () => {
+    const history = new MessageHistory({ enabled: true });
+    history.track(message(1, 'hello'));
+    const event = history.track(unsend(1));
+    expect(event.original).to.deep.equal({
+      threadID: '200',
+      senderID: '300',
+      body: 'hello',
+      attachments: [{ type: 'photo', ID: '11' }],
+      mentions: {},
+      timestamp: 1001,
+      edits: []
+    });
+    expect(history.track(unsend(2))).to.not.have.property('original');
+  });
+
+  it('should remember the message a reply quotes', () => {
+    const history = new MessageHistory({ enabled: true });
+    history.track(message(2, 'sure', { type: 'message_reply', messageReply: message(1, 'lunch?', { senderID: '100' }) }));
+    expect(history.track(unsend(1)).original).to.include({ body: 'lunch?', senderID: '100' });
+  });
+
+  it('should fill in message_edit and keep earlier texts', () => {
+    const history = new MessageHistory({ enabled: true, maxEdits: 2 });
+    history.track(message(1, 'first'));
+    const edit = body => history.track({ type: 'message_edit', threadID: null, messageID: 'mid.$1', senderID: null, body, timestamp: 2000 });
+
+    expect(edit('second')).to.include({ threadID: '200', senderID: '300', previous: 'first', body: 'second' });
+    edit('third');
+    const last = edit('fourth');
+    expect(last.previous).to.equal('third');
+    expect(last.edits.map(e => e.body)).to.deep.equal(['second', 'third']);
+    expect(history.track(unsend(1)).original).to.include({ body: 'fourth' });
+
+    const unknown = history.track({ type: 'message_edit', threadID: null, messageID: 'mid.$9', senderID: '1', body: 'x', timestamp: 2000 });
+    expect(unknown).to.include({ previous: null, threadID: null });
+  });
+
+  it('should drop the oldest messages beyond maxMessages', () => {
+    const history = new MessageHistory({ enabled: true, maxMessages: 2 });
+    [1, 2, 3].forEach(id => history.track(message(id, `m${id}`)));
+    expect(history.get('mid.$1')).to.equal(null);
+    expect(history.get('mid.$3')).to.include({ body: 'm3' });
+  });
+
+  it('should forget messages older than maxAge', async () => {
+    const history = new MessageHistory({ enabled: true, maxAge: 20 });
+    history.track(message(1, 'old'));
+    await sleep(30);
+    history.track(message(2, 'new'));
+    expect(history.get('mid.$1')).to.equal(null);
+    expect(history.get('mid.$2')).to.include({ body: 'new' });
+  });
+
+  it('should clear the cache when disabled', () => {
+    const history = new MessageHistory({ enabled: true });
+    history.track(message(1, 'hello'));
+    history.configure({ enabled: false });
+    history.configure({ enabled: true });
+    expect(history.get('mid.$1')).to.equal(null);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Unit tests for the message store and its full-text search
+ * @module test/messages
+ */
+
+const { expect } = require('chai');
+const { Sequelize } = require('sequelize');
+const { MessageStore, toMatchQuery } = require('../src/database/messages');
+const { ValidationError } = require('../src/utils/errors');
+
+function message(id, body, extra) {
+  return Object.assign({
+    type: 'message',
+    messageID: `mid.$${id}`,
+    threadID: '200',
+    senderID: '100',
+    body,
+    attachments: [],
+    mentions: {},
+    timestamp: String(1000 + id)
+  }, extra);
+}
+
+describe('MessageStore', function() {
+  let sequelize;
+  let store;
+  let enabled;
+
+  beforeEach(async () => {
+    sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+    const Message = require('../src/database/models/message')(sequelize);
+    enabled = true;
+    store = new MessageStore({ models: { Message }, enabled: () => enabled });
+    await store.save([
+      message(1, 'Lunch at noon tomorrow?'),
+      message(2, 'The deploy failed again', { senderID: '300' }),
+      message(3, 'lunch sounds good', { threadID: '201' }),
+      { type: 'event', messageID: 'mid.$4', threadID: '200', body: 'lunch' },
+      { error: 'Unknown type' }
+    ]);
+  });
+
+  afterEach(async () => {
+    await sequelize.close();
+  });
+
+  it('should quote every word of a plain query', () => {
+    expect(toMatchQuery('  deploy "failed" ')).to.equal('"deploy" """failed"""');
+  });
+
+  it('should find messages by words in any order', async () => {
+    const results = await store.search('LUNCH');
+    expect(results.map(m => m.messageID)).to.have.members(['mid.$1', 'mid.$3']);
+    expect(results.find(m => m.messageID === 'mid.$1')).to.include({ threadID: '200', timestamp: 1001, editedAt: null, unsentAt: null });
+    expect(await store.search('failed deploy')).to.have.length(1);
+    expect(await store.search('noon deploy')).to.be.empty;
+  });
+
+  it('should filter by thread, sender and time', async () => {
+    expect((await store.search('lunch', { threadID: '201' })).map(m => m.messageID)).to.deep.equal(['mid.$3']);
+    expect((await store.search('deploy', { sender: '100' }))).to.be.empty;
+    expect((await store.search('lunch', { since: 1002 })).map(m => m.messageID)).to.deep.equal(['mid.$3']);
+    expect((await store.search('lunch', { until: 1002 })).map(m => m.messageID)).to.deep.equal(['mid.$1']);
+  });
+
+  it('should index edited text and keep unsent messages searchable', async () => {
+    expect(await store.edit('mid.$2', 'The deploy worked', 5000)).to.be.true;
+    expect(await store.search('failed')).to.be.empty;
+    const [edited] = await store.search('worked');
+    expect(edited).to.include({ messageID: 'mid.$2', body: 'The deploy worked', editedAt: 5000 });
+
+    await store.record({ type: 'message_unsend', threadID: '200', messageID: 'mid.$1', senderID: '100', deletionTimestamp: 6000 });
+    expect((await store.get('mid.$1')).unsentAt).to.equal(6000);
+    expect(await store.search('noon')).to.have.length(1);
+    expect(await store.search('noon', { includeUnsent: false })).to.be.empty;
+  });
+
+  it('should apply edits by other people decoded from MQTT', async () => {
+    const createParseDelta = require('../src/api/socket/core/parseDelta');
+    const { MockBroker } = require('./mock');
+    const parseDelta = createParseDelta({ markDelivery: () => { }, parseAndCheckLogin: () => { } });
+    const ctx = { userID: '100', globalOptions: { listenEvents: true } };
+    const events = [];
+    const delta = MockBroker.messageEdit({ threadID: '200', senderID: '300', messageID: 'mid.$2', body: 'The deploy passed', timestamp: 7000 });
+    parseDelta({}, {}, ctx, (err, event) => events.push(event), { delta });
+    expect(events).to.have.length(1);
+    await store.record(events[0]);
+    expect(await store.get('mid.$2')).to.include({ body: 'The deploy passed', senderID: '300', editedAt: 7000 });
+    expect(await store.search('passed')).to.have.length(1);
+  });
+
+  it('should save replies together with the replied-to message', async () => {
+    await store.record(message(5, 'yes, 12:30', {
+      type: 'message_reply',
+      messageReply: message(9, 'what time is lunch', { senderID: '300', timestamp: undefined })
+    }));
+    expect(await store.get('mid.$5')).to.include({ replyToID: 'mid.$9', timestamp: 1005 });
+    expect(await store.get('mid.$9')).to.include({ senderID: '300', timestamp: null });
+
+    // A later full copy of the replied-to message fills in its timestamp
+    await store.save(message(9, 'what time is lunch?', { senderID: '300' }));
+    expect(await store.get('mid.$9')).to.include({ body: 'what time is lunch?', timestamp: 1009 });
+    expect(await store.search('time lunch')).to.have.length(1);
+  });
+
+  it('should not write while disabled', async () => {
+    enabled = false;
+    expect(await store.save(message(6, 'disabled lunch'))).to.equal(0);
+    await store.record({ type: 'message_unsend', messageID: 'mid.$1', deletionTimestamp: 1 });
+    expect(await store.get('mid.$6')).to.be.null;
+    expect((await store.get('mid.$1')).unsentAt).to.be.null;
+    expect(await store.search('lunch')).to.have.length(2);
+  });
+
+  it('should reject empty and malformed queries', async () => {
+    for (const query of ['', '   ']) {
+      try {
+        await store.search(query);
+        expect.fail('search should have thrown');
+      } catch (err) {
+        expect(err).to.be.instanceOf(ValidationError);
+      }
+    }
+    expect((await store.search('lunch OR deploy', { raw: true }))).to.have.length(3);
+    try {
+      await store.search('"unterminated', { raw: true });
+      expect.fail('search should have thrown');
+    } catch (err) {
+      expect(err).to.be.instanceOf(ValidationError);
+    }
+  });
+});
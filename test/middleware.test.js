@@ -0,0 +1,92 @@
+/**
+ * Unit tests for the incoming event middleware chain
+ * @module test/middleware
+ */
+
+const { expect } = require('chai');
+const MiddlewareChain = require('../src/core/middleware');
+const { ValidationError } = require('../src/utils/errors');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function dispatchAll(chain, events) {
+  const delivered = [];
+  return Promise.all(events.map(event => chain.dispatch(event, e => delivered.push(e)))).then(() => delivered);
+}
+
+describe('MiddlewareChain', function() {
+  it('should deliver synchronously when no middleware is registered', () => {
+    const chain = new MiddlewareChain();
+    const delivered = [];
+    chain.dispatch({ type: 'message' }, e => delivered.push(e));
+    expect(delivered).to.have.length(1);
+  });
+
+  it('should run middlewares in order and let them transform events', async () => {
+    const chain = new MiddlewareChain();
+    const seen = [];
+    chain.use((event, next) => { seen.push('a'); next(Object.assign({}, event, { a: true })); });
+    chain.use(async (event, next) => { seen.push('b'); await sleep(1); next(); });
+    const [out] = await dispatchAll(chain, [{ type: 'message', threadID: '1' }]);
+    expect(seen).to.deep.equal(['a', 'b']);
+    expect(out).to.deep.equal({ type: 'message', threadID: '1', a: true });
+  });
+
+  it('should drop events on next(null) or when next is never called', async () => {
+    const chain = new MiddlewareChain({ timeout: 20 });
+    chain.use((event, next) => {
+      if (event.body === 'ignored') return;
+      next(event.body === 'dropped' ? null : undefined);
+    });
+    chain.use(async (event, next) => { if (event.body !== 'async-drop') next(); });
+    const delivered = await dispatchAll(chain, ['ignored', 'dropped', 'async-drop', 'kept'].map(body => ({ type: 'message', body })));
+    expect(delivered.map(e => e.body)).to.deep.equal(['kept']);
+  });
+
+  it('should wait for a sync middleware that calls next later', async () => {
+    const chain = new MiddlewareChain();
+    chain.use((event, next) => { setTimeout(() => next(Object.assign({}, event, { late: true })), 10); });
+    const [out] = await dispatchAll(chain, [{ type: 'message', body: 'x' }]);
+    expect(out).to.include({ body: 'x', late: true });
+  });
+
+  it('should skip a throwing middleware and keep the event', async () => {
+    const errors = [];
+    const chain = new MiddlewareChain({ onError: (err, event) => errors.push([err.message, event.body]) });
+    chain.use(() => { throw new Error('sync boom'); });
+    chain.use(async () => { throw new Error('async boom'); });
+    chain.use((event, next) => next(Object.assign({}, event, { ok: true })));
+    const [out] = await dispatchAll(chain, [{ type: 'message', body: 'x' }]);
+    expect(out).to.include({ body: 'x', ok: true });
+    expect(errors).to.deep.equal([['sync boom', 'x'], ['async boom', 'x']]);
+  });
+
+  it('should keep per-thread order when middlewares finish out of order', async () => {
+    const chain = new MiddlewareChain();
+    chain.use(async (event, next) => { await sleep(event.delay); next(); });
+    const delivered = await dispatchAll(chain, [
+      { threadID: '1', id: 'slow', delay: 30 },
+      { threadID: '1', id: 'fast', delay: 0 },
+      { threadID: '2', id: 'other', delay: 5 }
+    ]);
+    expect(delivered.map(e => e.id)).to.deep.equal(['other', 'slow', 'fast']);
+  });
+
+  it('should keep delivering after a listener throws', async () => {
+    const chain = new MiddlewareChain();
+    chain.use((event, next) => next());
+    const delivered = [];
+    await chain.dispatch({ threadID: '1', id: 1 }, () => { throw new Error('listener'); });
+    await chain.dispatch({ threadID: '1', id: 2 }, e => delivered.push(e.id));
+    expect(delivered).to.deep.equal([2]);
+  });
+
+  it('should reject non-function middlewares and remove registered ones', () => {
+    const chain = new MiddlewareChain();
+    expect(() => chain.use('nope')).to.throw(ValidationError);
+    const remove = chain.use((event, next) => next());
+    expect(chain.size).to.equal(1);
+    remove();
+    expect(chain.size).to.equal(0);
+  });
+});
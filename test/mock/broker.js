@@ -0,0 +1,230 @@
+/**
+ * MQTT-over-WebSocket broker standing in for edge-chat.facebook.com
+ * @module test/mock/broker
+ */
+
+const EventEmitter = require('events');
+const { WebSocketServer } = require('ws');
+const mqttPacket = require('mqtt-packet');
+
+const SYNC_TOKEN = 'mock-sync-token';
+
+/**
+ * Default `/ls_resp` step for a `/ls_req` task, mirroring what Facebook
+ * returns for the task labels the library decodes
+ */
+function defaultStep(task, broker) {
+  const payload = typeof task.payload === 'string' ? JSON.parse(task.payload) : task.payload || {};
+  if (String(task.label) === '46') {
+    return [1,
+      [5, 'replaceOptimisticMessage', payload.otid || null, `mid.$mock${++broker.messageCount}`],
+      [5, 'writeCTAIdToThreadsTable', [19, String(payload.thread_id)]]
+    ];
+  }
+  return [1];
+}
+
+/**
+ * Broker speaking the parts of Facebook's MQTT protocol the library uses:
+ * `/messenger_sync_create_queue` and `/messenger_sync_get_diffs` are answered
+ * on `/t_ms`, and `/ls_req` requests on `/ls_resp`
+ * @extends EventEmitter
+ */
+class MockBroker extends EventEmitter {
+  /**
+   * Create a broker
+   * @param {Object} [options] - Broker options
+   * @param {number} [options.seqID=1] - Sequence ID reported on `/t_ms`
+   */
+  constructor(options = {}) {
+    super();
+    this.seqID = options.seqID || 1;
+    this.clients = new Set();
+    this.published = [];
+    this.messageCount = 0;
+    this.requestHandler = null;
+    this.wss = new WebSocketServer({ noServer: true });
+  }
+
+  /**
+   * Answer `/ls_req` tasks with a custom step; return undefined to fall back
+   * to the default response
+   * @param {Function|null} handler - `(task, request) => step`
+   */
+  onRequest(handler) {
+    this.requestHandler = handler;
+  }
+
+  /**
+   * Accept an HTTP upgrade on the `/chat` path
+   */
+  handleUpgrade(req, socket, head) {
+    this.wss.handleUpgrade(req, socket, head, ws => this.accept(ws, req));
+  }
+
+  /**
+   * Push deltas to every connected client on `/t_ms`
+   * @param {Object[]} deltas - Deltas, e.g. from {@link MockBroker.newMessage}
+   */
+  sendDeltas(deltas) {
+    this.seqID += deltas.length;
+    this.publish('/t_ms', { deltas, lastIssuedSeqId: this.seqID, queueEntityId: 1 });
+  }
+
+  /**
+   * Publish a JSON payload to every connected client
+   * @param {string} topic - MQTT topic
+   * @param {Object} payload - JSON payload
+   * @param {Object} [only] - Limit to one client
+   */
+  publish(topic, payload, only) {
+    const packet = { cmd: 'publish', topic, payload: JSON.stringify(payload), qos: 0, retain: false };
+    for (const client of only ? [only] : this.clients) client.send(packet);
+  }
+
+  /**
+   * Resolve with the next publish from a client on a topic
+   * @param {string} topic - MQTT topic
+   * @returns {Promise<Object>} `{ client, topic, payload }`
+   */
+  waitFor(topic) {
+    return new Promise(resolve => {
+      const onPublish = entry => {
+        if (entry.topic !== topic) return;
+        this.removeListener('publish', onPublish);
+        resolve(entry);
+      };
+      this.on('publish', onPublish);
+    });
+  }
+
+  /**
+   * Disconnect every client and stop accepting new ones
+   */
+  close() {
+    for (const client of this.clients) client.ws.terminate();
+    this.clients.clear();
+    return new Promise(resolve => this.wss.close(() => resolve()));
+  }
+
+  /** @private */
+  accept(ws, req) {
+    const parser = mqttPacket.parser();
+    const client = {
+      ws,
+      url: req.url,
+      username: null,
+      subscriptions: new Set(),
+      send: packet => {
+        if (ws.readyState === 1) ws.send(mqttPacket.generate(packet, { protocolVersion: 3 }));
+      }
+    };
+    parser.on('packet', packet => this.onPacket(client, packet));
+    parser.on('error', () => ws.terminate());
+    ws.on('message', data => parser.parse(Buffer.from(data)));
+    ws.on('close', () => {
+      if (this.clients.delete(client)) this.emit('disconnect', client);
+    });
+  }
+
+  /** @private */
+  onPacket(client, packet) {
+    switch (packet.cmd) {
+      case 'connect':
+        try {
+          client.username = JSON.parse(packet.username);
+        } catch {
+          client.username = packet.username;
+        }
+        this.clients.add(client);
+        client.send({ cmd: 'connack', returnCode: 0, sessionPresent: false });
+        this.emit('connect', client);
+        break;
+      case 'subscribe':
+        packet.subscriptions.forEach(sub => client.subscriptions.add(sub.topic));
+        client.send({ cmd: 'suback', messageId: packet.messageId, granted: packet.subscriptions.map(() => 0) });
+        break;
+      case 'unsubscribe':
+        packet.unsubscriptions.forEach(topic => client.subscriptions.delete(topic));
+        client.send({ cmd: 'unsuback', messageId: packet.messageId });
+        break;
+      case 'publish':
+        if (packet.qos === 1) client.send({ cmd: 'puback', messageId: packet.messageId });
+        this.onPublish(client, packet.topic, packet.payload.toString());
+        break;
+      case 'pingreq':
+        client.send({ cmd: 'pingresp' });
+        break;
+      case 'disconnect':
+        client.ws.close();
+        break;
+    }
+  }
+
+  /** @private */
+  onPublish(client, topic, raw) {
+    let payload;
+    try {
+      payload = JSON.parse(raw);
+    } catch {
+      payload = raw;
+    }
+    const entry = { client, topic, payload };
+    this.published.push(entry);
+    if (topic === '/messenger_sync_create_queue' || topic === '/messenger_sync_get_diffs') {
+      this.publish('/t_ms', { firstDeltaSeqId: this.seqID, lastIssuedSeqId: this.seqID, syncToken: SYNC_TOKEN, queueEntityId: 1 }, client);
+    } else if (topic === '/ls_req') {
+      this.respond(client, payload);
+    }
+    this.emit('publish', entry);
+  }
+
+  /** @private */
+  respond(client, request) {
+    const content = typeof request.payload === 'string' ? JSON.parse(request.payload) : request.payload;
+    const tasks = Array.isArray(content.tasks) ? content.tasks : [content];
+    const steps = tasks.map(task => {
+      const custom = this.requestHandler ? this.requestHandler(task, request) : undefined;
+      return custom !== undefined ? custom : defaultStep(task, this);
+    });
+    const step = steps.length === 1 ? steps[0] : [1].concat(steps);
+    this.publish('/ls_resp', { request_id: request.request_id, payload: JSON.stringify({ step }) }, client);
+  }
+
+  /**
+   * Build a NewMessage delta
+   * @param {Object} message - `{ threadID, senderID, body, messageID, isGroup }`
+   * @returns {Object}
+   */
+  static newMessage(message) {
+    const threadKey = message.isGroup === false ? { otherUserFbId: String(message.threadID) } : { threadFbId: String(message.threadID) };
+    return {
+      class: 'NewMessage',
+      body: message.body || '',
+      attachments: [],
+      participants: message.participants || [],
+      messageMetadata: {
+        actorFbId: String(message.senderID),
+        messageId: message.messageID || `mid.$delta${Date.now()}`,
+        threadKey,
+        timestamp: String(message.timestamp || Date.now()),
+        offlineThreadingId: String(Date.now())
+      }
+    };
+  }
+
+  /**
+   * Build a ClientPayload delta that edits a message
+   * @param {Object} edit - `{ threadID, senderID, messageID, body, isGroup }`
+   * @returns {Object}
+   */
+  static messageEdit(edit) {
+    const threadKey = edit.isGroup === false ? { otherUserFbId: String(edit.threadID) } : { threadFbId: String(edit.threadID) };
+    const deltas = [{
+      deltaMessageEdit: { threadKey, messageID: edit.messageID, senderID: String(edit.senderID), text: edit.body || '', timestamp: String(edit.timestamp || Date.now()) }
+    }];
+    return { class: 'ClientPayload', payload: Array.from(Buffer.from(JSON.stringify({ deltas }))) };
+  }
+}
+
+module.exports = MockBroker;
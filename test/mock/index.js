@@ -0,0 +1,14 @@
+/**
+ * Offline stand-ins for Facebook, used by the integration tests
+ *
+ *   const { MockFacebook } = require('./mock');
+ *   const mock = await new MockFacebook().start();
+ *   const api = await login({ appState: mock.appState() }, { endpoints: mock.endpoints });
+ *
+ * @module test/mock
+ */
+
+const MockFacebook = require('./server');
+const MockBroker = require('./broker');
+
+module.exports = { MockFacebook, MockBroker };
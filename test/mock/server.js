@@ -0,0 +1,209 @@
+/**
+ * Local stand-in for www.facebook.com and edge-chat.facebook.com
+ * @module test/mock/server
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const MockBroker = require('./broker');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+function loadGraphQLFixtures() {
+  const dir = path.join(FIXTURES, 'graphql');
+  const fixtures = new Map();
+  for (const file of fs.readdirSync(dir)) {
+    if (file.endsWith('.json')) fixtures.set(path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+  }
+  return fixtures;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString()));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Mock Facebook: serves the homepage, `/api/graphql/` and
+ * `/api/graphqlbatch/` from fixtures, accepts extra routes, and runs a
+ * {@link MockBroker} on `/chat`
+ */
+class MockFacebook {
+  /**
+   * Create a mock server
+   * @param {Object} [options] - Server options
+   * @param {string} [options.userID="100000000000001"] - Logged-in account
+   * @param {string} [options.name="Mock User"] - Account name shown on the homepage
+   * @param {string} [options.fbDtsg="mock-dtsg"] - fb_dtsg token on the homepage
+   */
+  constructor(options = {}) {
+    this.userID = options.userID || '100000000000001';
+    this.name = options.name || 'Mock User';
+    this.fbDtsg = options.fbDtsg || 'mock-dtsg';
+    this.broker = new MockBroker();
+    this.graphqlFixtures = loadGraphQLFixtures();
+    this.routes = new Map();
+    this.requests = [];
+    this.server = null;
+    this.url = null;
+    this.mqttURL = null;
+  }
+
+  /**
+   * Start listening on a random local port
+   * @returns {Promise<MockFacebook>}
+   */
+  start() {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(err => {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(String(err && err.stack ? err.stack : err));
+      });
+    });
+    this.sockets = new Set();
+    this.server.on('connection', socket => {
+      this.sockets.add(socket);
+      socket.on('close', () => this.sockets.delete(socket));
+    });
+    this.server.on('upgrade', (req, socket, head) => {
+      if (req.url.startsWith('/chat')) this.broker.handleUpgrade(req, socket, head);
+      else socket.destroy();
+    });
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => {
+        const { port } = this.server.address();
+        this.url = `http://127.0.0.1:${port}`;
+        this.mqttURL = `ws://127.0.0.1:${port}/chat`;
+        resolve(this);
+      });
+    });
+  }
+
+  /**
+   * Stop the server and disconnect MQTT clients
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    await this.broker.close();
+    if (!this.server) return;
+    // closeAllConnections needs Node 18.2; before that keep-alive sockets hold close() open
+    if (typeof this.server.closeAllConnections === 'function') this.server.closeAllConnections();
+    else this.sockets.forEach(socket => socket.destroy());
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+  }
+
+  /**
+   * Login `endpoints` option pointing the library at this server
+   * @type {Object<string, string>}
+   */
+  get endpoints() {
+    return { facebook: this.url, upload: this.url, edgeChat: this.mqttURL };
+  }
+
+  /**
+   * AppState for the mock account
+   * @returns {Object[]}
+   */
+  appState() {
+    return [
+      { key: 'c_user', value: this.userID, domain: '.facebook.com', path: '/' },
+      { key: 'xs', value: 'mock-xs', domain: '.facebook.com', path: '/' },
+      { key: 'datr', value: 'mock-datr', domain: '.facebook.com', path: '/' }
+    ];
+  }
+
+  /**
+   * Answer a GraphQL doc_id, on both `/api/graphql/` and `/api/graphqlbatch/`
+   * @param {string} docID - Query or mutation doc_id
+   * @param {Object|Function} response - Response body, or `(variables, form) => body`
+   */
+  graphql(docID, response) {
+    this.graphqlFixtures.set(String(docID), response);
+  }
+
+  /**
+   * Add or replace a route
+   * @param {string} method - HTTP method
+   * @param {string} pathname - Request path
+   * @param {Function} handler - `(request) => body | { status, headers, body }`
+   */
+  route(method, pathname, handler) {
+    this.routes.set(`${method.toUpperCase()} ${pathname}`, handler);
+  }
+
+  /** @private */
+  async handle(req, res) {
+    const url = new URL(req.url, this.url);
+    const raw = await readBody(req);
+    const type = String(req.headers['content-type'] || '');
+    const form = type.includes('application/x-www-form-urlencoded') ? Object.fromEntries(new URLSearchParams(raw)) : {};
+    const request = { method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, form, body: raw };
+    this.requests.push(request);
+
+    const handler = this.routes.get(`${req.method} ${url.pathname}`) || this.builtin(req.method, url.pathname);
+    if (!handler) return this.send(res, { status: 404, body: 'Not found' });
+    const result = await handler(request);
+    this.send(res, result && typeof result === 'object' && 'body' in result ? result : { body: result });
+  }
+
+  /** @private */
+  builtin(method, pathname) {
+    if (method === 'GET' && pathname === '/') return () => ({ headers: { 'Content-Type': 'text/html' }, body: this.homepage() });
+    if (method === 'POST' && pathname === '/api/graphqlbatch/') return request => this.graphqlBatch(request.form);
+    if (method === 'POST' && pathname === '/api/graphql/') return request => this.graphqlSingle(request.form);
+    return null;
+  }
+
+  /** @private */
+  send(res, { status = 200, headers = {}, body }) {
+    const text = typeof body === 'string' ? body : JSON.stringify(body == null ? {} : body);
+    res.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, headers));
+    res.end(text);
+  }
+
+  /** @private */
+  homepage() {
+    const endpoint = `${this.mqttURL}?region=prn`.replace(/\//g, '\\/');
+    return fs.readFileSync(path.join(FIXTURES, 'homepage.html'), 'utf8')
+      .replace(/{{USER_ID}}/g, this.userID)
+      .replace(/{{NAME}}/g, this.name)
+      .replace(/{{FB_DTSG}}/g, this.fbDtsg)
+      .replace(/{{MQTT_ENDPOINT}}/g, endpoint);
+  }
+
+  /** @private */
+  resolveQuery(docID, variables, form) {
+    const fixture = this.graphqlFixtures.get(String(docID));
+    if (fixture === undefined) return { errors: [{ message: `No mock fixture for doc_id ${docID}`, code: 1675030 }] };
+    return typeof fixture === 'function' ? fixture(variables, form) : fixture;
+  }
+
+  /** @private */
+  graphqlSingle(form) {
+    const variables = form.variables ? JSON.parse(form.variables) : {};
+    return this.resolveQuery(form.doc_id, variables, form);
+  }
+
+  /** @private */
+  graphqlBatch(form) {
+    const queries = form.queries ? JSON.parse(form.queries) : {};
+    let errors = 0;
+    const lines = Object.keys(queries).map(key => {
+      const query = queries[key];
+      const result = this.resolveQuery(query.doc_id, query.query_params || {}, form);
+      if (result && result.errors) errors++;
+      return JSON.stringify({ [key]: result });
+    });
+    const names = Object.keys(queries).length;
+    lines.push(JSON.stringify({ successful_results: names - errors, error_results: errors, skipped_results: 0 }));
+    return lines.join('\n');
+  }
+}
+
+module.exports = MockFacebook;
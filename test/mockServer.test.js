@@ -0,0 +1,75 @@
+/**
+ * Tests of the mock Facebook server and MQTT broker themselves
+ * @module test/mockServer
+ */
+
+const http = require('http');
+const mqtt = require('mqtt');
+const { expect } = require('chai');
+const { MockFacebook, MockBroker } = require('./mock');
+
+function request(url, method = 'GET', body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method, headers: body ? { 'Content-Type': 'application/x-www-form-urlencoded' } : {} }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks).toString() }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+describe('Mock Facebook', function() {
+  this.timeout(10000);
+
+  let mock;
+
+  beforeEach(async () => {
+    mock = await new MockFacebook().start();
+  });
+
+  afterEach(async () => {
+    await mock.stop();
+  });
+
+  it('should serve the homepage and GraphQL fixtures', async () => {
+    const home = await request(`${mock.url}/`);
+    expect(home.body).to.include(mock.fbDtsg).and.include(mock.userID);
+
+    const queries = JSON.stringify({ o0: { doc_id: '3336396659757871', query_params: {} }, o1: { doc_id: '1', query_params: {} } });
+    const batch = await request(`${mock.url}/api/graphqlbatch/`, 'POST', new URLSearchParams({ queries }).toString());
+    const lines = batch.body.split('\n').map(line => JSON.parse(line));
+    expect(lines[0]).to.have.property('o0');
+    expect(lines[1].o1.errors[0].message).to.include('doc_id 1');
+    expect(lines[2]).to.include({ successful_results: 1, error_results: 1 });
+
+    mock.route('POST', '/custom', req => ({ status: 201, body: { got: req.form.a } }));
+    expect(await request(`${mock.url}/custom`, 'POST', 'a=1')).to.deep.equal({ status: 201, body: '{"got":"1"}' });
+    expect(mock.requests.map(req => req.path)).to.deep.equal(['/', '/api/graphqlbatch/', '/custom']);
+  });
+
+  it('should answer MQTT sync and /ls_req publishes', async () => {
+    const client = mqtt.connect(mock.mqttURL, { username: JSON.stringify({ u: mock.userID }), reconnectPeriod: 0 });
+    const received = [];
+    client.on('message', (topic, payload) => received.push({ topic, payload: JSON.parse(payload.toString()) }));
+    await new Promise((resolve, reject) => client.once('connect', resolve).once('error', reject));
+    await new Promise(resolve => client.subscribe(['/t_ms', '/ls_resp'], resolve));
+
+    const response = new Promise(resolve => client.on('message', topic => topic === '/ls_resp' && resolve()));
+    client.publish('/ls_req', JSON.stringify({
+      request_id: 7,
+      payload: JSON.stringify({ tasks: [{ label: '46', payload: JSON.stringify({ thread_id: '200', otid: '1' }) }] })
+    }));
+    await response;
+    mock.broker.sendDeltas([MockBroker.newMessage({ threadID: '200', senderID: '300', body: 'hi' })]);
+    await new Promise(resolve => client.on('message', topic => topic === '/t_ms' && resolve()));
+    client.end(true);
+
+    const [lsResp, tms] = received;
+    expect(lsResp.payload.request_id).to.equal(7);
+    expect(JSON.parse(lsResp.payload.payload).step[1]).to.deep.equal([5, 'replaceOptimisticMessage', '1', 'mid.$mock1']);
+    expect(tms.payload.deltas[0]).to.include({ class: 'NewMessage', body: 'hi' });
+    expect(mock.broker.published.map(entry => entry.topic)).to.deep.equal(['/ls_req']);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Unit tests for the paging iterators
+ * @module test/paginate
+ */
+
+const { expect } = require('chai');
+const { paginate, pageOptions } = require('../src/utils/paginate');
+const { ValidationError } = require('../src/utils/errors');
+
+async function collect(iterator) {
+  const items = [];
+  for await (const item of iterator) items.push(item);
+  return items;
+}
+
+function message(n) {
+  return { type: 'message', messageID: `mid.$${n}`, timestamp: String(1000 + n), body: `message ${n}` };
+}
+
+// getThreadHistory over messages 1..total: the page ending at `before`, oldest first, `before` inclusive
+function threadHistory(total) {
+  const all = Array.from({ length: total }, (_, i) => message(i + 1));
+  const calls = [];
+  const getThreadHistory = async (threadID, amount, before) => {
+    calls.push(before);
+    return all.filter(m => before == null || Number(m.timestamp) <= before).slice(-amount);
+  };
+  return { getThreadHistory, calls };
+}
+
+function createApi(overrides) {
+  const api = Object.assign({}, overrides);
+  for (const name of ['iterateThreads', 'iterateMessages', 'iterateThreadPictures']) {
+    api[name] = require(`../src/api/threads/${name}`)(null, api, {});
+  }
+  return api;
+}
+
+describe('paginate', function() {
+  it('should retry failed pages with backoff', async () => {
+    let failures = 2;
+    const started = Date.now();
+    const items = await collect(paginate({
+      fetch: async cursor => {
+        if (failures-- > 0) throw new Error('rate limited');
+        return cursor === 0 ? [1, 2] : [3];
+      },
+      next: (items, cursor) => cursor + items.length,
+      cursor: 0,
+      pageSize: 2,
+      backoff: 10
+    }));
+    expect(items).to.deep.equal([1, 2, 3]);
+    expect(Date.now() - started).to.be.at.least(30);
+  });
+
+  it('should give up after the last retry', async () => {
+    let calls = 0;
+    let error;
+    try {
+      await collect(paginate({ fetch: async () => { calls++; throw new Error('down'); }, next: () => null, retries: 1, backoff: 0 }));
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.equal('down');
+    expect(calls).to.equal(2);
+  });
+
+  it('should stop on a page without new items', async () => {
+    let calls = 0;
+    const items = await collect(paginate({
+      fetch: async () => { calls++; return [{ id: 'a' }, { id: 'b' }]; },
+      next: () => 'same',
+      key: item => item.id,
+      pageSize: 2
+    }));
+    expect(items).to.have.length(2);
+    expect(calls).to.equal(2);
+  });
+
+  it('should validate the paging options', () => {
+    expect(pageOptions({}, 20)).to.deep.equal({ pageSize: 20, limit: Infinity, retries: 3, backoff: 1000 });
+    expect(() => pageOptions({ pageSize: 0 }, 20)).to.throw(ValidationError);
+    expect(() => pageOptions({ limit: 1.5 }, 20)).to.throw(ValidationError);
+  });
+
+  describe('iterateMessages', () => {
+    it('should walk the whole thread newest first without duplicates', async () => {
+      const { getThreadHistory, calls } = threadHistory(25);
+      const api = createApi({ getThreadHistory });
+      const messages = await collect(api.iterateMessages('200', { pageSize: 10 }));
+      expect(messages.map(m => m.messageID)).to.deep.equal(Array.from({ length: 25 }, (_, i) => `mid.$${25 - i}`));
+      expect(calls).to.deep.equal([null, 1016, 1007]);
+    });
+
+    it('should start before a timestamp and stop at the limit', async () => {
+      const { getThreadHistory, calls } = threadHistory(50);
+      const api = createApi({ getThreadHistory });
+      const messages = await collect(api.iterateMessages('200', { pageSize: 10, before: 1030, limit: 12 }));
+      expect(messages.map(m => Number(m.timestamp))).to.deep.equal(Array.from({ length: 12 }, (_, i) => 1030 - i));
+      expect(calls).to.deep.equal([1030, 1021]);
+    });
+
+    it('should skip entries getThreadHistory could not format', async () => {
+      const api = createApi({ getThreadHistory: async () => [{ error: 'Unknown type' }, message(1)] });
+      expect(await collect(api.iterateMessages('200'))).to.deep.equal([message(1)]);
+    });
+
+    it('should reject invalid arguments before fetching', () => {
+      const api = createApi({});
+      expect(() => api.iterateMessages()).to.throw(ValidationError);
+      expect(() => api.iterateMessages('200', { before: 'yesterday' })).to.throw(ValidationError);
+    });
+  });
+
+  describe('iterateThreads', () => {
+    it('should page with the timestamp of the last thread', async () => {
+      const threads = Array.from({ length: 5 }, (_, i) => ({ threadID: String(i), timestamp: String(5000 - i) }));
+      const calls = [];
+      const api = createApi({
+        // getThreadList drops the thread at `timestamp` itself
+        getThreadList: async (limit, timestamp, tags) => {
+          calls.push([limit, timestamp, tags]);
+          return threads.filter(t => timestamp == null || Number(t.timestamp) < timestamp).slice(0, limit);
+        }
+      });
+      const result = await collect(api.iterateThreads({ pageSize: 2, tags: 'ARCHIVED' }));
+      expect(result.map(t => t.threadID)).to.deep.equal(['0', '1', '2', '3', '4']);
+      expect(calls).to.deep.equal([[2, null, ['ARCHIVED']], [2, 4999, ['ARCHIVED']], [2, 4997, ['ARCHIVED']]]);
+    });
+  });
+
+  describe('iterateThreadPictures', () => {
+    it('should page by offset until a short page', async () => {
+      const calls = [];
+      const api = createApi({
+        getThreadPictures: async (threadID, offset, limit) => {
+          calls.push(offset);
+          return Array.from({ length: Math.max(0, Math.min(limit, 7 - offset)) }, (_, i) => ({ uri: `p${offset + i}` }));
+        }
+      });
+      const pictures = await collect(api.iterateThreadPictures('200', { pageSize: 3, offset: 1 }));
+      expect(pictures.map(p => p.uri)).to.deep.equal(['p1', 'p2', 'p3', 'p4', 'p5', 'p6']);
+      expect(calls).to.deep.equal([1, 4, 7]);
+    });
+  });
+});
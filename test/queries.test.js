@@ -0,0 +1,107 @@
+/**
+ * Unit tests for the GraphQL doc_id registry
+ * @module test/queries
+ */
+
+const { expect } = require('chai');
+const { DEFAULT_QUERIES, resolveQueries, queryErrors, docID, requestQuery } = require('../src/utils/queries');
+const QueryRegistry = require('../src/core/queryRegistry');
+const { setOptions } = require('../module/options');
+const { ValidationError } = require('../src/utils/errors');
+
+describe('queries', function() {
+  describe('resolveQueries', () => {
+    it('should accept a doc_id or a fallback list', () => {
+      const queries = resolveQueries({ threadList: '111', message: ['222', 333, '222'] });
+      expect(queries.threadList).to.deep.equal(['111']);
+      expect(queries.message).to.deep.equal(['222', '333']);
+      expect(queries.threadInfo).to.equal(DEFAULT_QUERIES.threadInfo);
+      expect(resolveQueries({ threadList: null }, queries).threadList).to.equal(DEFAULT_QUERIES.threadList);
+    });
+
+    it('should reject unknown operations and malformed IDs', () => {
+      expect(() => resolveQueries({ threads: '111' })).to.throw(ValidationError);
+      expect(() => resolveQueries({ threadList: 'abc' })).to.throw(ValidationError);
+      expect(() => resolveQueries({ threadList: [] })).to.throw(ValidationError);
+    });
+
+    it('should be settable through setOptions', () => {
+      const globalOptions = {};
+      setOptions(globalOptions, { queries: { changeBio: '444' } });
+      expect(docID(globalOptions, 'changeBio')).to.equal('444');
+      expect(docID(globalOptions, 'threadList')).to.equal(DEFAULT_QUERIES.threadList[0]);
+    });
+  });
+
+  it('should find GraphQL errors in single and batch responses', () => {
+    expect(queryErrors({ data: {} })).to.equal(null);
+    expect(queryErrors({ errors: [{ message: 'gone' }] })).to.deep.equal([{ message: 'gone' }]);
+    expect(queryErrors([{ o0: { errors: [{ message: 'gone' }] } }, { successful_results: 0 }])).to.have.length(1);
+    expect(queryErrors([{ o0: { data: {} } }, { successful_results: 1 }])).to.equal(null);
+  });
+
+  it('should send the first doc_id without a registry', async () => {
+    const sent = [];
+    await requestQuery({ globalOptions: { queries: resolveQueries({ message: ['1', '2'] }) } }, 'message', id => sent.push(id));
+    expect(sent).to.deep.equal(['1']);
+  });
+
+  describe('QueryRegistry', () => {
+    let registry;
+
+    beforeEach(() => {
+      registry = new QueryRegistry(resolveQueries({ threadList: ['1', '2', '3'] }));
+    });
+
+    it('should fall back and keep the working doc_id', async () => {
+      const sent = [];
+      const resData = await registry.request('threadList', async id => {
+        sent.push(id);
+        return id === '2' ? { data: { ok: true } } : { errors: [{ message: `bad ${id}` }] };
+      });
+      expect(resData).to.deep.equal({ data: { ok: true } });
+      expect(sent).to.deep.equal(['1', '2']);
+      expect(registry.ids('threadList')).to.deep.equal(['2', '1', '3']);
+
+      const [status] = registry.status().filter(entry => entry.operation === 'threadList');
+      expect(status).to.include({ kind: 'query', docID: '2', ok: true, error: null, lastDocID: '2' });
+      expect(status.checkedAt).to.be.a('number');
+    });
+
+    it('should return the last response when every doc_id fails', async () => {
+      const resData = await registry.request('threadList', async id => ({ errors: [{ message: `bad ${id}` }] }));
+      expect(resData.errors[0].message).to.equal('bad 3');
+      const [status] = registry.status().filter(entry => entry.operation === 'threadList');
+      expect(status).to.include({ docID: '1', ok: false, error: 'bad 3', lastDocID: '3' });
+    });
+
+    it('should record and rethrow request failures without falling back', async () => {
+      const sent = [];
+      let error;
+      try {
+        await registry.request('threadList', async id => {
+          sent.push(id);
+          throw new Error('socket hang up');
+        });
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.equal('socket hang up');
+      expect(sent).to.deep.equal(['1']);
+      expect(registry.status().find(entry => entry.operation === 'threadList')).to.include({ ok: false, error: 'socket hang up' });
+    });
+
+    it('should report operations that were never sent', () => {
+      const status = registry.status().find(entry => entry.operation === 'changeBio');
+      expect(status).to.include({ kind: 'mutation', ok: null, docID: DEFAULT_QUERIES.changeBio[0] });
+      expect(() => registry.docID('threads')).to.throw(ValidationError);
+    });
+
+    it('should drop a working doc_id that is no longer configured', async () => {
+      await registry.request('threadList', async id => (id === '3' ? {} : { errors: ['bad'] }));
+      expect(registry.docID('threadList')).to.equal('3');
+      registry.configure(resolveQueries({ threadList: ['4', '5'] }));
+      expect(registry.docID('threadList')).to.equal('4');
+    });
+  });
+});
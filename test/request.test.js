@@ -0,0 +1,53 @@
+/**
+ * Unit tests for FCA/AsuraClient HTTP request utilities
+ * @module test/request
+ */
+
+const { expect } = require('chai');
+const { CookieJar } = require('tough-cookie');
+const request = require('../src/utils/request');
+
+describe('Request Utilities', function() {
+  describe('createHttpClient', () => {
+    it('should give every client its own cookie jar and axios instance', () => {
+      const a = request.createHttpClient();
+      const b = request.createHttpClient();
+      expect(a.jar).to.be.instanceOf(CookieJar);
+      expect(a.jar).to.not.equal(b.jar);
+      expect(a.client).to.not.equal(b.client);
+      expect(a.jar).to.not.equal(request.jar);
+    });
+
+    it('should keep cookies isolated between clients', () => {
+      const a = request.createHttpClient();
+      const b = request.createHttpClient();
+      a.jar.setCookieSync('c_user=1000; Domain=.facebook.com; Path=/', 'https://www.facebook.com');
+      b.jar.setCookieSync('c_user=2000; Domain=.facebook.com; Path=/', 'https://www.facebook.com');
+      expect(a.jar.getCookieStringSync('https://www.facebook.com')).to.equal('c_user=1000');
+      expect(b.jar.getCookieStringSync('https://www.facebook.com')).to.equal('c_user=2000');
+    });
+
+    it('should reuse a cookie jar passed in the options', () => {
+      const jar = new CookieJar();
+      const client = request.createHttpClient({ jar });
+      expect(client.jar).to.equal(jar);
+    });
+
+    it('should apply proxies per client', () => {
+      const a = request.createHttpClient({ proxy: 'http://127.0.0.1:8080' });
+      const b = request.createHttpClient();
+      expect(a.client.defaults.httpsAgent).to.exist;
+      expect(b.client.defaults.httpsAgent).to.be.undefined;
+      expect(request.client.defaults.httpsAgent).to.be.undefined;
+
+      a.setProxy();
+      expect(a.client.defaults.httpsAgent).to.be.undefined;
+    });
+
+    it('should bind makeDefaults to the client context', () => {
+      const client = request.createHttpClient();
+      const defaults = client.makeDefaults('', '1000', { fb_dtsg: 'token', globalOptions: {} });
+      expect(defaults).to.have.all.keys('get', 'post', 'postFormData');
+    });
+  });
+});
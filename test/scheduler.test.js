@@ -0,0 +1,209 @@
+/**
+ * Unit tests for the message scheduler and cron parser
+ * @module test/scheduler
+ */
+
+const { expect } = require('chai');
+const Scheduler = require('../src/core/scheduler');
+const { ScheduledMessageStore } = require('../src/database/scheduler');
+const { parseCron, isCronExpression, nextCronDate } = require('../src/utils/cron');
+const { ValidationError } = require('../src/utils/errors');
+
+function memoryStore(rows) {
+  const jobs = new Map((rows || []).map(row => [row.id, Object.assign({}, row)]));
+  let nextID = jobs.size;
+  return {
+    jobs,
+    load: async userID => Array.from(jobs.values()).filter(job => job.userID === userID && ['pending', 'sending'].includes(job.status)),
+    create: async job => {
+      const row = Object.assign({}, job, { id: ++nextID });
+      jobs.set(row.id, row);
+      return Object.assign({}, row);
+    },
+    update: async (id, fields) => {
+      Object.assign(jobs.get(id), fields);
+    }
+  };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('cron', function() {
+  it('should parse lists, ranges, steps and names', () => {
+    const schedule = parseCron('*/15 9-17 * jan,jul mon-fri');
+    expect(Array.from(schedule.minutes)).to.deep.equal([0, 15, 30, 45]);
+    expect(schedule.hours.size).to.equal(9);
+    expect(Array.from(schedule.months)).to.deep.equal([1, 7]);
+    expect(Array.from(schedule.weekdays)).to.deep.equal([1, 2, 3, 4, 5]);
+    expect(schedule.anyDay).to.be.true;
+    expect(parseCron('0 0 * * 7').weekdays.has(0)).to.be.true;
+  });
+
+  it('should reject malformed expressions', () => {
+    expect(() => parseCron('* * * *')).to.throw(ValidationError);
+    expect(() => parseCron('60 * * * *')).to.throw(ValidationError);
+    expect(() => parseCron('*/0 * * * *')).to.throw(ValidationError);
+    expect(isCronExpression('2030-01-01T00:00:00Z')).to.be.false;
+    expect(isCronExpression('@daily')).to.be.true;
+  });
+
+  it('should find the next matching minute', () => {
+    const from = new Date(2030, 0, 1, 10, 7, 30);
+    expect(nextCronDate('*/5 * * * *', from).getTime()).to.equal(new Date(2030, 0, 1, 10, 10).getTime());
+    expect(nextCronDate('30 8 * * *', from).getTime()).to.equal(new Date(2030, 0, 2, 8, 30).getTime());
+    expect(nextCronDate('@monthly', from).getTime()).to.equal(new Date(2030, 1, 1, 0, 0).getTime());
+    expect(nextCronDate('0 0 29 2 *', from).getTime()).to.equal(new Date(2032, 1, 29, 0, 0).getTime());
+  });
+
+  it('should match either a restricted day or weekday', () => {
+    // 2030-01-01 is a Tuesday
+    const from = new Date(2030, 0, 1, 12, 0);
+    expect(nextCronDate('0 0 15 * fri', from).getTime()).to.equal(new Date(2030, 0, 4).getTime());
+    expect(nextCronDate('0 0 * * fri', from).getTime()).to.equal(new Date(2030, 0, 4).getTime());
+    expect(nextCronDate('0 0 15 * *', from).getTime()).to.equal(new Date(2030, 0, 15).getTime());
+  });
+});
+
+describe('Scheduler', function() {
+  let scheduler;
+
+  afterEach(() => {
+    if (scheduler) scheduler.stop();
+    scheduler = null;
+  });
+
+  it('should send a delayed message once', async () => {
+    const sent = [];
+    const runs = [];
+    scheduler = new Scheduler({
+      send: async (message, threadID) => {
+        sent.push([message, threadID]);
+        return { messageID: 'mid.1' };
+      },
+      onRun: payload => runs.push(payload)
+    });
+    const job = await scheduler.schedule('hello', '100', { delay: 10 });
+    expect(job.status).to.equal('pending');
+    expect(scheduler.list()).to.have.length(1);
+
+    await wait(30);
+    expect(sent).to.deep.equal([['hello', '100']]);
+    expect(scheduler.list()).to.have.length(0);
+    expect(runs[0].job).to.include({ id: job.id, status: 'sent', runs: 1, lastMessageID: 'mid.1' });
+  });
+
+  it('should validate its arguments', async () => {
+    scheduler = new Scheduler({ send: async () => ({}) });
+    const { Readable } = require('stream');
+    let error;
+    try {
+      await scheduler.schedule({ body: 'x', attachment: Readable.from(['a']) }, '100', { delay: 10 });
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.be.instanceOf(ValidationError);
+    error = null;
+    try {
+      await scheduler.schedule('x', '100', 'not a date');
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.be.instanceOf(ValidationError);
+    const job = await scheduler.schedule({ body: 'x', attachment: [['photo_id', '123']] }, '100', new Date(Date.now() + 60000));
+    expect(job.message.attachment).to.deep.equal([['photo_id', '123']]);
+  });
+
+  it('should record the run as sending before the message goes out', async () => {
+    const store = memoryStore();
+    let statusDuringSend;
+    scheduler = new Scheduler({
+      store,
+      userID: '1',
+      send: async () => {
+        statusDuringSend = store.jobs.get(1).status;
+        throw new Error('offline');
+      }
+    });
+    await scheduler.schedule('hello', '100', { delay: 0 });
+    await wait(20);
+    expect(statusDuringSend).to.equal('sending');
+    expect(store.jobs.get(1)).to.include({ status: 'failed', lastError: 'offline', runs: 1 });
+  });
+
+  it('should reschedule a recurring job after each run', async () => {
+    const store = memoryStore();
+    scheduler = new Scheduler({ store, userID: '1', send: async () => ({ messageID: 'mid.2' }) });
+    const job = await scheduler.schedule('tick', '100', '* * * * *');
+    expect(job.cron).to.equal('* * * * *');
+    expect(job.runAt % 60000).to.equal(0);
+
+    await scheduler.run(scheduler.jobs.get(job.id));
+    const after = scheduler.get(job.id);
+    expect(after).to.include({ status: 'pending', runs: 1, lastMessageID: 'mid.2' });
+    expect(after.runAt).to.be.above(job.runAt);
+  });
+
+  it('should cancel pending jobs', async () => {
+    const store = memoryStore();
+    const sent = [];
+    scheduler = new Scheduler({ store, userID: '1', send: async message => sent.push(message) });
+    const job = await scheduler.schedule('hello', '100', { delay: 10 });
+    expect(await scheduler.cancel(job.id)).to.be.true;
+    expect(await scheduler.cancel(job.id)).to.be.false;
+    await wait(30);
+    expect(sent).to.deep.equal([]);
+    expect(store.jobs.get(job.id).status).to.equal('cancelled');
+  });
+
+  it('should restore stored jobs without resending interrupted ones', async () => {
+    const past = Date.now() - 60000;
+    const store = memoryStore([
+      { id: 1, userID: '1', threadID: '100', message: 'late', status: 'pending', runAt: past, runs: 0 },
+      { id: 2, userID: '1', threadID: '100', message: 'interrupted', status: 'sending', runAt: past, runs: 1 },
+      { id: 3, userID: '1', threadID: '100', message: 'daily', cron: '0 9 * * *', status: 'sending', runAt: past, runs: 4 },
+      { id: 4, userID: '2', threadID: '100', message: 'other account', status: 'pending', runAt: past, runs: 0 }
+    ]);
+    const sent = [];
+    scheduler = new Scheduler({ store, userID: '1', send: async message => sent.push(message) });
+
+    expect(await scheduler.start()).to.equal(2);
+    expect(await scheduler.start()).to.equal(2);
+    await tick();
+    await wait(10);
+    expect(sent).to.deep.equal(['late']);
+    expect(scheduler.list().map(job => job.id)).to.deep.equal([3]);
+    expect(store.jobs.get(2)).to.include({ status: 'failed', lastError: 'Interrupted before the send was confirmed' });
+    expect(store.jobs.get(3).status).to.equal('pending');
+    expect(toTime(store.jobs.get(3).runAt)).to.be.above(Date.now());
+    expect(store.jobs.get(4).status).to.equal('pending');
+  });
+
+  describe('ScheduledMessageStore', function() {
+    it('should keep jobs in the scheduled_messages table', async () => {
+      const { Sequelize } = require('sequelize');
+      const sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+      const ScheduledMessage = require('../src/database/models/scheduledMessage')(sequelize);
+      const store = new ScheduledMessageStore({ models: { ScheduledMessage } });
+
+      const first = new Scheduler({ store, userID: '1', send: async () => ({ messageID: 'mid.3' }) });
+      const job = await first.schedule({ body: 'later' }, '100', new Date(Date.now() + 3600000));
+      await first.schedule('soon', '100', { delay: 0 });
+      await wait(20);
+      first.stop();
+
+      scheduler = new Scheduler({ store, userID: '1', send: async () => ({}) });
+      expect(await scheduler.start()).to.equal(1);
+      expect(scheduler.list()[0]).to.include({ id: job.id, status: 'pending' });
+      expect(scheduler.list()[0].message).to.deep.equal({ body: 'later' });
+      const rows = await ScheduledMessage.findAll({ order: [['id', 'ASC']] });
+      expect(rows.map(row => row.status)).to.deep.equal(['pending', 'sent']);
+      expect(rows[1].lastMessageID).to.equal('mid.3');
+      await sequelize.close();
+    });
+  });
+});
+
+function toTime(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
@@ -18,6 +18,13 @@ describe('Security Utilities', function() {
       const key = SecurityUtils.generateKey(16);
       expect(key).to.have.lengthOf(32); // 16 bytes = 32 hex chars
     });
+    
+    it('should only accept 32 byte hex keys', () => {
+      expect(SecurityUtils.isValidKey(SecurityUtils.generateKey())).to.be.true;
+      expect(SecurityUtils.isValidKey(SecurityUtils.generateKey(16))).to.be.false;
+      expect(SecurityUtils.isValidKey('')).to.be.false;
+      expect(SecurityUtils.isValidKey('z'.repeat(64))).to.be.false;
+    });
   });
   
   describe('Encryption/Decryption', () => {
@@ -90,5 +97,16 @@ describe('Security Utilities', function() {
       expect(sanitized.token).to.equal('[REDACTED]');
       expect(sanitized.normal).to.equal('normal data');
     });
+    
+    it('should redact cookies and fb_dtsg in nested data and strings', () => {
+      const sanitized = SecurityUtils.sanitizeForLogging({
+        headers: { Cookie: 'c_user=1; xs=2', Accept: '*/*' },
+        form: [{ fb_dtsg: 'NAcx', body: 'hi' }],
+        html: '["DTSGInitialData",[],{"token":"NAcx"}] fb_dtsg=NAcx&av=1 c_user=100; xs=abc'
+      });
+      expect(sanitized.headers).to.deep.equal({ Cookie: '[REDACTED]', Accept: '*/*' });
+      expect(sanitized.form).to.deep.equal([{ fb_dtsg: '[REDACTED]', body: 'hi' }]);
+      expect(sanitized.html).to.equal('["DTSGInitialData",[],{"token":"[REDACTED]"}] fb_dtsg=[REDACTED]&av=1 c_user=[REDACTED]; xs=[REDACTED]');
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,118 @@
+/**
+ * Unit tests for the outbound send queue
+ * @module test/sendQueue
+ */
+
+const { expect } = require('chai');
+const SendQueue = require('../src/core/sendQueue');
+const { sendReqMqtt } = require('../src/core/sendReqMqtt');
+
+function createQueue(options) {
+  const sent = [];
+  const queue = new SendQueue(options, request => {
+    sent.push(request.name);
+    return Promise.resolve({ name: request.name });
+  });
+  return { queue, sent };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('SendQueue', function() {
+  it('should hold sends while paused and flush them in order on resume', async () => {
+    const { queue, sent } = createQueue();
+    const first = queue.push({ name: 'a', threadID: '1' });
+    queue.push({ name: 'b', threadID: '2' });
+    await tick();
+    expect(sent).to.deep.equal([]);
+    expect(queue.size).to.equal(2);
+    queue.resume();
+    expect(await first).to.deep.equal({ name: 'a' });
+    expect(sent).to.deep.equal(['a', 'b']);
+  });
+
+  it('should run higher priority sends first', async () => {
+    const { queue, sent } = createQueue();
+    queue.push({ name: 'low' });
+    queue.push({ name: 'high', priority: 5 });
+    queue.resume();
+    await tick();
+    expect(sent).to.deep.equal(['high', 'low']);
+  });
+
+  it('should enforce the per-thread limit without blocking other threads', async () => {
+    const { queue, sent } = createQueue({ perThread: { max: 1, windowMs: 30 } });
+    queue.push({ name: 'a1', threadID: 'A' });
+    const a2 = queue.push({ name: 'a2', threadID: 'A' });
+    queue.push({ name: 'b1', threadID: 'B' });
+    queue.resume();
+    await tick();
+    expect(sent).to.deep.equal(['a1', 'b1']);
+    await a2;
+    expect(sent).to.deep.equal(['a1', 'b1', 'a2']);
+  });
+
+  it('should enforce the global limit', async () => {
+    const { queue, sent } = createQueue({ global: { max: 2, windowMs: 30 } });
+    ['a', 'b', 'c'].forEach(name => queue.push({ name, threadID: name }));
+    queue.resume();
+    await tick();
+    expect(sent).to.deep.equal(['a', 'b']);
+    await sleep(50);
+    expect(sent).to.deep.equal(['a', 'b', 'c']);
+  });
+
+  it('should list, reprioritize and cancel pending sends', async () => {
+    const { queue, sent } = createQueue();
+    queue.push({ type: 'send_message_mqtt', name: 'a', threadID: '1' });
+    const b = queue.push({ type: 'send_message_mqtt', name: 'b', threadID: '2' });
+    queue.push({ type: 'send_message_mqtt', name: 'c', threadID: '3' });
+    const [idA, idB, idC] = queue.list().map(item => item.id);
+    expect(queue.list()[0]).to.include({ type: 'send_message_mqtt', threadID: '1', priority: 0 });
+
+    expect(queue.setPriority(idC, 1)).to.equal(true);
+    expect(queue.list().map(item => item.id)).to.deep.equal([idC, idA, idB]);
+
+    expect(queue.cancel(idB)).to.equal(true);
+    expect(queue.cancel(idB)).to.equal(false);
+    const err = await b.catch(e => e);
+    expect(err.code).to.equal('SEND_CANCELLED');
+
+    queue.resume();
+    await tick();
+    expect(sent).to.deep.equal(['c', 'a']);
+  });
+
+  it('should reject sends once the queue is full', async () => {
+    const { queue } = createQueue({ maxSize: 1 });
+    queue.push({ name: 'a' });
+    const err = await queue.push({ name: 'b' }).catch(e => e);
+    expect(err.code).to.equal('QUEUE_FULL');
+    queue.clear();
+  });
+
+  it('should be used by sendReqMqtt when enabled', async () => {
+    const { queue } = createQueue();
+    const ctx = { sendQueue: queue };
+    const pending = sendReqMqtt(ctx, { name: 'queued' });
+    expect(queue.size).to.equal(1);
+    queue.resume();
+    expect(await pending).to.deep.equal({ name: 'queued' });
+
+    queue.configure({ enabled: false });
+    const err = await sendReqMqtt(ctx, { name: 'direct' }).catch(e => e);
+    expect(err.code).to.equal('NETWORK_ERROR');
+  });
+
+  it('should reject sends that wait longer than maxWait', async () => {
+    const { queue, sent } = createQueue({ maxWait: 20 });
+    const err = await sendReqMqtt({ sendQueue: queue }, { name: 'stuck' }).catch(e => e);
+    expect(err.code).to.equal('NETWORK_ERROR');
+    expect(err.details).to.include({ maxWait: 20 });
+    expect(queue.size).to.equal(0);
+    queue.resume();
+    await tick();
+    expect(sent).to.deep.equal([]);
+  });
+});
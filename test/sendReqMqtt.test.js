@@ -0,0 +1,106 @@
+/**
+ * Unit tests for the shared MQTT request/response layer
+ * @module test/sendReqMqtt
+ */
+
+const { expect } = require('chai');
+const EventEmitter = require('events');
+const { sendReqMqtt, publishReqMqtt, handleLsResponse, rejectPendingRequests } = require('../src/core/sendReqMqtt');
+const { NetworkError } = require('../src/utils/errors');
+
+function createFakeClient() {
+  const client = new EventEmitter();
+  client.published = [];
+  client.publish = (topic, message, opts, cb) => {
+    client.published.push({ topic, message: JSON.parse(message) });
+    if (cb) cb();
+  };
+  return client;
+}
+
+function createCtx() {
+  return { mqttClient: createFakeClient(), wsReqNumber: 0, wsTaskNumber: 0, tasks: new Map() };
+}
+
+function respond(ctx, requestID, step) {
+  return handleLsResponse(ctx, { request_id: requestID, payload: JSON.stringify({ step }) });
+}
+
+describe('sendReqMqtt', function() {
+  it('should allocate monotonic request and task IDs', () => {
+    const ctx = createCtx();
+    const request = { type: 'poll_creation', versionID: '1', tasks: [{ label: '1', payload: {}, queueName: 'a' }, { label: '2', payload: {}, queueName: 'b' }] };
+    sendReqMqtt(ctx, request).catch(() => { });
+    sendReqMqtt(ctx, request).catch(() => { });
+    const [first, second] = ctx.mqttClient.published.map(p => p.message);
+    expect(first.request_id).to.equal(1);
+    expect(second.request_id).to.equal(2);
+    const taskIDs = [first, second].flatMap(m => JSON.parse(m.payload).tasks.map(t => t.task_id));
+    expect(taskIDs).to.deep.equal([1, 2, 3, 4]);
+    rejectPendingRequests(ctx);
+  });
+
+  it('should resolve with the decoded response and clear the pending entry', async () => {
+    const ctx = createCtx();
+    const pending = sendReqMqtt(ctx, { type: 'send_message_mqtt', versionID: '1', tasks: [{ label: '46', payload: {}, queueName: '1' }] });
+    const step = [1, [5, 'replaceOptimisticMessage', 'otid', 'mid.$abc'], [5, 'writeCTAIdToThreadsTable', [19, '1234']]];
+    expect(respond(ctx, 1, step)).to.equal(true);
+    const res = await pending;
+    expect(res).to.include({ type: 'send_message_mqtt', reqID: 1, messageID: 'mid.$abc', threadID: '1234' });
+    expect(ctx.tasks.size).to.equal(0);
+  });
+
+  it('should fall back to the request thread when the ACK does not name it', async () => {
+    const ctx = createCtx();
+    const pending = sendReqMqtt(ctx, { type: 'forward_message', threadID: 5678, versionID: '1', tasks: [{ label: '46', payload: {}, queueName: '5678' }] });
+    respond(ctx, 1, [1, [5, 'replaceOptimisticMessage', 'otid', 'mid.$fwd']]);
+    expect(await pending).to.include({ messageID: 'mid.$fwd', threadID: '5678' });
+  });
+
+  it('should ignore responses for unknown requests', () => {
+    const ctx = createCtx();
+    expect(respond(ctx, 42, [])).to.equal(false);
+  });
+
+  it('should reject with NetworkError when the response cannot be decoded', async () => {
+    const ctx = createCtx();
+    const pending = sendReqMqtt(ctx, { type: 'edit_message', versionID: '1', tasks: [{ label: '742', payload: {}, queueName: 'edit_message' }] });
+    respond(ctx, 1, []);
+    const err = await pending.catch(e => e);
+    expect(err).to.be.instanceOf(NetworkError);
+  });
+
+  it('should reject with NetworkError on timeout', async () => {
+    const ctx = createCtx();
+    const err = await sendReqMqtt(ctx, { type: 'poll_creation', versionID: '1', timeout: 10, tasks: [] }).catch(e => e);
+    expect(err).to.be.instanceOf(NetworkError);
+    expect(ctx.tasks.size).to.equal(0);
+  });
+
+  it('should reject immediately when not connected', async () => {
+    const err = await sendReqMqtt({ tasks: new Map() }, { type: 'poll_creation', tasks: [] }).catch(e => e);
+    expect(err).to.be.instanceOf(NetworkError);
+  });
+
+  it('should only reject requests published through the closed client', async () => {
+    const ctx = createCtx();
+    const oldClient = ctx.mqttClient;
+    const stale = sendReqMqtt(ctx, { type: 'poll_creation', versionID: '1', tasks: [] });
+    ctx.mqttClient = createFakeClient();
+    const fresh = sendReqMqtt(ctx, { type: 'poll_creation', versionID: '1', tasks: [] });
+    rejectPendingRequests(ctx, oldClient);
+    expect(await stale.catch(e => e)).to.be.instanceOf(NetworkError);
+    respond(ctx, 2, []);
+    expect(await fresh).to.include({ reqID: 2 });
+  });
+
+  it('should publish type 4 requests without registering a task', async () => {
+    const ctx = createCtx();
+    const requestID = await publishReqMqtt(ctx, { appID: '772021112871879', label: '3', payload: { is_typing: 1 }, versionID: '1' });
+    const { message } = ctx.mqttClient.published[0];
+    expect(requestID).to.equal(1);
+    expect(message.type).to.equal(4);
+    expect(JSON.parse(message.payload)).to.include({ label: '3', version: '1' });
+    expect(ctx.tasks.size).to.equal(0);
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Unit tests for the session store adapters
+ * @module test/sessionStore
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createSessionStore,
+  isSessionStore,
+  sessionKey,
+  MemorySessionStore,
+  FileSessionStore,
+  SequelizeSessionStore,
+  EncryptedSessionStore
+} = require('../src/database/sessionStore');
+const { ConfigurationError } = require('../src/utils/errors');
+const SecurityUtils = require('../src/utils/security');
+
+function behavesLikeASessionStore(create) {
+  it('should get, set and delete values', async () => {
+    const store = await create();
+    expect(await store.get('1:appstate')).to.equal(null);
+    await store.set('1:appstate', '[]');
+    expect(await store.get('1:appstate')).to.equal('[]');
+    await store.set('1:appstate', '[1]');
+    expect(await store.get('1:appstate')).to.equal('[1]');
+    await store.delete('1:appstate');
+    expect(await store.get('1:appstate')).to.equal(null);
+  });
+
+  it('should list keys by prefix, most recently updated first', async () => {
+    const store = await create();
+    await store.set('1:appstate', 'a');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await store.set('2:cookie', 'b');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await store.set('1:cookie', 'c');
+    expect(await store.list()).to.deep.equal(['1:cookie', '2:cookie', '1:appstate']);
+    expect(await store.list('1:')).to.deep.equal(['1:cookie', '1:appstate']);
+  });
+}
+
+describe('Session Store', function() {
+  describe('createSessionStore', () => {
+    it('should build the built-in adapters by name', () => {
+      expect(createSessionStore('memory')).to.be.instanceOf(MemorySessionStore);
+      expect(createSessionStore({ type: 'file', path: '/tmp/x.json' })).to.be.instanceOf(FileSessionStore);
+      expect(createSessionStore()).to.be.instanceOf(SequelizeSessionStore);
+    });
+
+    it('should accept a custom adapter as is', () => {
+      const custom = { get() {}, set() {}, delete() {}, list() {} };
+      expect(isSessionStore(custom)).to.equal(true);
+      expect(createSessionStore(custom)).to.equal(custom);
+    });
+
+    it('should reject unknown stores', () => {
+      expect(() => createSessionStore('redis')).to.throw(ConfigurationError);
+      expect(() => createSessionStore({ get() {} })).to.throw(ConfigurationError);
+    });
+
+    it('should wrap the store when an encryption key is given', () => {
+      const store = createSessionStore('memory', { encryptionKey: SecurityUtils.generateKey() });
+      expect(store).to.be.instanceOf(EncryptedSessionStore);
+      expect(store.store).to.be.instanceOf(MemorySessionStore);
+    });
+
+    it('should build keys from user ID and type', () => {
+      expect(sessionKey('1000', 'cookie')).to.equal('1000:cookie');
+    });
+  });
+
+  describe('MemorySessionStore', () => {
+    behavesLikeASessionStore(() => new MemorySessionStore());
+  });
+
+  describe('FileSessionStore', () => {
+    let dir;
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fca-session-'));
+    });
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    behavesLikeASessionStore(() => new FileSessionStore({ path: path.join(dir, 'nested', 'sessions.json') }));
+
+    it('should persist values across instances', async () => {
+      const file = path.join(dir, 'sessions.json');
+      await new FileSessionStore({ path: file }).set('1:cookie', 'c_user=1');
+      expect(await new FileSessionStore({ path: file }).get('1:cookie')).to.equal('c_user=1');
+    });
+  });
+
+  describe('EncryptedSessionStore', () => {
+    const key = SecurityUtils.generateKey();
+
+    behavesLikeASessionStore(() => new EncryptedSessionStore(new MemorySessionStore(), key));
+
+    it('should only store ciphertext in the wrapped store', async () => {
+      const inner = new MemorySessionStore();
+      const store = new EncryptedSessionStore(inner, key);
+      await store.set('1:cookie', 'c_user=1');
+      const raw = await inner.get('1:cookie');
+      expect(raw.startsWith('enc:')).to.be.true;
+      expect(raw).to.not.include('c_user');
+      expect(await store.get('1:cookie')).to.equal('c_user=1');
+    });
+
+    it('should read plaintext values written before encryption was enabled', async () => {
+      const inner = new MemorySessionStore();
+      await inner.set('1:cookie', 'c_user=1');
+      expect(await new EncryptedSessionStore(inner, key).get('1:cookie')).to.equal('c_user=1');
+    });
+
+    it('should re-encrypt every value when rotating the key', async () => {
+      const inner = new MemorySessionStore();
+      const store = new EncryptedSessionStore(inner, key);
+      await store.set('1:cookie', 'c_user=1');
+      await inner.set('2:cookie', 'c_user=2');
+      const newKey = SecurityUtils.generateKey();
+      expect(await store.rotateKey(newKey)).to.equal(2);
+      const reopened = new EncryptedSessionStore(inner, newKey);
+      expect(await reopened.get('1:cookie')).to.equal('c_user=1');
+      expect(await reopened.get('2:cookie')).to.equal('c_user=2');
+      expect((await inner.get('2:cookie')).startsWith('enc:')).to.be.true;
+    });
+
+    it('should leave the store untouched when the current key is wrong', async () => {
+      const inner = new MemorySessionStore();
+      await new EncryptedSessionStore(inner, key).set('1:cookie', 'c_user=1');
+      const before = await inner.get('1:cookie');
+      const wrong = new EncryptedSessionStore(inner, SecurityUtils.generateKey());
+      const err = await wrong.rotateKey(SecurityUtils.generateKey()).catch(e => e);
+      expect(err).to.be.instanceOf(Error);
+      expect(await inner.get('1:cookie')).to.equal(before);
+    });
+  });
+
+  describe('SequelizeSessionStore', () => {
+    const { Sequelize } = require('sequelize');
+    let sequelize;
+    afterEach(() => sequelize.close());
+
+    behavesLikeASessionStore(() => {
+      sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+      return new SequelizeSessionStore({ models: { sequelize, Sequelize } });
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Unit tests for the persisted MQTT sync cursor
+ * @module test/syncCursor
+ */
+
+const { expect } = require('chai');
+const EventEmitter = require('events');
+const { MemorySessionStore } = require('../src/database/sessionStore');
+const {
+  loadSyncCursor,
+  saveSyncCursor,
+  scheduleSyncCursorSave,
+  clearSyncCursor
+} = require('../src/api/socket/core/syncCursor');
+const createListenMqtt = require('../src/api/socket/core/connectMqtt');
+
+function createCtx(globalOptions) {
+  return { userID: '100', sessionStore: new MemorySessionStore(), globalOptions: Object.assign({}, globalOptions) };
+}
+
+function createConnect(ctx) {
+  const clients = [];
+  class FakeClient extends EventEmitter {
+    constructor() {
+      super();
+      this.published = [];
+      clients.push(this);
+    }
+    subscribe() { }
+    publish(topic, payload) { this.published.push({ topic, payload }); }
+    end() { }
+  }
+  const deltas = [];
+  const listenMqtt = createListenMqtt({
+    WebSocket: function () { },
+    mqtt: { Client: FakeClient },
+    HttpsProxyAgent: function () { },
+    buildStream: () => null,
+    buildProxy: () => null,
+    topics: [],
+    parseDelta: (defaultFuncs, api, c, cb, { delta }) => deltas.push(delta),
+    handleLsResponse: () => { },
+    rejectPendingRequests: () => { },
+    scheduleSyncCursorSave,
+    clearSyncCursor,
+    logger: () => { },
+    emitAuth: () => { }
+  });
+  listenMqtt({}, { getCookies: () => '' }, ctx, () => { });
+  return { client: clients[0], deltas };
+}
+
+describe('Sync cursor', function() {
+  it('should save the cursor to the session store and load it back', async () => {
+    const ctx = createCtx();
+    ctx.lastSeqId = 42;
+    ctx.syncToken = 'token';
+    ctx.syncUpdatedAt = Date.now();
+    expect(await saveSyncCursor(ctx)).to.equal(true);
+
+    const fresh = createCtx();
+    fresh.sessionStore = ctx.sessionStore;
+    const cursor = await loadSyncCursor(fresh);
+    expect(cursor).to.include({ lastSeqId: 42, syncToken: 'token' });
+  });
+
+  it('should prefer the in-memory cursor over the stored one', async () => {
+    const ctx = createCtx();
+    await ctx.sessionStore.set('100:sync', JSON.stringify({ lastSeqId: 1, syncToken: 'old', updatedAt: Date.now() }));
+    ctx.lastSeqId = 7;
+    ctx.syncToken = 'new';
+    const cursor = await loadSyncCursor(ctx);
+    expect(cursor).to.include({ lastSeqId: 7, syncToken: 'new' });
+  });
+
+  it('should ignore cursors older than maxSyncGap', async () => {
+    const ctx = createCtx({ maxSyncGap: 1000 });
+    await ctx.sessionStore.set('100:sync', JSON.stringify({ lastSeqId: 1, syncToken: 't', updatedAt: 5000 }));
+    expect(await loadSyncCursor(ctx, 5500)).to.include({ lastSeqId: 1 });
+    expect(await loadSyncCursor(ctx, 7000)).to.equal(null);
+  });
+
+  it('should not resume or persist when resumeSync is off', async () => {
+    const ctx = createCtx({ resumeSync: false });
+    ctx.lastSeqId = 1;
+    ctx.syncToken = 't';
+    expect(await loadSyncCursor(ctx)).to.equal(null);
+    expect(await saveSyncCursor(ctx)).to.equal(false);
+    expect(await ctx.sessionStore.get('100:sync')).to.equal(null);
+  });
+
+  it('should return null for a malformed stored cursor', async () => {
+    const ctx = createCtx();
+    await ctx.sessionStore.set('100:sync', 'not json');
+    expect(await loadSyncCursor(ctx)).to.equal(null);
+  });
+
+  it('should clear the cursor from memory and the store', async () => {
+    const ctx = createCtx();
+    ctx.lastSeqId = 1;
+    ctx.syncToken = 't';
+    await saveSyncCursor(ctx);
+    await clearSyncCursor(ctx);
+    expect(ctx.lastSeqId).to.equal(null);
+    expect(ctx.syncToken).to.equal(undefined);
+    expect(await ctx.sessionStore.get('100:sync')).to.equal(null);
+  });
+
+  describe('connectMqtt', function() {
+    function createMqttCtx() {
+      return Object.assign(createCtx({ online: true }), { clientId: 'c' });
+    }
+
+    afterEach(() => { delete global.mqttClient; });
+
+    it('should request diffs from the resumed cursor on connect', () => {
+      const ctx = createMqttCtx();
+      ctx.lastSeqId = 10;
+      ctx.syncToken = 'token';
+      const { client } = createConnect(ctx);
+      client.emit('connect');
+      const sync = client.published.find(p => p.topic === '/messenger_sync_get_diffs');
+      expect(JSON.parse(sync.payload)).to.include({ last_seq_id: 10, sync_token: 'token' });
+      ctx.tmsWait();
+    });
+
+    it('should replay deltas and schedule a cursor save on /t_ms', async () => {
+      const ctx = createMqttCtx();
+      ctx.lastSeqId = 10;
+      ctx.syncToken = 'token';
+      const { client, deltas } = createConnect(ctx);
+      client.emit('message', '/t_ms', JSON.stringify({ lastIssuedSeqId: '12', deltas: [{ a: 1 }, { a: 2 }] }));
+      expect(deltas).to.have.length(2);
+      expect(ctx.lastSeqId).to.equal(12);
+      await saveSyncCursor(ctx);
+      expect(JSON.parse(await ctx.sessionStore.get('100:sync'))).to.include({ lastSeqId: 12, syncToken: 'token' });
+    });
+
+    it('should drop the cursor and force a resync on a sync error', async () => {
+      const ctx = createMqttCtx();
+      ctx.lastSeqId = 10;
+      ctx.syncToken = 'token';
+      await saveSyncCursor(ctx);
+      let cycled = 0;
+      ctx.forceCycle = () => cycled++;
+      const { client, deltas } = createConnect(ctx);
+      client.emit('message', '/t_ms', JSON.stringify({ errorCode: 'ERROR_QUEUE_OVERFLOW', deltas: [{ a: 1 }] }));
+      await new Promise(resolve => setImmediate(resolve));
+      expect(cycled).to.equal(1);
+      expect(deltas).to.have.length(0);
+      expect(ctx.syncToken).to.equal(undefined);
+      expect(await ctx.sessionStore.get('100:sync')).to.equal(null);
+    });
+  });
+
+  it('should log, not leak, a failure to connect when resuming', async () => {
+    const listen = require('../src/api/socket/listenMqtt');
+    const ctx = createCtx({ listenEvents: true });
+    ctx.lastSeqId = 10;
+    ctx.syncToken = 'token';
+    ctx.syncUpdatedAt = Date.now();
+    const api = { getCookies: () => { throw new Error('proxy setup failed'); } };
+    const unhandled = [];
+    const onUnhandled = reason => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    const emitter = listen({}, api, ctx)();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    process.removeListener('unhandledRejection', onUnhandled);
+    await emitter.stopListeningAsync();
+    expect(unhandled).to.deep.equal([]);
+    expect(ctx._cycling).to.equal(false);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Unit tests for thread export paging and formats
+ * @module test/threadExport
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const {
+  toTime,
+  collectHistory,
+  downloadAttachments,
+  renderJSONL,
+  renderHTML,
+  renderFacebook,
+  facebookThreadPath
+} = require('../src/core/threadExport');
+const { ValidationError } = require('../src/utils/errors');
+
+function message(n, extra) {
+  return Object.assign({
+    type: 'message',
+    messageID: `mid.$${n}`,
+    senderID: n % 2 ? '100' : '300',
+    threadID: '200',
+    timestamp: String(1000 + n),
+    body: `message ${n}`,
+    attachments: []
+  }, extra);
+}
+
+const info = {
+  threadName: 'Support <Team>',
+  isGroup: true,
+  userInfo: [{ id: '100', name: 'Alice' }, { id: '300', name: 'Bob' }],
+  nicknames: { 300: 'Bobby' }
+};
+
+describe('threadExport', function() {
+  describe('collectHistory', () => {
+    it('should return the messages oldest first', async () => {
+      const messages = await collectHistory([message(3), message(2), message(1)]);
+      expect(messages.map(m => m.messageID)).to.deep.equal(['mid.$1', 'mid.$2', 'mid.$3']);
+    });
+
+    it('should keep only messages between since and until and stop reading at since', async () => {
+      let read = 0;
+      async function* newestFirst() {
+        for (let n = 50; n > 0; n--) {
+          read++;
+          yield message(n);
+        }
+      }
+      const messages = await collectHistory(newestFirst(), { since: 1012, until: 1030 });
+      expect(messages.map(m => Number(m.timestamp))).to.deep.equal(Array.from({ length: 19 }, (_, i) => 1012 + i));
+      expect(read).to.equal(40);
+    });
+  });
+
+  it('should parse since and until', () => {
+    expect(toTime(new Date(5), 'since')).to.equal(5);
+    expect(toTime('1700000000000', 'since')).to.equal(1700000000000);
+    expect(toTime('2024-01-01T00:00:00Z', 'until')).to.equal(Date.UTC(2024, 0, 1));
+    expect(() => toTime('yesterday', 'since')).to.throw(ValidationError);
+  });
+
+  describe('downloadAttachments', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fca-export-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should save attachments by type and record failures', async () => {
+      const messages = [message(1, {
+        attachments: [
+          { type: 'photo', ID: '11', url: 'https://cdn.example/preview.jpg', original_extension: 'jpg' },
+          { type: 'file', ID: '12', url: 'https://cdn.example/report.pdf?dl=1' },
+          { type: 'share', url: 'https://example.com' },
+          { type: 'video', ID: '13', url: 'https://cdn.example/broken.mp4' }
+        ]
+      })];
+      const fetched = [];
+      const result = await downloadAttachments(messages, path.join(dir, 'chat_files'), {
+        root: dir,
+        resolvePhotoUrl: async id => `https://cdn.example/full_${id}.jpg`,
+        download: async url => {
+          fetched.push(url);
+          if (url.includes('broken')) throw new Error('404');
+          return Buffer.from(url);
+        }
+      });
+
+      expect(result).to.deep.equal({ downloaded: 2, failed: [{ messageID: 'mid.$1', attachmentID: '13', error: '404' }] });
+      expect(fetched[0]).to.equal('https://cdn.example/full_11.jpg');
+      const [photo, file, share] = messages[0].attachments;
+      expect(photo.localPath).to.equal('chat_files/photos/11.jpg');
+      expect(file.localPath).to.equal('chat_files/files/12.pdf');
+      expect(share).to.not.have.property('localPath');
+      expect(fs.readFileSync(path.join(dir, 'chat_files', 'files', '12.pdf'), 'utf8')).to.equal('https://cdn.example/report.pdf?dl=1');
+    });
+  });
+
+  describe('formats', () => {
+    const messages = [
+      message(1, { attachments: [{ type: 'photo', ID: '11', url: 'https://cdn.example/1.jpg', localPath: 'photos/11.jpg' }] }),
+      message(2, { body: '<b>hi</b>', messageReactions: [{ reaction: '😍', userID: '100' }] }),
+      { type: 'event', eventType: 'add_participants', messageID: 'mid.$3', senderID: '100', timestamp: '1003', snippet: 'Alice added Bob.', eventData: { participantsAdded: ['300'] } }
+    ];
+
+    it('should write one JSON object per line', () => {
+      const lines = renderJSONL(messages).trim().split('\n');
+      expect(lines).to.have.length(3);
+      expect(JSON.parse(lines[1]).body).to.equal('<b>hi</b>');
+    });
+
+    it('should escape message text in HTML', () => {
+      const html = renderHTML('200', messages, info);
+      expect(html).to.include('<title>Support &lt;Team&gt;</title>');
+      expect(html).to.include('&lt;b&gt;hi&lt;/b&gt;').and.not.include('<b>hi</b>');
+      expect(html).to.include('<img class="attachment" src="photos/11.jpg"');
+      expect(html).to.include('<b>Bobby</b>');
+    });
+
+    it('should follow the Download Your Information layout', () => {
+      expect(facebookThreadPath('200', info)).to.equal('messages/inbox/supportteam_200');
+      const [file] = renderFacebook('200', messages, info);
+      expect(file).to.include({ title: 'Support <Team>', thread_path: 'inbox/supportteam_200', is_still_participant: true });
+      expect(file.participants).to.deep.equal([{ name: 'Alice' }, { name: 'Bobby' }]);
+      expect(file.messages.map(m => m.timestamp_ms)).to.deep.equal([1003, 1002, 1001]);
+      expect(file.messages[0]).to.include({ type: 'Subscribe', content: 'Alice added Bob.' });
+      expect(file.messages[0].users).to.deep.equal([{ name: 'Bobby' }]);
+      expect(file.messages[1].reactions).to.deep.equal([{ reaction: '😍', actor: 'Alice' }]);
+      expect(file.messages[2].photos).to.deep.equal([{ uri: 'photos/11.jpg', creation_timestamp: 1 }]);
+    });
+  });
+});
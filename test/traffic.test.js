@@ -0,0 +1,179 @@
+/**
+ * Unit tests for traffic recording and replay
+ * @module test/traffic
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { expect } = require('chai');
+const { TrafficRecorder, TrafficReplay, readTraffic } = require('../src/core/traffic');
+const { createHttpClient } = require('../src/utils/request');
+const { NetworkError, ValidationError } = require('../src/utils/errors');
+
+function batchResponse(result) {
+  return [
+    JSON.stringify({ o0: result }),
+    JSON.stringify({ successful_results: 1, error_results: 0, skipped_results: 0 })
+  ].join('\n');
+}
+
+function threadListEntry(name) {
+  return {
+    type: 'http',
+    method: 'POST',
+    url: 'https://www.facebook.com/api/graphqlbatch/',
+    request: {
+      headers: {},
+      body: { av: '100', __user: '100', queries: JSON.stringify({ o0: { doc_id: '3336396659757871', query_params: {} } }) }
+    },
+    status: 200,
+    response: {
+      headers: {},
+      body: batchResponse({
+        data: {
+          viewer: {
+            message_threads: {
+              nodes: [{
+                thread_key: { thread_fbid: '200' },
+                name,
+                all_participants: { edges: [] },
+                thread_admins: [{ id: '100' }],
+                thread_type: 'GROUP'
+              }]
+            }
+          }
+        }
+      })
+    }
+  };
+}
+
+describe('traffic', function() {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fca-traffic-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('TrafficRecorder', () => {
+    it('should require a file path', () => {
+      expect(() => new TrafficRecorder({})).to.throw(ValidationError);
+    });
+
+    it('should write sanitized JSONL lines', () => {
+      const file = path.join(dir, 'nested', 'traffic.jsonl');
+      const recorder = new TrafficRecorder({ file });
+      recorder.http({
+        method: 'post',
+        url: 'https://www.facebook.com/ajax/mercury/delivery_receipts.php',
+        headers: { Cookie: 'c_user=100; xs=secret', 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: 'fb_dtsg=NAcx&jazoest=2&thread_ids%5B200%5D%5B0%5D=mid.1',
+        response: { status: 200, headers: { 'set-cookie': ['xs=rotated'] }, data: 'for (;;);{"payload":{"token":"abc"}}' }
+      });
+      recorder.mqtt('in', { topic: '/t_ms', qos: 1, payload: Buffer.from('{"deltas":[]}') });
+
+      const [request, frame] = readTraffic(file);
+      expect(request.method).to.equal('POST');
+      expect(request.request.headers.Cookie).to.equal('[REDACTED]');
+      expect(request.request.body).to.deep.equal({ fb_dtsg: '[REDACTED]', jazoest: '[REDACTED]', 'thread_ids[200][0]': 'mid.1' });
+      expect(request.response.headers['set-cookie']).to.equal('[REDACTED]');
+      expect(request.response.body).to.equal('for (;;);{"payload":{"token":"[REDACTED]"}}');
+      expect(frame).to.include({ type: 'mqtt', direction: 'in', topic: '/t_ms', payload: '{"deltas":[]}' });
+    });
+
+    it('should record the requests of an HTTP client', async () => {
+      const server = http.createServer((req, res) => res.end('for (;;);{"payload":null}'));
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      const url = `http://127.0.0.1:${server.address().port}/ajax/test.php`;
+      const file = path.join(dir, 'traffic.jsonl');
+      const client = createHttpClient();
+      client.setRecorder(new TrafficRecorder({ file }));
+      try {
+        await client.post(url, null, { fb_dtsg: 'NAcx', body: 'hi' });
+        client.setRecorder(null);
+        await client.get(url, null, null);
+      } finally {
+        server.close();
+      }
+      const entries = readTraffic(file);
+      expect(entries).to.have.length(1);
+      expect(entries[0]).to.include({ status: 200, url });
+      expect(entries[0].request.body).to.deep.equal({ fb_dtsg: '[REDACTED]', body: 'hi' });
+      expect(entries[0].duration).to.be.a('number');
+    });
+  });
+
+  describe('TrafficReplay', () => {
+    it('should answer API methods from recorded responses', async () => {
+      const replay = new TrafficReplay([threadListEntry('Team'), threadListEntry('Renamed')]);
+      expect(replay.userID).to.equal('100');
+      // Loading the API opens Fca_Database under the working directory
+      const cwd = process.cwd();
+      process.chdir(dir);
+      let api;
+      try {
+        api = replay.createApi();
+      } finally {
+        process.chdir(cwd);
+      }
+
+      const first = await api.getThreadList(1, null, ['INBOX']);
+      expect(first[0]).to.include({ threadID: '200', name: 'Team', isGroup: true });
+      expect((await api.getThreadList(1, null, ['INBOX']))[0].name).to.equal('Renamed');
+      expect((await api.getThreadList(1, null, ['INBOX']))[0].name).to.equal('Renamed');
+    });
+
+    it('should reject requests that were not recorded', async () => {
+      const replay = new TrafficReplay([]);
+      let error;
+      try {
+        await replay.defaultFuncs.post('https://www.facebook.com/api/graphql/', null, { doc_id: '1' });
+      } catch (err) {
+        error = err;
+      }
+      expect(error).to.be.instanceOf(NetworkError);
+      expect(error.message).to.include('POST /api/graphql/ 1');
+    });
+
+    it('should run recorded deltas through parseDelta', async () => {
+      const delta = {
+        class: 'NewMessage',
+        body: 'hello',
+        attachments: [],
+        messageMetadata: {
+          threadKey: { otherUserFbId: '300' },
+          messageId: 'mid.$1',
+          actorFbId: '300',
+          timestamp: '1700000000000',
+          tags: []
+        }
+      };
+      const replay = new TrafficReplay([
+        { type: 'mqtt', direction: 'in', topic: '/t_ms', payload: JSON.stringify({ deltas: [delta] }) },
+        { type: 'mqtt', direction: 'in', topic: '/t_ms', payload: 'not json' }
+      ], { userID: '100' });
+      const events = await replay.deltas();
+      expect(events).to.have.length(1);
+      expect(events[0]).to.include({ type: 'message', body: 'hello', threadID: '300', messageID: 'mid.$1' });
+    });
+
+    it('should decode /ls_resp frames with the decoder of their request', () => {
+      const step = [1, [5, 'replaceOptimisticMessage', 'otid', 'mid.$2'], [5, 'writeCTAIdToThreadsTable', [19, '200']]];
+      const replay = new TrafficReplay([
+        { type: 'mqtt', direction: 'out', topic: '/ls_req', payload: JSON.stringify({ request_id: 7 }), task: 'send_message_mqtt' },
+        { type: 'mqtt', direction: 'in', topic: '/ls_resp', payload: JSON.stringify({ request_id: 7, payload: JSON.stringify({ step }) }) },
+        { type: 'mqtt', direction: 'in', topic: '/ls_resp', payload: JSON.stringify({ request_id: 8, payload: '{}' }) }
+      ]);
+      expect(replay.tasks()).to.deep.equal([
+        { requestID: 7, type: 'send_message_mqtt', data: { threadID: '200', messageID: 'mid.$2' } },
+        { requestID: 8, type: null, data: null }
+      ]);
+    });
+  });
+});
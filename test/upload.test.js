@@ -0,0 +1,129 @@
+/**
+ * Unit tests for attachment uploads: progress, cancellation and reuse
+ * @module test/upload
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const { createUploadCache, uploadAttachment, uploadAttachments } = require('../src/core/upload');
+
+const GIF = Buffer.from('GIF89a-help-card');
+
+// postFormData stand-in: reports progress, then answers after `delay` ms (or
+// `delay(form)`) unless aborted
+function fakeUploads({ delay = 0, fail } = {}) {
+  const calls = [];
+  const defaultFuncs = {
+    postFormData(url, jar, form, qs, ctx, { signal, onUploadProgress } = {}) {
+      const n = calls.push({ url, form });
+      onUploadProgress({ loaded: 50, total: 200 });
+      onUploadProgress({ loaded: 200, total: 200 });
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          if (fail && fail(form)) return reject(new Error('upload failed'));
+          resolve({ status: 200, config: { method: 'post' }, data: { payload: { metadata: [{ gif_id: 900 + n, filename: form.upload_1024.options.filename }] } } });
+        }, typeof delay === 'function' ? delay(form) : delay);
+        if (signal) signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          calls[n - 1].aborted = true;
+          reject(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' }));
+        }, { once: true });
+      });
+    }
+  };
+  return { defaultFuncs, calls };
+}
+
+function context(cacheOptions) {
+  return { jar: null, globalOptions: {}, uploadCache: createUploadCache(cacheOptions), http: { download: async () => GIF } };
+}
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (err) {
+    return err;
+  }
+  throw new Error('expected a rejection');
+}
+
+describe('upload', function() {
+  it('should report per-file progress', async () => {
+    const { defaultFuncs } = fakeUploads();
+    const progress = [];
+    const [metadata] = await uploadAttachments(defaultFuncs, context(), [{ buffer: GIF, filename: 'help.gif' }], { onProgress: p => progress.push(p) });
+    expect(metadata).to.deep.equal({ gif_id: 901, filename: 'help.gif' });
+    expect(progress).to.deep.equal([
+      { index: 0, filename: 'help.gif', loaded: 50, total: 200, percent: 25, cached: false },
+      { index: 0, filename: 'help.gif', loaded: 200, total: 200, percent: 100, cached: false }
+    ]);
+  });
+
+  it('should reuse the ID of a file with the same content', async () => {
+    const { defaultFuncs, calls } = fakeUploads();
+    const ctx = context({ enabled: true });
+    const first = await uploadAttachment(defaultFuncs, ctx, { buffer: GIF, filename: 'help.gif' });
+    const progress = [];
+    const second = await uploadAttachment(defaultFuncs, ctx, 'https://cdn.example/card.gif', { onProgress: p => progress.push(p), index: 2 });
+    expect(calls).to.have.length(1);
+    expect(second).to.deep.equal(first);
+    expect(progress).to.deep.equal([{ index: 2, filename: 'card.gif', loaded: GIF.length, total: GIF.length, percent: 100, cached: true }]);
+
+    await uploadAttachment(defaultFuncs, ctx, Buffer.from('GIF89a-other'));
+    expect(calls).to.have.length(2);
+  });
+
+  it('should hash file streams when the cache is enabled', async () => {
+    const { defaultFuncs, calls } = fakeUploads();
+    const ctx = context({ enabled: true });
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fca-upload-'));
+    const file = path.join(dir, 'help.gif');
+    fs.writeFileSync(file, GIF);
+    try {
+      const first = await uploadAttachment(defaultFuncs, ctx, fs.createReadStream(file));
+      const second = await uploadAttachment(defaultFuncs, ctx, fs.createReadStream(file));
+      expect(second).to.deep.equal(first);
+      expect(calls).to.have.length(1);
+      expect(calls[0].form.upload_1024.value).to.deep.equal(GIF);
+      expect(await uploadAttachment(defaultFuncs, ctx, GIF)).to.deep.equal(first);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should upload every time without a cache', async () => {
+    const { defaultFuncs, calls } = fakeUploads();
+    const ctx = context();
+    expect(ctx.uploadCache).to.equal(null);
+    await uploadAttachment(defaultFuncs, ctx, GIF);
+    await uploadAttachment(defaultFuncs, ctx, GIF);
+    expect(calls).to.have.length(2);
+  });
+
+  it('should reject with the abort reason', async () => {
+    const { defaultFuncs, calls } = fakeUploads({ delay: 50 });
+    const before = new AbortController();
+    before.abort();
+    const early = await rejection(uploadAttachment(defaultFuncs, context(), GIF, { signal: before.signal }));
+    expect(early.name).to.equal('AbortError');
+    expect(calls).to.be.empty;
+
+    const controller = new AbortController();
+    const pending = uploadAttachments(defaultFuncs, context(), [GIF, GIF], { signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+    const err = await rejection(pending);
+    expect(err.name).to.equal('AbortError');
+    expect(calls).to.have.length(2);
+  });
+
+  it('should cancel the other uploads when one fails under a signal', async () => {
+    const bad = form => form.upload_1024.options.filename === 'bad.gif';
+    const { defaultFuncs, calls } = fakeUploads({ delay: form => bad(form) ? 5 : 1000, fail: bad });
+    const files = [{ buffer: GIF, filename: 'good.gif' }, { buffer: GIF, filename: 'bad.gif' }];
+    const err = await rejection(uploadAttachments(defaultFuncs, context(), files, { signal: new AbortController().signal }));
+    expect(err.message).to.equal('upload failed');
+    expect(calls[0].aborted).to.equal(true);
+  });
+});